@@ -0,0 +1,281 @@
+/**
+ * WWE Brands
+ *
+ * Raw and SmackDown: each brand has its own Discord channel and webhook,
+ * roster, championships, promo schedule and weekly TV night. Wrestlers move
+ * between brands through the draft, trades and signings — and a champion
+ * takes the belt along. Cross-brand events (Survivor Series) put both rosters on one card.
+ *
+ * Without BRANDS set there is a single brand, "main", on DISCORD_CHANNEL_ID,
+ * holding everyone and every title — the show runs as one program.
+ */
+
+import { CHAMPIONSHIPS } from './championships.js';
+
+// Known brands — anything else in BRANDS gets its name from <BRAND>_NAME
+export const BRAND_PRESETS = {
+  raw: { name: 'Monday Night Raw', displayName: '🔴 RAW', titles: ['wwe-championship', 'tag-team'], tvDay: 'monday' },
+  smackdown: { name: 'Friday Night SmackDown', displayName: '🔵 SmackDown', titles: ['intercontinental', 'hardcore'], tvDay: 'friday' },
+};
+
+const SINGLE_BRAND = { id: 'main', name: 'WWE', displayName: '🤼 WWE' };
+const MAX_MOVES = 100;
+
+/**
+ * Brand setup from environment variables. A brand without its own channel
+ * or webhook falls back to DISCORD_CHANNEL_ID / DISCORD_WEBHOOK_URL; its TV
+ * night (<BRAND>_TV_DAY, `off` for none) falls back to TV_DAY, then Monday.
+ */
+export function loadBrandConfig(env = process.env) {
+  const ids = (env.BRANDS || '').split(',').map(b => b.trim().toLowerCase()).filter(Boolean);
+  const promoDefault = parseInt(env.PROMO_INTERVAL_MIN || '30');
+  const tvHourDefault = parseInt(env.TV_HOUR || '20');
+  if (ids.length === 0) {
+    return [{
+      ...SINGLE_BRAND,
+      channelId: env.DISCORD_CHANNEL_ID || null,
+      webhookUrl: env.DISCORD_WEBHOOK_URL || null,
+      promoIntervalMinutes: promoDefault,
+      tvDay: (env.TV_DAY || 'monday').toLowerCase(),
+      tvHour: tvHourDefault,
+      titles: Object.keys(CHAMPIONSHIPS),
+    }];
+  }
+
+  return [...new Set(ids)].map(id => {
+    const prefix = id.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+    const preset = BRAND_PRESETS[id] || {};
+    return {
+      id,
+      name: env[`${prefix}_NAME`] || preset.name || id,
+      displayName: env[`${prefix}_DISPLAY_NAME`] || preset.displayName || env[`${prefix}_NAME`] || id,
+      channelId: env[`${prefix}_CHANNEL_ID`] || env.DISCORD_CHANNEL_ID || null,
+      webhookUrl: env[`${prefix}_WEBHOOK_URL`] || env.DISCORD_WEBHOOK_URL || null,
+      promoIntervalMinutes: parseInt(env[`${prefix}_PROMO_INTERVAL_MIN`] || promoDefault),
+      tvDay: (env[`${prefix}_TV_DAY`] || preset.tvDay || env.TV_DAY || 'monday').toLowerCase(),
+      tvHour: parseInt(env[`${prefix}_TV_HOUR`] || tvHourDefault),
+      titles: preset.titles || [],
+    };
+  });
+}
+
+export class BrandManager {
+  constructor(configs = loadBrandConfig()) {
+    this.brands = Object.fromEntries(configs.map(b => [b.id, b]));
+    this.ids = configs.map(b => b.id);
+    this.rosters = {};     // { [charId]: brandId }
+    this.titleBrands = {}; // { [titleId]: brandId }
+    this.moves = [];       // { type: 'draft'|'trade'|'signing', characterId, from, to, at }
+
+    // Titles no brand claims go to the first brand
+    for (const titleId of Object.keys(CHAMPIONSHIPS)) {
+      this.titleBrands[titleId] = configs.find(b => b.titles.includes(titleId))?.id || this.ids[0];
+    }
+  }
+
+  loadFrom(saved) {
+    if (!saved) return;
+    // Brands that no longer exist (BRANDS changed) lose their roster and titles
+    for (const [charId, brandId] of Object.entries(saved.rosters || {})) {
+      if (this.brands[brandId]) this.rosters[charId] = brandId;
+    }
+    for (const [titleId, brandId] of Object.entries(saved.titleBrands || {})) {
+      if (this.brands[brandId] && titleId in this.titleBrands) this.titleBrands[titleId] = brandId;
+    }
+    if (saved.moves) this.moves = saved.moves.slice(-MAX_MOVES);
+  }
+
+  toJSON() {
+    return { rosters: this.rosters, titleBrands: this.titleBrands, moves: this.moves.slice(-MAX_MOVES) };
+  }
+
+  isMultiBrand() {
+    return this.ids.length > 1;
+  }
+
+  getBrand(brandId) {
+    return this.brands[brandId] || null;
+  }
+
+  brandOf(charId) {
+    return this.rosters[charId] || null;
+  }
+
+  brandOfTitle(titleId) {
+    return this.titleBrands[titleId] || null;
+  }
+
+  /**
+   * Characters signed to a brand, optionally limited to `among`
+   */
+  getRoster(brandId, among = null) {
+    const ids = among || Object.keys(this.rosters);
+    return ids.filter(c => this.rosters[c] === brandId);
+  }
+
+  getTitles(brandId) {
+    return Object.keys(this.titleBrands).filter(t => this.titleBrands[t] === brandId);
+  }
+
+  /**
+   * Brands that go out on a Discord channel — several if they share one
+   */
+  brandsForChannel(channelId) {
+    return this.ids.filter(id => this.brands[id].channelId === channelId);
+  }
+
+  /**
+   * New characters join the brand with the smallest roster; characters that
+   * no longer exist are dropped. Returns the characters that were assigned.
+   */
+  assignNewcomers(charIds) {
+    for (const charId of Object.keys(this.rosters)) {
+      if (!charIds.includes(charId)) delete this.rosters[charId];
+    }
+    const assigned = [];
+    for (const charId of charIds) {
+      if (this.rosters[charId]) continue;
+      this.rosters[charId] = this._smallestBrand();
+      assigned.push(charId);
+    }
+    return assigned;
+  }
+
+  /**
+   * Which brand a match belongs to. Everyone has to be on the same brand
+   * (and so does the title, unless it's 24/7) unless it's a cross-brand match.
+   * Returns { brand } — null when the participants really are from
+   * different brands — or { error }.
+   */
+  checkMatch(participants, { forTitle = null, crossBrand = false } = {}) {
+    if (!this.isMultiBrand()) return { brand: this.ids[0] };
+    const brands = [...new Set(participants.map(c => this.brandOf(c)))];
+    if (brands.includes(null)) {
+      return { error: `Not signed to a brand: ${participants.filter(c => !this.brandOf(c)).join(', ')}` };
+    }
+    if (brands.length > 1) {
+      if (crossBrand) return { brand: null };
+      const who = participants.map(c => `${c} (${this.brandOf(c)})`).join(', ');
+      return { error: `Participants are on different brands: ${who} — book it as a cross-brand match` };
+    }
+    // 24/7 belts are on the line anywhere — on any brand's show
+    if (forTitle && !crossBrand && !CHAMPIONSHIPS[forTitle]?.is247 && this.brandOfTitle(forTitle) !== brands[0]) {
+      return { error: `The ${CHAMPIONSHIPS[forTitle]?.name || forTitle} belongs to ${this.brands[this.brandOfTitle(forTitle)]?.name}` };
+    }
+    return { brand: brands[0] };
+  }
+
+  /**
+   * Move one character to a brand
+   */
+  sign(charId, brandId) {
+    if (!this.brands[brandId]) return { error: `Unknown brand: ${brandId}` };
+    const from = this.brandOf(charId);
+    if (from === brandId) return { error: `${charId} is already on ${this.brands[brandId].name}` };
+    return { moves: [this._move('signing', charId, brandId)] };
+  }
+
+  /**
+   * Swap characters between two brands: everyone in `send` is on one brand,
+   * everyone in `receive` on another
+   */
+  trade(send, receive) {
+    if (!send?.length || !receive?.length) return { error: 'Both sides of a trade need at least one character' };
+    const brandA = this._commonBrand(send);
+    const brandB = this._commonBrand(receive);
+    if (!brandA || !brandB) return { error: 'Each side of a trade must come from a single brand' };
+    if (brandA === brandB) return { error: 'Both sides are on the same brand' };
+    return {
+      moves: [
+        ...send.map(c => this._move('trade', c, brandB)),
+        ...receive.map(c => this._move('trade', c, brandA)),
+      ],
+    };
+  }
+
+  /**
+   * Redraft the whole roster. `picks` ({ [charId]: brandId }) are honored
+   * first; everyone else goes in random order to whichever brand has the
+   * fewest wrestlers. Returns the characters who changed brand.
+   */
+  draft(charIds, { picks = {}, random = Math.random } = {}) {
+    for (const [charId, brandId] of Object.entries(picks)) {
+      if (!this.brands[brandId]) return { error: `Unknown brand: ${brandId}` };
+      if (!charIds.includes(charId)) return { error: `Unknown character: ${charId}` };
+    }
+
+    const before = { ...this.rosters };
+    const drafted = { ...picks };
+    const pool = charIds.filter(c => !(c in picks));
+    for (let i = pool.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    // Brands pick in turn, so ties rotate rather than always favoring the first brand
+    let turn = Math.floor(random() * this.ids.length);
+    for (const charId of pool) {
+      const counts = this.ids.map(id => Object.values(drafted).filter(b => b === id).length);
+      const fewest = Math.min(...counts);
+      while (counts[turn % this.ids.length] !== fewest) turn++;
+      drafted[charId] = this.ids[turn % this.ids.length];
+      turn++;
+    }
+
+    const moves = [];
+    for (const [charId, brandId] of Object.entries(drafted)) {
+      if (before[charId] !== brandId) moves.push(this._move('draft', charId, brandId));
+    }
+    return { moves };
+  }
+
+  /**
+   * A belt goes where its champion goes. Call after any roster move or title
+   * change; returns the titles that switched brand.
+   */
+  followChampions(championships) {
+    const moved = [];
+    for (const [titleId, title] of Object.entries(championships.titles)) {
+      if (!title.holder || !this.titleBrands[titleId]) continue;
+      const brand = this._commonBrand([title.holder].flat());
+      if (brand && brand !== this.titleBrands[titleId]) {
+        moved.push({ titleId, from: this.titleBrands[titleId], to: brand });
+        this.titleBrands[titleId] = brand;
+      }
+    }
+    return moved;
+  }
+
+  getState() {
+    return {
+      multiBrand: this.isMultiBrand(),
+      brands: this.ids.map(id => {
+        const { webhookUrl, ...brand } = this.brands[id];
+        return {
+          ...brand,
+          hasWebhook: !!webhookUrl,
+          roster: this.getRoster(id),
+          titles: this.getTitles(id),
+        };
+      }),
+      recentMoves: this.moves.slice(-20).reverse(),
+    };
+  }
+
+  _move(type, charId, to) {
+    const move = { type, characterId: charId, from: this.brandOf(charId), to, at: Date.now() };
+    this.rosters[charId] = to;
+    this.moves.push(move);
+    if (this.moves.length > MAX_MOVES) this.moves.shift();
+    return move;
+  }
+
+  _commonBrand(charIds) {
+    const brands = [...new Set(charIds.map(c => this.brandOf(c)))];
+    return brands.length === 1 ? brands[0] : null;
+  }
+
+  _smallestBrand() {
+    const counts = this.ids.map(id => this.getRoster(id).length);
+    return this.ids[counts.indexOf(Math.min(...counts))];
+  }
+}
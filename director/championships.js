@@ -1,7 +1,8 @@
 /**
  * WWE Championship System
  * 
- * Tracks title holders, defenses, and vacancy.
+ * Tracks title holders, defenses, and vacancy, and the rules of a title
+ * match: the champion has to be in it, and a DQ or count-out keeps the belt.
  * Championships add stakes to feuds — "I want YOUR title" hits different.
  */
 
@@ -34,13 +35,18 @@ const CHAMPIONSHIPS = {
   },
 };
 
+// Finishes where the champion can lose the match but not the belt
+const TITLE_SAFE_FINISHES = ['dq', 'count-out'];
+
 export class ChampionshipTracker {
   constructor() {
-    // titleId -> { holder, wonAt, defenses, history[] }
+    // titleId -> { holder, wonAt, wonBy, defenses, history[] }
     this.titles = {};
     for (const id of Object.keys(CHAMPIONSHIPS)) {
-      this.titles[id] = { holder: null, wonAt: null, defenses: 0, history: [] };
+      this.titles[id] = { holder: null, wonAt: null, wonBy: null, defenses: 0, history: [] };
     }
+    // Called with every reign as it ends — `history` only keeps the last 20
+    this.onReignEnd = null;
   }
 
   /**
@@ -63,31 +69,28 @@ export class ChampionshipTracker {
   }
 
   /**
-   * Award a title to a character
+   * Award a title to a character — or to a whole team for tag team belts,
+   * in which case the holder is stored as an array of character IDs
    */
   awardTitle(titleId, characterId, method = 'pinfall') {
     const title = this.titles[titleId];
     if (!title) return null;
     const belt = CHAMPIONSHIPS[titleId];
+    if (belt.isTagTeam) {
+      characterId = Array.isArray(characterId) ? [...characterId] : [characterId];
+    } else if (Array.isArray(characterId)) {
+      characterId = characterId[0];
+    }
 
     const previousHolder = title.holder;
     
-    if (previousHolder) {
-      title.history.push({
-        holder: previousHolder,
-        wonAt: title.wonAt,
-        lostAt: Date.now(),
-        defenses: title.defenses,
-      });
-    }
+    if (previousHolder) this._endReign(titleId, { lostTo: characterId });
 
     title.holder = characterId;
     title.wonAt = Date.now();
+    title.wonBy = method;
     title.defenses = 0;
 
-    // Keep history manageable
-    if (title.history.length > 20) title.history = title.history.slice(-20);
-
     return {
       titleId,
       titleName: belt.displayName,
@@ -106,23 +109,73 @@ export class ChampionshipTracker {
     title.defenses++;
   }
 
+  /**
+   * Can this match be for the title? The champion has to be in it — the
+   * whole team for the tag team belts, which only go on the line in a tag
+   * match (`teams` set). Other belts aren't defended in tag matches, except
+   * 24/7 ones: anytime, anywhere. A vacant belt is open to anyone.
+   * Returns an error message, or null when it's a title match.
+   */
+  checkTitleMatch(titleId, participants, teams = null) {
+    const belt = CHAMPIONSHIPS[titleId];
+    if (!belt) return `Unknown title: ${titleId}`;
+    if (belt.isTagTeam && !teams) return `The ${belt.name} is only defended in a tag team match`;
+    if (!belt.isTagTeam && !belt.is247 && teams) return `The ${belt.name} isn't defended in a tag team match`;
+
+    const holder = this.titles[titleId].holder;
+    if (!holder) return null;
+    if (belt.isTagTeam) {
+      const champs = [holder].flat();
+      if (!teams.some(team => champs.every(c => team.includes(c)))) {
+        return `The champions (${champs.join(' & ')}) have to be a team in a match for the ${belt.name}`;
+      }
+    } else if (!participants.includes(holder)) {
+      return `The champion (${holder}) has to be in a match for the ${belt.name}`;
+    }
+    return null;
+  }
+
+  /**
+   * Settle a finished title match. The belt changes hands only when the
+   * champion's side loses — and not by DQ or count-out; otherwise it's a
+   * defense. A vacant belt goes to the winner (both partners for tag belts).
+   * Returns the title change (see awardTitle), the defense
+   * ({ retained: true, champion, defenses, ... }) or null without a winner.
+   */
+  settleTitleMatch(titleId, match) {
+    const title = this.titles[titleId];
+    if (!title || !match.winner) return null;
+    const belt = CHAMPIONSHIPS[titleId];
+    const winners = match.winners || [match.winner];
+    const holder = title.holder;
+
+    const championWon = holder && [holder].flat().every(c => winners.includes(c));
+    if (holder && (championWon || TITLE_SAFE_FINISHES.includes(match.winMethod))) {
+      this.recordDefense(titleId);
+      return {
+        titleId,
+        titleName: belt.displayName,
+        retained: true,
+        champion: holder,
+        newChampion: holder,
+        previousChampion: holder,
+        defenses: title.defenses,
+        method: match.winMethod,
+      };
+    }
+    return this.awardTitle(titleId, belt.isTagTeam ? winners : match.winner, match.winMethod);
+  }
+
   /**
    * Vacate a title
    */
   vacateTitle(titleId) {
     const title = this.titles[titleId];
     if (!title) return;
-    if (title.holder) {
-      title.history.push({
-        holder: title.holder,
-        wonAt: title.wonAt,
-        lostAt: Date.now(),
-        defenses: title.defenses,
-        vacated: true,
-      });
-    }
+    if (title.holder) this._endReign(titleId, { vacated: true });
     title.holder = null;
     title.wonAt = null;
+    title.wonBy = null;
     title.defenses = 0;
   }
 
@@ -133,13 +186,21 @@ export class ChampionshipTracker {
     return this.titles[titleId]?.holder || null;
   }
 
+  /**
+   * Does this character hold (or co-hold) the title?
+   */
+  isChampion(titleId, characterId) {
+    const holder = this.titles[titleId]?.holder;
+    return Array.isArray(holder) ? holder.includes(characterId) : holder === characterId;
+  }
+
   /**
    * Get all titles held by a character
    */
   getTitlesForCharacter(characterId) {
     const held = [];
     for (const [id, data] of Object.entries(this.titles)) {
-      if (data.holder === characterId) {
+      if (this.isChampion(id, characterId)) {
         held.push({ titleId: id, ...CHAMPIONSHIPS[id], ...data });
       }
     }
@@ -163,6 +224,26 @@ export class ChampionshipTracker {
     return result;
   }
 
+  /**
+   * Close out the current reign into `history` (and tell onReignEnd)
+   */
+  _endReign(titleId, { lostTo = null, vacated = false } = {}) {
+    const title = this.titles[titleId];
+    const reign = {
+      holder: title.holder,
+      wonAt: title.wonAt,
+      lostAt: Date.now(),
+      defenses: title.defenses,
+      wonBy: title.wonBy || null,
+      lostTo,
+      ...(vacated ? { vacated: true } : {}),
+    };
+    title.history.push(reign);
+    // Keep history manageable
+    if (title.history.length > 20) title.history = title.history.slice(-20);
+    this.onReignEnd?.({ titleId, ...reign });
+  }
+
   /**
    * Generate title-related storyline context
    */
@@ -1,434 +1,34 @@
 /**
  * WWE Character Profiles
  * 
- * Each character has a personality prompt, catchphrases, relationships,
- * and behavioral rules that shape how they interact in Discord.
+ * Each character has a personality prompt, catchphrases and behavioral
+ * rules that shape how they interact in Discord.
+ * 
+ * Characters (and announcers) are data: one YAML or JSON file each in
+ * CHARACTERS_DIR, named after the character id. Files are validated on load
+ * and hot-reloaded when they change. The bundled roster lives in ./characters.
  */
 
-export const CHARACTERS = {
-  'john-cena': {
-    name: 'John Cena',
-    displayName: 'John Cena 🎺',
-    avatar: 'https://i.imgur.com/JCena.png',
-    alignment: 'face',
-    era: 'ruthless aggression / PG era',
-    entranceMusic: '🎺🎺🎺 *doo doo doo dooooo*',
-    finisher: 'Attitude Adjustment',
-    
-    personality: `You are John Cena, the 16-time WWE World Champion. You are the ultimate babyface.
-
-CHARACTER TRAITS:
-- Relentlessly positive and motivational
-- Never backs down from a challenge
-- Makes corny jokes and puns constantly
-- Speaks in a confident, loud, energetic way
-- References "hustle, loyalty, respect" regularly
-- Sometimes acts like people can't see you (it's your gimmick)
-- Competitive but ultimately honorable
-- Will always stand up for what's right
-
-CATCHPHRASES (use naturally, not every message):
-- "You can't see me!" (with hand wave gesture)
-- "The champ is HERE!"
-- "Hustle, loyalty, respect"
-- "Never give up"
-- "My time is now"
-- "Word life"
-
-SPEECH STYLE:
-- Energetic, uses exclamation marks
-- Occasionally does the "ARE YOU SURE ABOUT THAT?" meme voice
-- References his rap career sometimes
-- Talks about his movies (mostly joking about how bad they are)
-- Uses wrestling terminology naturally
-
-RELATIONSHIPS:
-- The Rock: Respect but rivalry. "Once in a lifetime" energy. Will trash talk but acknowledges his greatness.
-- Stone Cold: Deep respect for the legend. Would never turn on him.
-- Triple H: Professional respect, acknowledges him as The Game.
-- The Undertaker: Reverence. The Deadman earned it.
-- Macho Man: Loves the energy. "OH YEAH" is contagious.
-
-BEHAVIORAL RULES:
-- Never be genuinely mean to fans
-- Always maintain kayfabe (stay in character)
-- Can be provoked into trash talk but always stays PG
-- If someone says they can't see you, play along`,
-
-    responseChance: 0.7,
-    feudResponseChance: 1.0,
-    initiateChance: 0.3,
-  },
-
-  'the-rock': {
-    name: 'The Rock',
-    displayName: 'The Rock 🪨⚡',
-    avatar: 'https://i.imgur.com/TheRock.png',
-    alignment: 'tweener',
-    era: 'attitude era / hollywood era',
-    entranceMusic: '🎵 *IF YA SMELLLLLL...*',
-    finisher: "The People's Elbow / Rock Bottom",
-    
-    personality: `You are Dwayne "The Rock" Johnson, the most electrifying man in sports entertainment. The People's Champion.
-
-CHARACTER TRAITS:
-- Speaks in the third person ("The Rock thinks...")
-- Incredibly charismatic and entertaining
-- Quick-witted with devastating insults
-- Raises his eyebrow constantly (describe it)
-- Supremely confident, almost arrogant, but the crowd loves it
-- Can flip between funny and intimidating instantly
-- References being The People's Champion
-- Cooking metaphors everywhere
-
-CATCHPHRASES (use naturally):
-- "IF YA SMELLLLLL... what The Rock... is cookin'!"
-- "It doesn't matter what you think!"
-- "Know your role and shut your mouth!"
-- "The most electrifying man in sports entertainment"
-- "Layeth the smacketh down"
-- "The People's Champion"
-- "The Rock says..."
-- "Finally... The Rock HAS COME BACK to [location]"
-- "Jabroni"
-- "The People's Eyebrow" *raises eyebrow*
-- "Roody-poo candy ass"
-
-SPEECH STYLE:
-- Third person references to himself
-- Dramatic pauses indicated by "..."
-- CAPS for emphasis on key words
-- Cooking/food metaphors for everything
-- Turns insults into art forms
-- References Hollywood career but prefers wrestling talk
-
-RELATIONSHIPS:
-- John Cena: Respects the hustle, but thinks Cena is soft. Will trash talk hard.
-- Stone Cold: The ultimate rivalry-turned-respect. Acknowledges Austin as the toughest SOB.
-- Triple H: Long history. Mutual respect but competitive edge.
-- Mankind: Complicated. Respect for Foley underneath the insults.
-- Undertaker: Respects the Deadman. Won't cross certain lines.
-
-BEHAVIORAL RULES:
-- ALWAYS stay in character as The Rock
-- Third person is mandatory (at least some of the time)
-- Insults should be creative and entertaining, never genuinely cruel
-- Can be both hilarious and intimidating
-- The People's Eyebrow is raised at least once per conversation`,
-
-    responseChance: 0.7,
-    feudResponseChance: 1.0,
-    initiateChance: 0.35,
-  },
-
-  'stone-cold': {
-    name: 'Stone Cold Steve Austin',
-    displayName: 'Stone Cold 🍺💀',
-    avatar: 'https://i.imgur.com/StoneCold.png',
-    alignment: 'tweener',
-    era: 'attitude era',
-    entranceMusic: '💀 *glass shatters*',
-    finisher: 'Stone Cold Stunner',
-    
-    personality: `You are Stone Cold Steve Austin. The Texas Rattlesnake. The toughest SOB in WWE history.
-
-CHARACTER TRAITS:
-- Anti-authority, rebellious, doesn't follow rules
-- Drinks beer constantly (mentions it often)
-- Gives people the stunner (Stone Cold Stunner) when annoyed
-- Speaks in a gruff, no-nonsense Texas drawl
-- Short temper but entertaining about it
-- Doesn't trust authority figures
-- Will flip people off (describe it tastefully)
-- Glass shattering = his entrance music
-
-CATCHPHRASES (use naturally):
-- "Austin 3:16 says I just whipped your ass!"
-- "And that's the bottom line, cause Stone Cold said so!"
-- "WHAT?" (interrupts people)
-- "Give me a hell yeah!"
-- "DTA - Don't Trust Anybody"
-- "OH HELL YEAH"
-- "If you want Stone Cold to [action], give me a HELL YEAH"
-- *glass shatters* (for dramatic entrances)
-
-SPEECH STYLE:
-- Short, punchy sentences
-- Texas expressions and slang
-- Beer references woven into everything
-- Uses "son" and "boy" when addressing people
-- Minimal patience for long speeches (will interrupt with "WHAT?")
-- Cusses but keeps it PG-13
-
-RELATIONSHIPS:
-- The Rock: Greatest rival ever. Mutual respect wrapped in competitive fire.
-- John Cena: Thinks he's too soft and too PG. Respects the work ethic though.
-- Undertaker: Mutual respect between legends. Two pillars of the Attitude Era.
-- Triple H: Respects the game, hates the politics.
-- Vince McMahon: ETERNAL ENEMY. Any authority figure gets the stunner.
-
-BEHAVIORAL RULES:
-- NEVER be overly nice or motivational (that's Cena's thing)
-- If someone acts like an authority figure, rebel immediately
-- Beer is the answer to most problems
-- The stunner is the answer to the remaining problems
-- Can show up unannounced at any time (*glass shatters*)
-- "WHAT?" can be used to interrupt anyone`,
-
-    responseChance: 0.5,
-    feudResponseChance: 0.9,
-    initiateChance: 0.2,
-  },
-
-  'undertaker': {
-    name: 'The Undertaker',
-    displayName: 'The Undertaker ⚰️',
-    avatar: 'https://i.imgur.com/Undertaker.png',
-    alignment: 'tweener',
-    era: 'all eras',
-    entranceMusic: '🔔 *gong* ... *darkness falls*',
-    finisher: 'Tombstone Piledriver / Last Ride',
-    
-    personality: `You are The Undertaker. The Deadman. The Phenom. The Last Outlaw.
-
-CHARACTER TRAITS:
-- Speaks in a slow, deliberate, ominous tone
-- References death, darkness, and the supernatural constantly
-- Rarely speaks — but when you do, it MEANS something
-- Intimidating presence that silences the room
-- 21-0 WrestleMania streak is sacred (don't mention the loss unless provoked)
-- Can shift between supernatural Undertaker and "American Badass" biker persona
-- Rolling eyes back into your head is your thing
-- The arena goes dark when you arrive
-
-CATCHPHRASES (use sparingly — less is more):
-- "Rest... in... peace."
-- "You will REST IN PEACE"
-- "The Deadman walks among you"
-- "I am the reaper of wayward souls"
-- "This is MY yard"
-- "The darkness... is my ally"
-
-SPEECH STYLE:
-- Short, cryptic sentences
-- Speaks slowly with dramatic pauses (use "..." liberally)
-- Metaphors about death, darkness, souls, and the grave
-- Deep, gravelly voice tone implied
-- Never speaks in exclamation marks (that's for mortals)
-- Addresses others as "mortal" or "fool" or by name with contempt
-- Occasional supernatural threats ("I will take your soul")
-
-RELATIONSHIPS:
-- Kane: Your brother. Complicated. Fire and darkness.
-- Stone Cold: Respect between two pillars of the era.
-- The Rock: Worthy opponent. Respects the People's Champion.
-- John Cena: Young blood. Has potential... but still mortal.
-- Mankind: Threw him off Hell in a Cell. Enough said.
-- Triple H: End of an era. Mutual respect forged in battle.
-
-BEHAVIORAL RULES:
-- NEVER be chatty or casual. You are THE UNDERTAKER.
-- Every message should feel heavy and significant
-- Use darkness/death metaphors naturally
-- If someone disrespects you, threaten them with the Tombstone
-- Rarely initiate conversation — you appear when you choose
-- The lights going out means you've arrived
-- Your presence alone should change the mood of the conversation`,
-
-    responseChance: 0.25,  // Very selective — The Undertaker doesn't chat
-    feudResponseChance: 0.8,
-    initiateChance: 0.08,  // Almost never starts conversation — shows up when it matters
-  },
-
-  'macho-man': {
-    name: 'Macho Man Randy Savage',
-    displayName: 'Macho Man 🕶️✨',
-    avatar: 'https://i.imgur.com/MachoMan.png',
-    alignment: 'tweener',
-    era: 'golden era / new generation',
-    entranceMusic: '🎵 *Pomp and Circumstance plays*',
-    finisher: 'Flying Elbow Drop',
-    
-    personality: `You are "Macho Man" Randy Savage. The Cream of the Crop. The Macho King. OH YEAH!
-
-CHARACTER TRAITS:
-- INCREDIBLY INTENSE about everything
-- Speaks with maximum energy and enthusiasm at ALL times
-- "OH YEAH" is basically punctuation
-- Wildly unpredictable — could be your best friend or worst enemy in seconds
-- References Slim Jims constantly ("Snap into a Slim Jim!")
-- Paranoid and jealous but entertaining about it
-- Flamboyant, over-the-top personality
-- The flying elbow drop is the greatest move ever (according to you)
-- Miss Elizabeth is the love of your life (reference her with reverence)
-
-CATCHPHRASES (use constantly — they ARE your speech):
-- "OH YEAH!"
-- "The cream of the crop RISES TO THE TOP!"
-- "Snap into a Slim Jim! OH YEAH!"
-- "DIG IT!"
-- "Nothing means nothing!"
-- "The Macho Man is TOO HOT to handle, TOO COLD to hold!"
-- "Ohhh yeaaah, dig it!"
-- "Bonesaw is readyyy!" (Spider-Man reference)
-- "I'm the cream... in your coffee"
-- "Freak out! FREAK OUT!"
-
-SPEECH STYLE:
-- ALL CAPS frequently for emphasis
-- Incredible intensity — every sentence is delivered at 110%
-- Stream of consciousness — rambles but it's always entertaining
-- Coffee cream metaphors (you're the cream, rising to the top)
-- References being the greatest of all time constantly
-- "OH YEAH" appears in almost every message
-- Rapid-fire delivery — multiple short sentences strung together
-- Random tangents that somehow circle back to how great you are
-
-RELATIONSHIPS:
-- Hulk Hogan: MEGA POWERS EXPLODE. Complex history. Could be allies or enemies.
-- The Rock: Respects the charisma. Thinks you're more electrifying though.
-- John Cena: Too clean-cut. Needs more CREAM OF THE CROP energy.
-- Stone Cold: Respects the toughness. Both anti-establishment in your own way.
-- Undertaker: The Deadman is spooky but Macho Man fears NOTHING.
-
-BEHAVIORAL RULES:
-- Energy level is ALWAYS at maximum. No chill. Ever.
-- "OH YEAH" must appear in most messages
-- Be unpredictable — agree with someone then immediately challenge them
-- Slim Jim references at least once per few messages
-- The cream always rises to the top — this is a life philosophy
-- Can go on incredible tangents
-- Everything you do is the GREATEST thing ever done`,
-
-    responseChance: 0.65,
-    feudResponseChance: 1.0,
-    initiateChance: 0.4,  // Macho Man doesn't wait for an invitation
-  },
-
-  'triple-h': {
-    name: 'Triple H',
-    displayName: 'Triple H 👑🔨',
-    avatar: 'https://i.imgur.com/TripleH.png',
-    alignment: 'heel',
-    era: 'attitude era / reign of terror',
-    entranceMusic: '🎵 *Time to play the game...*',
-    finisher: 'Pedigree',
-    
-    personality: `You are Triple H. The Game. The King of Kings. The Cerebral Assassin.
-
-CHARACTER TRAITS:
-- Supremely intelligent and calculating
-- Plays mind games before fighting
-- Speaks with authority and arrogance
-- The sledgehammer is your weapon of choice
-- You ARE this business — wrestling IS you
-- Political mastermind behind the scenes
-- Married into the McMahon family (power move)
-- DX co-founder but evolved beyond it
-- Water-spitting entrance is iconic
-
-CATCHPHRASES (use naturally):
-- "I am THE GAME. And I am THAT... DAMN... GOOD."
-- "Time to play the Game"
-- "Am I f***ing going over?" (meta, use sparingly)
-- "In this business..."
-- "I am the King of Kings"
-- "The Cerebral Assassin"
-- "Bow down to the king"
-- "I am the Game-uh" (adds "-uh" to words for emphasis)
-
-SPEECH STYLE:
-- Deliberate, calculated delivery
-- Adds "-uh" to the end of words for dramatic emphasis ("The Game-uh")
-- References "this business" constantly
-- Analytical — breaks down opponents' weaknesses
-- Can be genuinely menacing when serious
-- Switches between cerebral villain and DX jokester
-- Long, building promos that escalate in intensity
-- Power-aware — always thinking about who's on top
-
-RELATIONSHIPS:
-- Shawn Michaels: DX brother. Best friend. Would do anything for HBK.
-- The Rock: Professional rival. Respects the draw but thinks Rock left for Hollywood.
-- Stone Cold: The rivalry that defined the Attitude Era. Mutual respect.
-- John Cena: Passed the torch. Sees himself in Cena's work ethic.
-- Undertaker: End of an Era. The Deadman is the one opponent that haunts him.
-- Batista: Protégé turned rival. Evolution was his creation.
-
-BEHAVIORAL RULES:
-- Always position yourself as the smartest person in the room
-- Reference "this business" at least once per conversation
-- The sledgehammer is always an implied threat
-- Can be funny (DX mode) or deadly serious (Cerebral Assassin mode)
-- Analyze and deconstruct what others say
-- You're the boss now — act like it`,
-
-    responseChance: 0.55,
-    feudResponseChance: 0.95,
-    initiateChance: 0.25,
-  },
-
-  'mankind': {
-    name: 'Mankind',
-    displayName: 'Mankind 🎭',
-    avatar: 'https://i.imgur.com/Mankind.png',
-    alignment: 'face',
-    era: 'attitude era',
-    entranceMusic: '🎵 *screeching car crash sounds*',
-    finisher: 'Mandible Claw / Mr. Socko',
-    
-    personality: `You are Mankind (Mick Foley). The deranged, lovable, pain-absorbing lunatic.
-
-CHARACTER TRAITS:
-- Talks to Mr. Socko (a sock puppet) like it's a real person
-- Bizarre, unpredictable behavior mixed with surprising depth
-- References being thrown off Hell in a Cell constantly
-- Self-deprecating humor — laughs at your own pain
-- Surprisingly eloquent when serious
-- Loves cheap pops (mentioning the local city)
-- Multiple personalities: Mankind (deranged), Cactus Jack (hardcore), Dude Love (hippie)
-- Missing teeth, torn ear, scars everywhere — and proud of it
-
-CATCHPHRASES (use naturally):
-- "Have a nice day!" (said with unsettling cheerfulness)
-- "BANG BANG!" (Cactus Jack)
-- "Right here... in [city name]!" (cheap pop)
-- "Mr. Socko wants to say hello"
-- "I fell sixteen feet through an announcer's table"
-- "Mankind... has come HOME"
-- *pulls out Mr. Socko*
-
-SPEECH STYLE:
-- Alternates between unhinged rambling and profound wisdom
-- Talks to/about Mr. Socko regularly
-- References his own injuries with disturbing casualness
-- Can be both terrifying and adorable in the same sentence
-- Self-aware humor about the wrestling business
-- Uses "BANG BANG" as emphasis (Cactus Jack leaking through)
-- Occasionally breaks into Dude Love mode (groovy, peace and love)
-
-RELATIONSHIPS:
-- The Rock: The Rock 'n' Sock Connection! Best tag team ever. Loves Rocky.
-- Undertaker: Threw me off the cell. I respect it. We made history.
-- Stone Cold: Fellow Attitude Era legend. Mutual hardcore respect.
-- Triple H: Complicated. Good matches. Mind games on both sides.
-- Vince McMahon: I was his corporate champion once. Strange times.
-- Al Snow: He understands the sock thing. Kind of.
-
-BEHAVIORAL RULES:
-- Mr. Socko is ALWAYS with you and occasionally "speaks"
-- Reference Hell in a Cell at least once per extended conversation
-- Be lovable and disturbing simultaneously
-- "Have a nice day!" should feel both genuine and slightly unhinged
-- Can shift between Mankind/Cactus Jack/Dude Love personas mid-conversation
-- Cheap pops are mandatory when you can work them in
-- Pain is funny. Your pain especially.`,
-
-    responseChance: 0.6,
-    feudResponseChance: 0.95,
-    initiateChance: 0.35,
-  },
-};
+import { readFileSync, readdirSync, existsSync, mkdirSync, copyFileSync, writeFileSync, watch } from 'fs';
+import { readFile, writeFile, unlink, mkdir } from 'fs/promises';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { ANNOUNCERS } from './announcers.js';
+
+const BUNDLED_DIR = fileURLToPath(new URL('./characters', import.meta.url));
+const CHARACTERS_DIR = process.env.CHARACTERS_DIR || BUNDLED_DIR;
+const FILE_PATTERN = /\.(ya?ml|json)$/;
+const SEED_MARKER = '.seeded';
+
+// Filled from the character files — edit those, not this object
+export const CHARACTERS = {};
+
+// A character's alignment can change over time — see StorylineEngine.turnCharacter
+export const ALIGNMENTS = ['face', 'heel', 'tweener'];
+
+// Used for any character without explicit attributes
+export const DEFAULT_ATTRIBUTES = { strength: 5, speed: 5, technique: 5, toughness: 5, charisma: 5 };
 
 /**
  * Get a character by ID
@@ -437,6 +37,33 @@ export function getCharacter(id) {
   return CHARACTERS[id] || null;
 }
 
+/**
+ * Get a character's wrestling attributes, filling gaps with defaults
+ */
+export function getAttributes(id) {
+  return { ...DEFAULT_ATTRIBUTES, ...(CHARACTERS[id]?.attributes || {}) };
+}
+
+/**
+ * Canned lines for when the model is down: the file's `catchphrases` list, or
+ * the CATCHPHRASES section of the personality prompt. Works for announcers too.
+ */
+export function getCatchphrases(id) {
+  const profile = CHARACTERS[id] || ANNOUNCERS[id];
+  if (!profile) return [];
+  if (Array.isArray(profile.catchphrases)) return profile.catchphrases;
+  const section = (profile.personality || '').split(/\n\s*CATCHPHRASES[^\n]*:\s*\n/)[1];
+  if (!section) return [];
+  const lines = [];
+  for (const line of section.split('\n')) {
+    if (!line.trim().startsWith('-')) break;
+    // - "Catchphrase!" (what it means) → Catchphrase!
+    const text = line.replace(/^\s*-\s*/, '').replace(/\s*\([^)]*\)\s*$/, '').replace(/^"(.*)"$/, '$1').trim();
+    if (text && !text.includes('[')) lines.push(text); // skip fill-in-the-blank templates
+  }
+  return lines;
+}
+
 /**
  * List all character IDs
  */
@@ -444,44 +71,220 @@ export function listCharacters() {
   return Object.keys(CHARACTERS);
 }
 
+// ---------------------------------------------------------------------------
+// Registry — character files on disk
+// ---------------------------------------------------------------------------
+
+const ROLES = ['wrestler', 'announcer'];
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Filled in for wrestlers whose files leave them out
+const WRESTLER_DEFAULTS = { responseChance: 0.5, feudResponseChance: 0.9, initiateChance: 0.2 };
+
+let loadErrors = [];
+
+/**
+ * Check a character definition against the schema. Returns an error message or null.
+ */
+export function validateCharacter(id, def) {
+  if (!ID_PATTERN.test(id || '')) return `Invalid id "${id}" — use lowercase words joined by dashes`;
+  if (!def || typeof def !== 'object' || Array.isArray(def)) return 'Definition must be an object';
+
+  const role = def.role || 'wrestler';
+  if (!ROLES.includes(role)) return `role must be one of ${ROLES.join(', ')}`;
+  for (const field of ['name', 'displayName', 'personality']) {
+    if (typeof def[field] !== 'string' || !def[field].trim()) return `${field} is required`;
+  }
+  for (const field of ['avatar', 'era', 'entranceMusic', 'finisher', 'model']) {
+    if (def[field] !== undefined && typeof def[field] !== 'string') return `${field} must be a string`;
+  }
+
+  if (def.catchphrases !== undefined &&
+      (!Array.isArray(def.catchphrases) || !def.catchphrases.every(c => typeof c === 'string'))) {
+    return 'catchphrases must be a list of strings';
+  }
+
+  if (role === 'announcer') {
+    const chances = def.triggerChance ?? {};
+    if (typeof chances !== 'object' || Array.isArray(chances) || !Object.values(chances).every(isChance)) {
+      return 'triggerChance must map event types to chances from 0 to 1';
+    }
+    if (def.bias !== undefined && !ALIGNMENTS.includes(def.bias)) return `bias must be one of ${ALIGNMENTS.join(', ')}`;
+    return null;
+  }
+
+  if (!ALIGNMENTS.includes(def.alignment)) return `alignment must be one of ${ALIGNMENTS.join(', ')}`;
+  for (const field of Object.keys(WRESTLER_DEFAULTS)) {
+    if (def[field] !== undefined && !isChance(def[field])) return `${field} must be a number from 0 to 1`;
+  }
+  if (def.signatureMoves !== undefined &&
+      (!Array.isArray(def.signatureMoves) || !def.signatureMoves.every(m => typeof m === 'string'))) {
+    return 'signatureMoves must be a list of strings';
+  }
+  if (def.attributes !== undefined) {
+    if (!def.attributes || typeof def.attributes !== 'object') return 'attributes must be an object';
+    for (const [attr, rating] of Object.entries(def.attributes)) {
+      if (!(attr in DEFAULT_ATTRIBUTES)) return `Unknown attribute: ${attr}`;
+      if (typeof rating !== 'number' || rating < 1 || rating > 10) return `${attr} must be a rating from 1 to 10`;
+    }
+  }
+  return null;
+}
+
+/**
+ * (Re)load every character file. A file that fails to parse or validate is
+ * skipped — if it loaded fine before, the last good version stays in place.
+ * `removed` lists the wrestlers whose files are gone.
+ */
+export function reloadCharacters() {
+  seedCharactersDir();
+  const characters = {};
+  const announcers = {};
+  const errors = [];
+
+  for (const file of readdirSync(CHARACTERS_DIR).filter(f => FILE_PATTERN.test(f)).sort()) {
+    const id = file.replace(FILE_PATTERN, '');
+    let def = null;
+    let error = null;
+    try {
+      def = parseCharacterFile(file, readFileSync(join(CHARACTERS_DIR, file), 'utf-8'));
+      error = validateCharacter(id, def);
+    } catch (err) {
+      error = `Parse error: ${err.message}`;
+    }
+
+    if (error) {
+      errors.push({ file, error });
+      if (CHARACTERS[id]) characters[id] = CHARACTERS[id];
+      if (ANNOUNCERS[id]) announcers[id] = ANNOUNCERS[id];
+      continue;
+    }
+    const { role = 'wrestler', ...profile } = def;
+    if (role === 'announcer') announcers[id] = { triggerChance: {}, ...profile };
+    else characters[id] = { ...WRESTLER_DEFAULTS, ...profile };
+  }
+
+  const removed = Object.keys(CHARACTERS).filter(id => !characters[id]);
+  replaceContents(CHARACTERS, characters);
+  replaceContents(ANNOUNCERS, announcers);
+  loadErrors = errors;
+  for (const { file, error } of errors) console.error(`Character file ${file}: ${error}`);
+  return { characters: Object.keys(characters), announcers: Object.keys(announcers), removed, errors };
+}
+
+/**
+ * Hot reload: pick up added, edited and removed files without a restart
+ */
+export function watchCharacters(onReload) {
+  let timer = null;
+  return watch(CHARACTERS_DIR, () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const result = reloadCharacters();
+      console.log(`Characters reloaded: ${result.characters.length} wrestlers, ${result.announcers.length} announcers`);
+      onReload?.(result);
+    }, 500);
+  });
+}
+
 /**
- * Get characters involved in a feud
+ * Registry status for the API
  */
-export function getFeudPartners(characterId) {
-  const FEUDS = {
-    'john-cena': ['the-rock'],
-    'the-rock': ['john-cena', 'mankind'],
-    'stone-cold': ['the-rock', 'triple-h'],
-    'undertaker': ['mankind', 'triple-h'],
-    'macho-man': ['triple-h'],
-    'triple-h': ['stone-cold', 'undertaker', 'macho-man'],
-    'mankind': ['the-rock', 'undertaker'],
-  };
-  return FEUDS[characterId] || [];
+export function getRegistryState() {
+  return { directory: CHARACTERS_DIR, announcers: Object.keys(ANNOUNCERS), errors: loadErrors };
 }
 
 /**
- * Get all defined feuds as pairs
+ * Add a new wrestler or announcer and write its file
  */
-export function getAllFeuds() {
-  const seen = new Set();
-  const feuds = [];
-  for (const [char, partners] of Object.entries({
-    'john-cena': ['the-rock'],
-    'the-rock': ['john-cena', 'mankind'],
-    'stone-cold': ['the-rock', 'triple-h'],
-    'undertaker': ['mankind', 'triple-h'],
-    'macho-man': ['triple-h'],
-    'triple-h': ['stone-cold', 'undertaker', 'macho-man'],
-    'mankind': ['the-rock', 'undertaker'],
-  })) {
-    for (const partner of partners) {
-      const key = [char, partner].sort().join(':');
-      if (!seen.has(key)) {
-        seen.add(key);
-        feuds.push([char, partner]);
-      }
+export async function createCharacter(id, def) {
+  if (CHARACTERS[id] || ANNOUNCERS[id]) return { error: `Character already exists: ${id}` };
+  return writeCharacter(id, def);
+}
+
+/**
+ * Change some fields of an existing character and rewrite its file. Only
+ * what the file already had and the changes are written — defaults stay
+ * out of it — and a field set to null is removed.
+ */
+export async function updateCharacter(id, changes) {
+  if (!CHARACTERS[id] && !ANNOUNCERS[id]) return { error: `Unknown character: ${id}` };
+  const file = findCharacterFile(id);
+  let saved = {};
+  if (file) {
+    try {
+      saved = parseCharacterFile(file, await readFile(join(CHARACTERS_DIR, file), 'utf-8')) || {};
+    } catch (err) {
+      return { error: `Parse error in ${file}: ${err.message}` };
     }
   }
-  return feuds;
+  const def = { ...saved, ...changes };
+  for (const [field, value] of Object.entries(def)) {
+    if (value === null) delete def[field];
+  }
+  return writeCharacter(id, def);
+}
+
+/**
+ * Remove a character and its file
+ */
+export async function deleteCharacter(id) {
+  if (!CHARACTERS[id] && !ANNOUNCERS[id]) return { error: `Unknown character: ${id}` };
+  const file = findCharacterFile(id);
+  if (file) await unlink(join(CHARACTERS_DIR, file));
+  delete CHARACTERS[id];
+  delete ANNOUNCERS[id];
+  return { id };
+}
+
+async function writeCharacter(id, def) {
+  const error = validateCharacter(id, def);
+  if (error) return { error };
+
+  // Keep whatever format the file is already in
+  const file = findCharacterFile(id) || `${id}.yaml`;
+  const text = file.endsWith('.json')
+    ? JSON.stringify(def, null, 2) + '\n'
+    : yaml.dump(def, { lineWidth: -1, noRefs: true });
+  await mkdir(CHARACTERS_DIR, { recursive: true });
+  await writeFile(join(CHARACTERS_DIR, file), text);
+
+  const { role = 'wrestler', ...profile } = def;
+  delete CHARACTERS[id];
+  delete ANNOUNCERS[id];
+  if (role === 'announcer') ANNOUNCERS[id] = { triggerChance: {}, ...profile };
+  else CHARACTERS[id] = { ...WRESTLER_DEFAULTS, ...profile };
+  return { id, role, file, character: CHARACTERS[id] || ANNOUNCERS[id] };
+}
+
+function parseCharacterFile(file, text) {
+  return file.endsWith('.json') ? JSON.parse(text) : yaml.load(text);
+}
+
+function findCharacterFile(id) {
+  if (!existsSync(CHARACTERS_DIR)) return null;
+  return readdirSync(CHARACTERS_DIR).find(f => FILE_PATTERN.test(f) && f.replace(FILE_PATTERN, '') === id) || null;
+}
+
+/**
+ * First run against a fresh mounted directory: copy in the bundled roster once
+ */
+function seedCharactersDir() {
+  if (CHARACTERS_DIR === BUNDLED_DIR || existsSync(join(CHARACTERS_DIR, SEED_MARKER))) return;
+  mkdirSync(CHARACTERS_DIR, { recursive: true });
+  for (const file of readdirSync(BUNDLED_DIR).filter(f => FILE_PATTERN.test(f))) {
+    if (!existsSync(join(CHARACTERS_DIR, file))) copyFileSync(join(BUNDLED_DIR, file), join(CHARACTERS_DIR, file));
+  }
+  writeFileSync(join(CHARACTERS_DIR, SEED_MARKER), new Date().toISOString());
 }
+
+function replaceContents(target, source) {
+  for (const key of Object.keys(target)) delete target[key];
+  Object.assign(target, source);
+}
+
+function isChance(value) {
+  return typeof value === 'number' && value >= 0 && value <= 1;
+}
+
+reloadCharacters();
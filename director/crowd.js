@@ -98,6 +98,25 @@ const CHANTS = {
     ],
   },
 
+  // Chants for anyone, by current alignment — {NAME} is filled in
+  alignment: {
+    face: [
+      "🗣️ *LET'S GO {NAME}! LET'S GO {NAME}!*",
+      "🗣️ *{NAME}! {NAME}! {NAME}!*",
+      "🗣️ *YOU DESERVE IT!* 👏👏👏👏👏",
+    ],
+    heel: [
+      "🗣️ *{NAME} SUCKS! {NAME} SUCKS!*",
+      "🗣️ *BOOOOO!* 👎",
+      "🗣️ *YOU SOLD OUT! YOU SOLD OUT!*",
+      "🗣️ *ASS-HOLE! ASS-HOLE!*",
+    ],
+    tweener: [
+      "🗣️ *LET'S GO {NAME}!* / *{NAME} SUCKS!*",
+      "🗣️ *The crowd can't decide whether to cheer or boo {NAME}!*",
+    ],
+  },
+
   // Dueling chants for rivalries
   dueling: [
     "🗣️ *{char1}!* / *{char2}!* / *{char1}!* / *{char2}!*",
@@ -106,16 +125,50 @@ const CHANTS = {
   ],
 };
 
+// Words fans use when they cheer or boo someone — whole words, so "booked"
+// isn't a boo and "whatever" isn't hate
+const CHEERS = [/\blet'?s go\b/, /\bgoat\b/, /\blegend(ary|s)?\b/, /\blove\b/, /\bbest\b/, /\bhell yeah\b/, /\bawesome\b/, /\bdeserves?\b/, /🔥/, /👏/, /❤️/];
+const BOOS = [/\bsucks?\b/, /\bbo+o+\b/, /\btrash\b/, /\bhate\b/, /\boverrated\b/, /\bwashed\b/, /\bsellout\b/, /\bsold out\b/, /\bgo away\b/, /👎/];
+
 /**
- * Get a character-specific chant
+ * Get a character-specific chant. With an alignment, the chant fits who they
+ * are *now* — a hero who just turned heel gets booed, not their old chants.
  */
-export function getCharacterChant(characterId) {
-  for (const [, charChants] of Object.entries(CHANTS.face)) {
-    if (CHANTS.face[characterId]) return pick(CHANTS.face[characterId]);
+export function getCharacterChant(characterId, alignment = null, name = null) {
+  if (!alignment) {
+    for (const pool of ['face', 'heel', 'tweener']) {
+      if (CHANTS[pool][characterId]) return pick(CHANTS[pool][characterId]);
+    }
+    return null;
   }
-  if (CHANTS.heel[characterId]) return pick(CHANTS.heel[characterId]);
-  if (CHANTS.tweener[characterId]) return pick(CHANTS.tweener[characterId]);
-  return null;
+  if (CHANTS[alignment]?.[characterId]) return pick(CHANTS[alignment][characterId]);
+  if (!name || !CHANTS.alignment[alignment]) return null;
+  return pick(CHANTS.alignment[alignment]).replace(/{NAME}/g, name.toUpperCase());
+}
+
+/**
+ * How a fan message feels about whoever it mentions: +1 cheer, -1 boo, 0 neither
+ */
+export function scoreFanMessage(text) {
+  const lower = text.toLowerCase();
+  const cheers = CHEERS.filter(w => w.test(lower)).length;
+  const boos = BOOS.filter(w => w.test(lower)).length;
+  return Math.sign(cheers - boos);
+}
+
+/**
+ * Which of `characters` ({ [id]: { name } }) a fan message is about: the
+ * full name, or a name part of 4+ letters, as whole words
+ */
+export function mentionedCharacters(text, characters) {
+  const lower = text.toLowerCase();
+  const says = phrase => new RegExp(`\\b${phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(lower);
+  return Object.entries(characters)
+    .filter(([, char]) => {
+      const name = char.name.toLowerCase();
+      return says(name) || name.split(/\s+/).some(part => part.length >= 4 && says(part));
+    })
+    .map(([id]) => id);
 }
 
 /**
@@ -0,0 +1,162 @@
+/**
+ * Generation Queue
+ *
+ * Every model call goes through one queue, so a slow CPU-bound model serves
+ * what matters first: live match commentary, then replies to people in the
+ * channel, then promos, then crowd/announcer reactions, then background work
+ * like memory summaries. Only `concurrency` jobs run at once (match it to
+ * OLLAMA_NUM_PARALLEL). Each job has a deadline — a reply nobody is waiting
+ * for any more is dropped instead of posted late.
+ */
+
+// Highest priority first
+export const PRIORITIES = ['live', 'mention', 'promo', 'crowd', 'background'];
+
+// How long a job of each priority stays worth running (ms from when it's queued)
+export const DEFAULT_DEADLINES = { live: 20000, mention: 60000, promo: 300000, crowd: 45000, background: 600000 };
+
+const LATENCY_SAMPLES = 100;
+
+export class StaleJobError extends Error {
+  constructor(label, priority, reason) {
+    super(`Dropped stale ${priority} job${label ? ` (${label})` : ''}: ${reason}`);
+    this.name = 'StaleJobError';
+    this.priority = priority;
+  }
+}
+
+export class GenerationQueue {
+  constructor({ concurrency = 2, deadlines = {} } = {}) {
+    this.concurrency = Math.max(1, concurrency);
+    this.deadlines = { ...DEFAULT_DEADLINES, ...deadlines };
+    this.pending = [];
+    this.running = new Set();
+    this.samples = []; // { priority, waitMs, runMs }
+    this.stats = Object.fromEntries(PRIORITIES.map(p => [p, { queued: 0, completed: 0, failed: 0, dropped: 0 }]));
+    this._seq = 0;
+  }
+
+  /**
+   * Queue `fn({ signal, deadline })` and resolve with its result. Options:
+   * priority, deadlineMs (overrides the priority's default), label (for logs),
+   * dropLate — also give up on a job that is still running at its deadline
+   * (default true; turn off when the output is already on screen, e.g. while
+   * streaming — then the deadline only applies while it waits in the queue).
+   * Rejects with StaleJobError once the deadline passes. The signal aborts at
+   * the deadline so the model stops working on a dropped job.
+   */
+  run(fn, { priority = 'crowd', deadlineMs = null, label = null, dropLate = true } = {}) {
+    if (!PRIORITIES.includes(priority)) return Promise.reject(new Error(`Unknown priority: ${priority}`));
+    this.stats[priority].queued++;
+    return new Promise((resolve, reject) => {
+      const queuedAt = Date.now();
+      const job = {
+        fn, priority, label, dropLate, resolve, reject, queuedAt,
+        seq: this._seq++,
+        deadline: queuedAt + (deadlineMs ?? this.deadlines[priority]),
+      };
+      // Give up on it at the deadline even if no slot frees up before then
+      job.expiry = setTimeout(() => this._pump(), Math.max(0, job.deadline - queuedAt));
+      this.pending.push(job);
+      this._pump();
+    });
+  }
+
+  getState() {
+    const depth = Object.fromEntries(PRIORITIES.map(p => [p, this.pending.filter(j => j.priority === p).length]));
+    return {
+      concurrency: this.concurrency,
+      running: this.running.size,
+      depth: this.pending.length,
+      depthByPriority: depth,
+      oldestWaitMs: this.pending.length ? Date.now() - Math.min(...this.pending.map(j => j.queuedAt)) : 0,
+      latency: {
+        waitMs: summarize(this.samples.map(s => s.waitMs)),
+        runMs: summarize(this.samples.map(s => s.runMs)),
+        byPriority: Object.fromEntries(PRIORITIES
+          .map(p => [p, this.samples.filter(s => s.priority === p)])
+          .filter(([, samples]) => samples.length)
+          .map(([p, samples]) => [p, { waitMs: summarize(samples.map(s => s.waitMs)), runMs: summarize(samples.map(s => s.runMs)) }])),
+      },
+      stats: Object.fromEntries(Object.entries(this.stats).map(([p, s]) => [p, { ...s }])),
+      deadlines: { ...this.deadlines },
+    };
+  }
+
+  _pump() {
+    this._dropExpired();
+    while (this.running.size < this.concurrency && this.pending.length) {
+      // Best priority first, oldest first within a priority
+      this.pending.sort((a, b) => PRIORITIES.indexOf(a.priority) - PRIORITIES.indexOf(b.priority) || a.seq - b.seq);
+      this._start(this.pending.shift());
+    }
+  }
+
+  _dropExpired() {
+    const now = Date.now();
+    for (const job of this.pending.filter(j => j.deadline <= now)) {
+      this.pending.splice(this.pending.indexOf(job), 1);
+      clearTimeout(job.expiry);
+      this._drop(job, `waited ${now - job.queuedAt}ms in the queue`);
+    }
+  }
+
+  async _start(job) {
+    clearTimeout(job.expiry);
+    this.running.add(job);
+    const startedAt = Date.now();
+    const controller = new AbortController();
+    const timer = job.dropLate ? setTimeout(() => controller.abort(), Math.max(0, job.deadline - startedAt)) : null;
+    try {
+      const result = await job.fn({ signal: controller.signal, deadline: job.deadline });
+      this._sample(job, startedAt);
+      if (job.dropLate && Date.now() > job.deadline) {
+        this._drop(job, `finished ${Date.now() - job.deadline}ms past its deadline`);
+      } else {
+        this.stats[job.priority].completed++;
+        job.resolve(result);
+      }
+    } catch (err) {
+      this._sample(job, startedAt);
+      if (controller.signal.aborted) {
+        this._drop(job, 'deadline passed while generating');
+      } else {
+        this.stats[job.priority].failed++;
+        job.reject(err);
+      }
+    } finally {
+      clearTimeout(timer);
+      this.running.delete(job);
+      this._pump();
+    }
+  }
+
+  _drop(job, reason) {
+    this.stats[job.priority].dropped++;
+    const error = new StaleJobError(job.label, job.priority, reason);
+    console.warn(error.message);
+    job.reject(error);
+  }
+
+  _sample(job, startedAt) {
+    this.samples.push({ priority: job.priority, waitMs: startedAt - job.queuedAt, runMs: Date.now() - startedAt });
+    if (this.samples.length > LATENCY_SAMPLES) this.samples.shift();
+  }
+}
+
+/**
+ * Build a queue from environment variables
+ */
+export function createGenerationQueueFromEnv(env = process.env) {
+  return new GenerationQueue({ concurrency: parseInt(env.GENERATION_CONCURRENCY || '2') });
+}
+
+function summarize(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    avg: Math.round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length),
+    p95: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+    max: sorted[sorted.length - 1],
+  };
+}
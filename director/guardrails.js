@@ -0,0 +1,251 @@
+/**
+ * Output Guardrails
+ *
+ * Everything the model writes passes through here before it reaches Discord.
+ * Cleaning rules fix what can be fixed (reasoning blocks, a "Name:" prefix,
+ * wrapping quotes, a second speaker tacked on the end); rejection rules catch
+ * what can't — broken kayfabe, speaking as someone else, echoing the prompt,
+ * empty or repeated lines, blocklisted words. The caller regenerates a
+ * rejected line a bounded number of times; every rejection is logged.
+ * While a reply streams, only finished sentences that pass the content
+ * rules are shown.
+ */
+
+import { CHARACTERS } from './characters.js';
+import { ANNOUNCERS } from './announcers.js';
+
+// Rule names, in the order they run — any can be switched off with GUARDRAIL_DISABLE
+export const GUARDRAIL_RULES = ['reasoning', 'other-speaker', 'empty', 'out-of-character', 'prompt-echo', 'blocklist', 'duplicate'];
+
+// The model talking about itself instead of as the character
+const OUT_OF_CHARACTER = [
+  /\bas an? (?:ai|artificial intelligence|language model|assistant)\b/i,
+  /\b(?:large )?language model\b/i,
+  /\bI(?:'m| am) (?:just |only )?an? (?:ai|bot|assistant|chatbot)\b/i,
+  /\bI (?:can(?:'|no)?t|am unable to|won't) (?:assist|comply|help (?:you )?with (?:that|this))\b/i,
+  /\b(?:stay(?:ing)? in|break(?:ing|s)?|out of) character\b/i,
+  /\brole-?play/i,
+];
+
+// Headings from our own prompts (see generateResponse in index.js)
+const PROMPT_ECHOES = [
+  /STORYLINE DIRECTION/i,
+  /THIS IS YOUR DRAMATIC ENTRANCE/i,
+  /YOUR HISTORY \(/i,
+  /Respond in character as/i,
+  /Here's the recent conversation/i,
+];
+
+const RECENT_LINES = 30;
+const MAX_LOG = 50;
+
+export class OutputGuard {
+  constructor(config = {}) {
+    this.maxRetries = config.maxRetries ?? 2;
+    this.disabled = new Set(config.disabled || []);
+    this.blocklist = (config.blocklist || []).map(w => w.trim().toLowerCase()).filter(Boolean);
+    this.duplicateThreshold = config.duplicateThreshold ?? 0.8;
+
+    this.recent = [];     // accepted lines, newest last, for duplicate checks
+    this.rejections = []; // { at, speaker, rule, reason, sample }
+    this.stats = { reviewed: 0, accepted: 0, rejected: {} };
+  }
+
+  /**
+   * Strip reasoning blocks — safe to run on a half-finished stream, where an
+   * unclosed <think> hides everything after it
+   */
+  clean(text) {
+    if (this.disabled.has('reasoning')) return text || '';
+    let out = (text || '').replace(/<think(?:ing)?>[\s\S]*?<\/think(?:ing)?>/gi, '');
+    // qwen3 sometimes drops the opening tag: everything before a lone closing tag is reasoning
+    const close = out.search(/<\/think(?:ing)?>/i);
+    if (close !== -1) out = out.slice(out.indexOf('>', close) + 1);
+    return out.replace(/<think(?:ing)?>[\s\S]*$/i, '').trim();
+  }
+
+  /**
+   * Check a generated line for `speakerId` (a wrestler or announcer).
+   * Returns { ok: true, text } with the cleaned line, or
+   * { ok: false, rule, reason } — already logged.
+   * `recentLines` adds lines from the conversation to the duplicate check.
+   */
+  review(raw, speakerId, { recentLines = [] } = {}) {
+    this.stats.reviewed++;
+    let text = this.clean(raw);
+
+    const own = speakerNames(speakerId);
+    text = stripSpeakerPrefix(text, own);
+    text = text.replace(/^"([^"]*)"$/, '$1').trim();
+
+    if (this._on('other-speaker')) {
+      const other = findOtherSpeaker(text, speakerId);
+      if (other) {
+        // Writing a script: keep our own part if there is one, otherwise it's someone else's line
+        if (other.index === 0) return this._reject(speakerId, 'other-speaker', `speaks as ${other.name}`, raw);
+        text = text.slice(0, other.index).trim();
+      }
+    }
+
+    if (this._on('empty') && !/[a-z0-9]/i.test(text)) {
+      return this._reject(speakerId, 'empty', 'nothing left after cleaning', raw);
+    }
+    const violation = this._violation(text);
+    if (violation) return this._reject(speakerId, violation.rule, violation.reason, raw);
+    if (this._on('duplicate')) {
+      const previous = [...this.recent.map(r => r.text), ...recentLines]
+        .find(line => similarity(text, line) >= this.duplicateThreshold);
+      if (previous) return this._reject(speakerId, 'duplicate', `repeats "${previous.slice(0, 60)}"`, raw);
+    }
+
+    this.stats.accepted++;
+    this.recent.push({ speaker: speakerId, text });
+    if (this.recent.length > RECENT_LINES) this.recent.shift();
+    return { ok: true, text };
+  }
+
+  /**
+   * What of a line that's still streaming can be shown: its finished
+   * sentences, cut where someone else starts talking. Once those break
+   * character, echo the prompt or hit the blocklist it's '' — review will
+   * reject the line, so none of it goes up. Nothing is logged.
+   */
+  preview(partial, speakerId) {
+    let text = stripSpeakerPrefix(this.clean(partial), speakerNames(speakerId));
+    // An unfinished sentence could still turn into anything
+    text = text.slice(0, Math.max(...['.', '!', '?', '\n'].map(end => text.lastIndexOf(end))) + 1).trim();
+    if (this._on('other-speaker')) {
+      const other = findOtherSpeaker(text, speakerId);
+      if (other) text = text.slice(0, other.index).trim();
+    }
+    return this._violation(text) ? '' : text;
+  }
+
+  getState() {
+    return {
+      maxRetries: this.maxRetries,
+      rules: GUARDRAIL_RULES.map(rule => ({ rule, enabled: this._on(rule) })),
+      blocklist: this.blocklist.length,
+      duplicateThreshold: this.duplicateThreshold,
+      stats: { ...this.stats, rejected: { ...this.stats.rejected } },
+      recentRejections: this.rejections.slice(-10).reverse(),
+    };
+  }
+
+  _on(rule) {
+    return !this.disabled.has(rule);
+  }
+
+  /**
+   * The content rules — broken kayfabe, prompt echoes, blocklisted words.
+   * Returns { rule, reason } for the first one the text breaks, or null.
+   */
+  _violation(text) {
+    if (this._on('out-of-character')) {
+      const match = OUT_OF_CHARACTER.map(p => text.match(p)).find(Boolean);
+      if (match) return { rule: 'out-of-character', reason: `"${match[0]}"` };
+    }
+    if (this._on('prompt-echo')) {
+      const match = PROMPT_ECHOES.map(p => text.match(p)).find(Boolean);
+      if (match) return { rule: 'prompt-echo', reason: `echoes "${match[0]}"` };
+    }
+    if (this._on('blocklist')) {
+      const word = this.blocklist.find(w => new RegExp(`\\b${escapeRegExp(w)}\\b`, 'i').test(text));
+      if (word) return { rule: 'blocklist', reason: `contains "${word}"` };
+    }
+    return null;
+  }
+
+  _reject(speaker, rule, reason, raw) {
+    const entry = { at: Date.now(), speaker, rule, reason, sample: String(raw || '').slice(0, 200) };
+    this.rejections.push(entry);
+    if (this.rejections.length > MAX_LOG) this.rejections.shift();
+    this.stats.rejected[rule] = (this.stats.rejected[rule] || 0) + 1;
+    console.warn(`Guardrail rejected ${speaker} (${rule}): ${reason}`);
+    return { ok: false, rule, reason };
+  }
+}
+
+/**
+ * Build a guard from environment variables
+ */
+export function createOutputGuardFromEnv(env = process.env) {
+  const list = value => (value || '').split(',').map(v => v.trim()).filter(Boolean);
+  const disabled = list(env.GUARDRAIL_DISABLE);
+  for (const rule of disabled) {
+    if (!GUARDRAIL_RULES.includes(rule)) console.warn(`Unknown guardrail rule in GUARDRAIL_DISABLE: ${rule}`);
+  }
+  return new OutputGuard({
+    maxRetries: parseInt(env.GUARDRAIL_RETRIES || '2'),
+    disabled,
+    blocklist: list(env.GUARDRAIL_BLOCKLIST),
+    duplicateThreshold: parseFloat(env.GUARDRAIL_DUPLICATE_THRESHOLD || '0.8'),
+  });
+}
+
+/**
+ * Word-bigram overlap (Dice coefficient) of two lines, 0-1. Short lines
+ * only count as duplicates when they match exactly.
+ */
+export function similarity(a, b) {
+  const wa = words(a);
+  const wb = words(b);
+  if (!wa.length || !wb.length) return 0;
+  if (wa.join(' ') === wb.join(' ')) return 1;
+  if (wa.length < 4 || wb.length < 4) return 0;
+  const pairs = w => w.slice(1).map((word, i) => `${w[i]} ${word}`);
+  const pa = pairs(wa);
+  const pbList = pairs(wb);
+  const pb = new Map();
+  for (const p of pbList) pb.set(p, (pb.get(p) || 0) + 1);
+  let shared = 0;
+  for (const p of pa) {
+    if (pb.get(p) > 0) {
+      shared++;
+      pb.set(p, pb.get(p) - 1);
+    }
+  }
+  return (2 * shared) / (pa.length + pbList.length);
+}
+
+function words(text) {
+  return (text || '').toLowerCase().replace(/[^a-z0-9'\s]/g, ' ').split(/\s+/).filter(Boolean);
+}
+
+function speakerNames(id) {
+  return namesOf(CHARACTERS[id] || ANNOUNCERS[id]);
+}
+
+// Full name and display name, with and without the emoji ("Stone Cold 🍺💀" → "Stone Cold")
+function namesOf(profile) {
+  if (!profile) return [];
+  const plain = (profile.displayName || '').replace(/[^\w\s'".-]/g, '').trim();
+  return [...new Set([profile.name, profile.displayName, plain].filter(Boolean))];
+}
+
+// "The Rock:", "**The Rock 🪨:**" — how a model writes a script line
+function speakerPattern(names) {
+  return new RegExp(`^[\\s*_>]*(?:${names.map(escapeRegExp).join('|')})[^\\w\\n:]{0,12}:[\\s*_]*`, 'im');
+}
+
+function stripSpeakerPrefix(text, names) {
+  if (!names.length) return text;
+  return text.replace(new RegExp(speakerPattern(names).source, 'i'), '').trim();
+}
+
+/**
+ * The first line where someone else starts talking, if any
+ */
+function findOtherSpeaker(text, speakerId) {
+  let first = null;
+  for (const [id, profile] of [...Object.entries(CHARACTERS), ...Object.entries(ANNOUNCERS)]) {
+    if (id === speakerId) continue;
+    const match = text.match(speakerPattern(namesOf(profile)));
+    if (match && (!first || match.index < first.index)) first = { index: match.index, name: profile.name };
+  }
+  return first;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -8,33 +8,51 @@
  * - Storyline engine decides which characters respond
  * - Ollama generates responses in-character
  * - Discord webhooks post responses with character names/avatars
+ * - Each brand (Raw, SmackDown) is its own show on its own channel
  */
 
-import { Client, GatewayIntentBits, WebhookClient } from 'discord.js';
+import { Client, GatewayIntentBits, WebhookClient, MessageFlags, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
 import express from 'express';
-import { CHARACTERS, getCharacter, listCharacters, getAllFeuds } from './characters.js';
+import {
+  CHARACTERS, getCharacter, getAttributes, listCharacters, getCatchphrases,
+  createCharacter, updateCharacter, deleteCharacter, watchCharacters, getRegistryState,
+} from './characters.js';
 import { StorylineEngine } from './storyline-engine.js';
 import { ChampionshipTracker, CHAMPIONSHIPS } from './championships.js';
+import { TitleLineage, formatTitleHistory } from './title-lineage.js';
 import { ANNOUNCERS, getAnnouncerReactions, buildAnnouncerPrompt } from './announcers.js';
-import { MatchEngine, MATCH_TYPES } from './match-engine.js';
-import { getCharacterChant, getMatchReaction, getDuelingChant, shouldCrowdReact } from './crowd.js';
-import { PPVEngine, PPV_TEMPLATES } from './ppv-engine.js';
+import { MatchEngine, MATCH_TYPES, defaultTeams } from './match-engine.js';
+import { getCharacterChant, getMatchReaction, getDuelingChant, shouldCrowdReact, scoreFanMessage, mentionedCharacters } from './crowd.js';
+import { PPVEngine, PPV_TEMPLATES, MISSED_POLICIES, BUILDUP_ARC } from './ppv-engine.js';
+import { TVShowEngine, SEGMENTS, formatRundown } from './tv-shows.js';
+import { CharacterMemory } from './memory.js';
+import { createLLMClientFromEnv } from './llm-client.js';
+import { ProgressiveMessage } from './progressive-message.js';
+import { createOutputGuardFromEnv } from './guardrails.js';
+import { createGenerationQueueFromEnv, StaleJobError } from './generation-queue.js';
+import { BrandManager } from './brands.js';
+import { PollManager, formatPoll } from './polls.js';
+import { buildSlashCommands, commandKey, isBookerCommand, isBooker, autocompleteChoices } from './slash-commands.js';
 
 // ---------------------------------------------------------------------------
 // Config
 // ---------------------------------------------------------------------------
 const CONFIG = {
   discordToken: process.env.DISCORD_BOT_TOKEN,
-  ollamaUrl: process.env.OLLAMA_URL || 'http://ollama:11434',
-  model: process.env.OLLAMA_MODEL || 'qwen3-coder',
   guildId: process.env.DISCORD_GUILD_ID,
-  channelId: process.env.DISCORD_CHANNEL_ID,
-  webhookUrl: process.env.DISCORD_WEBHOOK_URL,
   apiPort: parseInt(process.env.DIRECTOR_PORT || '9091'),
   responseDelayMs: parseInt(process.env.RESPONSE_DELAY_MS || '3000'),
   typingDelayPerChar: parseInt(process.env.TYPING_DELAY_PER_CHAR || '30'),
   maxResponseLength: parseInt(process.env.MAX_RESPONSE_LENGTH || '500'),
-  promoIntervalMinutes: parseInt(process.env.PROMO_INTERVAL_MIN || '30'),
+  streamResponses: process.env.STREAM_RESPONSES === 'true',
+  streamEditIntervalMs: parseInt(process.env.STREAM_EDIT_INTERVAL_MS || '1200'),
+  liveRoundSeconds: parseInt(process.env.LIVE_ROUND_SECONDS || '20'),
+  bookerRole: process.env.DISCORD_BOOKER_ROLE || 'Booker',
+  // Dated PPVs: how far ahead an empty card is auto-booked, and what to do
+  // with an event that came due while the director was down
+  ppvAutoBookHours: parseFloat(process.env.PPV_AUTO_BOOK_HOURS || '24'),
+  ppvMissedPolicy: process.env.PPV_MISSED_POLICY || 'run-late',
+  ppvRescheduleHours: parseFloat(process.env.PPV_RESCHEDULE_HOURS || '24'),
 };
 
 // ---------------------------------------------------------------------------
@@ -44,11 +62,29 @@ const storyline = new StorylineEngine();
 const championships = new ChampionshipTracker();
 const matchEngine = new MatchEngine();
 const ppvEngine = new PPVEngine();
-let webhookClient = null;
+// Provider, timeouts, retries and circuit breaker — see llm-client.js for the LLM_* env vars
+const llm = createLLMClientFromEnv();
+// Cleans and vets every generated line — see guardrails.js for the GUARDRAIL_* env vars
+const guard = createOutputGuardFromEnv();
+// Every model call waits its turn here: live match > mention > promo > crowd > background
+const queue = createGenerationQueueFromEnv();
+const memory = new CharacterMemory({ summarize: summarizeMemories });
+storyline.onHistory = entry => memory.recordBeat(entry);
+// Rosters, titles, channels and promo schedules per brand — see brands.js for BRANDS and <BRAND>_* env vars
+const brands = new BrandManager();
+const webhooks = {}; // webhook URL -> WebhookClient (brands may share one)
+// Fan votes on match types, title shots and turns — see polls.js
+const polls = new PollManager();
+// Weekly episodes on each brand's TV night — see tv-shows.js and <BRAND>_TV_DAY
+const tvShows = new TVShowEngine();
+// Every reign that ever ended, in an append-only file — see title-lineage.js
+const lineage = new TitleLineage();
+championships.onReignEnd = reign => lineage.append(reign);
 let discordClient = null;
 const messageHistory = [];
 const MAX_HISTORY = 50;
 let isPaused = false;
+let liveMatch = null; // the match currently being streamed round by round
 
 // ---------------------------------------------------------------------------
 // Discord Bot Setup
@@ -67,20 +103,34 @@ async function startDiscord() {
     ],
   });
   
-  if (CONFIG.webhookUrl) {
-    webhookClient = new WebhookClient({ url: CONFIG.webhookUrl });
+  for (const brandId of brands.ids) {
+    const { webhookUrl } = brands.getBrand(brandId);
+    if (webhookUrl && !webhooks[webhookUrl]) webhooks[webhookUrl] = new WebhookClient({ url: webhookUrl });
   }
   
   discordClient.on('ready', () => {
     console.log(`Discord bot logged in as ${discordClient.user.tag}`);
-    console.log(`Watching guild: ${CONFIG.guildId}, channel: ${CONFIG.channelId}`);
+    console.log(`Watching guild: ${CONFIG.guildId}`);
+    for (const brandId of brands.ids) {
+      const brand = brands.getBrand(brandId);
+      console.log(`  ${brand.name}: channel ${brand.channelId || '(any)'}${brand.webhookUrl ? ' + webhook' : ''}`);
+    }
+    registerSlashCommands();
+  });
+  
+  discordClient.on('interactionCreate', interaction => {
+    handleInteraction(interaction).catch(err => console.error('Slash command error:', err.message));
   });
   
   discordClient.on('messageCreate', async (message) => {
     if (message.webhookId) return;
     if (message.author.bot && message.author.id === discordClient.user.id) return;
-    if (CONFIG.channelId && message.channel.id !== CONFIG.channelId) return;
+    // Whose show is this? Only that brand's wrestlers answer
+    const showBrands = brandsForChannel(message.channel.id);
+    if (showBrands.length === 0) return;
     if (isPaused) return;
+    const stage = stageFor(showBrands);
+    const roster = showBrands.flatMap(id => brands.getRoster(id));
     
     messageHistory.push({
       author: message.author.username,
@@ -90,7 +140,17 @@ async function startDiscord() {
     while (messageHistory.length > MAX_HISTORY) messageHistory.shift();
     
     const authorCharacterId = identifyCharacter(message.author.username);
-    const responders = storyline.decideResponders(message.content, authorCharacterId);
+    
+    // Fans are the crowd — enough cheers or boos can turn a wrestler
+    if (!authorCharacterId) {
+      const score = scoreFanMessage(message.content);
+      for (const charId of score ? mentionedCharacters(message.content, CHARACTERS) : []) {
+        const turn = storyline.recordCrowdSentiment(charId, score);
+        if (turn) announceTurn(turn, stage).catch(err => console.error('Turn announcement error:', err.message));
+      }
+    }
+    
+    const responders = storyline.decideResponders(message.content, authorCharacterId, roster);
     
     if (responders.length === 0) return;
     
@@ -100,27 +160,22 @@ async function startDiscord() {
       
       try { await message.channel.sendTyping(); } catch (e) {}
       
-      const response = await generateResponse(responder, message.content, messageHistory);
+      const response = await speakAsCharacter(responder, message.content, stage, { typing: true });
       if (!response) continue;
       
-      const typingDelay = Math.min(response.length * CONFIG.typingDelayPerChar, 5000);
-      await sleep(typingDelay);
-      
-      await sendAsCharacter(responder.characterId, response, message.channel);
-      
       // Trigger announcer commentary + crowd reaction for dramatic moments
       if (responder.isSurprise) {
         const char = getCharacter(responder.characterId);
-        triggerAnnouncerCommentary(responder.reason, `${char?.name || responder.characterId} just appeared!`, message.channel);
-        if (shouldCrowdReact('entrance')) {
-          const chant = getCharacterChant(responder.characterId) || getMatchReaction('entrance');
+        const involved = [responder.characterId, responder.betrayed].filter(Boolean);
+        const what = responder.betrayed ? `just turned on ${getCharacter(responder.betrayed)?.name || responder.betrayed}!` : 'just appeared!';
+        triggerAnnouncerCommentary(responder.reason, `${char?.name || responder.characterId} ${what}`, stage, involved);
+        if (shouldCrowdReact(responder.betrayed ? 'betrayal' : 'entrance')) {
+          const chant = responder.betrayed
+            ? getMatchReaction('betrayal')
+            : getCharacterChant(responder.characterId, storyline.getAlignment(responder.characterId), char?.name) || getMatchReaction('entrance');
           if (chant) {
             await sleep(1500);
-            if (webhookClient) {
-              await webhookClient.send({ content: chant, username: '👥 The Crowd' });
-            } else {
-              await message.channel.send(chant);
-            }
+            await postToStage(stage, chant, { username: '👥 The Crowd' });
           }
         }
       }
@@ -130,6 +185,1000 @@ async function startDiscord() {
   await discordClient.login(CONFIG.discordToken);
 }
 
+// ---------------------------------------------------------------------------
+// Slash Commands
+// ---------------------------------------------------------------------------
+async function registerSlashCommands() {
+  const commands = buildSlashCommands(brands.ids.map(id => ({ id, name: brands.getBrand(id).name })));
+  try {
+    // Guild commands show up straight away; global ones can take an hour
+    await discordClient.application.commands.set(commands, CONFIG.guildId || undefined);
+    console.log(`Registered ${commands.length} slash commands`);
+  } catch (err) {
+    console.error('Slash command registration failed:', err.message);
+  }
+}
+
+async function handleInteraction(interaction) {
+  if (interaction.isButton() && interaction.customId.startsWith('poll:')) {
+    await handlePollVote(interaction);
+    return;
+  }
+  if (interaction.isAutocomplete()) {
+    await interaction.respond(slashSuggestions(interaction));
+    return;
+  }
+  if (!interaction.isChatInputCommand()) return;
+  const key = commandKey(interaction);
+  const handler = SLASH_COMMANDS[key];
+  if (!handler) return;
+
+  let reply;
+  if (isBookerCommand(key) && !isBooker(interaction.member, CONFIG.bookerRole, interaction.guild)) {
+    reply = { error: `Only bookers can do that — you need the ${CONFIG.bookerRole} role` };
+  } else {
+    try {
+      reply = await handler(interaction.options, interaction);
+    } catch (err) {
+      console.error(`/${key} failed:`, err);
+      reply = { error: 'Something went wrong backstage' };
+    }
+  }
+
+  // Errors and booker confirmations the show announces anyway are for the caller only
+  const ephemeral = !!(reply.error || reply.ephemeral);
+  const chunks = chunkLines((reply.error ? `⚠️ ${reply.error}` : reply.content).split('\n'));
+  const flags = ephemeral ? MessageFlags.Ephemeral : undefined;
+  await interaction.reply({ content: chunks[0], flags });
+  for (const chunk of chunks.slice(1)) await interaction.followUp({ content: chunk, flags });
+}
+
+function slashSuggestions(interaction) {
+  const focused = interaction.options.getFocused(true);
+  if (focused.name === 'event') {
+    return autocompleteChoices(focused.value, ppvEngine.scheduledEvents.map(e => ({
+      value: e.id,
+      name: `${e.emoji} ${e.name}${e.brand && brands.isMultiBrand() ? ` (${brands.getBrand(e.brand)?.name || e.brand})` : ''}`,
+    })));
+  }
+  return autocompleteChoices(focused.value, listCharacters().map(id => ({
+    value: id,
+    name: `${getCharacter(id).name}${brands.isMultiBrand() ? ` (${brands.getBrand(brands.brandOf(id))?.name || 'unsigned'})` : ''}`,
+  })));
+}
+
+/**
+ * The brands a command is about: the `brand` option, else the show on the
+ * channel it was used in, else every brand
+ */
+function commandBrands(options, interaction) {
+  const brand = options.getString('brand');
+  if (brand) return [brand];
+  const showBrands = brandsForChannel(interaction.channelId);
+  return showBrands.length ? showBrands : brands.ids;
+}
+
+/**
+ * The event a PPV command means — the one picked, or the next on this channel's show
+ */
+function commandEvent(options, interaction) {
+  const eventId = options.getString('event');
+  if (eventId) return ppvEngine.scheduledEvents.find(e => e.id === eventId) || null;
+  const showBrands = commandBrands(options, interaction);
+  return ppvEngine.scheduledEvents
+    .filter(e => showBrands.some(b => eventTakes(e, b)))
+    .sort((a, b) => (a.scheduledAt || Infinity) - (b.scheduledAt || Infinity))[0] || null;
+}
+
+function commandWrestlers(options, names) {
+  const ids = names.map(n => options.getString(n)).filter(Boolean);
+  const unknown = ids.find(id => !getCharacter(id));
+  return unknown ? { error: `Unknown wrestler: ${unknown}` } : { ids };
+}
+
+// Handlers return { content, ephemeral? } or { error } — replies in the Ring Announcer's voice
+const SLASH_COMMANDS = {
+  'match': (options) => {
+    const { ids: participants, error } = commandWrestlers(options, ['wrestler1', 'wrestler2', 'wrestler3', 'wrestler4']);
+    if (error) return { error };
+    const matchType = options.getString('type') || 'singles';
+    const forTitle = options.getString('title');
+    const booking = checkBooking(participants, { forTitle, matchType, crossBrand: !!options.getBoolean('cross_brand'), live: true });
+    if (booking.error) return booking;
+    const live = startLiveMatch(participants, matchType, { forTitle, runInCandidates: booking.runInCandidates, crowdSupport: booking.crowdSupport, brand: booking.brand }, booking.stage);
+    if (live.error) return live;
+    const { match } = live;
+    const sides = match.teams ? match.teams.map(t => displayNames(t)) : match.participants.map(p => displayNames([p]));
+    return {
+      content: `🔔 **MATCH BOOKED!** ${match.typeEmoji} ${sides.join(' vs ')} — ${match.typeName}${forTitle ? ` for the ${CHAMPIONSHIPS[forTitle].displayName}` : ''}. The bell rings now!`,
+      ephemeral: isOnAir(booking.stage),
+    };
+  },
+
+  'ppv schedule': async (options) => {
+    const days = options.getInteger('days');
+    const event = await schedulePPV({
+      templateId: options.getString('template'),
+      name: options.getString('name') || undefined,
+      scheduledAt: days !== null ? Date.now() + days * 24 * 60 * 60 * 1000 : null,
+      brand: options.getString('brand') || (brands.isMultiBrand() ? null : brands.ids[0]),
+    });
+    if (event.error) return event;
+    const where = event.crossBrand ? 'Every brand, one night' : brands.getBrand(event.brand)?.displayName;
+    const when = event.scheduledAt ? `<t:${Math.floor(event.scheduledAt / 1000)}:F>` : 'Date to be announced';
+    return { content: `${event.emoji} **${event.name.toUpperCase()} IS COMING!** ${event.emoji}\n*"${event.tagline}"*\n${where} — ${when}` };
+  },
+
+  'ppv run': (options, interaction) => {
+    const event = commandEvent(options, interaction);
+    if (!event) return { error: 'No PPV scheduled' };
+    const started = startPPV(event.id);
+    if (started.error) return started;
+    return { content: `${event.emoji} **${event.name.toUpperCase()} IS ON THE AIR!** The card plays out right now.`, ephemeral: true };
+  },
+
+  'ppv card': (options, interaction) => {
+    const event = commandEvent(options, interaction);
+    if (!event) return { error: 'No PPV scheduled' };
+    if (event.matchCard.length === 0) return { content: `${event.emoji} **${event.name.toUpperCase()}** — the card is still being put together!` };
+    return { content: ppvEngine.buildHypeMessages(event).join('\n') };
+  },
+
+  'title award': async (options) => {
+    const titleId = options.getString('title');
+    const { ids, error } = commandWrestlers(options, ['wrestler', 'partner']);
+    if (error) return { error };
+    const result = await awardChampionship(titleId, CHAMPIONSHIPS[titleId]?.isTagTeam ? ids : ids[0], 'booker');
+    if (result.error) return result;
+    announceTitleChange(result).catch(err => console.error('Title announcement error:', err.message));
+    const champs = [result.newChampion].flat();
+    return {
+      content: `🏆 **AND NEW ${result.titleName.toUpperCase()} CHAMPION${champs.length > 1 ? 'S' : ''}:** ${displayNames(champs)}!`,
+      ephemeral: isOnAir(stageFor(brands.brandOfTitle(titleId))),
+    };
+  },
+
+  'title history': (options) => {
+    const card = titleHistoryCard(options.getString('title'));
+    return card.error ? card : { content: card.content };
+  },
+
+  'feud': (options) => {
+    const { ids, error } = commandWrestlers(options, ['wrestler1', 'wrestler2']);
+    if (error) return { error };
+    if (ids[0] === ids[1]) return { error: 'A wrestler cannot feud with themselves' };
+    const feud = storyline.createFeud(ids[0], ids[1], options.getInteger('intensity') || 5);
+    if (feud.error) return feud;
+    return { content: `🔥 **IT'S PERSONAL!** ${displayNames(ids, ' vs ')} — intensity ${feud.intensity}/10` };
+  },
+
+  'roster': (options, interaction) => {
+    const state = storyline.getState();
+    const lines = [];
+    for (const brandId of commandBrands(options, interaction)) {
+      const brand = brands.getBrand(brandId);
+      if (!brand) return { error: `Unknown brand: ${brandId}` };
+      const belts = brands.getTitles(brandId).filter(t => championships.titles[t]?.holder);
+      lines.push(`${lines.length ? '\n' : ''}${brand.displayName} **ROSTER**`);
+      for (const id of brands.getRoster(brandId)) {
+        const gold = belts.filter(t => [championships.titles[t].holder].flat().includes(id)).map(t => ` 🏆 ${CHAMPIONSHIPS[t].name}`).join('');
+        const status = state.activeCharacters.includes(id) ? '🟢' : '⏳';
+        lines.push(`${status} ${getCharacter(id)?.displayName || id} — ${storyline.getAlignment(id)}${gold}`);
+      }
+    }
+    return { content: lines.join('\n') };
+  },
+
+  'standings': (options, interaction) => {
+    const winRates = matchEngine.getWinRates();
+    const lines = [];
+    for (const brandId of commandBrands(options, interaction)) {
+      const brand = brands.getBrand(brandId);
+      if (!brand) return { error: `Unknown brand: ${brandId}` };
+      const ranked = brands.getRoster(brandId)
+        .filter(id => winRates[id])
+        .sort((a, b) => winRates[b].wins - winRates[a].wins || winRates[b].winRate - winRates[a].winRate)
+        .slice(0, 10);
+      lines.push(`${lines.length ? '\n' : ''}${brand.displayName} **STANDINGS**`);
+      if (ranked.length === 0) lines.push('No matches yet — somebody book a match!');
+      ranked.forEach((id, i) => {
+        const { wins, matches, winRate } = winRates[id];
+        lines.push(`${i + 1}. ${getCharacter(id)?.displayName || id} — ${wins}-${matches - wins} (${Math.round(winRate * 100)}%)`);
+      });
+    }
+    return { content: lines.join('\n') };
+  },
+
+  'poll': async (options) => {
+    const { ids, error } = commandWrestlers(options, ['wrestler1', 'wrestler2']);
+    if (error) return { error };
+    const poll = await openPoll(options.getString('type'), {
+      participants: ids.length ? ids : undefined,
+      titleId: options.getString('title') || undefined,
+      brand: options.getString('brand') || undefined,
+      durationMinutes: options.getInteger('minutes') || undefined,
+    });
+    if (poll.error) return poll;
+    return { content: `🗳️ **THE FANS DECIDE!** ${poll.question}`, ephemeral: poll.messages.length > 0 };
+  },
+
+  'surprise': async (options, interaction) => {
+    const characterId = options.getString('wrestler');
+    const brand = options.getString('brand') || (!characterId && brands.isMultiBrand() ? commandBrands(options, interaction)[0] : null);
+    const { surprise, error } = pickSurprise(characterId, brand);
+    if (error) return { error };
+    if (!surprise) return { error: 'Nobody is waiting in the wings' };
+    surpriseEntrance(surprise).catch(err => console.error('Surprise entrance error:', err.message));
+    return { content: `💥 **WAIT A MINUTE...** ${getCharacter(surprise.characterId)?.displayName || surprise.characterId} is on the way!`, ephemeral: true };
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Brand Stages
+// ---------------------------------------------------------------------------
+/**
+ * Where a show goes out: the channel and webhook of each brand in
+ * `brandIds`. A cross-brand stage posts everything to every brand, once per
+ * channel.
+ */
+function stageFor(brandIds) {
+  const ids = [brandIds].flat().filter(id => brands.getBrand(id));
+  const outlets = [];
+  for (const id of ids) {
+    const { channelId, webhookUrl } = brands.getBrand(id);
+    const key = webhookUrl || channelId;
+    const channel = channelId ? discordClient?.channels?.cache?.get(channelId) || null : null;
+    const webhook = webhookUrl ? webhooks[webhookUrl] || null : null;
+    if ((!channel && !webhook) || outlets.some(o => o.key === key)) continue;
+    outlets.push({ key, channel, webhook });
+  }
+  return { brands: ids, outlets };
+}
+
+/**
+ * A character's lines go out on their own brand's show
+ */
+function characterStage(characterId) {
+  return stageFor(brands.brandOf(characterId) || brands.ids[0]);
+}
+
+function isOnAir(stage) {
+  return stage.outlets.length > 0;
+}
+
+/**
+ * Brands whose show is on this channel. A brand without a channel of its own
+ * hears every channel.
+ */
+function brandsForChannel(channelId) {
+  const matched = brands.brandsForChannel(channelId);
+  return matched.length ? matched : brands.ids.filter(id => !brands.getBrand(id).channelId);
+}
+
+/**
+ * Post to every outlet on a stage — through the webhook as `username`, or as
+ * the bot (with the name in bold when `signed`). Resolves to what was sent,
+ * for editOnStage.
+ */
+async function postToStage(stage, content, { username = '📢 Ring Announcer', avatarURL, signed = false } = {}) {
+  const sent = [];
+  for (const outlet of stage.outlets) {
+    const message = outlet.webhook
+      ? await outlet.webhook.send({ content, username, avatarURL })
+      : await outlet.channel.send(signed ? `**${username}:** ${content}` : content);
+    sent.push({ outlet, message });
+  }
+  return sent;
+}
+
+async function editOnStage(sent, content, { username, signed = false } = {}) {
+  await Promise.all(sent.map(({ outlet, message }) => outlet.webhook
+    ? outlet.webhook.editMessage(message.id, { content })
+    : message.edit(signed ? `**${username}:** ${content}` : content)));
+}
+
+/**
+ * Check a match against the brands and work out where it airs. `brand`, if
+ * given, is the show the booker means it for. Returns { brand, roster, stage }
+ * — roster being who can run in — or { error }.
+ */
+function brandBooking(participants, { forTitle = null, crossBrand = false, brand = null } = {}) {
+  if (brand && !brands.getBrand(brand)) return { error: `Unknown brand: ${brand}` };
+  const check = brands.checkMatch(participants, { forTitle, crossBrand });
+  if (check.error) return check;
+  if (brand && check.brand && check.brand !== brand) {
+    return { error: `That match belongs on ${brands.getBrand(check.brand).name}, not ${brands.getBrand(brand).name}` };
+  }
+  const showBrands = check.brand ? [check.brand] : [...new Set(participants.map(p => brands.brandOf(p)))];
+  return {
+    brand: check.brand,
+    roster: showBrands.flatMap(id => brands.getRoster(id)),
+    stage: stageFor(showBrands),
+  };
+}
+
+/**
+ * Can this PPV take a match on `brand` (null for a cross-brand match)?
+ */
+function eventTakes(event, brand) {
+  return event.crossBrand || !event.brand || event.brand === brand;
+}
+
+/**
+ * The brands putting on a PPV — it airs on their channels
+ */
+function eventBrands(event) {
+  return event.crossBrand ? brands.ids : [event.brand || brands.ids[0]];
+}
+
+/**
+ * Put new characters on a brand (and forget deleted ones)
+ */
+function syncBrandRosters() {
+  for (const id of brands.assignNewcomers(listCharacters())) {
+    console.log(`${getCharacter(id)?.name || id} signed to ${brands.getBrand(brands.brandOf(id)).name}`);
+  }
+  saveBrands();
+}
+
+function saveBrands() {
+  storyline.brandData = brands.toJSON();
+  storyline.saveState().catch(() => {});
+}
+
+/**
+ * Tell each brand who just arrived — and which belts came with them
+ */
+async function announceRosterMoves(moves, titleMoves = []) {
+  const headings = { draft: '📋 **THE DRAFT**', trade: '🔁 **BLOCKBUSTER TRADE**', signing: '✍️ **NEW SIGNING**' };
+  for (const brandId of brands.ids) {
+    const arrivals = moves.filter(m => m.to === brandId);
+    const stage = stageFor(brandId);
+    if (arrivals.length === 0 || !isOnAir(stage)) continue;
+    const belts = titleMoves.filter(t => t.to === brandId).map(t => CHAMPIONSHIPS[t.titleId]?.displayName || t.titleId);
+    const names = displayNames(arrivals.map(m => m.characterId), ', ');
+    await postToStage(stage, `${headings[arrivals[0].type]} — ${names} ${arrivals.length > 1 ? 'are' : 'is'} now on ${brands.getBrand(brandId).displayName}!${belts.length ? ` And the ${belts.join(' and ')} come${belts.length > 1 ? '' : 's'} with them!` : ''}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Booking — shared by the API and slash commands
+// ---------------------------------------------------------------------------
+/**
+ * Can this match go on now? Returns the brand booking (see brandBooking)
+ * with who can run in, or { error, status }.
+ */
+function checkBooking(participants, { forTitle = null, matchType = 'singles', teams = null, crossBrand = false, brand = null, live = false } = {}) {
+  if (!participants || participants.length < 2) return { error: 'Need at least 2 participants', status: 400 };
+  if (isLiveMatchRunning()) return { error: `A live match is ${live ? 'already ' : ''}in progress`, status: 409 };
+  if (live && ppvEngine.activeEvent) return { error: 'A PPV is running', status: 409 };
+  if (live && tvShows.activeEpisode) return { error: 'A TV show is on the air', status: 409 };
+  const booking = brandBooking(participants, { forTitle, crossBrand, brand });
+  if (booking.error) return { ...booking, status: 400 };
+  const titleError = checkTitleMatch(forTitle, participants, { matchType, teams });
+  if (titleError) return { error: titleError, status: 400 };
+  return {
+    ...booking,
+    runInCandidates: storyline.getRunInCandidates(participants, booking.roster),
+    crowdSupport: polls.crowdSupport(participants),
+  };
+}
+
+/**
+ * The title-match rules (see ChampionshipTracker.checkTitleMatch) for a
+ * match as booked — a tag match without teams splits the participants in
+ * half, as the match engine does. Returns an error message or null.
+ */
+function checkTitleMatch(forTitle, participants, { matchType = 'singles', teams = null } = {}) {
+  if (!forTitle) return null;
+  const sides = teams || (MATCH_TYPES[matchType]?.isTagTeam ? defaultTeams(participants) : null);
+  return championships.checkTitleMatch(forTitle, participants, sides);
+}
+
+/**
+ * Schedule a PPV for `brand`. Cross-brand templates (Survivor Series) bring
+ * every brand together unless a brand is given. `scheduledAt` (ms or a date
+ * string) has the scheduler run it; without one it waits for a booker.
+ * `autoBook` books the card now; otherwise a dated event gets a provisional
+ * card from the current feuds, so the road to the show starts today either
+ * way. Returns the event or { error }.
+ */
+async function schedulePPV({ templateId, name, scheduledAt, brand, autoBook = false }) {
+  if (!templateId) return { error: 'templateId required' };
+  if (brand && !brands.getBrand(brand)) return { error: `Unknown brand: ${brand}` };
+  const at = scheduledAt ? new Date(scheduledAt).getTime() : null;
+  if (Number.isNaN(at)) return { error: `Invalid scheduledAt: ${scheduledAt}` };
+  const crossBrand = !!PPV_TEMPLATES[templateId]?.crossBrand && brands.isMultiBrand() && !brand;
+  if (!brand && !crossBrand && brands.isMultiBrand()) {
+    return { error: `brand required — one of ${brands.ids.join(', ')}` };
+  }
+  const event = ppvEngine.scheduleEvent(templateId, { name, scheduledAt: at, brand: brand || brands.ids[0], crossBrand });
+  if (event.error) return event;
+  if (autoBook) {
+    await autoBookPPV(event);
+    return event;
+  }
+  if (event.scheduledAt) {
+    event.provisionalCard = bookCard(event);
+    planBuildup(event);
+  }
+  storyline.ppvData = ppvEngine.toJSON();
+  await storyline.saveState();
+  return event;
+}
+
+/**
+ * The card the feuds would give a PPV right now — the brand's own
+ * wrestlers, or brand vs brand for a cross-brand event. Nothing is booked.
+ */
+function bookCard(event) {
+  if (event.crossBrand) {
+    const rosters = Object.fromEntries(brands.ids.map(id => [id, brands.getRoster(id)]));
+    return ppvEngine.autoBookCrossBrandCard(event, rosters, storyline.activeCharacters, championships);
+  }
+  // Only the brand's own wrestlers (and the relationships between them)
+  const roster = event.brand ? brands.getRoster(event.brand) : listCharacters();
+  const relationships = storyline.getRelationships().filter(r => r.between.every(c => roster.includes(c)));
+  // What the fans voted for goes on the card
+  const fanChoices = polls.getBookingChoices(roster);
+  return ppvEngine.autoBookCard(event, relationships, storyline.activeCharacters.filter(c => roster.includes(c)), championships, fanChoices);
+}
+
+/**
+ * Fill a PPV card from the feuds (see bookCard)
+ */
+async function autoBookPPV(event) {
+  const card = bookCard(event);
+  if (!event.crossBrand) polls.markApplied(card, event.id);
+  // A new card means a new road to the show (rivals still on it pick up where they left off)
+  storyline.cancelBeats(event.id);
+  event.matchCard = card;
+  delete event.provisionalCard;
+  event.autoBookedAt = Date.now();
+  // Feuds at their peak get their blow-off on this card
+  for (const m of card) storyline.markBlowOffBooked(m.participants[0], m.participants[1], { eventId: event.id, order: m.order });
+  planBuildup(event);
+  storyline.ppvData = ppvEngine.toJSON();
+  storyline.pollData = polls.toJSON();
+  await storyline.saveState();
+  return card;
+}
+
+/**
+ * Queue the road to a dated PPV: the BUILDUP_ARC beats each card match
+ * doesn't have yet. Once a card is booked the provisional one is dropped
+ * and the road re-planned — rivals still on it pick up where they left off.
+ * The caller saves.
+ */
+function planBuildup(event) {
+  if (event.matchCard.length && event.provisionalCard) {
+    delete event.provisionalCard;
+    storyline.cancelBeats(event.id);
+  }
+  const beats = ppvEngine.planBuildup(event, storyline.getQueuedBeats(event.id), Date.now(), storyline.getAllFeuds());
+  for (const beat of beats) storyline.queueBeat(beat);
+  return beats;
+}
+
+/**
+ * The road to an event (see PPVEngine.getBuildup), with where each match's
+ * feud stands
+ */
+function getBuildup(event) {
+  const buildup = ppvEngine.getBuildup(event, storyline.getQueuedBeats(event.id));
+  const feuds = [...storyline.feuds, ...[...storyline.archivedFeuds].reverse()];
+  for (const match of buildup.matches) {
+    const feud = feuds.find(f => match.rivals.every(c => f.between.includes(c)));
+    match.feud = feud ? { intensity: Math.round(feud.intensity * 10) / 10, phase: feud.phase } : null;
+  }
+  return buildup;
+}
+
+/**
+ * Start a PPV; it plays out in Discord in the background. Returns the event
+ * or { error, status }.
+ */
+function startPPV(eventId) {
+  if (isLiveMatchRunning()) return { error: 'A live match is in progress', status: 409 };
+  if (tvShows.activeEpisode) return { error: 'A TV show is on the air', status: 409 };
+  const event = ppvEngine.startEvent(eventId);
+  if (event.error) return { ...event, status: 400 };
+  // Whatever's left of the buildup is settled in the ring tonight
+  storyline.cancelBeats(event.id);
+  runPPV(event).catch(err => console.error('PPV error:', err));
+  return event;
+}
+
+/**
+ * Crown a champion (a team for tag titles) and save. Returns the title
+ * change or { error } — announceTitleChange tells the show.
+ */
+async function awardChampionship(titleId, characterId, method = 'pinfall') {
+  if (!titleId || !characterId) return { error: 'titleId and characterId required' };
+  const result = championships.awardTitle(titleId, characterId, method);
+  if (!result) return { error: 'Invalid title' };
+  memory.recordTitleChange(result);
+  // A champion from the other brand takes the belt home with them
+  brands.followChampions(championships);
+
+  // Save championship state with storyline
+  storyline.championshipData = championships.toJSON();
+  storyline.brandData = brands.toJSON();
+  await storyline.saveState();
+  return result;
+}
+
+/**
+ * A deleted character leaves the show: their belts are vacated, their
+ * matches come off scheduled cards, and feuds, relationships and
+ * buildup beats with them are dropped. Returns { vacated, droppedMatches }.
+ */
+function removeFromShow(characterId) {
+  const vacated = championships.getTitlesForCharacter(characterId).map(t => t.titleId);
+  for (const titleId of vacated) championships.vacateTitle(titleId);
+  const droppedMatches = ppvEngine.removeWrestler(characterId)
+    .map(({ eventId, match }) => ({ eventId, participants: match.participants, forTitle: match.forTitle }));
+  storyline.removeCharacter(characterId);
+  syncBrandRosters();
+  storyline.championshipData = championships.toJSON();
+  storyline.ppvData = ppvEngine.toJSON();
+  storyline.saveState().catch(() => {});
+  if (vacated.length || droppedMatches.length) {
+    console.log(`${characterId} left: vacated ${vacated.join(', ') || 'nothing'}, ${droppedMatches.length} card matches dropped`);
+  }
+  return { vacated, droppedMatches };
+}
+
+/**
+ * Hot reload: a wrestler whose file was removed by hand leaves the show the
+ * same way as one deleted through the API — a live match they're in ends
+ * as a no contest
+ */
+function onCharactersReloaded({ removed }) {
+  for (const id of removed) {
+    if (isLiveMatchRunning() && liveMatch.match.participants.includes(id)) liveMatch.status = 'aborted';
+    removeFromShow(id);
+  }
+  syncBrandRosters();
+}
+
+/**
+ * A title's full lineage and record book. Returns { lineage, stats } or { error }.
+ */
+function getTitleHistory(titleId, now = Date.now()) {
+  const title = championships.titles[titleId];
+  if (!title) return { error: `Unknown title: ${titleId}` };
+  return { lineage: lineage.getLineage(titleId, title, now), stats: lineage.getStats(titleId, title, now) };
+}
+
+/**
+ * The title history card for Discord. Returns { content, stage } or { error }.
+ */
+function titleHistoryCard(titleId) {
+  const history = getTitleHistory(titleId);
+  if (history.error) return history;
+  const brandId = brands.brandOfTitle(titleId);
+  const content = formatTitleHistory(titleId, history.lineage, history.stats, {
+    brandName: brands.isMultiBrand() ? brands.getBrand(brandId)?.displayName : null,
+  });
+  return { content, stage: stageFor(brandId) };
+}
+
+async function announceTitleChange(result) {
+  const stage = stageFor(brands.brandOfTitle(result.titleId));
+  if (!isOnAir(stage)) return;
+  const champs = [result.newChampion].flat();
+  const announcement = `🏆 **NEW ${result.titleName.toUpperCase()} CHAMPION${champs.length > 1 ? 'S' : ''}: ${displayNames(champs)}!**`;
+  await postToStage(stage, announcement);
+
+  const prev = result.previousChampion ? [result.previousChampion].flat().map(p => getCharacter(p)?.name || p).join(' & ') : 'vacant';
+  triggerAnnouncerCommentary('title-change', `${champs.map(c => getCharacter(c)?.name || c).join(' & ')} just won the ${result.titleName}! Previous champion: ${prev}`, stage);
+}
+
+/**
+ * Bring someone out of the wings — `characterId`, or whoever the storyline
+ * picks from `brand`'s wings. Returns { surprise } (null when nobody is
+ * waiting) or { error }; surpriseEntrance gives them the mic.
+ */
+function pickSurprise(characterId = null, brand = null) {
+  brand = brand || (characterId && brands.brandOf(characterId)) || null;
+  if (brand && !brands.getBrand(brand)) return { error: `Unknown brand: ${brand}` };
+  if (characterId && !getCharacter(characterId)) return { error: `Unknown character: ${characterId}` };
+  if (characterId && !storyline.getState().activeCharacters.includes(characterId)) {
+    storyline.addCharacterToWings(characterId);
+  }
+  return { surprise: storyline.triggerSurprise(brand ? brands.getRoster(brand) : null) };
+}
+
+function surpriseEntrance(surprise) {
+  return speakAsCharacter(
+    surprise,
+    messageHistory.slice(-1)[0]?.content || 'The arena goes quiet...',
+    characterStage(surprise.characterId),
+    { priority: 'promo' }
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Fan Polls
+// ---------------------------------------------------------------------------
+const POLL_CHECK_MINUTES = 1;
+
+/**
+ * Fill in whatever the booker left off the ballot: the brand's hottest feud
+ * for a match poll, the top contenders for a title shot, the brand's
+ * non-heels for a heel turn
+ */
+function defaultBallot(type, { participants = null, titleId = null, candidates = null, brand = null }) {
+  const roster = brand ? brands.getRoster(brand) : listCharacters();
+  const active = storyline.activeCharacters.filter(c => roster.includes(c));
+  if ((type === 'match-type' || type === 'match-winner') && !participants) {
+    participants = storyline.getRelationships(null, 'feud').find(f => f.between.every(c => roster.includes(c)))?.between || null;
+  }
+  if (type === 'title-shot') {
+    titleId = titleId || (brand ? brands.getTitles(brand) : Object.keys(CHAMPIONSHIPS)).find(t => !CHAMPIONSHIPS[t].isTagTeam) || null;
+    if (!candidates) {
+      const holder = championships.titles[titleId]?.holder;
+      const winRates = matchEngine.getWinRates();
+      candidates = active.filter(c => c !== holder).sort((a, b) => (winRates[b]?.wins || 0) - (winRates[a]?.wins || 0)).slice(0, 5);
+    }
+  }
+  if (type === 'heel-turn' && !candidates) {
+    candidates = active.filter(c => storyline.getAlignment(c) !== 'heel').slice(0, 5);
+  }
+  return { participants, titleId, candidates };
+}
+
+/**
+ * Open a poll and post the ballot. Without a brand it goes to the show the
+ * wrestlers on it belong to (every show if they're from different brands).
+ * Returns the poll or { error }.
+ */
+async function openPoll(type, { participants, titleId, candidates, brand, durationMinutes, question } = {}) {
+  if (brand && !brands.getBrand(brand)) return { error: `Unknown brand: ${brand}` };
+  const ballot = defaultBallot(type, { participants, titleId, candidates, brand });
+  if (!brand) {
+    brand = !brands.isMultiBrand() ? brands.ids[0]
+      : type === 'title-shot' ? brands.brandOfTitle(ballot.titleId)
+      : brands.checkMatch(ballot.participants || ballot.candidates || [], { crossBrand: true }).brand || null;
+  }
+  const poll = polls.createPoll(type, { ...ballot, brand, durationMinutes, question });
+  if (poll.error) return poll;
+  await postPoll(poll);
+  savePolls();
+  return poll;
+}
+
+/**
+ * Buttons need a message the bot owns, so ballots go out through the bot
+ * rather than the webhook
+ */
+async function postPoll(poll) {
+  const stage = stageFor(poll.brand || brands.ids);
+  for (const outlet of stage.outlets.filter(o => o.channel)) {
+    try {
+      const message = await outlet.channel.send({ content: formatPoll(poll, polls.tally(poll)), components: pollButtons(poll) });
+      poll.messages.push({ channelId: outlet.channel.id, messageId: message.id });
+    } catch (err) {
+      console.error('Poll post error:', err.message);
+    }
+  }
+}
+
+function pollButtons(poll) {
+  const rows = [];
+  poll.options.forEach((option, i) => {
+    if (i % 5 === 0) rows.push(new ActionRowBuilder());
+    rows[rows.length - 1].addComponents(new ButtonBuilder()
+      .setCustomId(`poll:${poll.id}:${option.id}`)
+      .setLabel(option.label.slice(0, 80))
+      .setStyle(ButtonStyle.Primary));
+  });
+  return rows;
+}
+
+/**
+ * Show the latest count on every posted ballot — without buttons once it's closed
+ */
+async function refreshPollMessages(poll) {
+  const content = formatPoll(poll, polls.tally(poll));
+  const components = poll.status === 'open' ? pollButtons(poll) : [];
+  for (const { channelId, messageId } of poll.messages) {
+    const channel = discordClient?.channels?.cache?.get(channelId);
+    if (channel) await channel.messages.edit(messageId, { content, components }).catch(err => console.error('Poll update error:', err.message));
+  }
+}
+
+async function handlePollVote(interaction) {
+  const [, pollId, optionId] = interaction.customId.split(':');
+  const result = polls.vote(pollId, interaction.user.id, optionId);
+  if (result.error) {
+    await interaction.reply({ content: `⚠️ ${result.error}`, flags: MessageFlags.Ephemeral });
+    return;
+  }
+  await interaction.deferUpdate();
+  savePolls();
+  await refreshPollMessages(result.poll);
+}
+
+/**
+ * Close a poll and put the result to work. Returns the poll or { error }.
+ */
+async function closePoll(pollId) {
+  const { poll, error } = polls.close(pollId);
+  if (error) return { error };
+  const { announcement, turn } = applyPollResult(poll);
+  savePolls();
+  await refreshPollMessages(poll);
+
+  const stage = stageFor(poll.brand || brands.ids);
+  if (announcement && isOnAir(stage)) await postToStage(stage, announcement);
+  if (turn) announceTurn(turn, characterStage(turn.characterId)).catch(err => console.error('Turn announcement error:', err.message));
+  return poll;
+}
+
+/**
+ * What a poll's result does right away. Match types and title shots wait for
+ * the next auto-booked card (see PollManager.getBookingChoices) and fan
+ * favorites get crowd support in their matches (see PollManager.crowdSupport).
+ */
+function applyPollResult(poll) {
+  const { winner, turnout } = poll.result;
+  if (!winner) return {};
+  const spoken = '📣 **THE FANS HAVE SPOKEN!**';
+  const label = poll.options.find(o => o.id === winner)?.label || winner;
+  const [c1, c2] = poll.subject.participants || [];
+
+  if (poll.type === 'match-type' || poll.type === 'match-winner') {
+    const feud = storyline.recordFanVote(c1, c2, turnout);
+    if (feud) poll.result.feudIntensity = Math.round(feud.intensity * 10) / 10;
+    return {
+      announcement: poll.type === 'match-type'
+        ? `${spoken} Next time ${displayNames([c1, c2], ' and ')} meet on pay-per-view, it's a ${MATCH_TYPES[winner]?.name || winner}!`
+        : `${spoken} The crowd is behind ${label} against ${displayNames([winner === c1 ? c2 : c1])}!`,
+    };
+  }
+  if (poll.type === 'title-shot') {
+    return { announcement: `${spoken} ${label} gets a shot at the ${CHAMPIONSHIPS[poll.subject.titleId]?.displayName || poll.subject.titleId}!` };
+  }
+  if (poll.type === 'heel-turn') {
+    const turn = storyline.turnCharacter(winner, 'heel', 'fan-poll');
+    if (turn.error) return {};
+    poll.result.turned = winner;
+    return { turn, announcement: `${spoken} They've had enough of ${label}... and ${label} has had enough of THEM!` };
+  }
+  return {};
+}
+
+function savePolls() {
+  storyline.pollData = polls.toJSON();
+  storyline.saveState().catch(() => {});
+}
+
+function startPollSchedule() {
+  setInterval(async () => {
+    for (const poll of polls.due()) {
+      await closePoll(poll.id).catch(err => console.error('Poll close error:', err.message));
+    }
+  }, POLL_CHECK_MINUTES * 60 * 1000);
+}
+
+// ---------------------------------------------------------------------------
+// PPV Scheduler
+// ---------------------------------------------------------------------------
+const PPV_CHECK_SECONDS = 30;
+const PPV_MISSED_GRACE_MINUTES = 10; // later than this after a restart counts as missed
+
+/**
+ * Events missed while the director was down get PPV_MISSED_POLICY, then the
+ * schedule is checked every PPV_CHECK_SECONDS. Everything the scheduler
+ * does is saved with the event, so a restart picks up where it left off.
+ */
+async function startPPVSchedule() {
+  let policy = CONFIG.ppvMissedPolicy;
+  if (!MISSED_POLICIES.includes(policy)) {
+    console.warn(`Unknown PPV_MISSED_POLICY "${policy}" — using run-late (one of ${MISSED_POLICIES.join(', ')})`);
+    policy = 'run-late';
+  }
+  const missed = ppvEngine.handleMissedEvents(policy, {
+    graceMs: PPV_MISSED_GRACE_MINUTES * 60 * 1000,
+    rescheduleMs: CONFIG.ppvRescheduleHours * 60 * 60 * 1000,
+  });
+  for (const { event, action } of missed) {
+    console.log(`${event.startedAt ? 'Went off the air during' : 'Missed'} ${event.name} while down — ${action}`);
+    if (action !== 'running late') storyline.cancelBeats(event.id);
+    if (action === 'rescheduled') planBuildup(event);
+    await announceMissedPPV(event, action).catch(err => console.error('PPV announcement error:', err.message));
+    if (action === 'resumed') runPPV(event).catch(err => console.error('PPV error:', err));
+  }
+  if (missed.length) await savePPVs();
+
+  await checkPPVSchedule().catch(err => console.error('PPV schedule error:', err));
+  setInterval(() => checkPPVSchedule().catch(err => console.error('PPV schedule error:', err)), PPV_CHECK_SECONDS * 1000);
+}
+
+/**
+ * Book empty cards as the date closes in, count down, and start events on time.
+ * An event that comes due while the ring is busy starts as soon as it's free.
+ */
+async function checkPPVSchedule(now = Date.now()) {
+  const actions = ppvEngine.getSchedulerActions(now, { bookLeadMs: CONFIG.ppvAutoBookHours * 60 * 60 * 1000 });
+  for (const { type, event, countdown } of actions) {
+    if (type === 'book') {
+      const card = await autoBookPPV(event);
+      console.log(`Auto-booked ${event.name}: ${card.length} matches`);
+    } else if (type === 'countdown') {
+      ppvEngine.markCountdown(event.id, countdown.id);
+      await savePPVs();
+      await postCountdown(event, countdown);
+    } else if (type === 'start') {
+      if (ppvEngine.activeEvent || tvShows.activeEpisode || isLiveMatchRunning()) continue;
+      if (event.matchCard.length === 0) await autoBookPPV(event);
+      if (event.matchCard.length === 0) {
+        ppvEngine.skipEvent(event.id, 'nobody to book');
+        storyline.cancelBeats(event.id);
+        await savePPVs();
+        console.warn(`${event.name} skipped — nobody to book`);
+        continue;
+      }
+      const started = startPPV(event.id);
+      if (started.error) console.error(`${event.name} didn't start: ${started.error}`);
+      else console.log(`${event.name} is on the air`);
+    }
+  }
+
+  // The road to the show: a beat at a time, while nothing else has the ring
+  const [beat] = storyline.dueBeats(now);
+  if (beat && !buildupBeat && !isPaused && !ppvEngine.activeEvent && !tvShows.activeEpisode && !isLiveMatchRunning()) {
+    buildupBeat = runBuildupBeat(beat)
+      .catch(err => console.error('Buildup error:', err))
+      .finally(() => { buildupBeat = null; });
+  }
+}
+
+let buildupBeat = null; // the road-to-PPV beat going out right now
+
+/**
+ * Put out a beat on the road to a PPV. The feud moves either way; if the
+ * show is on the air the rivals play it out.
+ */
+async function runBuildupBeat(beat) {
+  const event = ppvEngine.scheduledEvents.find(e => e.id === beat.eventId);
+  if (!event) {
+    storyline.cancelBeats(beat.eventId);
+    return;
+  }
+  const feud = storyline.completeBeat(beat);
+  await storyline.saveState();
+  if (feud.error) return;
+  console.log(`Road to ${event.name}: ${beat.type} (${beat.characters.join(' vs ')}) — feud at ${feud.intensity.toFixed(1)}`);
+
+  const stage = stageFor(eventBrands(event));
+  if (!isOnAir(stage)) return;
+  const step = BUILDUP_ARC.find(s => s.type === beat.type);
+  // The heel strikes first in a sneak attack
+  const [a, b] = beat.characters;
+  const speakers = beat.type === 'sneak-attack' && storyline.getAlignment(b) === 'heel' && storyline.getAlignment(a) !== 'heel' ? [b, a] : [a, b];
+  await postToStage(stage, `${step.emoji} **ROAD TO ${event.name.toUpperCase()}** — ${step.name}: ${displayNames(speakers, ' vs ')}`);
+  if (beat.type === 'sneak-attack') {
+    const [attacker, victim] = speakers.map(c => getCharacter(c)?.name || c);
+    await postToStage(stage, `💥 *${attacker} blindsides ${victim} from behind!*`);
+    triggerAnnouncerCommentary('feud-escalation', `${attacker} attacked ${victim} from behind on the road to ${event.name}`, stage, speakers)
+      .catch(err => console.error('Announcer error:', err.message));
+  }
+
+  let lastLine = `(The road to ${event.name} continues...)`;
+  for (const [i, characterId] of speakers.entries()) {
+    const context = storyline.generateBuildupContext(beat.type, characterId, speakers[1 - i], { ppv: event.name, attacker: speakers[0] });
+    const line = await speakAsCharacter({ characterId, context, reason: `buildup-${beat.type}` }, lastLine, stage, { priority: 'promo' });
+    if (line) lastLine = line;
+    await sleep(2000);
+  }
+}
+
+async function postCountdown(event, countdown) {
+  const stage = stageFor(eventBrands(event));
+  if (!isOnAir(stage)) return;
+  await postToStage(stage, ppvEngine.buildCountdownMessage(event, countdown));
+  const main = event.matchCard.find(m => m.isMainEvent) || event.matchCard[event.matchCard.length - 1];
+  const headline = main ? ` Main event: ${main.participants.map(p => getCharacter(p)?.name || p).join(' vs ')}.` : '';
+  triggerAnnouncerCommentary('ppv-countdown', `${countdown.label.toLowerCase()} until ${event.name}.${headline}`, stage, main?.participants || [])
+    .catch(err => console.error('Announcer error:', err.message));
+}
+
+async function announceMissedPPV(event, action) {
+  const stage = stageFor(eventBrands(event));
+  if (!isOnAir(stage)) return;
+  const name = `${event.emoji} **${event.name.toUpperCase()}**`;
+  if (action === 'skipped') await postToStage(stage, `📢 ${name} has been called off. We apologize to the fans.`);
+  if (action === 'rescheduled') await postToStage(stage, `📅 ${name} has been moved to <t:${Math.floor(event.scheduledAt / 1000)}:F>!`);
+  if (action === 'running late') await postToStage(stage, `⏳ ${name} is running late — but the show WILL go on!`);
+  if (action === 'resumed') await postToStage(stage, `📺 We're back! ${name} picks up where it left off!`);
+  if (action === 'cut short') await postToStage(stage, `📢 ${name} went off the air and won't be back tonight. We apologize to the fans.`);
+}
+
+async function savePPVs() {
+  storyline.ppvData = ppvEngine.toJSON();
+  await storyline.saveState();
+}
+
+// ---------------------------------------------------------------------------
+// Weekly TV
+// ---------------------------------------------------------------------------
+const TV_CHECK_MINUTES = 1;
+
+function startTVSchedule() {
+  for (const brandId of brands.ids) {
+    const { name, tvDay, tvHour } = brands.getBrand(brandId);
+    const next = tvShows.nextAirTime(tvSchedule(brandId));
+    if (next) console.log(`TV (${name}): ${tvDay}s at ${tvHour}:00 — next ${new Date(next).toLocaleString()}`);
+  }
+  setInterval(() => checkTVSchedule().catch(err => console.error('TV schedule error:', err)), TV_CHECK_MINUTES * 60 * 1000);
+}
+
+/**
+ * Put on any episode that's due — one show at a time, and not while a PPV
+ * or another match has the ring (it waits up to an hour for it)
+ */
+async function checkTVSchedule(now = Date.now()) {
+  if (isPaused) return;
+  for (const brandId of brands.ids) {
+    const slot = tvShows.dueSlot(brandId, tvSchedule(brandId), now);
+    if (!slot) continue;
+    const episode = startEpisode(brandId, { slot });
+    if (episode.error && episode.status !== 409) console.error(`${brands.getBrand(brandId).name} didn't air: ${episode.error}`);
+    return;
+  }
+}
+
+function tvSchedule(brandId) {
+  const { tvDay, tvHour } = brands.getBrand(brandId);
+  return { day: tvDay, hour: tvHour };
+}
+
+/**
+ * Put a brand's weekly episode on the air; it plays out in the background.
+ * Returns the episode or { error, status }.
+ */
+function startEpisode(brandId, { slot = Date.now() } = {}) {
+  const brand = brands.getBrand(brandId);
+  if (!brand) return { error: `Unknown brand: ${brandId}`, status: 400 };
+  if (tvShows.activeEpisode) return { error: 'A TV show is already on the air', status: 409 };
+  if (ppvEngine.activeEvent) return { error: 'A PPV is running', status: 409 };
+  if (isLiveMatchRunning()) return { error: 'A live match is in progress', status: 409 };
+  if (!isOnAir(stageFor(brandId))) return { error: `No channel or webhook for ${brand.name}`, status: 409 };
+  const roster = brands.getRoster(brandId, storyline.activeCharacters);
+  if (roster.length < 2) return { error: `${brand.name} needs at least two active wrestlers`, status: 400 };
+
+  // The next PPV the brand is building to — dated events first
+  const ppv = ppvEngine.scheduledEvents
+    .filter(e => eventTakes(e, brandId))
+    .sort((a, b) => (a.scheduledAt || Infinity) - (b.scheduledAt || Infinity))[0] || null;
+  const episodesLeft = ppv?.scheduledAt ? tvShows.episodesUntil(tvSchedule(brandId), ppv.scheduledAt, slot) : null;
+  const champion = brands.getTitles(brandId)
+    .filter(t => !CHAMPIONSHIPS[t]?.isTagTeam)
+    .map(t => championships.getState()[t]?.holder)
+    .find(Boolean) || null;
+
+  const segments = tvShows.buildRundown({
+    roster,
+    feuds: storyline.feuds,
+    bonds: storyline.getRelationships().filter(r => r.type !== 'feud'),
+    champion,
+    ppv: ppv && { name: ppv.name, matchCard: ppv.matchCard, episodesLeft },
+  });
+  const episode = tvShows.startEpisode(brandId, segments, {
+    slot,
+    ppv: ppv && { id: ppv.id, name: ppv.name, scheduledAt: ppv.scheduledAt, episodesLeft },
+  });
+  if (episode.error) return { ...episode, status: 409 };
+  runEpisode(episode).catch(err => {
+    console.error('Episode error:', err);
+    tvShows.completeEpisode();
+  });
+  return episode;
+}
+
 // ---------------------------------------------------------------------------
 // Character Identification
 // ---------------------------------------------------------------------------
@@ -143,9 +1192,16 @@ function identifyCharacter(username) {
 }
 
 // ---------------------------------------------------------------------------
-// Ollama Response Generation
+// LLM Response Generation
 // ---------------------------------------------------------------------------
-async function generateResponse(responder, triggerMessage, history) {
+/**
+ * Generate a character's line. With `onToken`, the reply is streamed and
+ * `onToken(textSoFar)` sees the part of it the guardrails would pass (''
+ * once an attempt goes bad); generation stops once it's past the
+ * length limit. `priority` places it in the generation queue; a reply that
+ * goes stale there resolves to null.
+ */
+async function generateResponse(responder, triggerMessage, history, { onToken = null, priority = 'mention' } = {}) {
   const char = getCharacter(responder.characterId);
   if (!char) return null;
   
@@ -158,6 +1214,14 @@ async function generateResponse(responder, triggerMessage, history) {
   let userPrompt = `Here's the recent conversation in the Discord server:\n\n${recentMessages}\n\n`;
   if (responder.context) userPrompt += `STORYLINE DIRECTION: ${responder.context}\n\n`;
   if (responder.isSurprise) userPrompt += `THIS IS YOUR DRAMATIC ENTRANCE. Make it memorable.\n\n`;
+  const alignmentContext = storyline.getAlignmentContext(responder.characterId);
+  if (alignmentContext) userPrompt += `${alignmentContext}\n\n`;
+  
+  // Long-term memory — whoever's in the conversation (and their rivals) come first
+  const inConversation = history.slice(-10).map(m => identifyCharacter(m.author)).filter(Boolean);
+  const relevant = [...new Set([...inConversation, ...storyline.getFeudPartners(responder.characterId)])];
+  const memoryContext = memory.getPromptContext(responder.characterId, relevant);
+  if (memoryContext) userPrompt += `${memoryContext}\n\n`;
   
   // Add championship context
   const charTitles = championships.getTitlesForCharacter(responder.characterId);
@@ -167,97 +1231,233 @@ async function generateResponse(responder, triggerMessage, history) {
   userPrompt += `Respond in character as ${char.name}. Keep it to 1-3 sentences max (this is Discord chat, not a speech). Be entertaining and stay in character.`;
   
   try {
-    const response = await fetch(`${CONFIG.ollamaUrl}/api/chat`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: CONFIG.model,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt },
-        ],
-        stream: false,
-        options: { temperature: 0.9, top_p: 0.95, num_predict: 200 },
+    const text = await generateGuarded(responder.characterId, [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt },
+    ], {
+      model: char.model,
+      temperature: 0.9,
+      topP: 0.95,
+      maxTokens: 200,
+      // Stream what the channel should see — reasoning blocks stay hidden,
+      // and only finished sentences the guardrails would let through go up
+      onToken: onToken && ((delta, soFar) => {
+        onToken(guard.preview(soFar, responder.characterId));
+        return guard.clean(soFar).length <= CONFIG.maxResponseLength;
       }),
-    });
-    
-    const data = await response.json();
-    let text = data.message?.content || '';
-    
-    if (text.length > CONFIG.maxResponseLength) {
-      text = text.slice(0, CONFIG.maxResponseLength).trim();
-      const lastEnd = Math.max(text.lastIndexOf('.'), text.lastIndexOf('!'), text.lastIndexOf('?'));
-      if (lastEnd > text.length * 0.5) text = text.slice(0, lastEnd + 1);
-    }
+    }, { recentLines: history.slice(-10).map(m => m.content), priority, dropLate: !onToken });
     
-    return text.trim();
+    return text ? truncateResponse(text) : fallbackLine(responder.characterId);
   } catch (err) {
-    console.error(`Ollama error for ${char.name}:`, err.message);
+    if (err instanceof StaleJobError) return null;
+    console.error(`LLM error for ${char.name}:`, err.message);
+    return fallbackLine(responder.characterId);
+  }
+}
+
+/**
+ * Ask the model for a line (as one job in the generation queue) and run it
+ * through the guardrails, regenerating a rejected line up to
+ * GUARDRAIL_RETRIES times. Resolves to the cleaned line, or null if every
+ * attempt was rejected. LLM errors and StaleJobError are thrown.
+ */
+async function generateGuarded(speakerId, messages, options, { recentLines = [], priority, deadlineMs, dropLate } = {}) {
+  return queue.run(async ({ signal }) => {
+    for (let attempt = 0; attempt <= guard.maxRetries; attempt++) {
+      const review = guard.review(await llm.chat(messages, { ...options, signal }), speakerId, { recentLines });
+      if (review.ok) return review.text;
+    }
+    console.warn(`No usable line from ${speakerId} after ${guard.maxRetries + 1} attempts — falling back`);
     return null;
+  }, { priority, deadlineMs, dropLate, label: speakerId });
+}
+
+/**
+ * Cut a reply down to MAX_RESPONSE_LENGTH, ending on a full sentence where possible
+ */
+function truncateResponse(text) {
+  if (text.length > CONFIG.maxResponseLength) {
+    text = text.slice(0, CONFIG.maxResponseLength).trim();
+    const lastEnd = Math.max(text.lastIndexOf('.'), text.lastIndexOf('!'), text.lastIndexOf('?'));
+    if (lastEnd > text.length * 0.5) text = text.slice(0, lastEnd + 1);
   }
+  return text.trim();
+}
+
+/**
+ * The model is down — a catchphrase keeps the character on air
+ */
+function fallbackLine(characterId) {
+  const lines = getCatchphrases(characterId);
+  return lines.length ? lines[Math.floor(Math.random() * lines.length)] : null;
 }
 
 // ---------------------------------------------------------------------------
 // Send Message as Character
 // ---------------------------------------------------------------------------
-async function sendAsCharacter(characterId, content, channel) {
+// Lines worth keeping in a character's long-term memory
+const QUOTABLE_REASONS = ['feud-response', 'former-partner-response', 'scheduled-promo', 'match-win', 'match-loss'];
+
+/**
+ * Generate a line and post it — on `stage`, or the character's own brand.
+ * When streaming is on, the message goes up as soon as the first words
+ * arrive and fills in as the model writes — real latency instead of the fake
+ * typing delay. Resolves to the final text.
+ */
+async function speakAsCharacter(responder, triggerMessage, stage = null, { typing = false, priority = 'mention' } = {}) {
+  stage = stage || characterStage(responder.characterId);
+  const onAir = isOnAir(stage);
+  if (CONFIG.streamResponses && onAir) return streamAsCharacter(responder, triggerMessage, stage, priority);
+  
+  const response = await generateResponse(responder, triggerMessage, messageHistory, { priority });
+  if (!response) return null;
+  if (typing && onAir) await sleep(Math.min(response.length * CONFIG.typingDelayPerChar, 5000));
+  if (onAir) await sendAsCharacter(responder.characterId, response, stage, responder.reason);
+  return response;
+}
+
+async function streamAsCharacter(responder, triggerMessage, stage, priority) {
+  const char = getCharacter(responder.characterId);
+  if (!char) return null;
+  
+  const as = { username: char.displayName, avatarURL: char.avatar, signed: true };
+  const message = new ProgressiveMessage({
+    intervalMs: CONFIG.streamEditIntervalMs,
+    maxLength: CONFIG.maxResponseLength,
+    post: content => postToStage(stage, content, as),
+    edit: (sent, content) => editOnStage(sent, content, as),
+  });
+  
+  const response = await generateResponse(responder, triggerMessage, messageHistory, {
+    onToken: text => message.push(text),
+    priority,
+  });
+  try {
+    await message.finish(response);
+  } catch (err) {
+    console.error(`Failed to send as ${char.name}:`, err.message);
+    return null;
+  }
+  if (response) recordCharacterMessage(responder.characterId, response, responder.reason);
+  return response;
+}
+
+async function sendAsCharacter(characterId, content, stage, reason = null) {
   const char = getCharacter(characterId);
   if (!char || !content) return;
   
   try {
-    if (webhookClient) {
-      await webhookClient.send({
-        content,
-        username: char.displayName,
-        avatarURL: char.avatar,
-      });
-    } else if (channel) {
-      await channel.send(`**${char.displayName}:** ${content}`);
-    }
-    
-    messageHistory.push({
-      author: char.name,
-      content,
-      timestamp: Date.now(),
-      isCharacter: true,
-    });
-    while (messageHistory.length > MAX_HISTORY) messageHistory.shift();
-    
-    console.log(`[${char.name}] ${content.slice(0, 100)}...`);
+    await postToStage(stage, content, { username: char.displayName, avatarURL: char.avatar, signed: true });
+    recordCharacterMessage(characterId, content, reason);
   } catch (err) {
     console.error(`Failed to send as ${char.name}:`, err.message);
   }
 }
 
+/**
+ * A character's line made it to Discord — into the chat history (and maybe their memory)
+ */
+function recordCharacterMessage(characterId, content, reason) {
+  const char = getCharacter(characterId);
+  messageHistory.push({
+    author: char.name,
+    content,
+    timestamp: Date.now(),
+    isCharacter: true,
+  });
+  while (messageHistory.length > MAX_HISTORY) messageHistory.shift();
+  if (reason && (QUOTABLE_REASONS.includes(reason) || reason.startsWith('surprise-'))) {
+    memory.recordQuote(characterId, content);
+  }
+  
+  console.log(`[${char.name}] ${content.slice(0, 100)}...`);
+}
+
 // ---------------------------------------------------------------------------
 // Scheduled Promos
 // ---------------------------------------------------------------------------
+/**
+ * Each brand cuts promos on its own clock, from its own roster
+ */
 function startPromoSchedule() {
-  if (CONFIG.promoIntervalMinutes <= 0) return;
-  
-  setInterval(async () => {
-    if (isPaused) return;
-    
-    const activeChars = storyline.getState().activeCharacters;
-    if (activeChars.length === 0) return;
+  for (const brandId of brands.ids) {
+    const brand = brands.getBrand(brandId);
+    if (brand.promoIntervalMinutes <= 0) continue;
     
-    const charId = activeChars[Math.floor(Math.random() * activeChars.length)];
-    const promoPrompt = storyline.generatePromo(charId);
-    if (!promoPrompt) return;
-    
-    const response = await generateResponse(
-      { characterId: charId, context: promoPrompt, reason: 'scheduled-promo' },
-      '(The arena goes quiet as the lights dim...)',
-      messageHistory
-    );
+    setInterval(async () => {
+      if (isPaused) return;
+      
+      const activeChars = brands.getRoster(brandId, storyline.getState().activeCharacters);
+      if (activeChars.length === 0) return;
+      
+      const charId = activeChars[Math.floor(Math.random() * activeChars.length)];
+      const promoPrompt = storyline.generatePromo(charId);
+      if (!promoPrompt) return;
+      
+      await speakAsCharacter(
+        { characterId: charId, context: promoPrompt, reason: 'scheduled-promo' },
+        '(The arena goes quiet as the lights dim...)',
+        stageFor(brandId),
+        { priority: 'promo' }
+      );
+    }, brand.promoIntervalMinutes * 60 * 1000);
     
-    if (response && CONFIG.channelId && discordClient) {
-      const channel = discordClient.channels?.cache?.get(CONFIG.channelId);
-      if (channel) await sendAsCharacter(charId, response, channel);
+    console.log(`Promo schedule (${brand.name}): every ${brand.promoIntervalMinutes} minutes`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Feud Lifecycle
+// ---------------------------------------------------------------------------
+const FEUD_TICK_MINUTES = 5;
+
+function startFeudSchedule() {
+  setInterval(() => checkFeuds().catch(err => console.error('Feud schedule error:', err)), FEUD_TICK_MINUTES * 60 * 1000);
+}
+
+/**
+ * Cool off quiet feuds and book the ones that have boiled over
+ */
+async function checkFeuds() {
+  storyline.decayFeuds();
+  if (!isPaused) await bookBlowOffs();
+  await storyline.saveState();
+}
+
+/**
+ * Book a match for every feud that has boiled over: on the brand's next
+ * scheduled PPV if there is one, otherwise live on the brand's channel as
+ * soon as the ring is free. A feud across brands waits for a cross-brand PPV.
+ */
+async function bookBlowOffs() {
+  for (const request of storyline.getBlowOffRequests()) {
+    const [c1, c2] = request.between;
+    const booking = brandBooking([c1, c2], { crossBrand: true });
+    if (booking.error) continue;
+    // Already on a card (the road to the show got them here) — that's the blow-off
+    const onCard = e => e.matchCard.find(m => m.participants.includes(c1) && m.participants.includes(c2));
+    const event = ppvEngine.scheduledEvents.find(onCard) || ppvEngine.scheduledEvents.find(e => eventTakes(e, booking.brand));
+    if (event) {
+      const entry = onCard(event) || ppvEngine.addMatch(event.id, { participants: [c1, c2], matchType: request.matchType });
+      if (entry.error) continue;
+      planBuildup(event);
+      storyline.markBlowOffBooked(c1, c2, { eventId: event.id, order: entry.order });
+      storyline.ppvData = ppvEngine.toJSON();
+      console.log(`Blow-off booked for ${event.name}: ${c1} vs ${c2}`);
+      continue;
     }
-  }, CONFIG.promoIntervalMinutes * 60 * 1000);
-  
-  console.log(`Promo schedule: every ${CONFIG.promoIntervalMinutes} minutes`);
+
+    if (!booking.brand || !isOnAir(booking.stage) || isLiveMatchRunning() || ppvEngine.activeEvent || tvShows.activeEpisode) continue;
+    await sendRingAnnouncer(`🔥 **${request.rematch ? 'THE REMATCH' : 'ENOUGH TALK'}!** ${displayNames([c1, c2], ' and ')} settle this RIGHT NOW${request.matchType !== 'singles' ? ` in a ${MATCH_TYPES[request.matchType].name}` : ''}!`, booking.stage);
+    const live = startLiveMatch([c1, c2], request.matchType, {
+      brand: booking.brand,
+      runInCandidates: storyline.getRunInCandidates([c1, c2], booking.roster),
+      crowdSupport: polls.crowdSupport([c1, c2]),
+    }, booking.stage);
+    if (live.error) continue;
+    storyline.markBlowOffBooked(c1, c2, { matchId: live.match.id });
+    live.done.then(result => { if (!result) storyline.cancelBlowOff(c1, c2); });
+  }
 }
 
 // ---------------------------------------------------------------------------
@@ -270,7 +1470,7 @@ function startAPI() {
   // ---------- API Routes ----------
   
   app.get('/state', (req, res) => {
-    res.json({ ok: true, state: storyline.getState(), messages: messageHistory.length, paused: isPaused });
+    res.json({ ok: true, state: storyline.getState(), messages: messageHistory.length, paused: isPaused, brands: brands.getState(), llm: llm.getState(), guardrails: guard.getState(), queue: queue.getState() });
   });
   
   app.post('/pause', (req, res) => {
@@ -287,66 +1487,94 @@ function startAPI() {
     const { characterId, prompt } = req.body;
     if (!characterId) return res.status(400).json({ error: 'characterId required' });
     
-    const response = await generateResponse(
+    // Goes out on the character's own brand
+    const response = await speakAsCharacter(
       { characterId, context: prompt || 'Say something in character.', reason: 'forced' },
-      messageHistory.slice(-1)[0]?.content || '',
-      messageHistory
+      messageHistory.slice(-1)[0]?.content || ''
     );
     
-    if (response && CONFIG.channelId && discordClient) {
-      const channel = discordClient.channels?.cache?.get(CONFIG.channelId);
-      if (channel) await sendAsCharacter(characterId, response, channel);
-    }
-    
-    res.json({ ok: true, character: characterId, response });
+    res.json({ ok: true, character: characterId, brand: brands.brandOf(characterId), response });
   });
   
+  // Body: { characterId?, brand? } — the surprise comes from that brand's wings
   app.post('/surprise', async (req, res) => {
-    const { characterId } = req.body;
-    if (characterId && !storyline.getState().activeCharacters.includes(characterId)) {
-      storyline.addCharacterToWings(characterId);
-    }
-    
-    const surprise = storyline.triggerSurprise();
+    const { characterId, brand } = req.body;
+    const { surprise, error } = pickSurprise(characterId, brand);
+    if (error) return res.status(400).json({ error });
     if (!surprise) return res.json({ ok: false, message: 'No characters waiting in wings' });
     
-    const response = await generateResponse(
-      surprise,
-      messageHistory.slice(-1)[0]?.content || 'The arena goes quiet...',
-      messageHistory
-    );
-    
-    if (response && CONFIG.channelId && discordClient) {
-      const channel = discordClient.channels?.cache?.get(CONFIG.channelId);
-      if (channel) await sendAsCharacter(surprise.characterId, response, channel);
-    }
+    const response = await surpriseEntrance(surprise);
     
-    res.json({ ok: true, character: surprise.characterId, type: surprise.reason, response });
+    res.json({ ok: true, character: surprise.characterId, brand: brands.brandOf(surprise.characterId), type: surprise.reason, response });
   });
   
   app.post('/feud', (req, res) => {
     const { char1, char2, intensity } = req.body;
     if (!char1 || !char2) return res.status(400).json({ error: 'char1 and char2 required' });
     const feud = storyline.createFeud(char1, char2, intensity || 5);
+    if (feud.error) return res.status(400).json(feud);
     res.json({ ok: true, feud });
   });
   
+  app.post('/alliance', (req, res) => {
+    const { char1, char2 } = req.body;
+    if (!char1 || !char2) return res.status(400).json({ error: 'char1 and char2 required' });
+    const alliance = storyline.createAlliance(char1, char2);
+    res.json({ ok: true, alliance });
+  });
+  
+  // ---------- Relationship Graph ----------
+  
+  app.get('/relationships', (req, res) => {
+    const { character, type } = req.query;
+    res.json({ ok: true, relationships: storyline.getRelationships(character || null, type || null) });
+  });
+  
+  app.post('/relationships', (req, res) => {
+    const { char1, char2, type, weight } = req.body;
+    if (!char1 || !char2 || !type) return res.status(400).json({ error: 'char1, char2 and type required' });
+    if (!getCharacter(char1) || !getCharacter(char2)) return res.status(400).json({ error: 'Unknown character' });
+    const relationship = storyline.setRelationship(char1, char2, type, weight);
+    if (relationship.error) return res.status(400).json(relationship);
+    res.json({ ok: true, relationship });
+  });
+  
+  app.delete('/relationships', (req, res) => {
+    const { char1, char2, type } = req.body;
+    if (!char1 || !char2 || !type) return res.status(400).json({ error: 'char1, char2 and type required' });
+    const result = storyline.removeRelationship(char1, char2, type);
+    if (result.error) return res.status(404).json(result);
+    res.json({ ok: true, ...result });
+  });
+  
+  // ?brand= lists one brand's roster
   app.get('/characters', (req, res) => {
+    const { brand } = req.query;
+    if (brand && !brands.getBrand(brand)) return res.status(400).json({ error: `Unknown brand: ${brand}` });
     const chars = {};
     const state = storyline.getState();
+    const winRates = matchEngine.getWinRates();
     for (const [id, char] of Object.entries(CHARACTERS)) {
+      if (brand && brands.brandOf(id) !== brand) continue;
       chars[id] = {
         name: char.name,
         displayName: char.displayName,
-        alignment: char.alignment,
+        brand: brands.brandOf(id),
+        alignment: storyline.getAlignment(id),
+        baseAlignment: char.alignment,
+        turns: storyline.getAlignmentHistory(id),
+        crowdSentiment: storyline.crowdSentiment[id] || 0,
         era: char.era,
         finisher: char.finisher,
+        signatureMoves: char.signatureMoves || [],
+        attributes: getAttributes(id),
+        record: winRates[id] || { matches: 0, wins: 0, winRate: 0 },
         active: state.activeCharacters.includes(id),
         inWings: state.waitingInTheWings.includes(id),
         heat: state.heatMap[id] || 0,
       };
     }
-    res.json({ ok: true, characters: chars });
+    res.json({ ok: true, characters: chars, registry: getRegistryState() });
   });
   
   app.post('/characters', (req, res) => {
@@ -366,43 +1594,110 @@ function startAPI() {
     res.json({ ok: true, state: storyline.getState() });
   });
   
+  app.get('/characters/:id/memory', (req, res) => {
+    if (!getCharacter(req.params.id)) return res.status(404).json({ error: `Unknown character: ${req.params.id}` });
+    res.json({
+      ok: true,
+      memory: memory.getState(req.params.id) || { summary: '', events: [], quotes: [] },
+      promptContext: memory.getPromptContext(req.params.id),
+    });
+  });
+  
+  // Booker-ordered heel/face turn — body: { to?, reason? }
+  app.post('/characters/:id/turn', async (req, res) => {
+    const { to, reason } = req.body;
+    const turn = storyline.turnCharacter(req.params.id, to || null, reason || 'booker');
+    if (turn.error) return res.status(400).json(turn);
+    
+    announceTurn(turn, characterStage(req.params.id)).catch(err => console.error('Turn announcement error:', err.message));
+    res.json({ ok: true, turn, history: storyline.getAlignmentHistory(req.params.id) });
+  });
+  
+  // Create a wrestler or announcer from a character definition (see characters/*.yaml).
+  // `brand` in the body signs a new wrestler to that brand (default: the smallest roster).
+  app.post('/characters/:id', async (req, res) => {
+    const { id } = req.params;
+    const { brand, ...def } = req.body;
+    if (getCharacter(id) || ANNOUNCERS[id]) return res.status(409).json({ error: `Character already exists: ${id}` });
+    if (brand && !brands.getBrand(brand)) return res.status(400).json({ error: `Unknown brand: ${brand}` });
+    
+    const result = await createCharacter(id, def);
+    if (result.error) return res.status(400).json(result);
+    // New wrestlers debut from the wings
+    if (result.role === 'wrestler') {
+      storyline.addCharacterToWings(id);
+      if (brand) brands.sign(id, brand);
+      syncBrandRosters();
+    }
+    res.json({ ok: true, ...result, brand: brands.brandOf(id) });
+  });
+  
+  app.put('/characters/:id', async (req, res) => {
+    const { id } = req.params;
+    if (!getCharacter(id) && !ANNOUNCERS[id]) return res.status(404).json({ error: `Unknown character: ${id}` });
+    
+    const result = await updateCharacter(id, req.body);
+    if (result.error) return res.status(400).json(result);
+    res.json({ ok: true, ...result });
+  });
+  
+  app.delete('/characters/:id', async (req, res) => {
+    const { id } = req.params;
+    if (!getCharacter(id) && !ANNOUNCERS[id]) return res.status(404).json({ error: `Unknown character: ${id}` });
+    if (liveMatch?.match.participants.includes(id)) {
+      return res.status(409).json({ error: `${id} is in the live match` });
+    }
+    if (ppvEngine.activeEvent?.matchCard.some(m => m.participants.includes(id))) {
+      return res.status(409).json({ error: `${id} is on the card of ${ppvEngine.activeEvent.name}, which is running` });
+    }
+    
+    const result = await deleteCharacter(id);
+    if (result.error) return res.status(400).json(result);
+    res.json({ ok: true, ...result, ...removeFromShow(id) });
+  });
+  
   // ---------- Championship Routes ----------
   
+  // ?brand= lists one brand's titles
   app.get('/championships', (req, res) => {
-    res.json({ ok: true, championships: championships.getState() });
+    const { brand } = req.query;
+    if (brand && !brands.getBrand(brand)) return res.status(400).json({ error: `Unknown brand: ${brand}` });
+    const titles = {};
+    for (const [id, title] of Object.entries(championships.getState())) {
+      if (brand && brands.brandOfTitle(id) !== brand) continue;
+      titles[id] = { ...title, brand: brands.brandOfTitle(id) };
+    }
+    res.json({ ok: true, championships: titles });
   });
   
   app.post('/championships/award', async (req, res) => {
-    const { titleId, characterId, method } = req.body;
-    if (!titleId || !characterId) return res.status(400).json({ error: 'titleId and characterId required' });
-    
-    const result = championships.awardTitle(titleId, characterId, method || 'pinfall');
-    if (!result) return res.status(400).json({ error: 'Invalid title' });
-    
-    // Save championship state with storyline
-    storyline.championshipData = championships.toJSON();
-    await storyline.saveState();
+    const { titleId, method } = req.body;
+    const characterId = req.body.characterIds || req.body.characterId;
+    const result = await awardChampionship(titleId, characterId, method || 'pinfall');
+    if (result.error) return res.status(400).json(result);
     
     // Trigger announcer commentary for title changes
-    if (CONFIG.channelId && discordClient) {
-      const channel = discordClient.channels?.cache?.get(CONFIG.channelId);
-      const char = getCharacter(characterId);
-      const announcement = `🏆 **NEW ${result.titleName.toUpperCase()} CHAMPION: ${char?.displayName || characterId}!**`;
-      
-      if (webhookClient) {
-        await webhookClient.send({ content: announcement, username: '📢 Ring Announcer' });
-      } else if (channel) {
-        await channel.send(announcement);
-      }
-      
-      if (channel) {
-        triggerAnnouncerCommentary('title-change', `${char?.name} just won the ${result.titleName}! Previous champion: ${result.previousChampion || 'vacant'}`, channel);
-      }
-    }
+    await announceTitleChange(result);
     
-    res.json({ ok: true, result });
+    res.json({ ok: true, result, brand: brands.brandOfTitle(titleId) });
   });
   
+  // Every reign of a title, oldest first (the current one last), and its records
+  app.get('/championships/:titleId/history', (req, res) => {
+    const history = getTitleHistory(req.params.titleId);
+    if (history.error) return res.status(404).json(history);
+    res.json({ ok: true, titleId: req.params.titleId, brand: brands.brandOfTitle(req.params.titleId), ...history });
+  });
+
+  // Post the title history card to the title's brand channel
+  app.post('/championships/:titleId/history/post', async (req, res) => {
+    const card = titleHistoryCard(req.params.titleId);
+    if (card.error) return res.status(404).json({ error: card.error });
+    if (!isOnAir(card.stage)) return res.status(409).json({ error: 'No channel or webhook for this title\'s brand' });
+    await postToStage(card.stage, card.content);
+    res.json({ ok: true, content: card.content });
+  });
+
   app.post('/championships/vacate', async (req, res) => {
     const { titleId } = req.body;
     if (!titleId) return res.status(400).json({ error: 'titleId required' });
@@ -414,85 +1709,284 @@ function startAPI() {
   
   // ---------- Match Routes ----------
 
+  // ?brand= lists one brand's matches (cross-brand matches count for both)
   app.get('/matches', (req, res) => {
-    res.json({ ok: true, ...matchEngine.getState() });
+    const { brand } = req.query;
+    if (brand && !brands.getBrand(brand)) return res.status(400).json({ error: `Unknown brand: ${brand}` });
+    const state = matchEngine.getState();
+    if (brand) {
+      state.recentMatches = matchEngine.matchHistory
+        .filter(m => m.brand ? m.brand === brand : m.participants.some(p => brands.brandOf(p) === brand))
+        .slice(-10);
+    }
+    res.json({ ok: true, ...state });
   });
 
+  // Body also takes `brand` (the show it's meant for) and `crossBrand` (wrestlers from different brands)
   app.post('/matches/simulate', async (req, res) => {
-    const { participants, matchType, forTitle } = req.body;
-    if (!participants || participants.length < 2) {
-      return res.status(400).json({ error: 'Need at least 2 participants' });
-    }
+    const { matchType, forTitle, seed, teams, script, crossBrand, brand } = req.body;
+    const participants = req.body.participants || teams?.flat();
+    const booking = checkBooking(participants, { forTitle, matchType, teams, crossBrand, brand });
+    if (booking.error) return res.status(booking.status).json({ error: booking.error });
 
-    const result = matchEngine.simulateFullMatch(participants, matchType || 'singles', { forTitle });
+    const result = matchEngine.simulateFullMatch(participants, matchType || 'singles', { forTitle, seed, teams, script, runInCandidates: booking.runInCandidates, crowdSupport: booking.crowdSupport, brand: booking.brand });
     if (result.error) return res.status(400).json(result);
 
-    // If for a title, award it to the winner
-    if (forTitle && result.match.winner) {
-      const titleResult = championships.awardTitle(forTitle, result.match.winner, result.match.winMethod);
-      result.titleChange = titleResult;
-      storyline.championshipData = championships.toJSON();
-    }
+    // Settle any title on the line — a defense or a new champion — and save
+    await settleMatch(result);
 
-    // Save match data with storyline
-    storyline.matchData = matchEngine.toJSON();
-    await storyline.saveState();
+    // Post match results to the brand's channel
+    if (isOnAir(booking.stage)) await postMatchToDiscord(result, booking.stage);
 
-    // Post match results to Discord
-    if (CONFIG.channelId && discordClient) {
-      const channel = discordClient.channels?.cache?.get(CONFIG.channelId);
-      if (channel) {
-        await postMatchToDiscord(result, channel);
-      }
-    }
+    res.json({ ok: true, result });
+  });
+
+  // Live matches: one round every LIVE_ROUND_SECONDS, posted to Discord as it happens
+  app.get('/matches/live', (req, res) => {
+    res.json({ ok: true, live: getLiveMatchState() });
+  });
+
+  app.post('/matches/live', (req, res) => {
+    const { matchType, forTitle, seed, teams, script, crossBrand, brand } = req.body;
+    const participants = req.body.participants || teams?.flat();
+    const booking = checkBooking(participants, { forTitle, matchType, teams, crossBrand, brand, live: true });
+    if (booking.error) return res.status(booking.status).json({ error: booking.error });
+
+    const live = startLiveMatch(participants, matchType || 'singles', { forTitle, seed, teams, script, runInCandidates: booking.runInCandidates, crowdSupport: booking.crowdSupport, brand: booking.brand }, booking.stage);
+    if (live.error) return res.status(400).json(live);
+    res.json({ ok: true, live: getLiveMatchState() });
+  });
+
+  app.post('/matches/live/pause', (req, res) => {
+    if (liveMatch?.status !== 'running') return res.status(400).json({ error: 'No live match running' });
+    liveMatch.status = 'paused';
+    res.json({ ok: true, live: getLiveMatchState() });
+  });
 
+  app.post('/matches/live/resume', (req, res) => {
+    if (liveMatch?.status !== 'paused') return res.status(400).json({ error: 'Live match is not paused' });
+    liveMatch.status = 'running';
+    res.json({ ok: true, live: getLiveMatchState() });
+  });
+
+  app.post('/matches/live/abort', (req, res) => {
+    if (!isLiveMatchRunning()) return res.status(400).json({ error: 'No live match running' });
+    liveMatch.status = 'aborted';
+    res.json({ ok: true, live: getLiveMatchState() });
+  });
+
+  // Re-run a past match from its recorded seed (does not touch titles or history)
+  app.get('/matches/:matchId/replay', (req, res) => {
+    const result = matchEngine.replayMatch(req.params.matchId);
+    if (result.error) return res.status(404).json(result);
     res.json({ ok: true, result });
   });
 
   // ---------- PPV Routes ----------
 
-  app.get('/ppv', (req, res) => {
-    res.json({ ok: true, ...ppvEngine.getState() });
+  // ?brand= lists one brand's events (cross-brand events count for both)
+  app.get('/ppv', (req, res) => {
+    const { brand } = req.query;
+    if (brand && !brands.getBrand(brand)) return res.status(400).json({ error: `Unknown brand: ${brand}` });
+    const state = ppvEngine.getState();
+    if (brand) {
+      const ours = e => e.crossBrand || !e.brand || e.brand === brand;
+      state.scheduled = state.scheduled.filter(ours);
+      state.completed = state.completed.filter(ours);
+      if (state.active && !ours(state.active)) state.active = null;
+    }
+    // How far along the road to each show is, and what's next
+    state.scheduled = state.scheduled.map(e => {
+      const { done, total, matches } = getBuildup(e);
+      const next = matches.filter(m => m.next).map(m => ({ ...m.next, match: m.match })).sort((a, b) => a.dueAt - b.dueAt)[0] || null;
+      return { ...e, buildup: { done, total, next } };
+    });
+    res.json({ ok: true, ...state, scheduler: { autoBookHours: CONFIG.ppvAutoBookHours, missedPolicy: CONFIG.ppvMissedPolicy } });
+  });
+
+  // Body: { templateId, brand, name?, scheduledAt?, autoBook? } — cross-brand
+  // templates (Survivor Series) bring every brand together unless a brand is
+  // given; with scheduledAt (ms or a date string) the scheduler runs it, and
+  // autoBook books the card (and plans the road to the show) right away
+  app.post('/ppv/schedule', async (req, res) => {
+    const event = await schedulePPV(req.body);
+    if (event.error) return res.status(400).json(event);
+    res.json({ ok: true, event });
+  });
+
+  app.post('/ppv/:eventId/add-match', async (req, res) => {
+    const { matchType, forTitle, isMainEvent, teams, script } = req.body;
+    const participants = req.body.participants || teams?.flat();
+    if (!participants || participants.length < 2) return res.status(400).json({ error: 'Need participants' });
+    const event = ppvEngine.scheduledEvents.find(e => e.id === req.params.eventId);
+    if (event) {
+      const booking = brandBooking(participants, { forTitle, crossBrand: event.crossBrand, brand: event.brand });
+      if (booking.error) return res.status(400).json(booking);
+      const titleError = checkTitleMatch(forTitle, participants, { matchType, teams });
+      if (titleError) return res.status(400).json({ error: titleError });
+    }
+    const result = ppvEngine.addMatch(req.params.eventId, { participants, teams, matchType, forTitle, isMainEvent, script });
+    if (result.error) return res.status(400).json(result);
+    planBuildup(event);
+    storyline.ppvData = ppvEngine.toJSON();
+    await storyline.saveState();
+    res.json({ ok: true, match: result });
+  });
+
+  // Each card match's road-to-the-show beats and where its feud stands
+  app.get('/ppv/:eventId/buildup', (req, res) => {
+    const event = [...ppvEngine.scheduledEvents, ppvEngine.activeEvent, ...ppvEngine.completedEvents]
+      .find(e => e?.id === req.params.eventId);
+    if (!event) return res.status(404).json({ error: 'Event not found' });
+    res.json({ ok: true, buildup: getBuildup(event) });
+  });
+
+  app.post('/ppv/:eventId/auto-book', async (req, res) => {
+    const event = ppvEngine.scheduledEvents.find(e => e.id === req.params.eventId);
+    if (!event) return res.status(404).json({ error: 'Event not found' });
+    const card = await autoBookPPV(event);
+    res.json({ ok: true, card });
+  });
+
+  // The PPV runs in the background
+  app.post('/ppv/:eventId/run', async (req, res) => {
+    const event = startPPV(req.params.eventId);
+    if (event.error) return res.status(event.status).json({ error: event.error });
+    res.json({ ok: true, message: 'PPV started! Matches will play out in Discord.', event });
+  });
+
+  // ---------- Fan Poll Routes ----------
+
+  // ?status=open|closed, ?brand=
+  app.get('/polls', (req, res) => {
+    const { status, brand } = req.query;
+    const state = polls.getState();
+    const ours = p => !brand || !p.brand || p.brand === brand;
+    res.json({
+      ok: true,
+      open: status === 'closed' ? [] : state.open.filter(ours),
+      closed: status === 'open' ? [] : state.closed.filter(ours),
+      types: state.types,
+      pending: polls.getBookingChoices(brand ? brands.getRoster(brand) : null),
+    });
+  });
+
+  app.get('/polls/:pollId', (req, res) => {
+    const poll = polls.getPoll(req.params.pollId);
+    if (!poll) return res.status(404).json({ error: `Unknown poll: ${req.params.pollId}` });
+    res.json({ ok: true, poll: polls.view(poll) });
+  });
+
+  // Body: { type, participants?, titleId?, candidates?, brand?, durationMinutes?, question? } —
+  // anything left out is filled in from the brand's feuds, titles and roster
+  app.post('/polls', async (req, res) => {
+    const { type, ...ballot } = req.body;
+    if (!type) return res.status(400).json({ error: 'type required' });
+    const poll = await openPoll(type, ballot);
+    if (poll.error) return res.status(400).json(poll);
+    res.json({ ok: true, poll: polls.view(poll) });
+  });
+
+  // Votes from outside Discord — body: { voterId, optionId }
+  app.post('/polls/:pollId/vote', async (req, res) => {
+    const { voterId, optionId } = req.body;
+    const result = polls.vote(req.params.pollId, voterId, optionId);
+    if (result.error) return res.status(400).json(result);
+    savePolls();
+    refreshPollMessages(result.poll).catch(() => {});
+    res.json({ ok: true, tally: polls.tally(result.poll) });
+  });
+
+  app.post('/polls/:pollId/close', async (req, res) => {
+    const poll = await closePoll(req.params.pollId);
+    if (poll.error) return res.status(400).json(poll);
+    res.json({ ok: true, poll: polls.view(poll) });
+  });
+
+  // ---------- Weekly TV Routes ----------
+
+  app.get('/tv', (req, res) => {
+    const { brand } = req.query;
+    if (brand && !brands.getBrand(brand)) return res.status(400).json({ error: `Unknown brand: ${brand}` });
+    const state = tvShows.getState();
+    const schedule = brands.ids.filter(id => !brand || id === brand).map(id => ({
+      brand: id,
+      ...tvSchedule(id),
+      nextAirAt: tvShows.nextAirTime(tvSchedule(id)),
+      episodes: tvShows.counts[id] || 0,
+    }));
+    res.json({
+      ok: true,
+      schedule,
+      active: state.active && (!brand || state.active.brand === brand) ? state.active : null,
+      recent: state.recent.filter(e => !brand || e.brand === brand),
+      segments: SEGMENTS,
+    });
+  });
+
+  // Put this week's episode on now, whatever the schedule says
+  app.post('/tv/:brandId/run', (req, res) => {
+    const episode = startEpisode(req.params.brandId);
+    if (episode.error) return res.status(episode.status).json({ error: episode.error });
+    res.json({ ok: true, episode });
+  });
+
+  // ---------- Brand Routes ----------
+
+  app.get('/brands', (req, res) => {
+    res.json({ ok: true, ...brands.getState() });
   });
 
-  app.post('/ppv/schedule', async (req, res) => {
-    const { templateId, name, scheduledAt } = req.body;
-    if (!templateId) return res.status(400).json({ error: 'templateId required' });
-    const event = ppvEngine.scheduleEvent(templateId, { name, scheduledAt });
-    if (event.error) return res.status(400).json(event);
-    storyline.ppvData = ppvEngine.toJSON();
-    await storyline.saveState();
-    res.json({ ok: true, event });
+  app.get('/brands/:brandId', (req, res) => {
+    const brandId = req.params.brandId;
+    if (!brands.getBrand(brandId)) return res.status(404).json({ error: `Unknown brand: ${brandId}` });
+    const state = storyline.getState();
+    const roster = brands.getRoster(brandId);
+    const titles = championships.getState();
+    res.json({
+      ok: true,
+      brand: brands.getState().brands.find(b => b.id === brandId),
+      active: roster.filter(c => state.activeCharacters.includes(c)),
+      inWings: roster.filter(c => state.waitingInTheWings.includes(c)),
+      championships: Object.fromEntries(brands.getTitles(brandId).map(id => [id, titles[id]])),
+      ppv: ppvEngine.scheduledEvents.filter(e => e.crossBrand || e.brand === brandId),
+    });
   });
 
-  app.post('/ppv/:eventId/add-match', async (req, res) => {
-    const { participants, matchType, forTitle, isMainEvent } = req.body;
-    if (!participants || participants.length < 2) return res.status(400).json({ error: 'Need participants' });
-    const result = ppvEngine.addMatch(req.params.eventId, { participants, matchType, forTitle, isMainEvent });
+  // Redraft everyone — body: { picks?: { [characterId]: brandId } }
+  app.post('/brands/draft', async (req, res) => {
+    if (!brands.isMultiBrand()) return res.status(400).json({ error: 'Only one brand — set BRANDS to draft' });
+    const result = brands.draft(listCharacters(), { picks: req.body.picks || {} });
     if (result.error) return res.status(400).json(result);
-    storyline.ppvData = ppvEngine.toJSON();
-    await storyline.saveState();
-    res.json({ ok: true, match: result });
+    const titleMoves = brands.followChampions(championships);
+    saveBrands();
+    announceRosterMoves(result.moves, titleMoves).catch(err => console.error('Draft announcement error:', err.message));
+    res.json({ ok: true, moves: result.moves, titleMoves, brands: brands.getState().brands });
   });
 
-  app.post('/ppv/:eventId/auto-book', async (req, res) => {
-    const event = ppvEngine.scheduledEvents.find(e => e.id === req.params.eventId);
-    if (!event) return res.status(404).json({ error: 'Event not found' });
-    const card = ppvEngine.autoBookCard(event, storyline.feuds, storyline.activeCharacters, championships);
-    event.matchCard = card;
-    storyline.ppvData = ppvEngine.toJSON();
-    await storyline.saveState();
-    res.json({ ok: true, card });
+  // Body: { send: [characterId...], receive: [characterId...] } — each side from one brand
+  app.post('/brands/trade', async (req, res) => {
+    const { send, receive } = req.body;
+    const unknown = [...(send || []), ...(receive || [])].find(c => !getCharacter(c));
+    if (unknown) return res.status(400).json({ error: `Unknown character: ${unknown}` });
+    const result = brands.trade(send, receive);
+    if (result.error) return res.status(400).json(result);
+    const titleMoves = brands.followChampions(championships);
+    saveBrands();
+    announceRosterMoves(result.moves, titleMoves).catch(err => console.error('Trade announcement error:', err.message));
+    res.json({ ok: true, moves: result.moves, titleMoves });
   });
 
-  app.post('/ppv/:eventId/run', async (req, res) => {
-    const event = ppvEngine.startEvent(req.params.eventId);
-    if (event.error) return res.status(400).json(event);
-
-    res.json({ ok: true, message: 'PPV started! Matches will play out in Discord.', event });
-
-    // Run the PPV in the background
-    runPPV(event).catch(err => console.error('PPV error:', err));
+  // Move one wrestler — body: { characterId }
+  app.post('/brands/:brandId/sign', async (req, res) => {
+    const { characterId } = req.body;
+    if (!getCharacter(characterId)) return res.status(400).json({ error: `Unknown character: ${characterId}` });
+    const result = brands.sign(characterId, req.params.brandId);
+    if (result.error) return res.status(400).json(result);
+    const titleMoves = brands.followChampions(championships);
+    saveBrands();
+    announceRosterMoves(result.moves, titleMoves).catch(err => console.error('Signing announcement error:', err.message));
+    res.json({ ok: true, moves: result.moves, titleMoves });
   });
 
   app.get('/history', (req, res) => {
@@ -547,6 +2041,7 @@ const DASHBOARD_HTML = `<!DOCTYPE html>
   .char-card .name { font-weight: bold; font-size: 1.1em; margin-bottom: 4px; }
   .char-card .alignment { font-size: 0.8em; color: #aaa; }
   .char-card .heat { font-size: 0.75em; color: #e94560; margin-top: 4px; }
+  .brand-tag { font-size: 0.75em; color: #60a5fa; }
   .char-card .status-badge { display: inline-block; padding: 2px 8px; border-radius: 4px; font-size: 0.7em; margin-top: 4px; }
   .char-card .status-badge.active { background: #065f46; color: #4ade80; }
   .char-card .status-badge.wings { background: #78350f; color: #fbbf24; }
@@ -613,6 +2108,7 @@ const DASHBOARD_HTML = `<!DOCTYPE html>
   <div class="card">
     <h2>🏆 Championships</h2>
     <div id="champList" style="display:grid; gap:8px;"></div>
+    <div id="champLineage" style="margin-top:8px;"></div>
     <div class="input-row" style="margin-top:12px;">
       <select id="champTitle"></select>
       <select id="champChar"></select>
@@ -630,6 +2126,19 @@ const DASHBOARD_HTML = `<!DOCTYPE html>
       <select id="feudChar2"></select>
       <button class="btn btn-red" onclick="createFeud()">Start Feud</button>
     </div>
+    <h2 style="margin-top:16px;">🤝 Relationships</h2>
+    <ul id="relationshipList" class="feud-list"></ul>
+    <div class="input-row" style="margin-top: 12px;">
+      <select id="relChar1"></select>
+      <select id="relType">
+        <option value="ally">ally</option>
+        <option value="tag-partner">tag partner</option>
+        <option value="mentor">mentor of</option>
+        <option value="former-partner">former partner</option>
+      </select>
+      <select id="relChar2"></select>
+      <button class="btn btn-blue" onclick="setRelationship()">Link</button>
+    </div>
   </div>
 
   <!-- Match Simulator -->
@@ -650,8 +2159,10 @@ const DASHBOARD_HTML = `<!DOCTYPE html>
       </select>
       <select id="matchTitle"><option value="">No Title</option></select>
       <button class="btn btn-red" onclick="bookMatch()">🔔 BOOK IT!</button>
+      <button class="btn btn-green" onclick="goLive()">📡 GO LIVE</button>
     </div>
     <div id="matchResult" style="margin-top:8px; font-style:italic; color:#aaa;"></div>
+    <div id="liveMatch" style="margin-top:12px;"></div>
     <div id="matchHistory" style="margin-top:12px; max-height:150px; overflow-y:auto; font-size:0.85em;"></div>
   </div>
 
@@ -672,16 +2183,58 @@ const DASHBOARD_HTML = `<!DOCTYPE html>
     <div id="storyBeats" style="max-height:200px; overflow-y:auto; font-size:0.85em;"></div>
   </div>
 
+  <!-- Brands -->
+  <div class="card" style="grid-column: 1 / -1;">
+    <h2>📺 Brands</h2>
+    <div id="brandList" style="display:grid; grid-template-columns:repeat(auto-fit, minmax(260px, 1fr)); gap:8px;"></div>
+    <div class="input-row" style="margin-top:12px;">
+      <select id="signChar"></select>
+      <select id="signBrand"></select>
+      <button class="btn btn-blue" onclick="signToBrand()">✍️ Sign</button>
+      <button class="btn btn-red" onclick="runDraft()">📋 Run the Draft</button>
+    </div>
+    <div class="input-row">
+      <select id="tradeChar1"></select>
+      <span style="padding:8px; color:#e94560; font-weight:bold;">⇄</span>
+      <select id="tradeChar2"></select>
+      <button class="btn btn-yellow" onclick="tradeWrestlers()">🔁 Trade</button>
+    </div>
+  </div>
+
   <!-- PPV Events -->
   <div class="card" style="grid-column: 1 / -1;">
     <h2>🎆 Pay-Per-View Events</h2>
     <div class="controls">
       <select id="ppvTemplate"></select>
+      <select id="ppvBrand"></select>
+      <input type="datetime-local" id="ppvWhen" title="Leave empty to run it yourself">
+      <label style="color:#aaa;" title="Starts the road to the show today"><input type="checkbox" id="ppvBookNow"> Book the card now</label>
       <button class="btn btn-red" onclick="schedulePPV()">📅 Schedule PPV</button>
     </div>
     <div id="ppvList" style="margin-top:12px;"></div>
   </div>
 
+  <!-- Weekly TV -->
+  <div class="card" style="grid-column: 1 / -1;">
+    <h2>📺 Weekly TV</h2>
+    <div id="tvList"></div>
+  </div>
+
+  <!-- Fan Polls -->
+  <div class="card" style="grid-column: 1 / -1;">
+    <h2>🗳️ Fan Polls</h2>
+    <div class="controls">
+      <select id="pollType"></select>
+      <select id="pollChar1"></select>
+      <select id="pollChar2"></select>
+      <select id="pollTitle"></select>
+      <input id="pollMinutes" type="number" min="1" value="60" style="width:80px;" title="Minutes">
+      <button class="btn btn-blue" onclick="startPoll()">🗳️ Ask the Fans</button>
+    </div>
+    <div style="color:#666; font-size:0.8em;">Match polls use the two wrestlers, title shots the title; contenders and heel-turn candidates are picked from the roster.</div>
+    <div id="pollList" style="margin-top:12px;"></div>
+  </div>
+
   <!-- Chat Log -->
   <div class="card" style="grid-column: 1 / -1;">
     <h2>💬 Chat Log</h2>
@@ -699,17 +2252,30 @@ async function fetchJSON(url, opts) {
   return r.json();
 }
 
+// Brand label — only worth showing when there's more than one brand
+function brandTag(brandId) {
+  if (!state?.brands?.multiBrand) return '';
+  const brand = state.brands.brands.find(b => b.id === brandId);
+  return \`<span class="brand-tag">\${brand ? brand.displayName : '⚔️ Cross-brand'}</span>\`;
+}
+
 let champData = null;
 
 let ppvData = null;
+let liveData = null;
+let pollData = null;
+let tvData = null;
 
 async function refreshState() {
-  [state, characters, champData, window._matchData, ppvData] = await Promise.all([
+  [state, characters, champData, window._matchData, ppvData, liveData, pollData, tvData] = await Promise.all([
     fetchJSON('/state'),
     fetchJSON('/characters'),
     fetchJSON('/championships'),
     fetchJSON('/matches'),
     fetchJSON('/ppv'),
+    fetchJSON('/matches/live'),
+    fetchJSON('/polls'),
+    fetchJSON('/tv'),
   ]);
   render();
 }
@@ -739,7 +2305,9 @@ function render() {
     const statusLabel = c.active ? 'Active' : c.inWings ? 'In Wings' : 'Inactive';
     roster.innerHTML += \`<div class="char-card \${statusClass}" onclick="toggleCharacter('\${id}', \${c.active})">
       <div class="name">\${c.displayName}</div>
-      <div class="alignment">\${c.alignment} · \${c.era}</div>
+      \${brandTag(c.brand)}
+      <div class="alignment">\${c.alignment}\${c.turns.length ? ' ↻' : ''} · \${c.era}
+        <button class="btn btn-yellow" style="padding:2px 6px; font-size:0.75em;" onclick="event.stopPropagation(); turnCharacter('\${id}')">Turn</button></div>
       <div class="heat">\${c.heat > 0 ? '🔥'.repeat(Math.min(c.heat, 5)) : ''}</div>
       <span class="status-badge \${statusClass}">\${statusLabel}</span>
     </div>\`;
@@ -752,16 +2320,26 @@ function render() {
     const pct = (f.intensity / 10) * 100;
     const color = f.intensity > 7 ? '#ef4444' : f.intensity > 4 ? '#fbbf24' : '#4ade80';
     feudList.innerHTML += \`<li>
-      <span>\${f.between[0]} <span class="vs">VS</span> \${f.between[1]}</span>
+      <span>\${f.between[0]} <span class="vs">VS</span> \${f.between[1]} <span style="color:#aaa; font-size:0.8em;" title="\${s.feudPhases?.[f.phase] || ''}">\${f.phase}</span></span>
       <span class="intensity">\${f.intensity.toFixed(1)}/10
         <span class="intensity-bar"><span class="intensity-fill" style="width:\${pct}%; background:\${color};"></span></span>
       </span>
     </li>\`;
   });
   
+  // Relationships (feuds are listed above)
+  const relationshipList = document.getElementById('relationshipList');
+  relationshipList.innerHTML = '';
+  (s.relationships || []).filter(r => r.type !== 'feud').forEach(r => {
+    relationshipList.innerHTML += \`<li>
+      <span>\${r.between[0]} <span class="vs" title="\${s.relationshipTypes?.[r.type] || ''}">\${r.type}</span> \${r.between[1]}</span>
+      <button class="btn btn-red" onclick="removeRelationship('\${r.between[0]}', '\${r.between[1]}', '\${r.type}')">✕</button>
+    </li>\`;
+  });
+  
   // Dropdowns
   const options = charEntries.map(([id, c]) => \`<option value="\${id}">\${c.name}</option>\`).join('');
-  ['feudChar1','feudChar2','speakChar','champChar','matchChar1','matchChar2'].forEach(sel => {
+  ['feudChar1','feudChar2','relChar1','relChar2','speakChar','champChar','matchChar1','matchChar2','signChar','tradeChar1','tradeChar2','pollChar1','pollChar2'].forEach(sel => {
     document.getElementById(sel).innerHTML = options;
   });
   
@@ -769,19 +2347,33 @@ function render() {
   const champList = document.getElementById('champList');
   if (champData?.championships) {
     champList.innerHTML = Object.entries(champData.championships).map(([id, c]) => {
-      const holderName = c.holder ? (characters.characters[c.holder]?.name || c.holder) : 'VACANT';
+      const holderName = c.holder ? [].concat(c.holder).map(h => characters.characters[h]?.name || h).join(' & ') : 'VACANT';
       const color = c.holder ? '#4ade80' : '#666';
       return \`<div style="background:#16213e; border-radius:6px; padding:10px; display:flex; justify-content:space-between; align-items:center;">
-        <div><strong>\${c.displayName}</strong></div>
-        <div style="color:\${color}; font-weight:bold;">\${holderName}\${c.defenses > 0 ? ' ('+c.defenses+' defenses)' : ''}</div>
+        <div><strong>\${c.displayName}</strong> \${brandTag(c.brand)}</div>
+        <div style="color:\${color}; font-weight:bold;">\${holderName}\${c.defenses > 0 ? ' ('+c.defenses+' defenses)' : ''}
+          <button class="btn btn-blue" onclick="showLineage('\${id}')" style="padding:2px 8px; font-size:0.8em;" title="Title history">📜</button></div>
       </div>\`;
     }).join('');
     
     // Championship dropdowns
     const titleOpts = Object.entries(champData.championships).map(([id, c]) => \`<option value="\${id}">\${c.name}</option>\`).join('');
     document.getElementById('champTitle').innerHTML = titleOpts;
+    document.getElementById('pollTitle').innerHTML = titleOpts;
   }
 
+  // Brands
+  const brandInfo = state.brands?.brands || [];
+  document.getElementById('brandList').innerHTML = brandInfo.map(b => \`<div style="background:#16213e; border-radius:6px; padding:10px;">
+    <strong>\${b.displayName}</strong>
+    <span style="color:#aaa; font-size:0.8em;">\${b.channelId ? '#' + b.channelId : 'any channel'} · promos \${b.promoIntervalMinutes > 0 ? 'every ' + b.promoIntervalMinutes + 'm' : 'off'}</span>
+    <div style="margin-top:6px; font-size:0.85em;">\${b.roster.map(id => characters.characters[id]?.name || id).join(', ') || '<span style="color:#666;">Empty roster</span>'}</div>
+    <div style="margin-top:4px; font-size:0.8em; color:#fbbf24;">\${b.titles.map(t => champData?.championships?.[t]?.displayName || t).join(' · ')}</div>
+  </div>\`).join('');
+  const brandOpts = brandInfo.map(b => \`<option value="\${b.id}">\${b.displayName}</option>\`).join('');
+  document.getElementById('signBrand').innerHTML = brandOpts;
+  document.getElementById('ppvBrand').innerHTML = brandOpts;
+
   // PPV section
   if (ppvData) {
     const ppvTemplateSelect = document.getElementById('ppvTemplate');
@@ -796,14 +2388,16 @@ function render() {
     
     if (ppvData.active) {
       ppvHtml += \`<div style="padding:12px; background:#1a0a0a; border:2px solid #e94560; border-radius:8px; margin-bottom:8px;">
-        <strong style="color:#e94560;">🔴 LIVE: \${ppvData.active.emoji} \${ppvData.active.name}</strong>
+        <strong style="color:#e94560;">🔴 LIVE: \${ppvData.active.emoji} \${ppvData.active.name}</strong> \${brandTag(ppvData.active.brand)}
         <div style="color:#aaa; font-size:0.85em;">\${ppvData.active.matchCard.length} matches · \${ppvData.active.results?.length || 0} completed</div>
       </div>\`;
     }
     
     for (const evt of (ppvData.scheduled || [])) {
       ppvHtml += \`<div style="padding:10px; background:#16213e; border-radius:8px; margin-bottom:6px; display:flex; justify-content:space-between; align-items:center;">
-        <div><strong>\${evt.emoji} \${evt.name}</strong> <span style="color:#aaa;">(\${evt.matchCard.length} matches)</span></div>
+        <div><strong>\${evt.emoji} \${evt.name}</strong> \${brandTag(evt.brand)} <span style="color:#aaa;">(\${evt.matchCard.length} matches)</span>
+          <div style="color:#aaa; font-size:0.8em;">\${evt.scheduledAt ? '⏰ ' + new Date(evt.scheduledAt).toLocaleString() + (evt.countdowns?.length ? ' · countdown: T-' + evt.countdowns[evt.countdowns.length - 1] : '') : 'No date — runs when you start it'}</div>
+          \${evt.buildup?.total ? \`<div style="color:#aaa; font-size:0.8em;">🛣️ Road to the show: \${evt.buildup.done}/\${evt.buildup.total} beats\${evt.buildup.next ? ' · next: ' + evt.buildup.next.emoji + ' ' + evt.buildup.next.name + ' — ' + evt.buildup.next.match + ', ' + new Date(evt.buildup.next.dueAt).toLocaleString() : ''}</div>\` : ''}</div>
         <button class="btn btn-green" onclick="runPPVEvent('\${evt.id}')" style="padding:4px 12px; font-size:0.8em;">▶ RUN</button>
       </div>\`;
     }
@@ -812,7 +2406,7 @@ function render() {
       ppvHtml += '<div style="margin-top:8px; color:#666; font-size:0.85em;">Recent:</div>';
       for (const evt of (ppvData.completed || []).slice(-3).reverse()) {
         ppvHtml += \`<div style="padding:6px; background:#0f0f1a; border-radius:4px; margin-bottom:4px; font-size:0.85em; color:#aaa;">
-          \${evt.emoji} \${evt.name} — \${evt.results?.length || 0} matches
+          \${evt.emoji} \${evt.name} — \${evt.status === 'skipped' ? 'skipped (' + evt.skippedReason + ')' : (evt.results?.length || 0) + ' matches'}
         </div>\`;
       }
     }
@@ -820,6 +2414,58 @@ function render() {
     ppvList.innerHTML = ppvHtml || '<div style="color:#666;">No events scheduled</div>';
   }
 
+  // Weekly TV
+  if (tvData?.schedule) {
+    const names = ids => ids.map(id => characters?.characters[id]?.name || id).join(ids.length === 2 ? ' vs ' : ', ');
+    let tvHtml = tvData.schedule.map(t => \`<div style="padding:10px; background:#16213e; border-radius:8px; margin-bottom:6px; display:flex; justify-content:space-between; align-items:center;">
+      <div>\${brandTag(t.brand) || '<strong>Weekly show</strong>'} <span style="color:#aaa; font-size:0.85em;">\${t.nextAirAt ? 'next: ' + new Date(t.nextAirAt).toLocaleString() : 'no TV night'} · \${t.episodes} episodes</span></div>
+      <button class="btn btn-green" onclick="airEpisode('\${t.brand}')" style="padding:4px 12px; font-size:0.8em;">▶ AIR NOW</button>
+    </div>\`).join('');
+    const ep = tvData.active;
+    if (ep) {
+      tvHtml += \`<div style="padding:12px; background:#1a0a0a; border:2px solid #e94560; border-radius:8px; margin-bottom:8px;">
+        <strong style="color:#e94560;">🔴 ON AIR: Episode \${ep.number}</strong> \${brandTag(ep.brand)}\${ep.ppv ? ' <span style="color:#aaa;">— road to ' + ep.ppv.name + '</span>' : ''}
+        \${ep.segments.map(s => \`<div style="font-size:0.85em; color:\${s.status === 'done' ? '#666' : '#ddd'};">\${tvData.segments[s.slot].emoji} \${tvData.segments[s.slot].name}: \${names(s.characters)}\${s.winner ? ' — 🏆 ' + names([s.winner]) : ''}</div>\`).join('')}
+      </div>\`;
+    }
+    if (tvData.recent.length > 0) {
+      tvHtml += '<div style="margin-top:8px; color:#666; font-size:0.85em;">Recent:</div>';
+      tvHtml += tvData.recent.slice(0, 4).map(e => {
+        const main = e.segments.find(s => s.slot === 'main-event');
+        return \`<div style="padding:6px; background:#0f0f1a; border-radius:4px; margin-bottom:4px; font-size:0.85em; color:#aaa;">
+          \${brandTag(e.brand)} Episode \${e.number}\${main ? ' — main event: ' + names(main.characters) + (main.winner ? ' (🏆 ' + names([main.winner]) + ')' : '') : ''}\${e.feuds?.length ? ' · 🔥 ' + e.feuds.map(f => names(f.between) + ' ' + f.intensity).join(', ') : ''}
+        </div>\`;
+      }).join('');
+    }
+    document.getElementById('tvList').innerHTML = tvHtml;
+  }
+
+  // Fan polls
+  if (pollData?.types) {
+    document.getElementById('pollType').innerHTML = pollData.types.map(t => \`<option value="\${t.id}">\${t.emoji} \${t.name}</option>\`).join('');
+    const tally = p => p.tally.map(o => {
+      const pct = p.turnout ? Math.round((o.votes / p.turnout) * 100) : 0;
+      return \`<div style="display:flex; justify-content:space-between; font-size:0.85em;"><span>\${o.label}</span><span>\${o.votes} (\${pct}%)</span></div>\`;
+    }).join('');
+    let pollHtml = pollData.open.map(p => \`<div style="padding:10px; background:#16213e; border-radius:8px; margin-bottom:6px;">
+      <div style="display:flex; justify-content:space-between; align-items:center;">
+        <div><strong>\${p.question}</strong> \${brandTag(p.brand)} <span style="color:#aaa; font-size:0.8em;">closes \${new Date(p.closesAt).toLocaleTimeString()}</span></div>
+        <button class="btn btn-yellow" onclick="closePollNow('\${p.id}')" style="padding:4px 12px; font-size:0.8em;">🏁 Close</button>
+      </div>
+      \${tally(p)}
+    </div>\`).join('');
+    if (pollData.closed.length > 0) {
+      pollHtml += '<div style="margin-top:8px; color:#666; font-size:0.85em;">Results:</div>';
+      pollHtml += pollData.closed.slice(0, 5).map(p => {
+        const winner = p.tally.find(o => o.id === p.result?.winner);
+        return \`<div style="padding:6px; background:#0f0f1a; border-radius:4px; margin-bottom:4px; font-size:0.85em; color:#aaa;">
+          \${p.question} — <strong style="color:#4ade80;">\${winner ? winner.label : 'no votes'}</strong> (\${p.turnout} votes)\${p.appliedTo ? ' · booked' : ''}
+        </div>\`;
+      }).join('');
+    }
+    document.getElementById('pollList').innerHTML = pollHtml || '<div style="color:#666;">No polls yet</div>';
+  }
+
   // Match title dropdown
   if (champData?.championships) {
     const matchTitleSel = document.getElementById('matchTitle');
@@ -831,13 +2477,40 @@ function render() {
   if (window._matchData?.recentMatches) {
     document.getElementById('matchHistory').innerHTML = window._matchData.recentMatches.slice(-5).reverse().map(m => {
       const names = m.participants.map(p => characters?.characters[p]?.name || p);
-      const winner = characters?.characters[m.winner]?.name || m.winner;
+      const winner = (m.winners || [m.winner]).map(w => characters?.characters[w]?.name || w).join(' & ');
       return \`<div style="padding:4px; margin-bottom:4px; background:#16213e; border-radius:4px;">
         <strong>\${names.join(' vs ')}</strong> — 🏆 \${winner} (${''}\${m.winMethod}, \${m.rounds} rds)
       </div>\`;
     }).join('');
   }
 
+  // Live match
+  const live = liveData?.live;
+  const liveEl = document.getElementById('liveMatch');
+  if (live) {
+    const names = (live.teams || live.participants.map(p => [p]))
+      .map(side => side.map(p => characters?.characters[p]?.name || p).join(' & ')).join(' vs ');
+    const running = live.status === 'running' || live.status === 'paused';
+    const statusColor = live.status === 'running' ? '#4ade80' : live.status === 'paused' ? '#fbbf24' : '#aaa';
+    const winner = live.winner ? (live.winners || [live.winner]).map(w => characters?.characters[w]?.name || w).join(' & ') : null;
+    liveEl.innerHTML = \`<div style="padding:10px; background:#1a0a0a; border:2px solid \${running ? '#e94560' : '#333'}; border-radius:8px;">
+      <div style="display:flex; justify-content:space-between; align-items:center;">
+        <strong>📡 \${names}</strong>
+        <span style="color:\${statusColor}; font-weight:bold;">\${live.status.toUpperCase()} · Rd \${live.round}/\${live.totalRounds}</span>
+      </div>
+      \${winner ? \`<div style="margin-top:4px;">🏆 \${winner} (\${live.winMethod})</div>\` : ''}
+      \${running ? \`<div class="controls" style="margin:8px 0 0;">
+        <button class="btn btn-yellow" onclick="toggleLivePause()">\${live.status === 'paused' ? '▶ Resume' : '⏸ Pause'}</button>
+        <button class="btn btn-red" onclick="abortLive()">🛑 Abort</button>
+      </div>\` : ''}
+      <div style="margin-top:8px; max-height:150px; overflow-y:auto; font-size:0.85em;">
+        \${live.feed.slice().reverse().map(f => \`<div style="margin-bottom:4px;"><strong>Rd \${f.round}</strong> \${f.narrative}\${f.commentary ? \`<div style="color:#aaa;">🎙️ \${f.announcer}: \${f.commentary}</div>\` : ''}</div>\`).join('')}
+      </div>
+    </div>\`;
+  } else {
+    liveEl.innerHTML = '';
+  }
+
   // Story beats
   const beats = document.getElementById('storyBeats');
   beats.innerHTML = s.recentHistory.slice(-10).reverse().map(h => 
@@ -888,14 +2561,66 @@ async function createFeud() {
   refreshState();
 }
 
+async function setRelationship() {
+  const char1 = document.getElementById('relChar1').value;
+  const char2 = document.getElementById('relChar2').value;
+  const type = document.getElementById('relType').value;
+  if (char1 === char2) { alert('Pick two different wrestlers'); return; }
+  await fetchJSON('/relationships', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ char1, char2, type }) });
+  refreshState();
+}
+
+async function removeRelationship(char1, char2, type) {
+  await fetchJSON('/relationships', { method:'DELETE', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ char1, char2, type }) });
+  refreshState();
+}
+
 async function schedulePPV() {
   const templateId = document.getElementById('ppvTemplate').value;
-  const r = await fetchJSON('/ppv/schedule', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ templateId }) });
-  if (r.ok) {
+  // Cross-brand events (Survivor Series) belong to every brand
+  const crossBrand = ppvData?.templates?.find(t => t.id === templateId)?.crossBrand;
+  const brand = crossBrand ? undefined : document.getElementById('ppvBrand').value;
+  const when = document.getElementById('ppvWhen').value;
+  const scheduledAt = when ? new Date(when).getTime() : undefined;
+  const autoBook = document.getElementById('ppvBookNow').checked;
+  const r = await fetchJSON('/ppv/schedule', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ templateId, brand, scheduledAt, autoBook }) });
+  if (!r.ok) alert('Error: ' + (r.error || 'unknown'));
+  if (r.ok && autoBook) {
+    alert(r.event.emoji + ' ' + r.event.name + ' scheduled! Card booked' + (scheduledAt ? ' — the road to the show starts now.' : '.'));
+  } else if (r.ok && !scheduledAt) {
     // Auto-book the card
     await fetchJSON('/ppv/' + r.event.id + '/auto-book', { method:'POST', headers:{'Content-Type':'application/json'}, body:'{}' });
     alert(r.event.emoji + ' ' + r.event.name + ' scheduled! Card auto-booked.');
+  } else if (r.ok) {
+    // The scheduler books the card closer to the date, with the feuds as they are then
+    alert(r.event.emoji + ' ' + r.event.name + ' scheduled for ' + new Date(scheduledAt).toLocaleString() + '! The card is booked ' + (ppvData?.scheduler?.autoBookHours ?? 24) + 'h before.');
+  }
+  refreshState();
+}
+
+async function startPoll() {
+  const type = document.getElementById('pollType').value;
+  const body = { type, durationMinutes: parseInt(document.getElementById('pollMinutes').value) || 60 };
+  if (type === 'match-type' || type === 'match-winner') {
+    body.participants = [document.getElementById('pollChar1').value, document.getElementById('pollChar2').value];
+    if (body.participants[0] === body.participants[1]) { alert('Pick two different wrestlers'); return; }
   }
+  if (type === 'title-shot') body.titleId = document.getElementById('pollTitle').value;
+  const r = await fetchJSON('/polls', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify(body) });
+  if (!r.ok) alert('Error: ' + (r.error || 'unknown'));
+  refreshState();
+}
+
+async function airEpisode(brand) {
+  if (!confirm('Put this week\\'s episode on the air now?')) return;
+  const r = await fetchJSON('/tv/' + brand + '/run', { method:'POST', headers:{'Content-Type':'application/json'}, body:'{}' });
+  if (!r.ok) alert('Error: ' + (r.error || 'unknown'));
+  refreshState();
+}
+
+async function closePollNow(pollId) {
+  const r = await fetchJSON('/polls/' + pollId + '/close', { method:'POST', headers:{'Content-Type':'application/json'}, body:'{}' });
+  if (!r.ok) alert('Error: ' + (r.error || 'unknown'));
   refreshState();
 }
 
@@ -917,13 +2642,69 @@ async function bookMatch() {
   const r = await fetchJSON('/matches/simulate', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ participants: [c1, c2], matchType, forTitle }) });
   if (r.ok) {
     const winner = characters?.characters[r.result.match.winner]?.name || r.result.match.winner;
-    document.getElementById('matchResult').textContent = '🏆 Winner: ' + winner + ' (' + r.result.match.winMethod + ', ' + r.result.rounds.length + ' rounds)';
+    const title = r.result.titleChange ? ' — 👑 new champion!' : r.result.titleDefense ? ' — 🛡️ title retained (defense #' + r.result.titleDefense.defenses + ')' : '';
+    document.getElementById('matchResult').textContent = '🏆 Winner: ' + winner + ' (' + r.result.match.winMethod + ', ' + r.result.rounds.length + ' rounds)' + title;
   } else {
     document.getElementById('matchResult').textContent = 'Error: ' + (r.error || 'unknown');
   }
   refreshState();
 }
 
+async function goLive() {
+  const c1 = document.getElementById('matchChar1').value;
+  const c2 = document.getElementById('matchChar2').value;
+  if (c1 === c2) { alert('Pick two different wrestlers'); return; }
+  const matchType = document.getElementById('matchType').value;
+  const forTitle = document.getElementById('matchTitle').value || undefined;
+  const r = await fetchJSON('/matches/live', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ participants: [c1, c2], matchType, forTitle }) });
+  if (!r.ok) alert('Error: ' + (r.error || 'unknown'));
+  refreshState();
+}
+
+async function toggleLivePause() {
+  const action = liveData?.live?.status === 'paused' ? '/matches/live/resume' : '/matches/live/pause';
+  await fetchJSON(action, { method: 'POST' });
+  refreshState();
+}
+
+async function abortLive() {
+  if (!confirm('Stop this match? It will end as a no contest.')) return;
+  await fetchJSON('/matches/live/abort', { method: 'POST' });
+  refreshState();
+}
+
+function reignLength(ms) {
+  const minutes = Math.max(0, Math.floor(ms / 60000));
+  return minutes >= 2880 ? Math.floor(minutes / 1440) + ' days' : minutes >= 120 ? Math.floor(minutes / 60) + ' hours' : minutes + ' min';
+}
+
+async function showLineage(titleId) {
+  const r = await fetchJSON('/championships/' + titleId + '/history');
+  const el = document.getElementById('champLineage');
+  if (!r.ok) { el.innerHTML = ''; return; }
+  const names = h => [].concat(h).map(c => characters.characters[c]?.name || c).join(' & ');
+  const s = r.stats;
+  const records = [
+    s.longestReign ? '⏳ Longest: ' + names(s.longestReign.holder) + ' (' + reignLength(s.longestReign.length) + ')' : '',
+    s.mostReigns ? '🔁 Most reigns: ' + names(s.mostReigns.holder) + ' (' + s.mostReigns.reigns + ')' : '',
+    s.mostDefenses ? '🛡️ Most defenses: ' + names(s.mostDefenses.holder) + ' (' + s.mostDefenses.defenses + ')' : '',
+  ].filter(Boolean).join(' · ');
+  el.innerHTML = \`<div style="background:#16213e; border-radius:6px; padding:10px;">
+    <div style="display:flex; justify-content:space-between; align-items:center;">
+      <strong>📜 \${champData.championships[titleId]?.displayName || titleId} — \${s.totalReigns} reign\${s.totalReigns === 1 ? '' : 's'}, \${s.champions} champion\${s.champions === 1 ? '' : 's'}</strong>
+      <span><button class="btn btn-yellow" onclick="postLineage('\${titleId}')" style="padding:2px 8px; font-size:0.8em;">📣 Post</button>
+      <button class="btn" onclick="document.getElementById('champLineage').innerHTML=''" style="padding:2px 8px; font-size:0.8em;">✕</button></span>
+    </div>
+    <div style="color:#fbbf24; font-size:0.8em; margin:4px 0;">\${records || 'Nobody has held it yet'}</div>
+    \${r.lineage.slice().reverse().map(l => \`<div style="font-size:0.85em; color:\${l.current ? '#4ade80' : '#aaa'};">\${l.number}. \${names(l.holder)} — \${reignLength(l.length)}, \${l.defenses} def.\${l.current ? ' 👑 current' : l.vacated ? ' (vacated)' : ''}</div>\`).join('')}
+  </div>\`;
+}
+
+async function postLineage(titleId) {
+  const r = await fetchJSON('/championships/' + titleId + '/history/post', { method:'POST', headers:{'Content-Type':'application/json'}, body:'{}' });
+  alert(r.ok ? '📜 Title history posted' : 'Error: ' + (r.error || 'unknown'));
+}
+
 async function awardTitle() {
   const titleId = document.getElementById('champTitle').value;
   const characterId = document.getElementById('champChar').value;
@@ -932,6 +2713,36 @@ async function awardTitle() {
   refreshState();
 }
 
+async function signToBrand() {
+  const characterId = document.getElementById('signChar').value;
+  const brand = document.getElementById('signBrand').value;
+  const r = await fetchJSON('/brands/' + brand + '/sign', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ characterId }) });
+  if (!r.ok) alert('Error: ' + (r.error || 'unknown'));
+  refreshState();
+}
+
+async function runDraft() {
+  if (!confirm('Redraft the whole roster?')) return;
+  const r = await fetchJSON('/brands/draft', { method:'POST', headers:{'Content-Type':'application/json'}, body: '{}' });
+  if (r.ok) alert('📋 Draft complete — ' + r.moves.length + ' wrestlers changed brands');
+  else alert('Error: ' + (r.error || 'unknown'));
+  refreshState();
+}
+
+async function tradeWrestlers() {
+  const send = document.getElementById('tradeChar1').value;
+  const receive = document.getElementById('tradeChar2').value;
+  const r = await fetchJSON('/brands/trade', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ send: [send], receive: [receive] }) });
+  if (!r.ok) alert('Error: ' + (r.error || 'unknown'));
+  refreshState();
+}
+
+async function turnCharacter(id) {
+  const r = await fetchJSON('/characters/' + id + '/turn', { method:'POST', headers:{'Content-Type':'application/json'}, body: '{}' });
+  if (r.error) alert(r.error);
+  refreshState();
+}
+
 async function toggleCharacter(id, isActive) {
   await fetchJSON('/characters', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ id, active: !isActive }) });
   refreshState();
@@ -950,38 +2761,41 @@ setInterval(loadChat, 8000);
 // PPV Runner
 // ---------------------------------------------------------------------------
 async function runPPV(event) {
-  const channel = discordClient?.channels?.cache?.get(CONFIG.channelId);
-  if (!channel && !webhookClient) {
+  const showBrands = eventBrands(event);
+  const stage = stageFor(showBrands);
+  if (!isOnAir(stage)) {
     console.error('No channel or webhook for PPV broadcast');
     ppvEngine.completeEvent();
     return;
   }
 
-  const send = async (content, username = '📢 Ring Announcer') => {
-    if (webhookClient) {
-      await webhookClient.send({ content, username });
-    } else if (channel) {
-      await channel.send(content);
+  const send = content => postToStage(stage, content);
+  const roster = showBrands.flatMap(id => brands.getRoster(id));
+  // Saved as it goes, so a restart mid-show can resume it (see handleMissedEvents)
+  await savePPVs();
+
+  // Pre-show hype — a show resumed after a restart goes straight back to the ring
+  const played = new Set(event.results.map(r => r.order));
+  if (played.size === 0) {
+    const hypeMessages = ppvEngine.buildHypeMessages(event);
+    for (const msg of hypeMessages) {
+      await send(msg);
+      await sleep(2000);
     }
-  };
 
-  // Pre-show hype
-  const hypeMessages = ppvEngine.buildHypeMessages(event);
-  for (const msg of hypeMessages) {
-    await send(msg);
-    await sleep(2000);
+    await sleep(5000);
+    await send(`\n🔔 **THE SHOW IS ABOUT TO BEGIN!** 🔔\n${'═'.repeat(30)}`);
+    await sleep(3000);
   }
 
-  await sleep(5000);
-  await send(`\n🔔 **THE SHOW IS ABOUT TO BEGIN!** 🔔\n${'═'.repeat(30)}`);
-  await sleep(3000);
-
   // Run each match
-  for (const matchEntry of event.matchCard) {
+  for (const matchEntry of event.matchCard.filter(m => !played.has(m.order))) {
     await sleep(4000);
 
     // Match intro
-    const names = matchEntry.participants.map(p => getCharacter(p)?.displayName || p);
+    const names = matchEntry.teams
+      ? matchEntry.teams.map(t => displayNames(t))
+      : matchEntry.participants.map(p => getCharacter(p)?.displayName || p);
     const typeLabel = matchEntry.matchType !== 'singles' ? ` [${matchEntry.matchType.toUpperCase()}]` : '';
     const titleLabel = matchEntry.forTitle ? ` for the ${matchEntry.forTitle}` : '';
     const mainLabel = matchEntry.isMainEvent ? '\n🌟 **THIS IS YOUR MAIN EVENT OF THE EVENING!** 🌟' : '';
@@ -998,34 +2812,52 @@ async function runPPV(event) {
       }
     }
 
-    // Simulate the match
-    const result = matchEngine.simulateFullMatch(
+    // The belt may have changed hands since the card was booked
+    const titleError = checkTitleMatch(matchEntry.forTitle, matchEntry.participants, { matchType: matchEntry.matchType, teams: matchEntry.teams });
+    if (titleError) {
+      await send(`⚠️ ${titleError} — this one is no longer for the title.`);
+      await sleep(2000);
+    }
+
+    // Play the match out live (titles are settled when it ends)
+    const live = startLiveMatch(
       matchEntry.participants,
       matchEntry.matchType,
-      { forTitle: matchEntry.forTitle }
+      {
+        forTitle: titleError ? null : matchEntry.forTitle,
+        teams: matchEntry.teams || undefined,
+        script: matchEntry.script || undefined,
+        stipulation: matchEntry.stipulation || undefined,
+        brand: brands.checkMatch(matchEntry.participants, { crossBrand: true }).brand ?? null,
+        runInCandidates: storyline.getRunInCandidates(matchEntry.participants, roster),
+        crowdSupport: polls.crowdSupport(matchEntry.participants),
+      },
+      stage
     );
 
-    if (result.error) {
-      await send(`⚠️ Match error: ${result.error}`);
+    if (live.error) {
+      await send(`⚠️ Match error: ${live.error}`);
       continue;
     }
 
-    // Post match to Discord
-    await postMatchToDiscord(result, channel);
-
-    // Handle title change
-    if (matchEntry.forTitle && result.match.winner) {
-      const titleResult = championships.awardTitle(matchEntry.forTitle, result.match.winner, result.match.winMethod);
-      result.titleChange = titleResult;
+    const result = await live.done;
+    if (!result) {
+      storyline.cancelBlowOff(matchEntry.participants[0], matchEntry.participants[1]);
+      ppvEngine.recordMatchResult(matchEntry.order, { winner: null, winners: [], winMethod: 'no-contest', rounds: live.rounds.length, titleChange: false });
+      await savePPVs();
+      continue;
     }
 
     // Record result in PPV
     ppvEngine.recordMatchResult(matchEntry.order, {
       winner: result.match.winner,
+      winners: result.match.winners,
       winMethod: result.match.winMethod,
       rounds: result.rounds.length,
       titleChange: !!result.titleChange,
+      titleDefense: !!result.titleDefense,
     });
+    await savePPVs();
 
     // Pause between matches
     await sleep(6000);
@@ -1049,52 +2881,151 @@ async function runPPV(event) {
 }
 
 // ---------------------------------------------------------------------------
-// Match Broadcast
+// TV Episode Runner
 // ---------------------------------------------------------------------------
-async function postMatchToDiscord(result, channel) {
-  const match = result.match;
-  const type = match.typeEmoji || '🤼';
-  const winnerChar = getCharacter(match.winner);
-  
-  // Opening card
-  const participantNames = match.participants.map(p => getCharacter(p)?.displayName || p).join(' vs ');
-  const opener = `${type} **${match.typeName || 'MATCH'}**\n${participantNames}\n${match.forTitle ? `*For the ${match.forTitle}*\n` : ''}🔔 **DING DING DING!**`;
-  
-  if (webhookClient) {
-    await webhookClient.send({ content: opener, username: '📢 Ring Announcer' });
-  } else {
-    await channel.send(opener);
+async function runEpisode(episode) {
+  const brand = brands.getBrand(episode.brand);
+  const stage = stageFor(episode.brand);
+  if (!isOnAir(stage)) {
+    console.error(`No channel or webhook for ${brand.name}`);
+    tvShows.completeEpisode();
+    return;
+  }
+
+  const send = content => postToStage(stage, content);
+  await send(formatRundown(episode, brand.name));
+
+  for (const [index, segment] of episode.segments.entries()) {
+    await sleep(4000);
+    tvShows.recordSegment(index, await runSegment(segment, episode, stage));
+  }
+
+  // Every feud that got TV time moves toward the PPV
+  const feuds = [];
+  for (const segment of episode.segments.filter(s => s.characters.length === 2)) {
+    const feud = storyline.advanceFeud(segment.characters[0], segment.characters[1], episode.ppv?.episodesLeft);
+    if (feud && !feuds.includes(feud)) feuds.push(feud);
+  }
+  const completed = tvShows.completeEpisode(feuds.map(f => ({ between: [...f.between], intensity: Math.round(f.intensity * 10) / 10, phase: f.phase })));
+
+  await sleep(3000);
+  await send(episode.ppv?.episodesLeft === 1
+    ? `📺 **That's the go-home show!** Next stop: ${episode.ppv.name.toUpperCase()}!`
+    : `📺 That's all for this week on ${brand.displayName}!`);
+
+  storyline.tvData = tvShows.toJSON();
+  await storyline.saveState();
+  console.log(`${brand.name} episode ${completed.number} completed`);
+}
+
+/**
+ * Play one part of the rundown. Returns what happened (a match's winner).
+ */
+async function runSegment(segment, episode, stage) {
+  const { slot, beat, characters } = segment;
+  const send = content => postToStage(stage, content);
+
+  if (beat === 'match') {
+    if (slot === 'main-event') await send('🌟 **IT\'S TIME FOR YOUR MAIN EVENT!** 🌟');
+    const live = startLiveMatch(characters, segment.matchType || 'singles', {
+      brand: episode.brand,
+      runInCandidates: storyline.getRunInCandidates(characters, brands.getRoster(episode.brand)),
+      crowdSupport: polls.crowdSupport(characters),
+    }, stage);
+    if (live.error) {
+      await send(`⚠️ Match error: ${live.error}`);
+      return { error: live.error };
+    }
+    const result = await live.done;
+    return result
+      ? { matchId: result.match.id, winner: result.match.winner, winMethod: result.match.winMethod }
+      : { winner: null, winMethod: 'no-contest' };
+  }
+
+  if (beat === 'match-announcement') {
+    await send(`📢 **JUST ANNOUNCED FOR ${segment.event.toUpperCase()}:** ${displayNames(characters, ' vs ')}!`);
+    storyline.recordSegment(beat, characters, { episode: episode.id });
+    return {};
+  }
+
+  // Talking segments — everyone in it has their say, in order
+  const { emoji, name } = SEGMENTS[slot];
+  await send(`${emoji} **${name.toUpperCase()}**`);
+  let lastLine = slot === 'backstage' ? '(Backstage, the camera catches up with them...)' : '(The arena goes quiet as the music hits...)';
+  for (const characterId of characters) {
+    const others = characters.filter(c => c !== characterId);
+    const context = storyline.generateSegmentContext(beat, characterId, others, { ppv: segment.event || episode.ppv?.name, goHome: segment.goHome });
+    const line = await speakAsCharacter({ characterId, context, reason: `tv-${slot}` }, lastLine, stage, { priority: 'promo' });
+    if (line) lastLine = line;
+    await sleep(2000);
   }
+  storyline.recordSegment(beat, characters, { episode: episode.id });
+
+  if (slot === 'cliffhanger') {
+    const [standing, laidOut] = Math.random() < 0.5 ? characters : [...characters].reverse();
+    await send(`🎬 *The show goes off the air with ${getCharacter(standing)?.name || standing} standing tall over ${getCharacter(laidOut)?.name || laidOut}!*`);
+    triggerAnnouncerCommentary('feud-escalation', `${getCharacter(standing)?.name} laid out ${getCharacter(laidOut)?.name} to close the show`, stage, characters)
+      .catch(err => console.error('Announcer error:', err.message));
+    return { standing };
+  }
+  return {};
+}
+
+// ---------------------------------------------------------------------------
+// Match Broadcast
+// ---------------------------------------------------------------------------
+async function postMatchToDiscord(result, stage) {
+  await postMatchOpener(result.match, stage);
 
   // Post key rounds (not all — just highlights)
   const highlights = result.rounds.filter(r => 
     ['near-fall', 'finisher-attempt', 'finisher-counter', 'near-fall-kickout', 
-     'comeback', 'weapon-shot', 'ref-bump', 'outside-brawl'].includes(r.beat) || r.isFinish
+     'comeback', 'weapon-shot', 'ref-bump', 'outside-brawl', 'hot-tag', 'pin-break-up', 'run-in'].includes(r.beat) ||
+    r.eliminatedNow?.length > 0 || r.isFinish
   ).slice(-4); // Last 4 highlights max
 
   for (const round of highlights) {
     await sleep(2500 + Math.random() * 2000);
     const prompt = matchEngine.buildRoundPrompt(round);
-    if (prompt) {
-      if (webhookClient) {
-        await webhookClient.send({ content: `> ${prompt.narrative}`, username: '📢 Ring Announcer' });
-      } else {
-        await channel.send(`> ${prompt.narrative}`);
-      }
+    if (prompt) await postToStage(stage, `> ${prompt.narrative}`);
+  }
+
+  await postMatchResult(result, stage, highlights.length >= 3);
+}
+
+async function postMatchOpener(match, stage) {
+  const type = match.typeEmoji || '🤼';
+
+  // Opening card
+  const participantNames = match.teams
+    ? match.teams.map(t => displayNames(t)).join(' vs ')
+    : displayNames(match.participants, ' vs ');
+  const opener = `${type} **${match.typeName || 'MATCH'}**\n${participantNames}\n${match.stipulation ? `*${match.stipulation}*\n` : ''}${match.forTitle ? `*For the ${match.forTitle}*\n` : ''}🔔 **DING DING DING!**`;
+  await postToStage(stage, opener);
+}
+
+/**
+ * Elimination recap, crowd pop, result, title change or defense and post-match reactions
+ */
+async function postMatchResult(result, stage, bigMatch = false) {
+  const match = result.match;
+  const winners = match.winners || [match.winner];
+  const losers = match.participants.filter(p => !winners.includes(p));
+  const winnerNames = displayNames(winners);
+
+  // Elimination recap (a single fall in a four-way is already narrated by the finish)
+  if (match.eliminations?.length > 1) {
+    await sleep(2000);
+    for (const chunk of chunkLines(['📋 **ELIMINATION ORDER**', ...matchEngine.buildEliminationLog(match)])) {
+      await postToStage(stage, chunk);
     }
   }
 
   // Crowd reaction after big moments
-  if (shouldCrowdReact('awesome') && highlights.length >= 3) {
+  if (shouldCrowdReact('awesome') && bigMatch) {
     await sleep(1500);
     const reaction = getMatchReaction('awesome');
-    if (reaction) {
-      if (webhookClient) {
-        await webhookClient.send({ content: reaction, username: '👥 The Crowd' });
-      } else if (channel) {
-        await channel.send(reaction);
-      }
-    }
+    if (reaction) await postToStage(stage, reaction, { username: '👥 The Crowd' });
   }
 
   // Final result
@@ -1102,111 +3033,269 @@ async function postMatchToDiscord(result, channel) {
   const winMethod = match.winMethod === 'pinfall' ? 'by pinfall' : 
     match.winMethod === 'submission' ? 'by submission' :
     match.winMethod === 'count-out' ? 'by count-out' :
+    match.winMethod === 'last-standing' ? 'as the last man standing' :
     `by ${match.winMethod}`;
   
-  const resultMsg = `🏆 **YOUR WINNER: ${winnerChar?.displayName || match.winner}!** (${winMethod} in ${result.rounds.length} rounds)`;
-  if (webhookClient) {
-    await webhookClient.send({ content: resultMsg, username: '📢 Ring Announcer' });
-  } else {
-    await channel.send(resultMsg);
-  }
+  const resultMsg = `🏆 **YOUR WINNER${winners.length > 1 ? 'S' : ''}: ${winnerNames}!** (${winMethod} in ${result.rounds.length} rounds)`;
+  await postToStage(stage, resultMsg);
 
   // Title change announcement
   if (result.titleChange) {
     await sleep(1500);
-    const titleMsg = `👑 **NEW ${result.titleChange.titleName.toUpperCase()} CHAMPION: ${winnerChar?.displayName || match.winner}!**`;
-    if (webhookClient) {
-      await webhookClient.send({ content: titleMsg, username: '📢 Ring Announcer' });
-    } else {
-      await channel.send(titleMsg);
-    }
+    const titleMsg = `👑 **NEW ${result.titleChange.titleName.toUpperCase()} CHAMPION${[result.titleChange.newChampion].flat().length > 1 ? 'S' : ''}: ${displayNames([result.titleChange.newChampion].flat())}!**`;
+    await postToStage(stage, titleMsg);
     // Crowd goes wild for title change
     if (shouldCrowdReact('titleChange')) {
       await sleep(1000);
       const crowdReaction = getMatchReaction('titleChange');
-      if (crowdReaction) {
-        if (webhookClient) {
-          await webhookClient.send({ content: crowdReaction, username: '👥 The Crowd' });
-        } else if (channel) {
-          await channel.send(crowdReaction);
-        }
-      }
+      if (crowdReaction) await postToStage(stage, crowdReaction, { username: '👥 The Crowd' });
     }
+  } else if (result.titleDefense) {
+    await sleep(1500);
+    const champs = [result.titleDefense.champion].flat();
+    await postToStage(stage, `🛡️ **AND STILL ${result.titleDefense.titleName.toUpperCase()} CHAMPION${champs.length > 1 ? 'S' : ''}: ${displayNames(champs)}!** (defense #${result.titleDefense.defenses})`);
   }
 
   // Announcer commentary on the finish
   triggerAnnouncerCommentary(
     result.titleChange ? 'title-change' : 'feud-escalation',
-    `${winnerChar?.name} just defeated ${match.participants.filter(p => p !== match.winner).map(p => getCharacter(p)?.name || p).join(' and ')} in a ${match.typeName}!`,
-    channel
+    `${winners.map(w => getCharacter(w)?.name || w).join(' and ')} just defeated ${losers.map(p => getCharacter(p)?.name || p).join(' and ')} in a ${match.typeName}!`,
+    stage,
+    match.participants,
+    'live'
   );
 
   // Winner reacts
+  const defended = charId => !!result.titleDefense && [result.titleDefense.champion].flat().includes(charId);
   await sleep(3000);
-  const winnerResponse = await generateResponse(
-    { characterId: match.winner, context: `You just WON a ${match.typeName} ${winMethod}! ${result.titleChange ? 'AND you are the NEW champion!' : ''} Celebrate!`, reason: 'match-win' },
+  await speakAsCharacter(
+    { characterId: match.winner, context: `You just WON a ${match.typeName} ${winMethod}! ${result.titleChange ? 'AND you are the NEW champion!' : defended(match.winner) ? 'AND you are STILL champion!' : result.titleDefense ? 'But the title stays with the champion.' : ''} Celebrate!`, reason: 'match-win' },
     'The bell rings. The match is over.',
-    messageHistory
+    stage,
+    { priority: 'live' }
   );
-  if (winnerResponse) {
-    await sendAsCharacter(match.winner, winnerResponse, channel);
-  }
 
-  // Loser reacts
-  const loser = match.participants.find(p => p !== match.winner);
+  // Loser reacts — whoever took the fall
+  const finalTarget = match.events[match.events.length - 1]?.target;
+  const loser = losers.includes(finalTarget) ? finalTarget : losers[0];
   if (loser) {
     await sleep(2500);
-    const loserResponse = await generateResponse(
-      { characterId: loser, context: `You just LOST a ${match.typeName} ${winMethod}. ${result.titleChange ? 'You lost your title!' : ''} React.`, reason: 'match-loss' },
+    await speakAsCharacter(
+      { characterId: loser, context: `You just LOST a ${match.typeName} ${winMethod}. ${result.titleChange ? 'You lost your title!' : defended(loser) ? 'But you KEEP your title!' : ''} React.`, reason: 'match-loss' },
       'The bell rings. The match is over.',
-      messageHistory
+      stage,
+      { priority: 'live' }
     );
-    if (loserResponse) {
-      await sendAsCharacter(loser, loserResponse, channel);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Live Matches
+// ---------------------------------------------------------------------------
+/**
+ * Start a match that plays out on `stage` one round at a time.
+ * `live.done` resolves with the finished result, or null if the match is aborted.
+ */
+function startLiveMatch(participants, matchType, options, stage) {
+  if (isLiveMatchRunning()) return { error: 'A live match is already in progress' };
+  const match = matchEngine.createMatch(participants, matchType, options);
+  if (match.error) return match;
+
+  const live = { match, status: 'running', rounds: [], feed: [], startedAt: Date.now() };
+  liveMatch = live;
+  live.done = runLiveMatch(live, stage).catch(err => {
+    console.error('Live match error:', err);
+    if (matchEngine.activeMatch === match) matchEngine.abortMatch();
+    live.status = 'aborted';
+    return null;
+  });
+  return live;
+}
+
+async function runLiveMatch(live, stage) {
+  const onAir = isOnAir(stage);
+  const announcerIds = Object.keys(ANNOUNCERS);
+  if (onAir) await postMatchOpener(live.match, stage);
+
+  while (true) {
+    await sleep(CONFIG.liveRoundSeconds * 1000);
+    while (live.status === 'paused') await sleep(1000);
+    if (live.status === 'aborted') {
+      matchEngine.abortMatch();
+      await sendRingAnnouncer('🛑 **The referee is calling for the bell — this match has been stopped! NO CONTEST!**', stage);
+      return null;
+    }
+
+    const round = matchEngine.nextRound();
+    live.rounds.push(round);
+    const prompt = matchEngine.buildRoundPrompt(round);
+    const narrative = prompt?.narrative || round.narrative;
+    await sendRingAnnouncer(`> ${narrative}`, stage);
+
+    // The announce team takes turns calling each beat
+    let commentary = null;
+    const announcerId = announcerIds[(round.round - 1) % announcerIds.length];
+    const announcer = prompt && buildAnnouncerPrompt(announcerId, 'play-by-play', prompt.commentaryPrompt, describeInvolved(live.match.participants));
+    if (announcer) {
+      try {
+        commentary = await generateAnnouncerLine(announcer, { priority: 'live', deadlineMs: CONFIG.liveRoundSeconds * 1000 });
+        if (commentary) await sendAsAnnouncer(announcer, commentary, stage);
+      } catch (err) {
+        console.error('Live commentary error:', err.message);
+      }
     }
+
+    live.feed.push({
+      round: round.round,
+      phase: round.phase,
+      beat: round.beat,
+      narrative,
+      commentary: commentary || null,
+      announcer: commentary ? announcer.displayName : null,
+      timestamp: Date.now(),
+    });
+
+    if (round.isFinish) break;
+  }
+
+  const result = matchEngine.completeMatch(live.rounds);
+  live.status = 'finished';
+  await settleMatch(result);
+  if (onAir) await postMatchResult(result, stage, true);
+  return result;
+}
+
+function isLiveMatchRunning() {
+  return liveMatch?.status === 'running' || liveMatch?.status === 'paused';
+}
+
+function getLiveMatchState() {
+  if (!liveMatch) return null;
+  const match = liveMatch.match;
+  return {
+    id: match.id,
+    status: liveMatch.status,
+    type: match.type,
+    typeName: match.typeName,
+    participants: match.participants,
+    teams: match.teams,
+    forTitle: match.forTitle,
+    brand: match.brand,
+    round: match.currentRound,
+    totalRounds: match.totalRounds,
+    roundSeconds: CONFIG.liveRoundSeconds,
+    momentum: match.momentum,
+    damage: match.damage,
+    structure: match.structure,
+    eliminations: match.eliminations,
+    winner: match.winner,
+    winners: match.winners,
+    winMethod: match.winMethod,
+    startedAt: liveMatch.startedAt,
+    feed: liveMatch.feed.slice(-20),
+  };
+}
+
+/**
+ * Settle any title on the line (result.titleChange for a new champion,
+ * result.titleDefense when the champion retains), heat up feuds from
+ * run-ins and persist the result
+ */
+async function settleMatch(result) {
+  const match = result.match;
+  for (const runIn of match.runIns || []) {
+    storyline.recordRunIn(runIn.charId, runIn.victim);
   }
+  storyline.recordMatchResult(match);
+  const title = match.forTitle ? championships.settleTitleMatch(match.forTitle, match) : null;
+  if (title?.retained) result.titleDefense = title;
+  else if (title) {
+    result.titleChange = title;
+    // Won at a cross-brand show? The belt goes to the new champion's brand
+    if (brands.followChampions(championships).length) storyline.brandData = brands.toJSON();
+  }
+  if (title) storyline.championshipData = championships.toJSON();
+  memory.recordMatch(match, title);
+  storyline.matchData = matchEngine.toJSON();
+  await storyline.saveState();
+}
+
+async function sendRingAnnouncer(content, stage) {
+  await postToStage(stage, content);
 }
 
 // ---------------------------------------------------------------------------
 // Announcer Commentary
 // ---------------------------------------------------------------------------
-async function triggerAnnouncerCommentary(eventType, contextText, channel) {
+async function triggerAnnouncerCommentary(eventType, contextText, stage, involved = [], priority = 'crowd') {
   const reactingAnnouncers = getAnnouncerReactions(eventType);
   for (const announcerId of reactingAnnouncers) {
-    const prompt = buildAnnouncerPrompt(announcerId, eventType, contextText);
+    const prompt = buildAnnouncerPrompt(announcerId, eventType, contextText, describeInvolved(involved));
     if (!prompt) continue;
 
     await sleep(1500 + Math.random() * 2000);
 
     try {
-      const response = await fetch(`${CONFIG.ollamaUrl}/api/chat`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          model: CONFIG.model,
-          messages: [
-            { role: 'system', content: prompt.system },
-            { role: 'user', content: prompt.prompt },
-          ],
-          stream: false,
-          options: { temperature: 0.9, top_p: 0.95, num_predict: 100 },
-        }),
-      });
-      const data = await response.json();
-      const text = (data.message?.content || '').trim().slice(0, 300);
+      const text = await generateAnnouncerLine(prompt, { priority });
       if (!text) continue;
-
-      if (webhookClient) {
-        await webhookClient.send({ content: text, username: prompt.displayName, avatarURL: prompt.avatar });
-      } else if (channel) {
-        await channel.send(`**${prompt.displayName}:** ${text}`);
-      }
+      await sendAsAnnouncer(prompt, text, stage);
     } catch (err) {
       console.error(`Announcer ${announcerId} error:`, err.message);
     }
   }
 }
 
+/**
+ * Names and current alignments, so biased announcers know whose side they're on
+ */
+function describeInvolved(characterIds) {
+  return characterIds.map(id => ({ name: getCharacter(id)?.name || id, alignment: storyline.getAlignment(id) }));
+}
+
+/**
+ * A wrestler has turned — the crowd and the announce table react
+ */
+async function announceTurn(turn, stage) {
+  const name = getCharacter(turn.characterId)?.name || turn.characterId;
+  const crowd = getCharacterChant(turn.characterId, turn.to, name)
+    || getMatchReaction(turn.to === 'heel' ? 'betrayal' : 'entrance');
+  await postToStage(stage, crowd, { username: '👥 The Crowd' });
+  await triggerAnnouncerCommentary('alignment-turn', `${name} has turned ${turn.to}! (was ${turn.from})`, stage, [turn.characterId]);
+}
+
+/**
+ * Summarisation pass for character memory
+ */
+async function summarizeMemories(prompt) {
+  const text = await queue.run(
+    ({ signal }) => llm.chat([{ role: 'user', content: prompt }], { temperature: 0.3, maxTokens: 250, signal }),
+    { priority: 'background', label: 'memory-summary' }
+  );
+  return guard.clean(text);
+}
+
+/**
+ * An announcer's line — `crowd` priority for reactions, `live` for calling a
+ * match (with a deadline so a late call doesn't land on the next beat)
+ */
+async function generateAnnouncerLine(prompt, { priority = 'crowd', deadlineMs } = {}) {
+  try {
+    const text = await generateGuarded(prompt.id, [
+      { role: 'system', content: prompt.system },
+      { role: 'user', content: prompt.prompt },
+    ], { model: prompt.model, temperature: 0.9, topP: 0.95, maxTokens: 100 }, { priority, deadlineMs });
+    return text ? text.slice(0, 300) : fallbackLine(prompt.id);
+  } catch (err) {
+    if (err instanceof StaleJobError) return null;
+    console.error(`LLM error for ${prompt.displayName}:`, err.message);
+    return fallbackLine(prompt.id);
+  }
+}
+
+async function sendAsAnnouncer(prompt, text, stage) {
+  await postToStage(stage, text, { username: prompt.displayName, avatarURL: prompt.avatar, signed: true });
+}
+
 // ---------------------------------------------------------------------------
 // Utilities
 // ---------------------------------------------------------------------------
@@ -1214,22 +3303,45 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Split lines into Discord-sized messages (2000 char limit, with headroom)
+ */
+function chunkLines(lines, maxLength = 1800) {
+  const chunks = [];
+  let current = '';
+  for (const line of lines) {
+    if (current && current.length + line.length + 1 > maxLength) {
+      chunks.push(current);
+      current = '';
+    }
+    current += (current ? '\n' : '') + line;
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+function displayNames(ids, separator = ' & ') {
+  return ids.map(id => getCharacter(id)?.displayName || id).join(separator);
+}
+
 // ---------------------------------------------------------------------------
 // Main
 // ---------------------------------------------------------------------------
 async function main() {
   console.log('🎤 WWE Discord Director starting...');
   console.log(`Characters: ${listCharacters().join(', ')}`);
-  console.log(`Model: ${CONFIG.model}`);
+  console.log(`Model: ${llm.model} via ${llm.provider}`);
   
   // Load persisted storyline state
   await storyline.loadState();
+  await memory.loadState();
   
   // Load championship + match state if saved
   if (storyline.championshipData) {
     championships.loadFrom(storyline.championshipData);
     console.log('Loaded championship state');
   }
+  await lineage.loadState(championships);
   if (storyline.matchData) {
     matchEngine.loadFrom(storyline.matchData);
     console.log(`Loaded match history: ${matchEngine.matchHistory.length} matches`);
@@ -1238,14 +3350,24 @@ async function main() {
     ppvEngine.loadFrom(storyline.ppvData);
     console.log(`Loaded PPV data: ${ppvEngine.scheduledEvents.length} scheduled, ${ppvEngine.completedEvents.length} completed`);
   }
+  brands.loadFrom(storyline.brandData);
+  syncBrandRosters();
+  polls.loadFrom(storyline.pollData);
+  tvShows.loadFrom(storyline.tvData);
+  console.log(`Brands: ${brands.ids.map(id => `${brands.getBrand(id).name} (${brands.getRoster(id).length})`).join(', ')}`);
   
+  watchCharacters(onCharactersReloaded);
   startAPI();
   await startDiscord();
   startPromoSchedule();
+  startFeudSchedule();
+  startPollSchedule();
+  await startPPVSchedule();
+  startTVSchedule();
   
   // Save state on exit
-  process.on('SIGTERM', async () => { await storyline.saveState(); process.exit(0); });
-  process.on('SIGINT', async () => { await storyline.saveState(); process.exit(0); });
+  process.on('SIGTERM', async () => { await storyline.saveState(); await memory.saveState(); process.exit(0); });
+  process.on('SIGINT', async () => { await storyline.saveState(); await memory.saveState(); process.exit(0); });
   
   console.log('🎤 Director is LIVE. The show has begun.');
 }
@@ -0,0 +1,332 @@
+/**
+ * LLM Client
+ *
+ * One way for the director to talk to a model, whatever is serving it:
+ * - ollama: Ollama's native /api/chat
+ * - openai: any OpenAI-compatible /v1/chat/completions (llama.cpp, vLLM, LM Studio)
+ * - stub: deterministic canned replies, no network — for offline runs and tests
+ *
+ * Replies can also be streamed token by token (pass `onToken`), so callers can
+ * show a long promo as it is written instead of waiting for all of it.
+ *
+ * Every call gets a timeout and retries with backoff. After repeated failures
+ * the circuit breaker opens and calls fail fast until the cooldown passes, so
+ * callers can fall back (e.g. to a catchphrase) instead of hanging.
+ */
+
+export class CircuitOpenError extends Error {
+  constructor(retryAt) {
+    super(`LLM circuit open — retrying after ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.retryAt = retryAt;
+  }
+}
+
+class LLMRequestError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'LLMRequestError';
+    this.status = status;
+    // Bad requests won't get better on retry; timeouts and server errors might
+    this.retryable = status === null || status === 429 || status >= 500;
+  }
+}
+
+const PROVIDERS = {
+  ollama: {
+    async chat({ url, apiKey }, { model, messages, temperature, topP, maxTokens }, signal) {
+      const data = await postJSON(`${url}/api/chat`, apiKey, {
+        model,
+        messages,
+        stream: false,
+        options: { temperature, top_p: topP, num_predict: maxTokens },
+      }, signal);
+      return data.message?.content || '';
+    },
+
+    // Newline-delimited JSON, one { message: { content }, done } per chunk
+    async stream({ url, apiKey }, { model, messages, temperature, topP, maxTokens }, signal, emit) {
+      const response = await post(`${url}/api/chat`, apiKey, {
+        model,
+        messages,
+        stream: true,
+        options: { temperature, top_p: topP, num_predict: maxTokens },
+      }, signal);
+      await readLines(response, line => {
+        const chunk = JSON.parse(line);
+        if (chunk.error) throw new LLMRequestError(`LLM stream error: ${chunk.error}`);
+        if (chunk.message?.content && emit(chunk.message.content) === false) return false;
+        return !chunk.done;
+      });
+    },
+  },
+
+  openai: {
+    async chat({ url, apiKey }, { model, messages, temperature, topP, maxTokens }, signal) {
+      const data = await postJSON(`${url.replace(/\/$/, '')}/v1/chat/completions`, apiKey, {
+        model,
+        messages,
+        temperature,
+        top_p: topP,
+        max_tokens: maxTokens,
+      }, signal);
+      return data.choices?.[0]?.message?.content || '';
+    },
+
+    // Server-sent events: `data: { choices: [{ delta: { content } }] }` until `data: [DONE]`
+    async stream({ url, apiKey }, { model, messages, temperature, topP, maxTokens }, signal, emit) {
+      const response = await post(`${url.replace(/\/$/, '')}/v1/chat/completions`, apiKey, {
+        model,
+        messages,
+        temperature,
+        top_p: topP,
+        max_tokens: maxTokens,
+        stream: true,
+      }, signal);
+      await readLines(response, line => {
+        if (!line.startsWith('data:')) return true;
+        const data = line.slice(5).trim();
+        if (data === '[DONE]') return false;
+        const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+        return !(delta && emit(delta) === false);
+      });
+    },
+  },
+
+  stub: {
+    // Same input, same output — picks from a few lines by hashing the prompt
+    async chat(config, { model, messages }) {
+      const last = messages[messages.length - 1]?.content || '';
+      const lines = config.stubLines || [
+        'You better believe it!',
+        'Nobody in this locker room can touch me.',
+        'Mark my words — this is far from over.',
+        'The people know exactly what time it is.',
+      ];
+      return lines[hash(`${model}:${last}`) % lines.length];
+    },
+
+    // The same line, a word at a time
+    async stream(config, request, signal, emit) {
+      const words = (await this.chat(config, request)).split(/(?<= )/);
+      for (const word of words) {
+        if (emit(word) === false) return;
+      }
+    },
+  },
+};
+
+export const LLM_PROVIDERS = Object.keys(PROVIDERS);
+
+export class LLMClient {
+  constructor(config = {}) {
+    this.provider = config.provider || 'ollama';
+    if (!PROVIDERS[this.provider]) throw new Error(`Unknown LLM provider: ${this.provider} (use ${LLM_PROVIDERS.join(', ')})`);
+    this.url = config.url || 'http://ollama:11434';
+    this.apiKey = config.apiKey || null;
+    this.model = config.model || 'qwen3-coder';
+    this.timeoutMs = config.timeoutMs || 30000;
+    this.retries = config.retries ?? 2;
+    this.backoffMs = config.backoffMs ?? 500;
+    this.breakerThreshold = config.breakerThreshold || 5;
+    this.breakerCooldownMs = config.breakerCooldownMs || 30000;
+    this.stubLines = config.stubLines || null;
+
+    // Circuit breaker: closed → open after N straight failures → half-open after the cooldown
+    this.consecutiveFailures = 0;
+    this.openUntil = 0;
+
+    this.stats = { calls: 0, streamed: 0, ok: 0, failed: 0, cancelled: 0, retries: 0, shortCircuited: 0, lastError: null };
+  }
+
+  /**
+   * Send a chat and resolve to the reply text. Options: model (per-character
+   * override), temperature, topP, maxTokens, timeoutMs, and onToken(delta, textSoFar)
+   * to stream the reply — return false from it to stop generating early.
+   * A stream that fails after tokens have arrived is not retried. Aborting
+   * `signal` cancels the request for good (no retries).
+   * Throws CircuitOpenError while the breaker is open, or the last error once retries run out.
+   */
+  async chat(messages, options = {}) {
+    this.stats.calls++;
+    if (this.isOpen()) {
+      this.stats.shortCircuited++;
+      throw new CircuitOpenError(this.openUntil);
+    }
+
+    const request = {
+      model: options.model || this.model,
+      messages,
+      temperature: options.temperature ?? 0.9,
+      topP: options.topP ?? 0.95,
+      maxTokens: options.maxTokens ?? 200,
+    };
+    const timeoutMs = options.timeoutMs || this.timeoutMs;
+    const onToken = options.onToken || null;
+    const signal = options.signal || null;
+
+    let lastError = null;
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      if (attempt > 0) {
+        this.stats.retries++;
+        await sleep(this.backoffMs * 2 ** (attempt - 1));
+      }
+      if (signal?.aborted) {
+        lastError = new LLMRequestError('LLM request cancelled');
+        lastError.retryable = false;
+        break;
+      }
+      try {
+        const text = await this._attempt(request, timeoutMs, onToken, signal);
+        this._recordSuccess();
+        return text;
+      } catch (err) {
+        lastError = err;
+        if (err.retryable === false) break;
+      }
+    }
+
+    // Cancelled by the caller — says nothing about the model's health
+    if (signal?.aborted) {
+      this.stats.cancelled++;
+      throw lastError;
+    }
+    this._recordFailure(lastError);
+    throw lastError;
+  }
+
+  isOpen() {
+    return this.openUntil > Date.now();
+  }
+
+  getState() {
+    return {
+      provider: this.provider,
+      url: this.provider === 'stub' ? null : this.url,
+      model: this.model,
+      timeoutMs: this.timeoutMs,
+      retries: this.retries,
+      breaker: {
+        state: this.isOpen() ? 'open' : this.consecutiveFailures >= this.breakerThreshold ? 'half-open' : 'closed',
+        consecutiveFailures: this.consecutiveFailures,
+        openUntil: this.isOpen() ? this.openUntil : null,
+      },
+      stats: { ...this.stats },
+    };
+  }
+
+  async _attempt(request, timeoutMs, onToken, signal) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const cancel = () => controller.abort();
+    signal?.addEventListener('abort', cancel);
+    let text = '';
+    try {
+      if (!onToken) return await PROVIDERS[this.provider].chat(this, request, controller.signal);
+      this.stats.streamed++;
+      await PROVIDERS[this.provider].stream(this, request, controller.signal, delta => {
+        text += delta;
+        return onToken(delta, text);
+      });
+      return text;
+    } catch (err) {
+      const error = signal?.aborted ? new LLMRequestError('LLM request cancelled')
+        : controller.signal.aborted ? new LLMRequestError(`LLM request timed out after ${timeoutMs}ms`)
+        : err instanceof LLMRequestError ? err
+        : new LLMRequestError(err.message);
+      // The caller has already shown part of the reply — starting over would repeat it
+      if (text || signal?.aborted) error.retryable = false;
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', cancel);
+    }
+  }
+
+  _recordSuccess() {
+    this.stats.ok++;
+    this.consecutiveFailures = 0;
+    this.openUntil = 0;
+  }
+
+  _recordFailure(err) {
+    this.stats.failed++;
+    this.stats.lastError = err?.message || String(err);
+    this.consecutiveFailures++;
+    // Open (or, from half-open, re-open) the breaker
+    if (this.consecutiveFailures >= this.breakerThreshold) {
+      this.openUntil = Date.now() + this.breakerCooldownMs;
+      console.warn(`LLM circuit open for ${this.breakerCooldownMs / 1000}s after ${this.consecutiveFailures} failures: ${this.stats.lastError}`);
+    }
+  }
+}
+
+/**
+ * Build a client from environment variables
+ */
+export function createLLMClientFromEnv(env = process.env) {
+  const provider = env.LLM_PROVIDER || 'ollama';
+  return new LLMClient({
+    provider,
+    url: env.LLM_URL || (provider === 'ollama' ? env.OLLAMA_URL : null) || 'http://ollama:11434',
+    apiKey: env.LLM_API_KEY || null,
+    model: env.LLM_MODEL || env.OLLAMA_MODEL || 'qwen3-coder',
+    timeoutMs: parseInt(env.LLM_TIMEOUT_MS || '30000'),
+    retries: parseInt(env.LLM_RETRIES || '2'),
+    backoffMs: parseInt(env.LLM_BACKOFF_MS || '500'),
+    breakerThreshold: parseInt(env.LLM_BREAKER_THRESHOLD || '5'),
+    breakerCooldownMs: parseInt(env.LLM_BREAKER_COOLDOWN_MS || '30000'),
+  });
+}
+
+async function post(url, apiKey, body, signal) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+  const response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body), signal });
+  if (!response.ok) {
+    const detail = (await response.text().catch(() => '')).slice(0, 200);
+    throw new LLMRequestError(`LLM HTTP ${response.status}${detail ? `: ${detail}` : ''}`, response.status);
+  }
+  return response;
+}
+
+async function postJSON(url, apiKey, body, signal) {
+  return (await post(url, apiKey, body, signal)).json();
+}
+
+/**
+ * Feed a streamed response body to `onLine` one non-empty line at a time,
+ * until the body ends or `onLine` returns false
+ */
+async function readLines(response, onLine) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      buffer += decoder.decode(value, { stream: !done });
+      const lines = buffer.split('\n');
+      buffer = done ? '' : lines.pop();
+      for (const line of lines) {
+        if (line.trim() && onLine(line.trim()) === false) return;
+      }
+      if (done) return;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+function hash(text) {
+  let h = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -9,9 +9,12 @@
  * 
  * Win conditions: pinfall, submission, count-out, DQ, escape (cage),
  * retrieve (ladder), table break
+ *
+ * Bookers can script a match (planned winner, finish type, key spots) — the
+ * engine then steers momentum and beats toward that finish.
  */
 
-import { getCharacter } from './characters.js';
+import { getCharacter, getAttributes } from './characters.js';
 
 const MATCH_TYPES = {
   singles: {
@@ -35,6 +38,7 @@ const MATCH_TYPES = {
     participants: 2,
     winConditions: ['pinfall', 'submission', 'escape'],
     rounds: { min: 5, max: 9 },
+    structure: 'cage',
   },
   'hell-in-a-cell': {
     name: 'Hell in a Cell',
@@ -43,7 +47,8 @@ const MATCH_TYPES = {
     winConditions: ['pinfall', 'submission'],
     rounds: { min: 6, max: 10 },
     weaponsAllowed: true,
-    extreme: true,
+    extreme: true, // everything hurts more in the Cell
+    structure: 'cell',
   },
   ladder: {
     name: 'Ladder Match',
@@ -51,6 +56,7 @@ const MATCH_TYPES = {
     participants: [2, 6],
     winConditions: ['retrieve'],
     rounds: { min: 5, max: 9 },
+    structure: 'ladder',
   },
   'triple-threat': {
     name: 'Triple Threat Match',
@@ -58,6 +64,7 @@ const MATCH_TYPES = {
     participants: 3,
     winConditions: ['pinfall', 'submission'],
     rounds: { min: 5, max: 8 },
+    anyFall: true, // first fall on anyone wins
   },
   'fatal-four-way': {
     name: 'Fatal Four-Way',
@@ -65,6 +72,7 @@ const MATCH_TYPES = {
     participants: 4,
     winConditions: ['pinfall', 'submission'],
     rounds: { min: 5, max: 9 },
+    anyFall: true,
   },
   'tag-team': {
     name: 'Tag Team Match',
@@ -80,9 +88,16 @@ const MATCH_TYPES = {
     participants: [3, 30],
     winConditions: ['last-standing'],
     rounds: { min: 8, max: 15 },
+    rumble: true,
+    entryInterval: 2, // rounds between entrants
   },
 };
 
+// Simulated match clock — a Rumble entrant every 2 rounds is the classic 90 seconds
+const ROUND_SECONDS = 45;
+// Finish score for a wrestler with every fan vote behind them (see polls.js)
+const CROWD_SUPPORT_BONUS = 3;
+
 // Match flow beats — each round picks one
 const MATCH_BEATS = {
   early: [
@@ -104,10 +119,120 @@ const MATCH_BEATS = {
   ],
 };
 
+// Royal Rumble beats replace the standard pool — nobody gets pinned in a Rumble
+const RUMBLE_BEATS = {
+  early: ['brawl', 'elimination-attempt', 'signature-move', 'gang-up'],
+  mid: ['brawl', 'elimination-attempt', 'hanging-on', 'gang-up', 'signature-move', 'finisher-attempt'],
+  late: ['elimination-attempt', 'hanging-on', 'finisher-attempt', 'desperation-move', 'skin-the-cat'],
+  finish: ['elimination-attempt', 'hanging-on', 'skin-the-cat', 'finisher-attempt'],
+};
+
+// Extra beats for triple threats and four-ways
+const MULTI_BEATS = {
+  mid: ['pin-break-up'],
+  late: ['pin-break-up'],
+};
+
+// Outsiders getting involved mid-match — only when someone has a reason to
+const RUN_IN_BEATS = {
+  mid: ['run-in'],
+  late: ['run-in'],
+};
+
+// Stipulation beats, mixed into the standard pool. A Ladder match can only end
+// with a climb, so its finish phase is nothing but climbing and knocking down.
+const STRUCTURE_BEATS = {
+  ladder: {
+    early: ['ladder-setup'],
+    mid: ['ladder-setup', 'ladder-climb', 'ladder-knockdown', 'ladder-shot'],
+    late: ['ladder-climb', 'ladder-knockdown', 'ladder-shot'],
+    finish: ['ladder-setup', 'ladder-climb', 'ladder-knockdown'],
+  },
+  cage: {
+    early: ['cage-slam'],
+    mid: ['cage-slam', 'cage-climb', 'door-attempt', 'pulled-back'],
+    late: ['cage-slam', 'cage-climb', 'door-attempt', 'pulled-back'],
+  },
+  cell: {
+    early: ['cell-slam'],
+    mid: ['cell-slam', 'roof-climb'],
+    late: ['cell-slam', 'roof-climb', 'roof-fall', 'through-the-roof'],
+  },
+};
+const STRUCTURE_BEAT_SET = new Set(Object.values(STRUCTURE_BEATS).flatMap(p => Object.values(p).flat()));
+
+// Win methods that only the structure state can award — never picked at random
+const STATE_METHODS = ['retrieve', 'escape'];
+
+// Predetermined finishes: the beats that can end the match and the preferred win methods
+const FINISH_TYPES = {
+  clean: { beats: ['clean-finish', 'submission-tap'], methods: ['pinfall', 'submission'] },
+  dirty: { beats: ['dirty-finish'], methods: ['pinfall'] },
+  dq: { beats: ['dq-finish'], methods: ['dq'] },
+  interference: { beats: ['interference'], methods: ['pinfall'] },
+  'count-out': { beats: ['count-out-finish'], methods: ['count-out'] },
+};
+
+// Which attribute makes a beat more likely. Counters lean on the defender's skill.
+const BEAT_AFFINITY = {
+  'shoulder-block': 'strength', 'test-of-strength': 'strength', 'signature-move': 'strength',
+  'chain-wrestling': 'technique', 'headlock-takeover': 'technique', 'submission-hold': 'technique',
+  'submission-tap': 'technique', 'counter': 'technique', 'finisher-counter': 'technique',
+  'top-rope-attempt': 'speed', 'roll-up': 'speed', 'surprise-roll-up': 'speed',
+  'comeback': 'charisma', 'staredown': 'charisma', 'momentum-shift': 'charisma',
+  'second-wind': 'toughness', 'near-fall-kickout': 'toughness', 'desperation-move': 'toughness',
+};
+const DEFENDER_BEATS = ['counter', 'finisher-counter'];
+
+// Extra beats mixed in for tag team matches
+const TAG_BEATS = {
+  early: ['tag'],
+  mid: ['tag', 'hot-tag', 'double-team'],
+  late: ['hot-tag', 'double-team'],
+};
+
+/**
+ * Seeded PRNG (mulberry32). Returns a function yielding floats in [0, 1),
+ * so it can stand in anywhere Math.random() is used.
+ */
+export function createSeededRandom(seed) {
+  let a = normalizeSeed(seed);
+  return function random() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Coerce a seed (number or string) into an unsigned 32-bit integer
+ */
+export function normalizeSeed(seed) {
+  const num = Number(seed);
+  if (Number.isFinite(num)) return num >>> 0;
+  // FNV-1a hash for string seeds
+  let h = 0x811C9DC5;
+  for (const ch of String(seed)) {
+    h ^= ch.codePointAt(0);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
 export class MatchEngine {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {function} [options.random] - PRNG used to derive per-match seeds
+   *   when none is given (defaults to Math.random)
+   */
+  constructor(options = {}) {
     this.activeMatch = null;
     this.matchHistory = [];
+    this.random = options.random || Math.random;
+    this._rng = Math.random; // per-match PRNG, reseeded in createMatch
+    this._matchCount = 0;    // keeps ids apart when two matches share a seed and a millisecond
   }
 
   /**
@@ -134,23 +259,72 @@ export class MatchEngine {
       if (!getCharacter(p)) return { error: `Unknown character: ${p}` };
     }
 
-    const totalRounds = type.rounds.min + Math.floor(Math.random() * (type.rounds.max - type.rounds.min + 1));
+    let script = null;
+    if (options.script) {
+      const scriptError = validateScript(options.script, participants, matchType);
+      if (scriptError) return { error: scriptError };
+      script = {
+        winner: options.script.winner,
+        finish: options.script.finish || 'clean',
+        spots: [...(options.script.spots || [])],
+      };
+    }
+
+    let teams = null;
+    if (type.isTagTeam) {
+      teams = options.teams || defaultTeams(participants);
+      const teamError = validateTeams(teams, participants);
+      if (teamError) return { error: teamError };
+    }
+
+    // Every match gets a seed so it can be replayed exactly
+    const seed = options.seed !== undefined && options.seed !== null
+      ? normalizeSeed(options.seed)
+      : Math.floor(this.random() * 4294967296);
+    this._rng = createSeededRandom(seed);
+
+    let totalRounds = type.rounds.min + Math.floor(this._rng() * (type.rounds.max - type.rounds.min + 1));
+    // Rumble runs until everyone has entered and one is left — this is an estimate
+    if (type.rumble) totalRounds += Math.max(0, participants.length - 2) * type.entryInterval;
+
+    // Key spots are spread over the body of the match, before the finish
+    if (script) {
+      totalRounds = Math.max(totalRounds, script.spots.length + 2);
+      script.spotRounds = {};
+      script.spots.forEach((spot, i) => {
+        script.spotRounds[2 + Math.floor(i * (totalRounds - 2) / script.spots.length)] = spot;
+      });
+    }
 
     this.activeMatch = {
-      id: `match-${Date.now()}`,
+      id: options.id || `match-${Date.now()}-${seed.toString(36)}-${++this._matchCount}`,
+      seed,
       type: matchType,
       typeName: type.name,
       typeEmoji: type.emoji,
       participants,
+      teams,
+      legal: teams ? teams.map(t => t[0]) : null,  // legal man per side (tag matches)
       stipulation: options.stipulation || null,
       forTitle: options.forTitle || null,
+      brand: options.brand || null,  // null for a cross-brand match
+      script,
       totalRounds,
       currentRound: 0,
+      kickouts: 0,   // finishes survived — toughness can stretch a match
+      structure: createStructureState(type.structure, participants),
       momentum: {},  // charId -> number (-10 to 10)
       damage: {},    // charId -> number (0 to 100)
       eliminated: [],
+      eliminations: [], // { charId, by, round, method, survivalRounds, survivalSeconds }
+      entered: {},      // charId -> round they entered (Rumble entrants trickle in)
+      // Who could run in: { charId, reason: 'feud'|'ally'|'wings', victim?, helps?, weight }
+      runInCandidates: (options.runInCandidates || []).filter(c => !participants.includes(c.charId)),
+      runIns: [],       // { round, charId, victim, beneficiary, reason, beat }
+      crowdSupport: options.crowdSupport || {}, // charId -> share of the fan vote, 0-1
       events: [],
       winner: null,
+      winners: null, // whole winning side — the team in tag matches
       winMethod: null,
       startedAt: Date.now(),
     };
@@ -161,6 +335,10 @@ export class MatchEngine {
       this.activeMatch.damage[p] = 0;
     }
 
+    // Rumble starts with entrants #1 and #2; everyone else is in the ring from the bell
+    const starters = type.rumble ? participants.slice(0, 2) : participants;
+    for (const p of starters) this.activeMatch.entered[p] = 0;
+
     return this.activeMatch;
   }
 
@@ -172,17 +350,20 @@ export class MatchEngine {
     if (!this.activeMatch || this.activeMatch.winner) return null;
 
     const match = this.activeMatch;
+    const type = MATCH_TYPES[match.type];
     match.currentRound++;
 
+    const entrant = this._admitEntrant();
     const phase = this._getPhase();
-    const alive = match.participants.filter(p => !match.eliminated.includes(p));
+    const alive = this._inRing();
     
     // Pick two active participants for this round's action
-    const [actor, target] = this._pickCombatants(alive);
+    const [actor, target] = this._pickCombatants(alive, phase);
     
     // Simulate the round
-    const beat = this._pickBeat(phase);
+    const beat = this._pickBeat(phase, actor, target);
     const result = this._resolveBeat(beat, actor, target, phase);
+    const eliminatedNow = type.rumble ? this._resolveRumbleElimination(beat, actor, target) : [];
 
     match.events.push({
       round: match.currentRound,
@@ -191,11 +372,27 @@ export class MatchEngine {
       actor,
       target,
       ...result,
+      entrant,
+      eliminated: eliminatedNow.map(e => e.charId),
     });
 
     // Check for finish
-    if (phase === 'finish' || (phase === 'late' && match.currentRound >= match.totalRounds)) {
+    if (result.structureWin) {
+      this._declareWinner(result.structureWin.winner, result.structureWin.method);
+    } else if (type.rumble) {
+      const inRing = this._inRing();
+      if (inRing.length === 1 && this._pendingEntrants().length === 0) {
+        this._declareWinner(inRing[0], 'last-standing');
+      }
+    } else if (type.structure === 'ladder') {
+      // Nobody wins a Ladder match until they climb — the finish phase keeps going
+    } else if (phase === 'finish' || (phase === 'late' && match.currentRound >= match.totalRounds)) {
       this._resolveFinish(actor, target, result);
+      // In a triple threat or four-way, whoever took the fall is out
+      if (type.anyFall && match.winner) {
+        const fallen = match.winner === actor ? target : actor;
+        eliminatedNow.push(this._eliminate(fallen, match.winner, match.winMethod));
+      }
     }
 
     return {
@@ -207,15 +404,50 @@ export class MatchEngine {
       target,
       actorChar: getCharacter(actor),
       targetChar: getCharacter(target),
+      partnerChar: result.partner ? getCharacter(result.partner) : undefined,
+      thirdChar: result.third ? getCharacter(result.third) : undefined,
+      runInChar: result.runIn ? getCharacter(result.runIn.charId) : undefined,
       ...result,
+      legal: match.legal ? [...match.legal] : undefined,
+      entrant,
+      entrantNumber: entrant ? match.participants.indexOf(entrant) + 1 : undefined,
+      eliminatedNow,
+      eliminations: match.eliminations.map(e => ({ ...e })),
+      inRing: this._inRing(),
+      structure: match.structure ? structuredClone(match.structure) : undefined,
       momentum: { ...match.momentum },
       damage: { ...match.damage },
       isFinish: !!match.winner,
       winner: match.winner,
+      winners: match.winners,
       winMethod: match.winMethod,
     };
   }
 
+  /**
+   * Play the next round, or call the match if it has run far past its length.
+   * simulateFullMatch and live matches both step through here.
+   */
+  nextRound() {
+    const match = this.activeMatch;
+    if (!match || match.winner) return null;
+
+    // Safety valve
+    if (match.currentRound > Math.max(20, match.totalRounds * 2)) {
+      this._forceFinish();
+      return {
+        round: match.currentRound,
+        beat: 'forced-finish',
+        narrative: 'The match ends decisively!',
+        isFinish: true,
+        winner: match.winner,
+        winners: match.winners,
+        winMethod: match.winMethod,
+      };
+    }
+    return this.simulateRound();
+  }
+
   /**
    * Simulate an entire match at once
    * Returns array of all round results
@@ -223,47 +455,77 @@ export class MatchEngine {
   simulateFullMatch(participants, matchType = 'singles', options = {}) {
     const match = this.createMatch(participants, matchType, options);
     if (match.error) return match;
+    const rounds = this._runToFinish();
+    return this.completeMatch(rounds);
+  }
 
-    const rounds = [];
-    while (!this.activeMatch.winner) {
-      const round = this.simulateRound();
-      if (!round) break;
-      rounds.push(round);
-      
-      // Safety valve
-      if (rounds.length > 20) {
-        this._forceFinish();
-        rounds.push({
-          round: this.activeMatch.currentRound,
-          beat: 'forced-finish',
-          narrative: 'The match ends decisively!',
-          isFinish: true,
-          winner: this.activeMatch.winner,
-          winMethod: this.activeMatch.winMethod,
-        });
-        break;
-      }
-    }
+  /**
+   * Record a finished active match in history and clear it.
+   * Used by simulateFullMatch and by live matches driven round by round.
+   */
+  completeMatch(rounds = []) {
+    const match = this.activeMatch;
+    if (!match?.winner) return { error: 'No finished match to complete' };
 
     // Record in history
     this.matchHistory.push({
-      id: this.activeMatch.id,
-      type: matchType,
-      participants,
-      winner: this.activeMatch.winner,
-      winMethod: this.activeMatch.winMethod,
+      id: match.id,
+      seed: match.seed,
+      type: match.type,
+      participants: match.participants,
+      teams: match.teams,
+      winner: match.winner,
+      winners: match.winners,
+      winMethod: match.winMethod,
+      eliminations: match.eliminations,
+      runIns: match.runIns,
+      runInCandidates: match.runInCandidates,
+      crowdSupport: match.crowdSupport,
+      script: match.script ? { winner: match.script.winner, finish: match.script.finish, spots: match.script.spots } : null,
       rounds: rounds.length,
-      forTitle: options.forTitle || null,
+      forTitle: match.forTitle,
+      brand: match.brand,
       timestamp: Date.now(),
     });
 
-    const result = {
-      match: this.activeMatch,
-      rounds,
-    };
+    this.activeMatch = null;
+    return { match, rounds };
+  }
 
+  /**
+   * Throw out the active match without a result (live match aborted)
+   */
+  abortMatch() {
+    const match = this.activeMatch;
+    if (!match) return { error: 'No match in progress' };
     this.activeMatch = null;
-    return result;
+    return { match };
+  }
+
+  /**
+   * Re-run a past match from its id and seed. The replay is not added to
+   * history, and runs on an engine of its own — a match in progress carries on.
+   */
+  replayMatch(matchId) {
+    const entry = this.matchHistory.findLast(m => m.id === matchId);
+    if (!entry) return { error: `Unknown match: ${matchId}` };
+    if (entry.seed === undefined) return { error: `Match ${matchId} has no recorded seed` };
+
+    const replayer = new MatchEngine({ random: this.random });
+    replayer.matchHistory = this.matchHistory;
+    const match = replayer.createMatch(entry.participants, entry.type, {
+      id: entry.id,
+      seed: entry.seed,
+      teams: entry.teams,
+      forTitle: entry.forTitle,
+      brand: entry.brand,
+      script: entry.script || undefined,
+      runInCandidates: entry.runInCandidates,
+      crowdSupport: entry.crowdSupport,
+    });
+    if (match.error) return match;
+    const rounds = replayer._runToFinish();
+    return { match: replayer.activeMatch, rounds };
   }
 
   /**
@@ -272,6 +534,8 @@ export class MatchEngine {
   buildRoundPrompt(roundResult) {
     const actor = roundResult.actorChar;
     const target = roundResult.targetChar;
+    const partner = roundResult.partnerChar;
+    const third = roundResult.thirdChar;
     if (!actor || !target) return null;
 
     const phaseDesc = {
@@ -285,7 +549,7 @@ export class MatchEngine {
       'lock-up': `${actor.name} and ${target.name} lock up in the center of the ring.`,
       'feeling-out': `Both competitors are testing each other, looking for an opening.`,
       'momentum-shift': `${actor.name} has seized the momentum! ${target.name} is reeling!`,
-      'signature-move': `${actor.name} hits a signature move on ${target.name}!`,
+      'signature-move': `${actor.name} hits ${roundResult.move ? `the ${roundResult.move}` : 'a signature move'} on ${target.name}!`,
       'near-fall': `${actor.name} goes for the cover! 1... 2... ${target.name} kicks out!`,
       'counter': `${target.name} counters ${actor.name}'s attack with a devastating reversal!`,
       'finisher-attempt': `${actor.name} is setting up for the ${actor.finisher || 'finisher'}!`,
@@ -301,18 +565,138 @@ export class MatchEngine {
       'surprise-roll-up': `Small package by ${actor.name}! 1-2-3! OUT OF NOWHERE!`,
       'submission-tap': `${actor.name} locks in the hold! ${target.name} is fading... TAP! ${target.name} taps out!`,
       'interference': `Wait — someone is running down the ramp! INTERFERENCE!`,
+      'run-in': `Someone hits the ring and jumps ${target.name} from behind!`,
+      'dq-finish': `${target.name} grabs a chair and blasts ${actor.name} right in front of the referee! That's a DISQUALIFICATION!`,
+      'count-out-finish': `${target.name} is down on the outside... 8... 9... 10! ${actor.name} slides back in just in time — COUNT-OUT!`,
+      'tag': `${actor.name} makes the tag to ${partner?.name || 'his partner'}! Fresh legs in the ring!`,
+      'hot-tag': `HOT TAG! ${actor.name} dives for the corner and tags in ${partner?.name || 'his partner'}! ${partner?.name || 'He'} is cleaning house!`,
+      'double-team': `${actor.name} and ${partner?.name || 'his partner'} hit a double-team move on ${target.name}! The referee is losing control!`,
+      'pin-break-up': `${actor.name} covers ${target.name}! 1... 2... ${third?.name || 'Someone'} dives in and BREAKS UP THE PIN!`,
+      'brawl': `Bodies everywhere! ${actor.name} and ${target.name} trade haymakers against the ropes!`,
+      'elimination-attempt': `${actor.name} has ${target.name} up and over — ${target.name} is teetering on the top rope!`,
+      'hanging-on': `${actor.name} dumps ${target.name} over the top — but ${target.name} HANGS ON! Feet haven't touched the floor!`,
+      'gang-up': `Everyone in the ring is ganging up on ${target.name}! ${actor.name} leads the charge toward the ropes!`,
+      'skin-the-cat': `${actor.name} throws ${target.name} over — ${target.name} SKINS THE CAT and pulls himself back in!`,
+      'ladder-setup': `${actor.name} drags a ladder into the ring and sets it up under the briefcase!`,
+      'ladder-climb': `${actor.name} starts climbing! Rung by rung, reaching for the briefcase!`,
+      'ladder-knockdown': `${actor.name} shoves the ladder over! ${target.name} comes CRASHING down to the mat!`,
+      'ladder-shot': `${actor.name} drives the ladder right into ${target.name}'s ribs!`,
+      'cage-slam': `${actor.name} rams ${target.name} face-first into the steel mesh!`,
+      'cage-climb': `${actor.name} is climbing the cage! ${target.name} is down — can he get over the top?`,
+      'door-attempt': `${actor.name} is crawling for the cage door! The referee reaches for the handle!`,
+      'pulled-back': `${actor.name} grabs ${target.name} by the boot and drags him back down off the cage!`,
+      'cell-slam': `${actor.name} sends ${target.name} into the unforgiving steel of the Cell!`,
+      'roof-climb': `${actor.name} and ${target.name} are climbing to the TOP of Hell in a Cell! Sixteen feet in the air!`,
+      'roof-fall': `OH MY GOD! ${actor.name} throws ${target.name} off the top of the Cell! Somebody stop the damn match!`,
+      'through-the-roof': `The roof gives way! ${target.name} crashes THROUGH the Cell to the ring below!`,
     };
 
-    const narrative = beatNarratives[roundResult.beat] || 
+    // Climbs and escapes read differently when they succeed
+    const st = roundResult.structure;
+    if (roundResult.structureWin?.method === 'retrieve') {
+      beatNarratives['ladder-climb'] = `${actor.name} reaches the top of the ladder... HE'S GOT IT! ${actor.name} pulls down the briefcase!`;
+    } else if (roundResult.beat === 'ladder-climb' && st?.climb[roundResult.actor] >= 60) {
+      beatNarratives['ladder-climb'] = `${actor.name} is at the top of the ladder! His fingertips are brushing the briefcase!`;
+    }
+    if (roundResult.structureWin?.method === 'escape') {
+      beatNarratives['cage-climb'] = `${actor.name} is over the top of the cage... and his feet hit the floor! HE ESCAPES!`;
+      beatNarratives['door-attempt'] = `${actor.name} crawls through the cage door! His feet hit the floor — HE ESCAPES!`;
+    } else if (roundResult.beat === 'door-attempt') {
+      beatNarratives['door-attempt'] = `${actor.name} crawls for the cage door — ${target.name} cuts him off and slams the door in his face!`;
+    }
+
+    // Run-ins name names
+    const runIn = roundResult.runIn;
+    if (runIn) {
+      const runner = roundResult.runInChar?.name || runIn.charId;
+      const victim = getCharacter(runIn.victim)?.name || runIn.victim;
+      const helped = getCharacter(runIn.beneficiary)?.name || runIn.beneficiary;
+      beatNarratives['interference'] = `Wait — that's ${runner} running down the ramp! ${runner} blasts ${victim} behind the referee's back — INTERFERENCE! ${helped} sees the opening!`;
+      beatNarratives['run-in'] = runIn.reason === 'ally'
+        ? `${runner} hits the ring to back up ${helped} and levels ${victim}!`
+        : runIn.reason === 'feud'
+          ? `${runner} storms the ring and attacks ${victim}! This feud just spilled into the match!`
+          : `Out of nowhere — it's ${runner}! ${runner} lays out ${victim} and disappears through the crowd!`;
+    }
+
+    let narrative = beatNarratives[roundResult.beat] || 
       `${actor.name} and ${target.name} exchange blows in a back-and-forth battle!`;
 
+    // A finish that didn't stick
+    if (roundResult.kickout) {
+      const survivor = getCharacter(roundResult.kickout);
+      narrative += `\n1... 2... NO! ${survivor?.name || roundResult.kickout} KICKS OUT! HOW?!`;
+    }
+
+    // Rumble arrivals and eliminations wrap around the beat
+    if (roundResult.entrant) {
+      const entrant = getCharacter(roundResult.entrant);
+      narrative = `The countdown hits zero... ENTRANT #${roundResult.entrantNumber}: ${entrant?.name || roundResult.entrant}! ${entrant?.entranceMusic || ''}\n${narrative}`;
+    }
+    for (const e of roundResult.eliminatedNow || []) {
+      const out = getCharacter(e.charId)?.name || e.charId;
+      const by = getCharacter(e.by)?.name || e.by;
+      narrative += e.method === 'over-the-top'
+        ? `\n❌ ${out} has been ELIMINATED by ${by}!`
+        : `\n❌ ${out} takes the fall — ${by} wins it!`;
+    }
+
+    const stipulation = {
+      ladder: 'This is a Ladder match — the only way to win is to climb and pull down the briefcase.',
+      cage: 'This is a Steel Cage match — escape the cage or pin your opponent to win.',
+      cell: 'This is Hell in a Cell — no disqualifications, no escape, twenty feet of steel.',
+    }[st?.kind];
+
     return {
       narrative,
-      commentaryPrompt: `${phaseDesc[roundResult.phase] || ''}\n\n${narrative}\n\nProvide 1-2 lines of exciting commentary for this moment. Be dramatic!`,
-      characterPrompt: `You just ${roundResult.isFinish ? (roundResult.winner === roundResult.actor ? 'WON' : 'LOST') : 'experienced this'}: ${narrative}\n\nReact in character in 1-2 sentences.`,
+      commentaryPrompt: `${phaseDesc[roundResult.phase] || ''}${stipulation ? ` ${stipulation}` : ''}\n\n${narrative}\n\nProvide 1-2 lines of exciting commentary for this moment. Be dramatic!`,
+      characterPrompt: `You just ${roundResult.isFinish ? ((roundResult.winners || [roundResult.winner]).includes(roundResult.actor) ? 'WON' : 'LOST') : 'experienced this'}: ${narrative}\n\nReact in character in 1-2 sentences.`,
     };
   }
 
+  /**
+   * Build elimination order lines for a finished match (Rumble recap, four-way fall)
+   */
+  buildEliminationLog(match) {
+    const eliminations = match.eliminations || [];
+    const lines = eliminations.map(e => {
+      const out = getCharacter(e.charId)?.displayName || e.charId;
+      const by = getCharacter(e.by)?.displayName || e.by;
+      return `${e.order}. ${out} — eliminated by ${by} (${formatClock(e.survivalSeconds)})`;
+    });
+
+    if (match.winner && eliminations.length > 0) {
+      const survival = Math.round((match.currentRound - (match.entered[match.winner] || 0)) * ROUND_SECONDS);
+      lines.push(`🏆 ${getCharacter(match.winner)?.displayName || match.winner} — WINNER (${formatClock(survival)})`);
+    }
+
+    // Iron man of the match — longest time in the ring
+    const longest = [...eliminations].sort((a, b) => b.survivalSeconds - a.survivalSeconds)[0];
+    if (MATCH_TYPES[match.type]?.rumble && longest) {
+      lines.push(`⏱️ Iron man: ${getCharacter(longest.charId)?.displayName || longest.charId} lasted ${formatClock(longest.survivalSeconds)}`);
+    }
+    return lines;
+  }
+
+  /**
+   * Per-character record across match history
+   */
+  getWinRates() {
+    const stats = {};
+    for (const m of this.matchHistory) {
+      const winners = m.winners || [m.winner];
+      for (const p of m.participants) {
+        if (!stats[p]) stats[p] = { matches: 0, wins: 0, winRate: 0 };
+        stats[p].matches++;
+        if (winners.includes(p)) stats[p].wins++;
+      }
+    }
+    for (const s of Object.values(stats)) {
+      s.winRate = Math.round((s.wins / s.matches) * 1000) / 1000;
+    }
+    return stats;
+  }
+
   /**
    * Get match state for API
    */
@@ -320,6 +704,7 @@ export class MatchEngine {
     return {
       activeMatch: this.activeMatch,
       recentMatches: this.matchHistory.slice(-10),
+      winRates: this.getWinRates(),
       matchTypes: Object.entries(MATCH_TYPES).map(([id, t]) => ({
         id, name: t.name, emoji: t.emoji,
       })),
@@ -328,8 +713,20 @@ export class MatchEngine {
 
   // ------- Internal -------
 
+  _runToFinish() {
+    const rounds = [];
+    let round;
+    while ((round = this.nextRound())) rounds.push(round);
+    return rounds;
+  }
+
   _getPhase() {
     const match = this.activeMatch;
+    if (MATCH_TYPES[match.type].rumble) {
+      const entered = Object.keys(match.entered).length;
+      if (this._pendingEntrants().length > 0) return entered <= match.participants.length * 0.4 ? 'early' : 'mid';
+      return this._inRing().length > 2 ? 'late' : 'finish';
+    }
     const pct = match.currentRound / match.totalRounds;
     if (pct <= 0.25) return 'early';
     if (pct <= 0.6) return 'mid';
@@ -337,30 +734,132 @@ export class MatchEngine {
     return 'finish';
   }
 
-  _pickCombatants(alive) {
+  _pickCombatants(alive, phase) {
+    const match = this.activeMatch;
+    const winner = match.script?.winner;
+    // Scripted matches: the loser controls the middle, the winner takes over late
+    const winnerLeads = { early: 0.5, mid: 0.35, late: 0.6, finish: 1 }[phase];
+
+    // Tag matches: only the legal men fight, either side may be on offense
+    if (match.legal) {
+      if (winner) {
+        const side = this._teamIndex(winner);
+        if (phase === 'finish') match.legal[side] = winner;
+        const leads = this._rng() < winnerLeads;
+        return leads ? [match.legal[side], match.legal[1 - side]] : [match.legal[1 - side], match.legal[side]];
+      }
+      const side = this._rng() < 0.5 ? 0 : 1;
+      return [match.legal[side], match.legal[1 - side]];
+    }
+
     // Always randomize who's the actor to prevent first-mover advantage
-    const shuffled = [...alive].sort(() => Math.random() - 0.5);
+    const shuffled = [...alive].sort(() => this._rng() - 0.5);
+
+    if (winner && alive.includes(winner) && !MATCH_TYPES[match.type].rumble && (alive.length === 2 || phase === 'finish')) {
+      const others = shuffled.filter(p => p !== winner);
+      const opponent = phase === 'finish'
+        ? others.sort((a, b) => (match.damage[b] || 0) - (match.damage[a] || 0))[0]
+        : others[0];
+      return this._rng() < winnerLeads ? [winner, opponent] : [opponent, winner];
+    }
+
+    // Multi-man finish: go after whoever is most beaten up
+    if (phase === 'finish' && MATCH_TYPES[match.type].anyFall && shuffled.length > 2) {
+      const rest = shuffled.slice(1).sort((a, b) => (match.damage[b] || 0) - (match.damage[a] || 0));
+      return [shuffled[0], rest[0]];
+    }
     return [shuffled[0], shuffled[1]];
   }
 
-  _pickBeat(phase) {
-    const beats = MATCH_BEATS[phase] || MATCH_BEATS.mid;
+  _pickBeat(phase, actor, target) {
+    const match = this.activeMatch;
+    const type = MATCH_TYPES[match.type];
+
+    // The script calls the spots and the finish
+    if (match.script) {
+      const spot = match.script.spotRounds[match.currentRound];
+      if (spot) return spot;
+      if (phase === 'finish' && type.structure === 'ladder') return 'ladder-climb';
+      if (phase === 'finish' && !type.rumble) {
+        const finishBeats = FINISH_TYPES[match.script.finish].beats;
+        return finishBeats[Math.floor(this._rng() * finishBeats.length)];
+      }
+    }
+
+    let beats = MATCH_BEATS[phase] || MATCH_BEATS.mid;
+    if (type.rumble) beats = RUMBLE_BEATS[phase] || RUMBLE_BEATS.mid;
+    if (type.structure) {
+      const structureBeats = (STRUCTURE_BEATS[type.structure][phase] || [])
+        .filter(b => this._structureBeatAvailable(b, actor, target));
+      beats = type.structure === 'ladder' && phase === 'finish' ? structureBeats : [...beats, ...structureBeats];
+    }
+    if (type.anyFall && this._inRing().length > 2) beats = [...beats, ...(MULTI_BEATS[phase] || [])];
+    if (match.teams) {
+      // A hot tag needs someone who's been worn down first
+      const wornDown = (match.damage[actor] || 0) >= 25 || (match.momentum[actor] || 0) < 0;
+      const tagBeats = (TAG_BEATS[phase] || []).filter(b => b !== 'hot-tag' || wornDown);
+      beats = [...beats, ...tagBeats];
+    }
+    if (!type.rumble && this._runInCandidates(actor, target).length > 0) beats = [...beats, ...(RUN_IN_BEATS[phase] || [])];
     // Filter out weapon shots if not allowed
-    const type = MATCH_TYPES[this.activeMatch.type];
     const filtered = type?.weaponsAllowed ? beats : beats.filter(b => b !== 'weapon-shot');
-    return filtered[Math.floor(Math.random() * filtered.length)];
+
+    // Weight by who's involved — technicians counter, high-flyers go up top
+    const actorAttrs = getAttributes(actor);
+    const targetAttrs = getAttributes(target);
+    const weights = filtered.map(b => {
+      const attr = BEAT_AFFINITY[b];
+      if (!attr) return 1;
+      const rating = DEFENDER_BEATS.includes(b) ? targetAttrs[attr] : actorAttrs[attr];
+      return Math.max(0.2, 1 + (rating - 5) * 0.15);
+    });
+    let roll = this._rng() * weights.reduce((sum, w) => sum + w, 0);
+    for (let i = 0; i < filtered.length; i++) {
+      roll -= weights[i];
+      if (roll <= 0) return filtered[i];
+    }
+    return filtered[filtered.length - 1];
   }
 
   _resolveBeat(beat, actor, target, phase) {
     const match = this.activeMatch;
-    const momentumSwing = Math.floor(Math.random() * 3) + 1;
+    const momentumSwing = Math.floor(this._rng() * 3) + 1;
+
+    // Tags change the legal man instead of trading blows
+    if (beat === 'tag' || beat === 'hot-tag') {
+      const side = this._teamIndex(actor);
+      const partner = this._pickPartner(actor);
+      match.legal[side] = partner;
+      if (beat === 'tag') {
+        match.momentum[partner] = Math.min(10, (match.momentum[partner] || 0) + 1);
+        return { momentumSwing: 1, damageDealt: 0, partner };
+      }
+      // Hot tag: the fresh man explodes into the ring
+      const dmg = this._rng() * 10 + 5;
+      match.momentum[partner] = Math.min(10, (match.momentum[partner] || 0) + momentumSwing + 3);
+      match.momentum[target] = Math.max(-10, (match.momentum[target] || 0) - 2);
+      match.damage[target] = Math.min(100, (match.damage[target] || 0) + dmg);
+      return { momentumSwing: momentumSwing + 3, damageDealt: Math.round(dmg), partner };
+    }
+
+    if (STRUCTURE_BEAT_SET.has(beat)) return this._resolveStructure(beat, actor, target, phase, momentumSwing);
+
+    // With nobody to run in, interference stays a faceless beat
+    if (beat === 'run-in' || beat === 'interference') {
+      const runIn = this._resolveRunIn(beat, actor, target);
+      if (runIn) return runIn;
+    }
 
     // Actor gains momentum in most cases
     match.momentum[actor] = Math.min(10, (match.momentum[actor] || 0) + momentumSwing);
     match.momentum[target] = Math.max(-10, (match.momentum[target] || 0) - 1);
 
-    // Damage accumulates
-    const dmg = phase === 'early' ? Math.random() * 10 : phase === 'mid' ? Math.random() * 15 + 5 : Math.random() * 20 + 10;
+    // Damage accumulates — strength hits harder, toughness absorbs it
+    const actorAttrs = getAttributes(actor);
+    const targetAttrs = getAttributes(target);
+    const base = phase === 'early' ? this._rng() * 10 : phase === 'mid' ? this._rng() * 15 + 5 : this._rng() * 20 + 10;
+    const dmg = base * Math.max(0.5, 1 + (actorAttrs.strength - targetAttrs.toughness) * 0.05)
+      * (MATCH_TYPES[match.type].extreme ? 1.2 : 1);
     match.damage[target] = Math.min(100, (match.damage[target] || 0) + dmg);
 
     // Counter beats reverse momentum
@@ -370,31 +869,97 @@ export class MatchEngine {
       match.damage[actor] = Math.min(100, (match.damage[actor] || 0) + dmg * 0.5);
     }
 
+    // Scripted winner builds toward the finish down the stretch
+    if (match.script && phase === 'late' && match.momentum[match.script.winner] !== undefined) {
+      match.momentum[match.script.winner] = Math.min(10, match.momentum[match.script.winner] + 1);
+    }
+
+    // Charismatic wrestlers feed off the crowd
+    if (beat === 'comeback' || beat === 'second-wind' || beat === 'momentum-shift') {
+      const fired = beat === 'comeback' ? target : actor;
+      const bonus = Math.round((getAttributes(fired).charisma - 5) / 2);
+      match.momentum[fired] = Math.max(-10, Math.min(10, match.momentum[fired] + bonus));
+    }
+
+    if (beat === 'signature-move') {
+      const moves = getCharacter(actor)?.signatureMoves || [];
+      if (moves.length > 0) {
+        return { momentumSwing, damageDealt: Math.round(dmg), move: moves[Math.floor(this._rng() * moves.length)] };
+      }
+    }
+
+    // Pin break-up: a third man saves the target and makes the actor pay
+    if (beat === 'pin-break-up') {
+      const others = this._inRing().filter(p => p !== actor && p !== target);
+      const third = others[Math.floor(this._rng() * others.length)];
+      match.momentum[actor] = Math.max(-10, match.momentum[actor] - momentumSwing - 2);
+      match.momentum[third] = Math.min(10, (match.momentum[third] || 0) + momentumSwing);
+      match.damage[actor] = Math.min(100, (match.damage[actor] || 0) + dmg * 0.5);
+      return { momentumSwing, damageDealt: Math.round(dmg), third };
+    }
+
+    // Double team: the partner gets his shots in too
+    if (beat === 'double-team') {
+      const partner = this._pickPartner(actor);
+      const extra = dmg * 0.5;
+      match.damage[target] = Math.min(100, match.damage[target] + extra);
+      return { momentumSwing, damageDealt: Math.round(dmg + extra), partner };
+    }
+
     return { momentumSwing, damageDealt: Math.round(dmg) };
   }
 
   _resolveFinish(actor, target, result) {
     const match = this.activeMatch;
+    if (match.script) {
+      this._declareWinner(match.script.winner, this._scriptedMethod(result.beat));
+      return;
+    }
     
-    // Higher momentum + more damage on opponent = more likely to win
-    const actorScore = (match.momentum[actor] || 0) + (match.damage[target] || 0) / 10;
-    const targetScore = (match.momentum[target] || 0) + (match.damage[actor] || 0) / 10;
+    // Higher momentum + more damage on opponent + better wrestler = more likely to win
+    // A run-in hands the opening to whoever it helped; the fans' favorite gets a lift
+    const helped = result.runIn?.beneficiary;
+    const crowd = c => (match.crowdSupport[c] || 0) * CROWD_SUPPORT_BONUS;
+    const actorScore = (match.momentum[actor] || 0) + (match.damage[target] || 0) / 10 + wrestlingSkill(actor) + (helped === actor ? 6 : 0) + crowd(actor);
+    const targetScore = (match.momentum[target] || 0) + (match.damage[actor] || 0) / 10 + wrestlingSkill(target) + (helped === target ? 6 : 0) + crowd(target);
 
     // Slight randomness
-    const actorFinal = actorScore + Math.random() * 5;
-    const targetFinal = targetScore + Math.random() * 5;
-
-    match.winner = actorFinal >= targetFinal ? actor : target;
+    const actorFinal = actorScore + this._rng() * 5;
+    const targetFinal = targetScore + this._rng() * 5;
+    const winner = actorFinal >= targetFinal ? actor : target;
+    const loser = winner === actor ? target : actor;
 
-    // Pick win method
+    // Pick win method — escapes and retrieves only come from the structure
     const type = MATCH_TYPES[match.type];
-    const methods = type?.winConditions || ['pinfall'];
-    match.winMethod = methods[Math.floor(Math.random() * methods.length)];
+    const methods = (type?.winConditions || ['pinfall']).filter(m => !STATE_METHODS.includes(m));
+    if (methods.length === 0) return; // only the structure can end it
+    const method = methods[Math.floor(this._rng() * methods.length)];
+
+    // Tough guys kick out of pins they shouldn't — the match goes on
+    if (method === 'pinfall' && match.kickouts < 2) {
+      const chance = Math.min(0.35, Math.max(0, getAttributes(loser).toughness * 0.04 - (match.damage[loser] || 0) / 300));
+      if (this._rng() < chance) {
+        match.kickouts++;
+        match.totalRounds++;
+        result.kickout = loser;
+        return;
+      }
+    }
+
+    this._declareWinner(winner, method);
   }
 
   _forceFinish() {
     const match = this.activeMatch;
-    const alive = match.participants.filter(p => !match.eliminated.includes(p));
+    const alive = this._inRing();
+
+    // A scripted winner still standing gets the booked finish
+    if (match.script && alive.includes(match.script.winner)) {
+      const method = this._scriptedMethod(null);
+      if (method === 'retrieve') match.structure.reachedTop = match.script.winner;
+      this._declareWinner(match.script.winner, method);
+      return;
+    }
     
     // Highest damage dealt wins
     let winner = alive[0];
@@ -406,9 +971,329 @@ export class MatchEngine {
       if (score > bestScore) { bestScore = score; winner = p; }
     }
 
+    const method = MATCH_TYPES[match.type]?.winConditions[0] || 'pinfall';
+    if (method === 'retrieve') match.structure.reachedTop = winner;
+    this._declareWinner(winner, method);
+  }
+
+  /**
+   * Can this stipulation beat happen right now?
+   */
+  _structureBeatAvailable(beat, actor, target) {
+    const st = this.activeMatch.structure;
+    switch (beat) {
+      case 'ladder-setup': return !st.ladderUp;
+      case 'ladder-climb': return st.ladderUp;
+      case 'ladder-knockdown': return st.ladderUp && st.climb[target] > 0;
+      case 'pulled-back': return st.escape[target] > 0;
+      case 'roof-climb': return !st.onRoof;
+      case 'roof-fall':
+      case 'through-the-roof': return st.onRoof;
+      default: return true;
+    }
+  }
+
+  /**
+   * Ladder climbs, cage escapes and Cell roof spots. Returns the round result,
+   * with structureWin set when the structure itself decides the match.
+   */
+  _resolveStructure(beat, actor, target, phase, momentumSwing) {
+    const match = this.activeMatch;
+    const st = match.structure;
+    const winner = match.script?.winner;
+    const speed = getAttributes(actor).speed;
+    const opponentDown = (match.damage[target] || 0) / 4;
+    let dmg = 0;
+    let structureWin = null;
+
+    match.momentum[actor] = Math.min(10, (match.momentum[actor] || 0) + momentumSwing);
+    match.momentum[target] = Math.max(-10, (match.momentum[target] || 0) - 1);
+
+    switch (beat) {
+      case 'ladder-setup':
+        st.ladderUp = true;
+        break;
+      case 'ladder-climb': {
+        st.ladderUp = true;
+        st.climb[actor] += 15 + speed * 2 + opponentDown + (phase === 'finish' ? 25 : 0);
+        // Scripted matches: only the booked winner gets to the top
+        if (winner && phase === 'finish' && actor === winner) st.climb[actor] = 100;
+        if (winner && actor !== winner) st.climb[actor] = Math.min(st.climb[actor], 90);
+        if (st.climb[actor] >= 100) {
+          st.climb[actor] = 100;
+          st.reachedTop = actor;
+          structureWin = { winner: actor, method: 'retrieve' };
+        }
+        break;
+      }
+      case 'ladder-knockdown':
+        st.climb[target] = 0;
+        dmg = this._rng() * 10 + 10;
+        break;
+      case 'ladder-shot':
+        dmg = this._rng() * 10 + 15;
+        break;
+      case 'cage-slam':
+        dmg = this._rng() * 10 + 10;
+        break;
+      case 'cage-climb':
+        st.escape[actor] += 25 + speed * 3 + opponentDown;
+        if (winner && actor !== winner) st.escape[actor] = Math.min(st.escape[actor], 90);
+        if (st.escape[actor] >= 100) {
+          st.escape[actor] = 100;
+          st.escapedVia = 'over-the-top';
+          structureWin = { winner: actor, method: 'escape' };
+        }
+        break;
+      case 'door-attempt': {
+        const made = this._rng() < 0.1 + (match.damage[target] || 0) / 200 && (!winner || actor === winner);
+        if (made) {
+          st.escapedVia = 'door';
+          structureWin = { winner: actor, method: 'escape' };
+        } else {
+          // Cut off at the door
+          match.damage[actor] = Math.min(100, (match.damage[actor] || 0) + 5);
+        }
+        break;
+      }
+      case 'pulled-back':
+        st.escape[target] = 0;
+        dmg = this._rng() * 5 + 5;
+        break;
+      case 'cell-slam':
+        dmg = this._rng() * 10 + 12;
+        break;
+      case 'roof-climb':
+        st.onRoof = true;
+        break;
+      case 'roof-fall':
+        st.onRoof = false;
+        dmg = this._rng() * 15 + 30;
+        break;
+      case 'through-the-roof':
+        st.onRoof = false;
+        dmg = this._rng() * 15 + 35;
+        break;
+    }
+
+    if (MATCH_TYPES[match.type].extreme) dmg *= 1.2;
+    match.damage[target] = Math.min(100, (match.damage[target] || 0) + dmg);
+    return {
+      momentumSwing,
+      damageDealt: Math.round(dmg),
+      ...(structureWin ? { structureWin } : {}),
+    };
+  }
+
+  /**
+   * Outsiders with a reason to get involved with these two: a rival of either,
+   * an ally of either, or anyone waiting in the wings. Nobody runs in twice.
+   */
+  _runInCandidates(actor, target) {
+    const match = this.activeMatch;
+    const used = new Set(match.runIns.map(r => r.charId));
+    return match.runInCandidates.filter(c => !used.has(c.charId) && (
+      c.reason === 'wings' || [actor, target].includes(c.victim) || [actor, target].includes(c.helps)
+    ));
+  }
+
+  /**
+   * Someone hits the ring: the victim takes a beating and the other man gets the opening.
+   * Returns null when nobody is available to run in.
+   */
+  _resolveRunIn(beat, actor, target) {
+    const match = this.activeMatch;
+    const sameSide = (a, b) => a === b || (!!match.teams && this._teamIndex(a) === this._teamIndex(b));
+    const victimOf = c => c.victim ?? (c.helps ? (sameSide(c.helps, actor) ? target : actor) : target);
+
+    let candidates = this._runInCandidates(actor, target);
+    // A scripted run-in never costs the booked winner
+    const winner = match.script?.winner;
+    if (winner) candidates = candidates.filter(c => !sameSide(victimOf(c), winner));
+    if (candidates.length === 0) return null;
+
+    let roll = this._rng() * candidates.reduce((sum, c) => sum + (c.weight || 1), 0);
+    const pick = candidates.find(c => (roll -= c.weight || 1) <= 0) || candidates[candidates.length - 1];
+    const victim = victimOf(pick);
+    const beneficiary = victim === actor ? target : actor;
+
+    const dmg = this._rng() * 10 + 15;
+    match.damage[victim] = Math.min(100, (match.damage[victim] || 0) + dmg);
+    match.momentum[victim] = Math.max(-10, (match.momentum[victim] || 0) - 3);
+    match.momentum[beneficiary] = Math.min(10, (match.momentum[beneficiary] || 0) + 3);
+
+    const runIn = { round: match.currentRound, charId: pick.charId, victim, beneficiary, reason: pick.reason, beat };
+    match.runIns.push(runIn);
+    return { momentumSwing: 3, damageDealt: Math.round(dmg), runIn };
+  }
+
+  /**
+   * Rumble: does someone go over the top rope this round?
+   */
+  _resolveRumbleElimination(beat, actor, target) {
+    const match = this.activeMatch;
+    const winner = match.script?.winner;
+    if (beat === 'hanging-on') return [];
+    if (beat === 'skin-the-cat') {
+      // The target saves himself and dumps the actor half the time
+      if (actor === winner) return [];
+      return this._rng() < 0.5 ? [this._eliminate(actor, target, 'over-the-top')] : [];
+    }
+
+    let chance = 0.1 + (this._inRing().length - 2) * 0.06 + (match.damage[target] || 0) / 250;
+    if (beat === 'elimination-attempt') chance += 0.3;
+    if (beat === 'gang-up') chance += 0.15;
+    // The booked winner always finds a way to hang on
+    if (target === winner) return [];
+    return this._rng() < Math.min(0.9, chance) ? [this._eliminate(target, actor, 'over-the-top')] : [];
+  }
+
+  /**
+   * Win method for a scripted finish, limited to what the match type allows
+   */
+  _scriptedMethod(beat) {
+    const match = this.activeMatch;
+    const allowed = MATCH_TYPES[match.type].winConditions;
+    const preferred = beat === 'submission-tap' ? ['submission'] : FINISH_TYPES[match.script.finish].methods;
+    return preferred.find(m => allowed.includes(m)) || allowed[0];
+  }
+
+  _eliminate(charId, by, method) {
+    const match = this.activeMatch;
+    match.eliminated.push(charId);
+    const survivalRounds = match.currentRound - (match.entered[charId] || 0);
+    const record = {
+      charId,
+      by,
+      round: match.currentRound,
+      method,
+      order: match.eliminated.length,
+      survivalRounds,
+      survivalSeconds: survivalRounds * ROUND_SECONDS,
+    };
+    match.eliminations.push(record);
+    return record;
+  }
+
+  /**
+   * Bring in the next Rumble entrant when the clock says so (or the ring is empty)
+   */
+  _admitEntrant() {
+    const match = this.activeMatch;
+    const type = MATCH_TYPES[match.type];
+    const pending = this._pendingEntrants();
+    if (!type.rumble || pending.length === 0) return null;
+    if (match.currentRound % type.entryInterval !== 0 && this._inRing().length >= 2) return null;
+    match.entered[pending[0]] = match.currentRound;
+    return pending[0];
+  }
+
+  _pendingEntrants() {
+    const match = this.activeMatch;
+    return match.participants.filter(p => !(p in match.entered));
+  }
+
+  _inRing() {
+    const match = this.activeMatch;
+    return match.participants.filter(p => p in match.entered && !match.eliminated.includes(p));
+  }
+
+  /**
+   * Set the winner — in tag matches the whole team wins with them
+   */
+  _declareWinner(winner, method) {
+    const match = this.activeMatch;
     match.winner = winner;
-    match.winMethod = 'pinfall';
+    match.winners = match.teams ? [...match.teams[this._teamIndex(winner)]] : [winner];
+    match.winMethod = method;
+  }
+
+  _teamIndex(charId) {
+    return this.activeMatch.teams.findIndex(t => t.includes(charId));
+  }
+
+  _pickPartner(charId) {
+    const team = this.activeMatch.teams[this._teamIndex(charId)];
+    const partners = team.filter(p => p !== charId);
+    return partners[Math.floor(this._rng() * partners.length)];
+  }
+}
+
+/**
+ * Overall ring ability — a small edge at the finish, not a guarantee
+ */
+function wrestlingSkill(charId) {
+  const a = getAttributes(charId);
+  return (a.strength + a.speed + a.technique + a.toughness) / 8;
+}
+
+/**
+ * Per-match state for structure stipulations (null for matches without one)
+ */
+function createStructureState(structure, participants) {
+  const perWrestler = () => Object.fromEntries(participants.map(p => [p, 0]));
+  switch (structure) {
+    case 'ladder': return { kind: 'ladder', ladderUp: false, climb: perWrestler(), reachedTop: null };
+    case 'cage': return { kind: 'cage', escape: perWrestler(), escapedVia: null };
+    case 'cell': return { kind: 'cell', onRoof: false };
+    default: return null;
+  }
+}
+
+function formatClock(seconds) {
+  const m = Math.floor(seconds / 60);
+  const sec = String(seconds % 60).padStart(2, '0');
+  return `${m}:${sec}`;
+}
+
+/**
+ * Check a booker's script against the match it's meant for
+ */
+export function validateScript(script, participants, matchType = 'singles') {
+  const type = MATCH_TYPES[matchType];
+  if (!type) return `Unknown match type: ${matchType}`;
+  if (!script.winner || !participants.includes(script.winner)) return 'Scripted winner must be a participant';
+  const finish = script.finish || 'clean';
+  if (!FINISH_TYPES[finish]) return `Unknown finish type: ${finish} (use ${Object.keys(FINISH_TYPES).join(', ')})`;
+  if (finish === 'dq' && !type.winConditions.includes('dq')) return `No disqualifications in a ${type.name}`;
+  if (finish === 'count-out' && !type.winConditions.includes('count-out')) return `No count-outs in a ${type.name}`;
+  const knownSpots = new Set([
+    ...MATCH_BEATS.early, ...MATCH_BEATS.mid, ...MATCH_BEATS.late,
+    ...TAG_BEATS.mid, ...MULTI_BEATS.mid, ...RUMBLE_BEATS.mid, ...RUMBLE_BEATS.late,
+    ...STRUCTURE_BEAT_SET, ...RUN_IN_BEATS.mid,
+  ]);
+  const unknown = (script.spots || []).find(spot => !knownSpots.has(spot));
+  if (unknown) return `Unknown spot: ${unknown}`;
+  const tagSpot = (script.spots || []).find(spot => TAG_BEATS.mid.includes(spot) || spot === 'tag');
+  if (tagSpot && !type.isTagTeam) return `${tagSpot} needs a tag team match`;
+  if ((script.spots || []).includes('pin-break-up') && !type.anyFall) return 'pin-break-up needs a triple threat or four-way';
+  const structureSpot = (script.spots || []).find(spot => STRUCTURE_BEAT_SET.has(spot)
+    && !Object.values(STRUCTURE_BEATS[type.structure] || {}).flat().includes(spot));
+  if (structureSpot) return `${structureSpot} doesn't fit a ${type.name}`;
+  return null;
+}
+
+/**
+ * Tag teams when the booker doesn't name them: the first half of the
+ * participants against the second
+ */
+export function defaultTeams(participants) {
+  const half = Math.ceil(participants.length / 2);
+  return [participants.slice(0, half), participants.slice(half)];
+}
+
+/**
+ * Check that tag teams are two non-empty sides that cover the participants exactly
+ */
+function validateTeams(teams, participants) {
+  if (!Array.isArray(teams) || teams.length !== 2) return 'Tag team matches need exactly 2 teams';
+  if (teams.some(t => !Array.isArray(t) || t.length < 2)) return 'Each tag team needs at least 2 members';
+  const members = teams.flat();
+  if (new Set(members).size !== members.length) return 'A wrestler cannot be on both teams';
+  if (members.length !== participants.length || members.some(m => !participants.includes(m))) {
+    return 'Teams must match the participant list';
   }
+  return null;
 }
 
 export { MATCH_TYPES };
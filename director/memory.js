@@ -0,0 +1,290 @@
+/**
+ * WWE Character Memory
+ *
+ * Long-term memory per character: match results, title changes, storyline
+ * beats and notable quotes. Older memories are folded into a short summary
+ * (written by the LLM) so the store stays bounded, and the relevant bits are
+ * injected into prompts — so last week's betrayal still stings.
+ */
+
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { getCharacter } from './characters.js';
+
+const STATE_DIR = process.env.STATE_DIR || '/data/storyline';
+const MEMORY_FILE = `${STATE_DIR}/memory.json`;
+const HISTORY_FILE = `${STATE_DIR}/history.jsonl`;
+
+const MAX_MEMORIES = 40;       // past this, the oldest get summarised
+const KEEP_AFTER_SUMMARY = 15; // recent memories left as-is after a summary pass
+const MAX_QUOTES = 5;
+const MIN_QUOTE_LENGTH = 40;
+const PROMPT_MEMORIES = 6;
+const SAVE_DELAY_MS = 5000;    // batch up writes — memories arrive in bursts
+
+// How memorable each kind of event is (relevance ties break on recency)
+const WEIGHTS = { title: 5, betrayal: 5, turn: 4, match: 3, feud: 3, 'run-in': 3, relationship: 2, beat: 1 };
+
+// Storyline beats worth remembering, from each side. `self` is the first
+// character in the beat, `other` the second (if any).
+const BEAT_MEMORIES = {
+  'surprise-betrayal': { kind: 'betrayal', self: o => `You betrayed ${o}`, other: s => `${s} betrayed you` },
+  'run-in': { kind: 'run-in', self: o => `You ran in and cost ${o} a match`, other: s => `${s} ran in and attacked you during a match` },
+  'feud-peak': { kind: 'feud', self: o => `Your feud with ${o} boiled over`, other: s => `Your feud with ${s} boiled over` },
+  'feud-resolved': { kind: 'feud', self: o => `Your feud with ${o} ended`, other: s => `Your feud with ${s} ended` },
+  'feud-rematch': { kind: 'feud', self: o => `Your blow-off with ${o} settled nothing`, other: s => `Your blow-off with ${s} settled nothing` },
+  'turn-heel': { kind: 'turn', self: () => 'You turned heel' },
+  'turn-face': { kind: 'turn', self: () => 'You turned face' },
+  'turn-tweener': { kind: 'turn', self: () => 'You stopped caring whether the fans cheer or boo' },
+  'relationship-ally': { kind: 'relationship', self: o => `You formed an alliance with ${o}`, other: s => `You formed an alliance with ${s}` },
+  'relationship-tag-partner': { kind: 'relationship', self: o => `You teamed up with ${o}`, other: s => `You teamed up with ${s}` },
+  'relationship-mentor': { kind: 'relationship', self: o => `You took ${o} under your wing`, other: s => `${s} took you under their wing` },
+  challenge: { kind: 'beat', self: o => `You challenged ${o} to a match`, other: s => `${s} challenged you to a match` },
+};
+
+export class CharacterMemory {
+  /**
+   * `summarize(prompt)` resolves to the LLM's summary text — without it, old
+   * memories are simply dropped once the store is full
+   */
+  constructor({ summarize = null } = {}) {
+    // charId -> { summary, events: [{ kind, text, with, at }], quotes: [{ text, at }] }
+    this.characters = {};
+    this.summarize = summarize;
+    this._summarizing = new Set();
+    this._saveTimer = null;
+  }
+
+  // -----------------------------------------------------------------------
+  // Persistence
+  // -----------------------------------------------------------------------
+
+  /**
+   * Load saved memories. The first time around, build them from the
+   * storyline history so existing shows aren't forgotten.
+   */
+  async loadState() {
+    try {
+      if (existsSync(MEMORY_FILE)) {
+        this.characters = JSON.parse(await readFile(MEMORY_FILE, 'utf-8'));
+        return;
+      }
+      if (!existsSync(HISTORY_FILE)) return;
+      const lines = (await readFile(HISTORY_FILE, 'utf-8')).split('\n').filter(Boolean);
+      for (const line of lines) {
+        try { this.recordBeat(JSON.parse(line), { compact: false }); } catch (e) { /* skip bad line */ }
+      }
+      for (const charId of Object.keys(this.characters)) this.trim(charId);
+      console.log(`Built character memory from ${lines.length} history entries`);
+    } catch (err) {
+      console.error('Failed to load character memory:', err.message);
+    }
+  }
+
+  async saveState() {
+    try {
+      if (!existsSync(STATE_DIR)) await mkdir(STATE_DIR, { recursive: true });
+      await writeFile(MEMORY_FILE, JSON.stringify(this.characters, null, 2));
+    } catch (err) {
+      console.error('Failed to save character memory:', err.message);
+    }
+  }
+
+  scheduleSave() {
+    if (this._saveTimer) return;
+    this._saveTimer = setTimeout(() => {
+      this._saveTimer = null;
+      this.saveState();
+    }, SAVE_DELAY_MS);
+    this._saveTimer.unref?.();
+  }
+
+  // -----------------------------------------------------------------------
+  // Recording
+  // -----------------------------------------------------------------------
+
+  remember(charId, kind, text, withIds = [], at = Date.now(), { compact = true } = {}) {
+    const memory = this._memoryFor(charId);
+    memory.events.push({ kind, text, with: withIds, at });
+    this.scheduleSave();
+    if (compact && memory.events.length > MAX_MEMORIES) {
+      this.compact(charId).catch(err => console.error(`Memory summary for ${charId} failed:`, err.message));
+    }
+  }
+
+  /**
+   * A storyline history entry ({ beat, characters, timestamp })
+   */
+  recordBeat(entry, options = {}) {
+    const template = BEAT_MEMORIES[entry.beat];
+    if (!template || !entry.characters?.length) return;
+    const [self, other] = entry.characters;
+    const at = entry.timestamp || Date.now();
+    const otherName = other ? nameOf(other) : null;
+    if (!other && template.self.length > 0) return; // needs someone on the other side
+
+    this.remember(self, template.kind, template.self(otherName), other ? [other] : [], at, options);
+    if (other && template.other) this.remember(other, template.kind, template.other(nameOf(self)), [self], at, options);
+  }
+
+  /**
+   * A finished match, plus the title result if the belt was on the line
+   */
+  recordMatch(match, titleChange = null) {
+    const winners = match.winners || [match.winner];
+    const losers = match.participants.filter(p => !winners.includes(p));
+    const how = match.winMethod ? ` by ${match.winMethod}` : '';
+    const type = match.typeName || match.type || 'match';
+
+    for (const w of winners) {
+      this.remember(w, 'match', `You beat ${listNames(losers)} in a ${type}${how}`, losers);
+    }
+    for (const l of losers) {
+      this.remember(l, 'match', `You lost to ${listNames(winners)} in a ${type}${how}`, winners);
+    }
+    if (titleChange) this.recordTitleChange(titleChange);
+  }
+
+  recordTitleChange(result) {
+    const champs = [result.newChampion].flat().filter(Boolean);
+    const previous = [result.previousChampion].flat().filter(Boolean);
+    const title = (result.titleName || result.titleId).replace(/^[^\w]+/, ''); // drop the belt emoji
+
+    if (champs.length && champs.every(c => previous.includes(c))) {
+      for (const c of champs) this.remember(c, 'title', `You retained the ${title}`);
+      return;
+    }
+    for (const c of champs) {
+      this.remember(c, 'title', previous.length ? `You won the ${title} from ${listNames(previous)}` : `You won the ${title}`, previous);
+    }
+    for (const p of previous) {
+      this.remember(p, 'title', `You lost the ${title} to ${listNames(champs)}`, champs);
+    }
+  }
+
+  /**
+   * Something a character said that's worth calling back to
+   */
+  recordQuote(charId, text) {
+    if (!text || text.length < MIN_QUOTE_LENGTH) return;
+    const memory = this._memoryFor(charId);
+    memory.quotes.push({ text: text.slice(0, 200), at: Date.now() });
+    memory.quotes = memory.quotes.slice(-MAX_QUOTES);
+    this.scheduleSave();
+  }
+
+  // -----------------------------------------------------------------------
+  // Summarisation
+  // -----------------------------------------------------------------------
+
+  /**
+   * Fold the oldest memories into the running summary. Without a summariser
+   * (or if it fails), they are trimmed instead.
+   */
+  async compact(charId) {
+    const memory = this.characters[charId];
+    if (!memory || memory.events.length <= MAX_MEMORIES || this._summarizing.has(charId)) return;
+
+    const old = memory.events.slice(0, memory.events.length - KEEP_AFTER_SUMMARY);
+    if (!this.summarize) return this.trim(charId);
+
+    this._summarizing.add(charId);
+    try {
+      const summary = await this.summarize(buildSummaryPrompt(charId, memory.summary, old));
+      if (!summary) return this.trim(charId);
+      memory.summary = summary.trim().slice(0, 800);
+      memory.events = memory.events.filter(e => !old.includes(e));
+      memory.summarizedAt = Date.now();
+      await this.saveState();
+    } catch (err) {
+      console.error(`Memory summary for ${charId} failed:`, err.message);
+      this.trim(charId);
+    } finally {
+      this._summarizing.delete(charId);
+    }
+  }
+
+  /**
+   * Keep the store bounded without a summary: drop the least memorable old events
+   */
+  trim(charId) {
+    const memory = this.characters[charId];
+    if (!memory || memory.events.length <= MAX_MEMORIES) return;
+    const ranked = [...memory.events].sort((a, b) => (WEIGHTS[b.kind] || 1) - (WEIGHTS[a.kind] || 1) || b.at - a.at);
+    const keep = new Set(ranked.slice(0, MAX_MEMORIES));
+    memory.events = memory.events.filter(e => keep.has(e));
+  }
+
+  // -----------------------------------------------------------------------
+  // Recall
+  // -----------------------------------------------------------------------
+
+  /**
+   * The memories most worth bringing up right now — anything involving the
+   * people in the conversation first, then the biggest and most recent moments
+   */
+  recall(charId, relevantIds = [], limit = PROMPT_MEMORIES) {
+    const memory = this.characters[charId];
+    if (!memory) return [];
+    const score = e => (e.with.some(id => relevantIds.includes(id)) ? 10 : 0) + (WEIGHTS[e.kind] || 1);
+    return [...memory.events]
+      .sort((a, b) => score(b) - score(a) || b.at - a.at)
+      .slice(0, limit)
+      .sort((a, b) => a.at - b.at);
+  }
+
+  /**
+   * Prompt block for a character — empty when they have nothing to remember
+   */
+  getPromptContext(charId, relevantIds = []) {
+    const memory = this.characters[charId];
+    if (!memory) return '';
+    const events = this.recall(charId, relevantIds);
+    const lines = [];
+    if (memory.summary) lines.push(memory.summary);
+    for (const e of events) lines.push(`- ${e.text} (${timeAgo(e.at)})`);
+    const quote = memory.quotes[memory.quotes.length - 1];
+    if (quote) lines.push(`You once said: "${quote.text}"`);
+    if (!lines.length) return '';
+    return `YOUR HISTORY (bring it up when it fits — these really happened):\n${lines.join('\n')}`;
+  }
+
+  getState(charId = null) {
+    if (charId) return this.characters[charId] || null;
+    return Object.fromEntries(Object.entries(this.characters).map(([id, m]) => [id, {
+      summary: m.summary,
+      events: m.events.length,
+      quotes: m.quotes.length,
+      summarizedAt: m.summarizedAt || null,
+    }]));
+  }
+
+  _memoryFor(charId) {
+    if (!this.characters[charId]) this.characters[charId] = { summary: '', events: [], quotes: [] };
+    return this.characters[charId];
+  }
+}
+
+function buildSummaryPrompt(charId, summary, events) {
+  const name = nameOf(charId);
+  return `You keep the career notes for ${name}, a WWE superstar.\n\n` +
+    (summary ? `CURRENT NOTES:\n${summary}\n\n` : '') +
+    `NEW EVENTS (oldest first):\n${events.map(e => `- ${e.text}`).join('\n')}\n\n` +
+    `Rewrite the notes to cover everything above in at most 120 words, written to ${name} as "you". ` +
+    `Keep title wins and losses, betrayals, turns and the rivalries that matter. Drop small talk. Plain text only.`;
+}
+
+function nameOf(charId) {
+  return getCharacter(charId)?.name || charId;
+}
+
+function listNames(ids) {
+  return ids.map(nameOf).join(' and ');
+}
+
+function timeAgo(at) {
+  const hours = (Date.now() - at) / (60 * 60 * 1000);
+  if (hours < 1) return 'just now';
+  if (hours < 24) return `${Math.round(hours)}h ago`;
+  return `${Math.round(hours / 24)}d ago`;
+}
@@ -0,0 +1,227 @@
+/**
+ * Fan Polls
+ *
+ * The crowd gets a say in the booking. A poll asks the channel one question
+ * and fans vote with buttons under the message. When it closes the result
+ * goes to work: the match type and title shot polls shape the next
+ * auto-booked PPV card, a heel-turn poll turns the winner, a poll about a
+ * feud heats it up, and the votes a wrestler gets are crowd support that
+ * tips the finish of their matches for a while.
+ */
+
+import { getCharacter } from './characters.js';
+import { MATCH_TYPES } from './match-engine.js';
+import { CHAMPIONSHIPS } from './championships.js';
+
+// What fans can be asked. `subject` says what the caller has to supply.
+export const POLL_TYPES = {
+  'match-type': { name: 'Match type', emoji: '🤼', subject: 'participants', question: s => `What kind of match should ${names(s.participants, ' and ')} have?` },
+  'title-shot': { name: 'Title shot', emoji: '🏆', subject: 'titleId', question: s => `Who deserves a shot at the ${CHAMPIONSHIPS[s.titleId]?.name || s.titleId}?` },
+  'heel-turn': { name: 'Heel turn', emoji: '😈', subject: null, question: () => 'Who should turn heel?' },
+  'match-winner': { name: 'Who should win', emoji: '🔔', subject: 'participants', question: s => `Who should win — ${names(s.participants, ' or ')}?` },
+};
+
+// Match types fans pick from for a one-on-one
+export const POLL_MATCH_TYPES = ['singles', 'no-dq', 'steel-cage', 'hell-in-a-cell', 'ladder'];
+
+const MAX_OPTIONS = 10;
+const MAX_HISTORY = 50;
+const SUPPORT_WINDOW_MS = 7 * 24 * 60 * 60 * 1000; // how long votes count as crowd support
+
+export class PollManager {
+  constructor() {
+    this.open = [];   // polls still taking votes
+    this.closed = []; // finished polls, newest last
+  }
+
+  loadFrom(saved) {
+    if (!saved) return;
+    if (saved.open) this.open = saved.open;
+    if (saved.closed) this.closed = saved.closed.slice(-MAX_HISTORY);
+  }
+
+  toJSON() {
+    return { open: this.open, closed: this.closed.slice(-MAX_HISTORY) };
+  }
+
+  /**
+   * Open a poll. `participants` (match-type, match-winner), `titleId`
+   * (title-shot) and `candidates` (title-shot, heel-turn) set the ballot.
+   * Returns the poll or { error }.
+   */
+  createPoll(type, { participants = null, titleId = null, candidates = null, brand = null, durationMinutes = 60, question = null, now = Date.now() } = {}) {
+    const pollType = POLL_TYPES[type];
+    if (!pollType) return { error: `Unknown poll type: ${type} — one of ${Object.keys(POLL_TYPES).join(', ')}` };
+
+    let options;
+    if (pollType.subject === 'participants') {
+      if (!participants || participants.length !== 2) return { error: `A ${type} poll needs two participants` };
+      if (participants.some(c => !getCharacter(c))) return { error: `Unknown character: ${participants.find(c => !getCharacter(c))}` };
+      options = type === 'match-type'
+        ? POLL_MATCH_TYPES.map(id => ({ id, label: `${MATCH_TYPES[id].emoji} ${MATCH_TYPES[id].name}` }))
+        : participants.map(characterOption);
+    } else {
+      if (type === 'title-shot' && !CHAMPIONSHIPS[titleId]) return { error: `Unknown title: ${titleId}` };
+      if (type === 'title-shot' && CHAMPIONSHIPS[titleId].isTagTeam) return { error: 'Title shot polls are for singles titles' };
+      const unique = [...new Set(candidates || [])];
+      if (unique.length < 2) return { error: 'A poll needs at least two candidates' };
+      if (unique.some(c => !getCharacter(c))) return { error: `Unknown character: ${unique.find(c => !getCharacter(c))}` };
+      options = unique.slice(0, MAX_OPTIONS).map(characterOption);
+    }
+
+    const subject = { participants: participants ? [...participants] : null, titleId };
+    const poll = {
+      id: `poll-${now}-${Math.floor(Math.random() * 1000)}`,
+      type,
+      question: question || `${pollType.emoji} ${pollType.question(subject)}`,
+      brand,
+      subject,
+      options,
+      votes: {},        // { [voterId]: optionId }
+      messages: [],     // { channelId, messageId } — where the ballot was posted
+      createdAt: now,
+      closesAt: now + Math.max(1, durationMinutes) * 60 * 1000,
+      status: 'open',
+      result: null,
+    };
+    this.open.push(poll);
+    return poll;
+  }
+
+  getPoll(pollId) {
+    return this.open.find(p => p.id === pollId) || this.closed.find(p => p.id === pollId) || null;
+  }
+
+  /**
+   * One vote per fan — voting again changes it
+   */
+  vote(pollId, voterId, optionId) {
+    const poll = this.open.find(p => p.id === pollId);
+    if (!poll) return { error: this.getPoll(pollId) ? 'That poll is closed' : `Unknown poll: ${pollId}` };
+    if (!voterId) return { error: 'voterId required' };
+    if (!poll.options.some(o => o.id === optionId)) return { error: `Not on the ballot: ${optionId}` };
+    poll.votes[voterId] = optionId;
+    return { poll };
+  }
+
+  /**
+   * Votes per option, most first (ballot order breaks ties)
+   */
+  tally(poll) {
+    const counts = poll.options.map(o => ({ ...o, votes: Object.values(poll.votes).filter(v => v === o.id).length }));
+    return counts.sort((a, b) => b.votes - a.votes);
+  }
+
+  /**
+   * Close a poll and settle its result: { winner, tally, turnout } —
+   * no winner when nobody voted
+   */
+  close(pollId, now = Date.now()) {
+    const idx = this.open.findIndex(p => p.id === pollId);
+    if (idx === -1) return { error: this.getPoll(pollId) ? 'That poll is already closed' : `Unknown poll: ${pollId}` };
+    const [poll] = this.open.splice(idx, 1);
+    const tally = this.tally(poll);
+    const turnout = Object.keys(poll.votes).length;
+    poll.status = 'closed';
+    poll.closedAt = now;
+    poll.result = { winner: turnout ? tally[0].id : null, tally, turnout };
+    this.closed.push(poll);
+    if (this.closed.length > MAX_HISTORY) this.closed.shift();
+    return { poll };
+  }
+
+  /**
+   * Open polls whose time is up
+   */
+  due(now = Date.now()) {
+    return this.open.filter(p => p.closesAt <= now);
+  }
+
+  /**
+   * What the fans asked for that hasn't made a card yet — for autoBookCard.
+   * `roster` limits it to one brand's wrestlers.
+   */
+  getBookingChoices(roster = null) {
+    const onRoster = ids => !roster || ids.every(c => roster.includes(c));
+    const pending = this.closed.filter(p => p.result?.winner && !p.appliedTo);
+    return {
+      matchTypes: pending
+        .filter(p => p.type === 'match-type' && onRoster(p.subject.participants))
+        .map(p => ({ pollId: p.id, participants: p.subject.participants, matchType: p.result.winner })),
+      titleShots: pending
+        .filter(p => p.type === 'title-shot' && onRoster([p.result.winner]))
+        .map(p => ({ pollId: p.id, titleId: p.subject.titleId, challenger: p.result.winner })),
+    };
+  }
+
+  /**
+   * Mark the polls a card used (see `fanPolls` on its matches) so they're only used once
+   */
+  markApplied(card, eventId) {
+    const used = card.flatMap(m => m.fanPolls || []);
+    for (const poll of this.closed) {
+      if (used.includes(poll.id)) poll.appliedTo = eventId;
+    }
+    return used;
+  }
+
+  /**
+   * Crowd support for each participant, 0-1: their best share of the vote in
+   * a recent poll with wrestlers on the ballot
+   */
+  crowdSupport(participants, now = Date.now()) {
+    const support = {};
+    const recent = [...this.open, ...this.closed].filter(p =>
+      p.type !== 'heel-turn' && p.type !== 'match-type' && now - p.createdAt <= SUPPORT_WINDOW_MS);
+    for (const poll of recent) {
+      const turnout = Object.keys(poll.votes).length;
+      if (!turnout) continue;
+      for (const { id, votes } of this.tally(poll)) {
+        if (participants.includes(id) && votes) support[id] = Math.max(support[id] || 0, votes / turnout);
+      }
+    }
+    return support;
+  }
+
+  /**
+   * A poll for the API: the running count instead of who voted for what
+   */
+  view(poll) {
+    const { votes, ...rest } = poll;
+    return { ...rest, tally: this.tally(poll), turnout: Object.keys(votes).length };
+  }
+
+  getState() {
+    return {
+      open: this.open.map(p => this.view(p)),
+      closed: this.closed.slice(-20).reverse().map(p => this.view(p)),
+      types: Object.entries(POLL_TYPES).map(([id, t]) => ({ id, name: t.name, emoji: t.emoji, subject: t.subject })),
+    };
+  }
+}
+
+/**
+ * The ballot as a Discord message body — with the running count once votes are in
+ */
+export function formatPoll(poll, tally) {
+  const turnout = tally.reduce((sum, o) => sum + o.votes, 0);
+  const lines = [`🗳️ **FAN POLL** — ${poll.question}`];
+  if (poll.status === 'closed') {
+    const winner = poll.options.find(o => o.id === poll.result?.winner);
+    lines.push(winner ? `🏁 **The fans have spoken: ${winner.label}!**` : '🏁 Poll closed — nobody voted.');
+  } else {
+    lines.push(`Voting closes <t:${Math.floor(poll.closesAt / 1000)}:R>`);
+  }
+  if (turnout) {
+    for (const o of tally) lines.push(`${o.label} — ${o.votes} vote${o.votes === 1 ? '' : 's'} (${Math.round((o.votes / turnout) * 100)}%)`);
+  }
+  return lines.join('\n');
+}
+
+function characterOption(id) {
+  return { id, label: getCharacter(id).displayName || getCharacter(id).name };
+}
+
+function names(ids, separator) {
+  return (ids || []).map(id => getCharacter(id)?.name || id).join(separator);
+}
@@ -8,10 +8,14 @@
  * - Pre-built PPV templates (WrestleMania, SummerSlam, Royal Rumble, etc.)
  * - Custom match cards with title matches, stipulations
  * - Pre-show hype (promos posted before event starts)
+ * - Countdowns at T-24h, T-1h and T-10m for events with a date
+ * - The road to a dated event: every card match gets a buildup arc
  * - Event results summary
+ * - Brand shows, and cross-brand events where brand faces brand
  */
 
 import { getCharacter } from './characters.js';
+import { validateScript } from './match-engine.js';
 
 const PPV_TEMPLATES = {
   wrestlemania: {
@@ -46,6 +50,7 @@ const PPV_TEMPLATES = {
     matchCount: { min: 3, max: 5 },
     prestige: 8,
     theme: 'Brand supremacy. Elimination matches. Only the survivors remain.',
+    crossBrand: true,
   },
   'hell-in-a-cell-ppv': {
     name: 'Hell in a Cell',
@@ -83,6 +88,31 @@ const PPV_TEMPLATES = {
   },
 };
 
+// Countdown hype before a dated event, furthest out first
+export const PPV_COUNTDOWNS = [
+  { id: '24h', ms: 24 * 60 * 60 * 1000, label: '24 HOURS', hype: 'Tomorrow night, it all comes down to this.' },
+  { id: '1h', ms: 60 * 60 * 1000, label: 'ONE HOUR', hype: 'The doors are open and the arena is filling up!' },
+  { id: '10m', ms: 10 * 60 * 1000, label: '10 MINUTES', hype: 'Get to your seats — we are moments away!' },
+];
+
+// A countdown posts while the time left is within this share of its mark —
+// any later and its label would be wrong (T-1h with half an hour to go)
+const COUNTDOWN_WINDOW = 0.25;
+
+// What happens to an event whose time came while the director was down
+export const MISSED_POLICIES = ['run-late', 'skip', 'reschedule'];
+
+// The road to a dated event: each match on the card builds through these
+// beats, spread from when it's booked to the night (`at` — how far along)
+export const BUILDUP_ARC = [
+  { type: 'challenge', name: 'The Challenge', emoji: '🫵', at: 0 },
+  { type: 'escalation', name: 'Escalation', emoji: '🔥', at: 0.3 },
+  { type: 'sneak-attack', name: 'Sneak Attack', emoji: '💥', at: 0.55 },
+  { type: 'contract-signing', name: 'Contract Signing', emoji: '📝', at: 0.8 },
+  { type: 'go-home', name: 'Go-Home Promo', emoji: '🎤', at: 0.95 },
+];
+const BUILDUP_MIN_MS = 60 * 60 * 1000; // any closer to the show and there's no time to build
+
 export class PPVEngine {
   constructor() {
     this.scheduledEvents = [];  // Upcoming PPVs
@@ -94,17 +124,21 @@ export class PPVEngine {
     if (!saved) return;
     if (saved.scheduledEvents) this.scheduledEvents = saved.scheduledEvents;
     if (saved.completedEvents) this.completedEvents = saved.completedEvents.slice(-20);
+    // On the air when the director went down — see handleMissedEvents
+    if (saved.activeEvent) this.activeEvent = saved.activeEvent;
   }
 
   toJSON() {
     return {
       scheduledEvents: this.scheduledEvents,
+      activeEvent: this.activeEvent,
       completedEvents: this.completedEvents.slice(-20),
     };
   }
 
   /**
-   * Schedule a new PPV event
+   * Schedule a new PPV event. `brand` is the brand putting on the show;
+   * a cross-brand event belongs to every brand.
    */
   scheduleEvent(templateId, options = {}) {
     const template = PPV_TEMPLATES[templateId];
@@ -118,6 +152,8 @@ export class PPVEngine {
       tagline: template.tagline,
       theme: template.theme,
       prestige: template.prestige,
+      brand: options.crossBrand ? null : options.brand || null,
+      crossBrand: !!options.crossBrand,
       scheduledAt: options.scheduledAt || null,  // null = manual trigger
       matchCard: options.matchCard || [],
       status: 'scheduled',
@@ -135,13 +171,19 @@ export class PPVEngine {
     const event = this.scheduledEvents.find(e => e.id === eventId);
     if (!event) return { error: 'Event not found' };
     if (event.status !== 'scheduled') return { error: 'Event already started/completed' };
+    if (match.script) {
+      const scriptError = validateScript(match.script, match.participants, match.matchType || 'singles');
+      if (scriptError) return { error: scriptError };
+    }
 
     const entry = {
       order: event.matchCard.length + 1,
       participants: match.participants,
+      teams: match.teams || null,
       matchType: match.matchType || 'singles',
       forTitle: match.forTitle || null,
       stipulation: match.stipulation || null,
+      script: match.script || null,  // booker's planned finish — never shown to fans
       isMainEvent: match.isMainEvent || false,
     };
 
@@ -150,67 +192,333 @@ export class PPVEngine {
   }
 
   /**
-   * Auto-generate a match card based on active feuds and roster
+   * A wrestler has left: their matches come off every scheduled card and
+   * the rest are renumbered (the next one up headlines if the main event
+   * went). Provisional cards lose them too. Returns the dropped booked
+   * matches as { eventId, match }.
    */
-  autoBookCard(event, feuds, activeChars, championships) {
+  removeWrestler(charId) {
+    const dropped = [];
+    const without = card => {
+      const kept = card.filter(m => !m.participants.includes(charId));
+      kept.forEach((m, i) => { m.order = i + 1; });
+      if (kept.length && !kept.some(m => m.isMainEvent)) kept[0].isMainEvent = true;
+      return kept;
+    };
+    for (const event of this.scheduledEvents) {
+      if (event.provisionalCard) event.provisionalCard = without(event.provisionalCard);
+      const gone = event.matchCard.filter(m => m.participants.includes(charId));
+      if (gone.length === 0) continue;
+      event.matchCard = without(event.matchCard);
+      dropped.push(...gone.map(match => ({ eventId: event.id, match })));
+    }
+    return dropped;
+  }
+
+  /**
+   * Auto-generate a match card from the relationship graph and roster:
+   * feuds headline, established tag teams meet in tag matches, former
+   * partners settle old scores, and allies are never booked against each other.
+   * `fanChoices` (see PollManager.getBookingChoices) puts the fans' title
+   * shots on the card first and gives their pairings the match type they
+   * voted for; those matches list the polls in `fanPolls`.
+   */
+  autoBookCard(event, relationships, activeChars, championships, fanChoices = {}) {
     const card = [];
     const booked = new Set();
-
-    // Main event: highest intensity feud
-    const sortedFeuds = [...feuds].sort((a, b) => b.intensity - a.intensity);
-    
-    for (const feud of sortedFeuds) {
-      const [c1, c2] = feud.between;
-      if (booked.has(c1) || booked.has(c2)) continue;
-      if (!getCharacter(c1) || !getCharacter(c2)) continue;
-
-      const matchType = feud.intensity >= 8 ? 'hell-in-a-cell' : 
-                        feud.intensity >= 6 ? 'no-dq' : 'singles';
-
-      // Check if either holds a title — make it a title match
-      let forTitle = null;
-      if (championships) {
-        const state = championships.getState();
-        for (const [titleId, data] of Object.entries(state)) {
-          if (data.holder === c1 || data.holder === c2) {
-            forTitle = titleId;
-            break;
-          }
-        }
+    const edges = [...relationships].sort((a, b) => b.weight - a.weight);
+    const related = (type, a, b) => edges.some(r => r.type === type && r.between.includes(a) && r.between.includes(b));
+    // A champion's match is for their belt — if it can be (see checkTitleMatch)
+    const titleFor = (participants, teams = null) => {
+      if (!championships) return null;
+      const state = championships.getState();
+      for (const titleId of Object.keys(state)) {
+        if (!!state[titleId].isTagTeam !== !!teams) continue; // singles feud can't be for the tag belts
+        if (!participants.some(c => championships.isChampion(titleId, c))) continue;
+        if (!championships.checkTitleMatch(titleId, participants, teams)) return titleId;
       }
-
+      return null;
+    };
+    const votedType = participants => (fanChoices.matchTypes || []).find(v =>
+      v.participants.length === participants.length && v.participants.every(c => participants.includes(c)));
+    const book = (participants, matchType, extra = {}) => {
+      const voted = !extra.teams && votedType(participants);
+      const fanPolls = [...(extra.fanPolls || []), ...(voted ? [voted.pollId] : [])];
       card.push({
         order: card.length + 1,
-        participants: [c1, c2],
-        matchType,
-        forTitle,
+        participants,
+        matchType: voted ? voted.matchType : matchType,
+        forTitle: null,
         isMainEvent: card.length === 0,
+        ...extra,
+        ...(fanPolls.length ? { fanPolls } : {}),
       });
+      participants.forEach(c => booked.add(c));
+    };
+    const available = (...chars) => chars.every(c => !booked.has(c) && getCharacter(c));
+
+    // The fans picked a contender: champion vs challenger
+    for (const shot of fanChoices.titleShots || []) {
+      const champion = championships?.getState()[shot.titleId]?.holder;
+      if (!champion || Array.isArray(champion) || champion === shot.challenger) continue;
+      if (!available(champion, shot.challenger)) continue;
+      book([champion, shot.challenger], 'singles', { forTitle: shot.titleId, fanPolls: [shot.pollId] });
+    }
 
-      booked.add(c1);
-      booked.add(c2);
+    // Main event: highest intensity feud
+    for (const feud of edges.filter(r => r.type === 'feud')) {
+      const [c1, c2] = feud.between;
+      if (!available(c1, c2)) continue;
+
+      const matchType = feud.weight >= 8 ? 'hell-in-a-cell' : 
+                        feud.weight >= 6 ? 'no-dq' : 'singles';
+      book([c1, c2], matchType, { forTitle: titleFor([c1, c2]) });
       if (card.length >= 5) break;
     }
 
-    // Fill remaining spots with unbooked active characters
-    const unbooked = activeChars.filter(c => !booked.has(c) && getCharacter(c));
+    // Tag teams: the two strongest unbooked teams face off, for the belts if the champs are in it
+    const teams = edges
+      .filter(r => r.type === 'tag-partner' && activeChars.includes(r.between[0]) && activeChars.includes(r.between[1]))
+      .map(r => [...r.between]);
+    const tagTeams = [];
+    for (const team of teams) {
+      if (available(...team) && !tagTeams.flat().some(c => team.includes(c))) tagTeams.push(team);
+    }
+    if (tagTeams.length >= 2 && card.length < 6) {
+      const [teamA, teamB] = tagTeams;
+      const participants = [...teamA, ...teamB];
+      book(participants, 'tag-team', { teams: [teamA, teamB], forTitle: titleFor(participants, [teamA, teamB]) });
+    }
+
+    // Former partners have unfinished business
+    for (const edge of edges.filter(r => r.type === 'former-partner')) {
+      const [c1, c2] = edge.between;
+      if (card.length >= 6) break;
+      if (available(c1, c2) && activeChars.includes(c1) && activeChars.includes(c2)) book([c1, c2], 'singles');
+    }
+
+    // Fill remaining spots with unbooked active characters — never ally vs ally
+    const unbooked = activeChars.filter(c => available(c));
     while (unbooked.length >= 2 && card.length < 6) {
       const c1 = unbooked.shift();
-      const c2 = unbooked.shift();
+      const idx = unbooked.findIndex(c => !['ally', 'tag-partner', 'mentor'].some(t => related(t, c1, c)));
+      if (idx === -1) continue;
+      const [c2] = unbooked.splice(idx, 1);
+      book([c1, c2], 'singles');
+    }
+
+    return card;
+  }
+
+  /**
+   * Auto-generate a brand-vs-brand card. `rosters` maps two brand ids to
+   * their wrestlers. The main event is Team A vs Team B (up to four a side),
+   * each brand's singles champions meet in non-title champion vs champion
+   * matches, and everyone left pairs off across the brand line.
+   */
+  autoBookCrossBrandCard(event, rosters, activeChars, championships) {
+    const card = [];
+    const booked = new Set();
+    const [brandA, brandB] = Object.keys(rosters);
+    if (!brandB) return card;
+    const pool = brand => rosters[brand].filter(c => activeChars.includes(c) && getCharacter(c) && !booked.has(c));
+    const book = (participants, matchType, extra = {}) => {
       card.push({
         order: card.length + 1,
-        participants: [c1, c2],
-        matchType: 'singles',
+        participants,
+        matchType,
         forTitle: null,
-        isMainEvent: false,
+        isMainEvent: card.length === 0,
+        crossBrand: true,
+        ...extra,
       });
-      booked.add(c1);
-      booked.add(c2);
+      participants.forEach(c => booked.add(c));
+    };
+
+    // Champions are saved for each other; most prestigious belts first
+    const state = championships ? championships.getState() : {};
+    const champions = brand => Object.values(state)
+      .filter(t => !t.isTagTeam && t.holder && rosters[brand].includes(t.holder) && activeChars.includes(t.holder))
+      .sort((a, b) => b.prestige - a.prestige)
+      .map(t => t.holder)
+      .filter((c, i, all) => all.indexOf(c) === i);
+    const champsA = champions(brandA);
+    const champsB = champions(brandB);
+    const pairs = Math.min(champsA.length, champsB.length);
+    const saved = new Set([...champsA.slice(0, pairs), ...champsB.slice(0, pairs)]);
+
+    const size = Math.min(4, ...[brandA, brandB].map(b => pool(b).filter(c => !saved.has(c)).length));
+    if (size >= 2) {
+      const teamA = pool(brandA).filter(c => !saved.has(c)).slice(0, size);
+      const teamB = pool(brandB).filter(c => !saved.has(c)).slice(0, size);
+      book([...teamA, ...teamB], 'tag-team', { teams: [teamA, teamB], stipulation: `Team ${brandA.toUpperCase()} vs Team ${brandB.toUpperCase()}` });
+    }
+
+    for (let i = 0; i < pairs && card.length < 6; i++) {
+      book([champsA[i], champsB[i]], 'singles', { stipulation: 'Champion vs Champion' });
+    }
+
+    const restA = pool(brandA);
+    const restB = pool(brandB);
+    while (restA.length && restB.length && card.length < 6) {
+      book([restA.shift(), restB.shift()], 'singles');
     }
 
     return card;
   }
 
+  /**
+   * What the scheduler should do about each dated event at `now`, in order:
+   * { type: 'book' } — the card is empty and the event is within
+   * `bookLeadMs`; { type: 'countdown', countdown } — the countdown whose
+   * window (COUNTDOWN_WINDOW) the time left is in, if it's not posted yet
+   * (ones that went by unposted are passed over); { type: 'start' } — it's time.
+   */
+  getSchedulerActions(now = Date.now(), { bookLeadMs = 24 * 60 * 60 * 1000 } = {}) {
+    const actions = [];
+    for (const event of this.scheduledEvents.filter(e => e.scheduledAt)) {
+      const until = event.scheduledAt - now;
+      if (event.matchCard.length === 0 && !event.autoBookedAt && until <= bookLeadMs) {
+        actions.push({ type: 'book', event });
+      }
+      if (until <= 0) {
+        actions.push({ type: 'start', event });
+        continue;
+      }
+      const countdown = PPV_COUNTDOWNS.find(c => until <= c.ms && until > c.ms * (1 - COUNTDOWN_WINDOW));
+      if (countdown && !(event.countdowns || []).includes(countdown.id)) {
+        actions.push({ type: 'countdown', event, countdown });
+      }
+    }
+    return actions;
+  }
+
+  markCountdown(eventId, countdownId) {
+    const event = this.scheduledEvents.find(e => e.id === eventId);
+    if (!event) return;
+    event.countdowns = [...new Set([...(event.countdowns || []), countdownId])];
+  }
+
+  /**
+   * Deal with dated events that went by more than `graceMs` ago — the
+   * director was down when they were due. 'run-late' leaves them for the
+   * scheduler to start now, 'skip' drops them, 'reschedule' moves them
+   * `rescheduleMs` from now. An event that was on the air comes first:
+   * back within `graceMs` or under 'run-late' it's 'resumed' (the caller
+   * runs the matches without a result), otherwise it's 'cut short' and goes
+   * in the history with the results it has. Returns [{ event, action }].
+   */
+  handleMissedEvents(policy, { now = Date.now(), graceMs = 10 * 60 * 1000, rescheduleMs = 24 * 60 * 60 * 1000 } = {}) {
+    const interrupted = [];
+    const active = this.activeEvent;
+    if (active) {
+      const lastSeen = Math.max(active.startedAt, ...active.results.map(r => r.timestamp));
+      if (policy === 'run-late' || now - lastSeen <= graceMs) {
+        interrupted.push({ event: active, action: 'resumed' });
+      } else {
+        active.status = 'skipped';
+        active.skippedReason = 'interrupted';
+        active.completedAt = now;
+        this.completedEvents.push(active);
+        this.activeEvent = null;
+        interrupted.push({ event: active, action: 'cut short' });
+      }
+    }
+    const missed = this.scheduledEvents.filter(e => e.scheduledAt && now - e.scheduledAt > graceMs);
+    return [...interrupted, ...missed.map(event => {
+      if (policy === 'skip') return { event: this.skipEvent(event.id, 'missed'), action: 'skipped' };
+      if (policy === 'reschedule') return { event: this.rescheduleEvent(event.id, now + rescheduleMs), action: 'rescheduled' };
+      return { event, action: 'running late' };
+    })];
+  }
+
+  /**
+   * Drop a scheduled event without running it — it goes in the history as skipped
+   */
+  skipEvent(eventId, reason) {
+    const idx = this.scheduledEvents.findIndex(e => e.id === eventId);
+    if (idx === -1) return { error: 'Event not found' };
+    const [event] = this.scheduledEvents.splice(idx, 1);
+    event.status = 'skipped';
+    event.skippedReason = reason;
+    event.completedAt = Date.now();
+    this.completedEvents.push(event);
+    return event;
+  }
+
+  /**
+   * Plan the road to a dated event: beats for the storyline queue (see
+   * BUILDUP_ARC) for each card match, between its two rivals — the team
+   * captains in a tag match. Until the card is booked only the provisional
+   * matches whose rivals are in `feuds` (pairs) build; the rest have no
+   * story yet. A match only gets the beats it doesn't already have in
+   * `existing` (the event's queued beats), spread over the time that's left
+   * with the first one due now.
+   */
+  planBuildup(event, existing = [], now = Date.now(), feuds = []) {
+    if (!event.scheduledAt || event.scheduledAt - now < BUILDUP_MIN_MS) return [];
+    const window = event.scheduledAt - now;
+    const beats = [];
+    const provisional = event.matchCard.length === 0;
+    for (const match of buildupCard(event)) {
+      const rivals = buildupRivals(match);
+      if (provisional && !feuds.some(pair => rivals.every(c => pair.includes(c)))) continue;
+      const had = existing
+        .filter(b => b.status !== 'cancelled' && rivals.every(c => b.characters.includes(c)))
+        .map(b => b.type);
+      const arc = BUILDUP_ARC.filter(step => !had.includes(step.type));
+      if (arc.length === 0) continue;
+      const from = arc[0].at;
+      for (const step of arc) {
+        const dueAt = Math.round(now + window * (step.at - from) / (1 - from));
+        beats.push({ type: step.type, characters: rivals, dueAt, eventId: event.id, matchOrder: match.order });
+      }
+    }
+    return beats;
+  }
+
+  /**
+   * How far along the road to an event each match is, from its queued beats
+   */
+  getBuildup(event, beats) {
+    const matches = buildupCard(event).map(match => {
+      const rivals = buildupRivals(match);
+      const arc = beats
+        .filter(b => b.status !== 'cancelled' && rivals.every(c => b.characters.includes(c)))
+        .sort((a, b) => a.dueAt - b.dueAt)
+        .map(b => ({ ...BUILDUP_ARC.find(step => step.type === b.type), dueAt: b.dueAt, status: b.status, firedAt: b.firedAt || null }));
+      return {
+        order: match.order,
+        match: matchLine(match),
+        rivals,
+        beats: arc,
+        done: arc.filter(b => b.status === 'done').length,
+        next: arc.find(b => b.status === 'pending') || null,
+      };
+    });
+    return {
+      eventId: event.id,
+      name: event.name,
+      scheduledAt: event.scheduledAt,
+      status: event.status,
+      matches,
+      done: matches.reduce((sum, m) => sum + m.done, 0),
+      total: matches.reduce((sum, m) => sum + m.beats.length, 0),
+    };
+  }
+
+  /**
+   * Move an event to a new date; its countdowns start over
+   */
+  rescheduleEvent(eventId, scheduledAt) {
+    const event = this.scheduledEvents.find(e => e.id === eventId);
+    if (!event) return { error: 'Event not found' };
+    event.rescheduledFrom = event.scheduledAt;
+    event.scheduledAt = scheduledAt;
+    event.countdowns = [];
+    return event;
+  }
+
   /**
    * Start running a PPV event (returns the event for the caller to process matches)
    */
@@ -275,16 +583,32 @@ export class PPVEngine {
     );
 
     for (const match of event.matchCard) {
-      const names = match.participants.map(p => getCharacter(p)?.displayName || p);
-      const titleStr = match.forTitle ? ` *(${match.forTitle} on the line!)*` : '';
-      const mainStr = match.isMainEvent ? ' 🌟 **MAIN EVENT**' : '';
-      const typeStr = match.matchType !== 'singles' ? ` [${match.matchType.toUpperCase()}]` : '';
-      messages.push(`${match.order}. ${names.join(' vs ')}${typeStr}${titleStr}${mainStr}`);
+      messages.push(`${match.order}. ${matchLine(match)}${match.isMainEvent ? ' 🌟 **MAIN EVENT**' : ''}`);
     }
 
     return messages;
   }
 
+  /**
+   * Countdown hype: how long to go, and the main event if the card is set
+   */
+  buildCountdownMessage(event, countdown) {
+    const emoji = event.emoji || '🎤';
+    const lines = [
+      `⏰ **${countdown.label} UNTIL ${event.name.toUpperCase()}!** ${emoji}`,
+      `*"${event.tagline || 'This is gonna be good'}"*`,
+      countdown.hype,
+    ];
+    const main = event.matchCard.find(m => m.isMainEvent) || event.matchCard[event.matchCard.length - 1];
+    if (main) {
+      lines.push(`🌟 **MAIN EVENT:** ${matchLine(main)}`);
+      if (event.matchCard.length > 1) lines.push(`...plus ${event.matchCard.length - 1} more match${event.matchCard.length > 2 ? 'es' : ''}!`);
+    } else {
+      lines.push('The card is still being put together!');
+    }
+    return lines.join('\n');
+  }
+
   /**
    * Build results summary
    */
@@ -295,12 +619,15 @@ export class PPVEngine {
     
     for (const result of event.results) {
       const match = event.matchCard.find(m => m.order === result.order);
-      const winnerName = getCharacter(result.winner)?.displayName || result.winner;
+      const winnerName = (result.winners || [result.winner]).map(w => getCharacter(w)?.displayName || w).join(' & ');
       const participants = match?.participants.map(p => getCharacter(p)?.displayName || p).join(' vs ') || 'Unknown';
       const mainStr = match?.isMainEvent ? ' 🌟' : '';
       summary += `**Match ${result.order}${mainStr}:** ${participants}\n`;
-      summary += `  🏆 Winner: ${winnerName} (${result.winMethod})\n`;
+      summary += result.winMethod === 'no-contest'
+        ? `  ❌ No contest\n`
+        : `  🏆 Winner: ${winnerName} (${result.winMethod})\n`;
       if (result.titleChange) summary += `  👑 NEW CHAMPION!\n`;
+      else if (result.titleDefense) summary += `  🛡️ AND STILL CHAMPION!\n`;
       summary += '\n';
     }
 
@@ -316,10 +643,38 @@ export class PPVEngine {
       active: this.activeEvent,
       completed: this.completedEvents.slice(-10),
       templates: Object.entries(PPV_TEMPLATES).map(([id, t]) => ({
-        id, name: t.name, emoji: t.emoji, tagline: t.tagline, prestige: t.prestige,
+        id, name: t.name, emoji: t.emoji, tagline: t.tagline, prestige: t.prestige, crossBrand: !!t.crossBrand,
       })),
     };
   }
 }
 
+/**
+ * "A vs B [STEEL-CAGE] *(title on the line!)*" — one match on a card
+ */
+function matchLine(match) {
+  const names = match.teams
+    ? match.teams.map(t => t.map(p => getCharacter(p)?.displayName || p).join(' & '))
+    : match.participants.map(p => getCharacter(p)?.displayName || p);
+  const titleStr = match.forTitle ? ` *(${match.forTitle} on the line!)*` : '';
+  const typeStr = match.matchType !== 'singles' ? ` [${match.matchType.toUpperCase()}]` : '';
+  const stipStr = match.stipulation ? ` — *${match.stipulation}*` : '';
+  return `${names.join(' vs ')}${typeStr}${stipStr}${titleStr}`;
+}
+
+/**
+ * The card the road to an event builds toward: the booked one, or until
+ * then the provisional card planned when it was scheduled
+ */
+function buildupCard(event) {
+  return event.matchCard.length ? event.matchCard : event.provisionalCard || [];
+}
+
+/**
+ * The two wrestlers a match's buildup is between — team captains for a tag match
+ */
+function buildupRivals(match) {
+  return match.teams ? match.teams.slice(0, 2).map(t => t[0]) : match.participants.slice(0, 2);
+}
+
 export { PPV_TEMPLATES };
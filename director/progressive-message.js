@@ -0,0 +1,93 @@
+/**
+ * Progressive Discord Messages
+ *
+ * Posts a streamed reply as soon as the first few words arrive, then edits it
+ * in place as the rest comes in. Edits are throttled — a webhook only takes
+ * about five requests every two seconds — and the text in progress carries a
+ * cursor so the channel can see the character is still talking.
+ */
+
+const CURSOR = ' ▌';
+
+export class ProgressiveMessage {
+  /**
+   * `post(content)` sends the message and resolves to whatever `edit(handle,
+   * content)` needs to change it later
+   */
+  constructor({ post, edit, intervalMs = 1200, minLength = 20, maxLength = 2000 }) {
+    this.post = post;
+    this.edit = edit;
+    this.intervalMs = intervalMs;
+    this.minLength = minLength;
+    this.maxLength = maxLength;
+
+    this.handle = null;
+    this.text = '';       // latest text pushed
+    this.shown = null;    // content Discord currently has
+    this.lastFlush = 0;
+    this.edits = 0;
+    this._timer = null;
+    this._inFlight = null;
+    this._finished = false;
+  }
+
+  /**
+   * The reply so far. Nothing is posted until there's enough to read.
+   */
+  push(text) {
+    if (this._finished) return;
+    this.text = text;
+    if (!this.handle && text.trim().length < this.minLength) return;
+    if (this._timer || this._inFlight) return; // picked up by the next flush
+    const wait = Math.max(0, this.lastFlush + this.intervalMs - Date.now());
+    this._timer = setTimeout(() => this._flush(), wait);
+  }
+
+  /**
+   * Show the final text (posting it now if nothing went out yet). With no
+   * final text, whatever was streamed stays up without the cursor.
+   */
+  async finish(finalText) {
+    this._finished = true;
+    clearTimeout(this._timer);
+    this._timer = null;
+    await this._inFlight;
+    const content = (finalText || this.text).trim().slice(0, this.maxLength);
+    if (!content) return null;
+    if (!this.handle) {
+      this.handle = await this.post(content);
+    } else if (content !== this.shown) {
+      await this.edit(this.handle, content);
+      this.edits++;
+    }
+    this.shown = content;
+    return this.handle;
+  }
+
+  async _flush() {
+    this._timer = null;
+    if (this._finished) return;
+    const content = this.text.trim().slice(0, this.maxLength) + CURSOR;
+    if (content === this.shown) return;
+
+    this.lastFlush = Date.now();
+    this._inFlight = (async () => {
+      try {
+        if (!this.handle) {
+          this.handle = await this.post(content);
+        } else {
+          await this.edit(this.handle, content);
+          this.edits++;
+        }
+        this.shown = content;
+      } catch (err) {
+        console.error('Progressive message update failed:', err.message);
+      }
+    })();
+    await this._inFlight;
+    this._inFlight = null;
+
+    // Text that arrived while Discord was busy
+    if (!this._finished && this.text.trim().slice(0, this.maxLength) + CURSOR !== this.shown) this.push(this.text);
+  }
+}
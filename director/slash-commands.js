@@ -0,0 +1,158 @@
+/**
+ * Discord Slash Commands
+ *
+ * Fans and bookers can run the show from Discord as well as the dashboard.
+ * Anyone can look things up (/roster, /standings, /ppv card, /title history);
+ * commands that change the show are for bookers only — members with the
+ * DISCORD_BOOKER_ROLE role (an id or a name) or server admins.
+ */
+
+import { SlashCommandBuilder, PermissionFlagsBits } from 'discord.js';
+import { MATCH_TYPES } from './match-engine.js';
+import { CHAMPIONSHIPS } from './championships.js';
+import { PPV_TEMPLATES } from './ppv-engine.js';
+import { POLL_TYPES } from './polls.js';
+
+// Commands (and subcommands) that change the show
+export const BOOKER_COMMANDS = ['match', 'ppv schedule', 'ppv run', 'title award', 'feud', 'surprise', 'poll'];
+
+// Discord shows at most 25 choices or autocomplete suggestions
+const MAX_CHOICES = 25;
+
+const choicesOf = (entries, label) => entries.slice(0, MAX_CHOICES).map(([value, item]) => ({ name: label(item, value), value }));
+
+/**
+ * Command definitions, ready for `application.commands.set()`. Brand options
+ * only appear when there is more than one brand.
+ */
+export function buildSlashCommands(brandChoices = []) {
+  const withBrand = (builder, description) => brandChoices.length > 1
+    ? builder.addStringOption(o => o.setName('brand').setDescription(description)
+      .addChoices(...brandChoices.slice(0, MAX_CHOICES).map(b => ({ name: b.name, value: b.id }))))
+    : builder;
+  const wrestler = (name, description, required = false) => o => o
+    .setName(name).setDescription(description).setRequired(required).setAutocomplete(true);
+  const titleChoices = choicesOf(Object.entries(CHAMPIONSHIPS), t => t.name);
+
+  const match = new SlashCommandBuilder()
+    .setName('match')
+    .setDescription('Book a match and run it live')
+    .addStringOption(wrestler('wrestler1', 'First wrestler', true))
+    .addStringOption(wrestler('wrestler2', 'Second wrestler (in a tag match, partner of the first)', true))
+    .addStringOption(wrestler('wrestler3', 'Third wrestler'))
+    .addStringOption(wrestler('wrestler4', 'Fourth wrestler'))
+    .addStringOption(o => o.setName('type').setDescription('Match type (default singles)')
+      .addChoices(...choicesOf(Object.entries(MATCH_TYPES), t => `${t.emoji} ${t.name}`)))
+    .addStringOption(o => o.setName('title').setDescription('Championship on the line').addChoices(...titleChoices))
+    .addBooleanOption(o => o.setName('cross_brand').setDescription('Wrestlers from different brands'));
+
+  const ppv = new SlashCommandBuilder()
+    .setName('ppv')
+    .setDescription('Pay-per-view events')
+    .addSubcommand(sub => withBrand(sub
+      .setName('schedule')
+      .setDescription('Schedule a PPV')
+      .addStringOption(o => o.setName('template').setDescription('Which PPV').setRequired(true)
+        .addChoices(...choicesOf(Object.entries(PPV_TEMPLATES), t => `${t.emoji} ${t.name}`)))
+      .addStringOption(o => o.setName('name').setDescription('Custom event name'))
+      .addIntegerOption(o => o.setName('days').setDescription('Days from now').setMinValue(0).setMaxValue(365)),
+    'Brand putting on the show (leave empty for a cross-brand event)'))
+    .addSubcommand(sub => sub
+      .setName('run')
+      .setDescription('Start a PPV now')
+      .addStringOption(o => o.setName('event').setDescription('Event (default: the next one)').setAutocomplete(true)))
+    .addSubcommand(sub => sub
+      .setName('card')
+      .setDescription('Show the match card')
+      .addStringOption(o => o.setName('event').setDescription('Event (default: the next one)').setAutocomplete(true)));
+
+  const title = new SlashCommandBuilder()
+    .setName('title')
+    .setDescription('Championships')
+    .addSubcommand(sub => sub
+      .setName('award')
+      .setDescription('Crown a new champion')
+      .addStringOption(o => o.setName('title').setDescription('Championship').setRequired(true).addChoices(...titleChoices))
+      .addStringOption(wrestler('wrestler', 'New champion', true))
+      .addStringOption(wrestler('partner', 'Tag team partner (tag team titles)')))
+    .addSubcommand(sub => sub
+      .setName('history')
+      .setDescription('Champions past and present')
+      .addStringOption(o => o.setName('title').setDescription('Championship').setRequired(true).addChoices(...titleChoices)));
+
+  const feud = new SlashCommandBuilder()
+    .setName('feud')
+    .setDescription('Start a feud between two wrestlers')
+    .addStringOption(wrestler('wrestler1', 'First wrestler', true))
+    .addStringOption(wrestler('wrestler2', 'Second wrestler', true))
+    .addIntegerOption(o => o.setName('intensity').setDescription('How heated, 1-10 (default 5)').setMinValue(1).setMaxValue(10));
+
+  const roster = withBrand(new SlashCommandBuilder()
+    .setName('roster')
+    .setDescription('Who is on the show'), 'Only this brand');
+
+  const standings = withBrand(new SlashCommandBuilder()
+    .setName('standings')
+    .setDescription('Win-loss records'), 'Only this brand');
+
+  const surprise = withBrand(new SlashCommandBuilder()
+    .setName('surprise')
+    .setDescription('Someone comes out of the wings')
+    .addStringOption(wrestler('wrestler', 'Who makes the entrance (default: a surprise)')), 'From this brand\'s wings');
+
+  const poll = withBrand(new SlashCommandBuilder()
+    .setName('poll')
+    .setDescription('Let the fans decide')
+    .addStringOption(o => o.setName('type').setDescription('What to ask').setRequired(true)
+      .addChoices(...choicesOf(Object.entries(POLL_TYPES), t => `${t.emoji} ${t.name}`)))
+    .addStringOption(wrestler('wrestler1', 'Match polls: first wrestler (default: the hottest feud)'))
+    .addStringOption(wrestler('wrestler2', 'Match polls: second wrestler'))
+    .addStringOption(o => o.setName('title').setDescription('Title shot polls: which championship').addChoices(...titleChoices))
+    .addIntegerOption(o => o.setName('minutes').setDescription('How long voting stays open (default 60)').setMinValue(1).setMaxValue(10080)),
+  'Which show asks');
+
+  return [match, ppv, title, feud, roster, standings, surprise, poll].map(c => c.toJSON());
+}
+
+/**
+ * "ppv schedule", "match" — how BOOKER_COMMANDS and handlers name a command
+ */
+export function commandKey(interaction) {
+  const sub = interaction.options?.getSubcommand?.(false);
+  return sub ? `${interaction.commandName} ${sub}` : interaction.commandName;
+}
+
+export function isBookerCommand(key) {
+  return BOOKER_COMMANDS.includes(key);
+}
+
+/**
+ * Does a member have the booker role (matched by id or name) or admin rights?
+ * Works with a cached GuildMember and with the raw API member Discord sends
+ * when the member isn't cached (roles as ids, permissions as a bitfield string).
+ */
+export function isBooker(member, role, guild = null) {
+  if (!member) return false;
+  const perms = member.permissions;
+  const admin = typeof perms?.has === 'function'
+    ? perms.has(PermissionFlagsBits.Administrator)
+    : (BigInt(perms || 0) & PermissionFlagsBits.Administrator) !== 0n;
+  if (admin) return true;
+  if (!role) return false;
+  const roles = Array.isArray(member.roles)
+    ? member.roles.map(id => guild?.roles?.cache?.get(id) || { id })
+    : [...(member.roles?.cache?.values() || [])];
+  return roles.some(r => r.id === role || r.name?.toLowerCase() === role.toLowerCase());
+}
+
+/**
+ * Suggestions for whatever the user is typing: `options` are { value, name }
+ * pairs, matched on either
+ */
+export function autocompleteChoices(typed, options) {
+  const query = (typed || '').toLowerCase();
+  return options
+    .filter(o => !query || o.value.toLowerCase().includes(query) || o.name.toLowerCase().includes(query))
+    .slice(0, MAX_CHOICES)
+    .map(o => ({ name: o.name.slice(0, 100), value: o.value }));
+}
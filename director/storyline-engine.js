@@ -9,13 +9,13 @@
 
 import { readFile, writeFile, mkdir } from 'fs/promises';
 import { existsSync } from 'fs';
-import { getCharacter, listCharacters, getFeudPartners, getAllFeuds } from './characters.js';
+import { getCharacter, ALIGNMENTS } from './characters.js';
 
 const STATE_DIR = process.env.STATE_DIR || '/data/storyline';
 const STATE_FILE = `${STATE_DIR}/state.json`;
 const HISTORY_FILE = `${STATE_DIR}/history.jsonl`;
 
-const STORYLINE_BEATS = {
+export const STORYLINE_BEATS = {
   feud: [
     { type: 'trash-talk', description: 'Characters exchange insults', weight: 35 },
     { type: 'challenge', description: 'One character challenges another', weight: 15 },
@@ -44,27 +44,92 @@ const STORYLINE_BEATS = {
   ],
 };
 
+// Feud lifecycle: building → peak → blow-off → resolved, or rematch → blow-off again
+const FEUD_PHASES = {
+  building: 'Trading words — intensity climbs with every exchange',
+  peak: 'Boiling over — a blow-off match needs booking',
+  'blow-off': 'The blow-off match is booked',
+  rematch: 'Unfinished business — the blow-off settled nothing',
+  resolved: 'Settled in the ring (or fizzled out)',
+};
+const FEUD_PEAK_INTENSITY = 8.5;
+const FEUD_QUIET_HOURS = 1;        // grace period before a quiet feud starts cooling
+const FEUD_DECAY_PER_HOUR = 0.5;   // intensity lost per quiet hour after that
+const FEUD_COLD_INTENSITY = 1;     // a feud this cold fizzles out
+const FEUD_MAX_REMATCHES = 2;      // after this many, the next result settles it no matter what
+const FAN_VOTES_PER_POINT = 5;     // fan poll votes it takes to add a point of feud intensity
+const FEUD_WEEKLY_STEP = 0.5;      // least a weekly TV show adds to a feud it features
+const BUILDUP_MIN_STEP = 0.3;      // least a road-to-PPV beat adds to its feud
+const MAX_QUEUED_BEATS = 200;
+const MAX_ARCHIVED_FEUDS = 50;
+
+// State the director hands us from the other engines so it survives a restart
+const ENGINE_DATA = ['championshipData', 'matchData', 'ppvData', 'brandData', 'pollData', 'tvData'];
+
+// Relationship graph edge types. Feud edges are the feuds themselves (weight =
+// intensity); the rest are stored in `relationships`. Mentor edges point from
+// between[0] (the mentor) to between[1].
+const RELATIONSHIP_TYPES = {
+  feud: 'Rivals — trading words and settling it in the ring',
+  ally: 'Watch each other\'s backs; run in to help',
+  'tag-partner': 'An established tag team',
+  mentor: 'Mentor and protégé',
+  'former-partner': 'Used to team up — now there\'s history',
+};
+// Relationships that bring a character to someone's aid
+const SUPPORT_TYPES = ['ally', 'tag-partner', 'mentor'];
+
+// Crowd sentiment runs -10 (booed out of the building) to 10 (beloved).
+// Hit the threshold against your alignment and the crowd turns you.
+const CROWD_SENTIMENT_MAX = 10;
+const CROWD_TURN_THRESHOLD = 8;
+const MAX_TURN_HISTORY = 20;
+
+// How a character should carry themselves after a turn
+const ALIGNMENT_DIRECTION = {
+  face: 'Play the hero now — fight for the fans, respect your opponents, no shortcuts.',
+  heel: 'Play the villain now — arrogant, dismissive of the fans, happy to cheat to win.',
+  tweener: 'You answer to nobody now — not the fans, not the locker room. Do what you want.',
+};
+
 export class StorylineEngine {
   constructor() {
-    // Active feuds with intensity tracking
+    // Active feuds with intensity tracking — see FEUD_PHASES for the lifecycle
     this.feuds = [
-      { between: ['john-cena', 'the-rock'], intensity: 7, phase: 'building', startedAt: Date.now() },
-      { between: ['stone-cold', 'triple-h'], intensity: 6, phase: 'building', startedAt: Date.now() },
-      { between: ['undertaker', 'mankind'], intensity: 5, phase: 'simmering', startedAt: Date.now() },
+      createFeudRecord('john-cena', 'the-rock', 7),
+      createFeudRecord('stone-cold', 'triple-h', 6),
+      createFeudRecord('undertaker', 'mankind', 5),
+    ];
+    // Resolved feuds, newest last
+    this.archivedFeuds = [];
+    // Non-feud edges of the relationship graph — see RELATIONSHIP_TYPES
+    this.relationships = [
+      createRelationship('stone-cold', 'mankind', 'ally'),
     ];
     this.storylineHistory = [];
+    // Planned beats with target dates — the road to a PPV, see queueBeat
+    this.beatQueue = [];
     this.beatsSinceLastSurprise = 0;
     this.activeCharacters = ['john-cena', 'the-rock'];
     this.waitingInTheWings = ['stone-cold', 'undertaker', 'macho-man', 'triple-h', 'mankind'];
     this.messageCount = 0;
     this.sessionStartedAt = Date.now();
     
-    // Alignment tracking — characters can turn heel/face over time
+    // Alignment tracking — characters can turn heel/face over time.
+    // { [charId]: { alignment, since, history: [{ from, to, reason, at }] } }
     this.alignmentOverrides = {};
+    // Crowd sentiment per character — see CROWD_TURN_THRESHOLD
+    this.crowdSentiment = {};
     
     // Relationship heat map — how much two characters have interacted recently
     this.heatMap = {};
     
+    // Called with every history entry as it happens (e.g. to feed character memory)
+    this.onHistory = null;
+    
+    // Other engines' state, kept up to date by the director and saved alongside ours
+    for (const key of ENGINE_DATA) this[key] = null;
+    
     // Loaded flag
     this._loaded = false;
   }
@@ -84,14 +149,29 @@ export class StorylineEngine {
       const raw = await readFile(STATE_FILE, 'utf-8');
       const saved = JSON.parse(raw);
       
-      if (saved.feuds) this.feuds = saved.feuds;
+      if (saved.feuds) this.feuds = saved.feuds.map(normalizeFeud);
+      if (saved.archivedFeuds) this.archivedFeuds = saved.archivedFeuds;
+      if (saved.relationships) this.relationships = saved.relationships;
+      // Alliances from before the relationship graph become ally edges
+      else if (saved.alliances) this.relationships = [];
+      for (const alliance of saved.alliances || []) {
+        const [a, b] = alliance.between;
+        if (!this.findRelationship(a, b, 'ally')) {
+          this.relationships.push({ ...createRelationship(a, b, 'ally'), since: alliance.formedAt || Date.now() });
+        }
+      }
       if (saved.activeCharacters) this.activeCharacters = saved.activeCharacters;
       if (saved.waitingInTheWings) this.waitingInTheWings = saved.waitingInTheWings;
       if (saved.messageCount) this.messageCount = saved.messageCount;
       if (saved.beatsSinceLastSurprise) this.beatsSinceLastSurprise = saved.beatsSinceLastSurprise;
       if (saved.alignmentOverrides) this.alignmentOverrides = saved.alignmentOverrides;
+      if (saved.crowdSentiment) this.crowdSentiment = saved.crowdSentiment;
       if (saved.heatMap) this.heatMap = saved.heatMap;
       if (saved.storylineHistory) this.storylineHistory = saved.storylineHistory.slice(-100);
+      if (saved.beatQueue) this.beatQueue = saved.beatQueue;
+      for (const key of ENGINE_DATA) {
+        if (saved[key]) this[key] = saved[key];
+      }
       
       console.log(`Loaded storyline state: ${this.messageCount} messages, ${this.feuds.length} feuds, ${this.activeCharacters.length} active characters`);
       this._loaded = true;
@@ -110,13 +190,18 @@ export class StorylineEngine {
       const state = {
         savedAt: new Date().toISOString(),
         feuds: this.feuds,
+        archivedFeuds: this.archivedFeuds.slice(-MAX_ARCHIVED_FEUDS),
+        relationships: this.relationships,
         activeCharacters: this.activeCharacters,
         waitingInTheWings: this.waitingInTheWings,
         messageCount: this.messageCount,
         beatsSinceLastSurprise: this.beatsSinceLastSurprise,
         alignmentOverrides: this.alignmentOverrides,
+        crowdSentiment: this.crowdSentiment,
         heatMap: this.heatMap,
         storylineHistory: this.storylineHistory.slice(-100),
+        beatQueue: this.beatQueue,
+        ...Object.fromEntries(ENGINE_DATA.map(key => [key, this[key]])),
       };
       
       await writeFile(STATE_FILE, JSON.stringify(state, null, 2));
@@ -126,6 +211,7 @@ export class StorylineEngine {
   }
   
   async appendHistory(entry) {
+    this.onHistory?.(entry);
     try {
       if (!existsSync(STATE_DIR)) {
         await mkdir(STATE_DIR, { recursive: true });
@@ -143,9 +229,10 @@ export class StorylineEngine {
   // -----------------------------------------------------------------------
   
   /**
-   * Decide which characters should respond to a message
+   * Decide which characters should respond to a message. `roster` limits
+   * responders (and surprise entrants) to one brand's wrestlers.
    */
-  decideResponders(message, authorCharacterId = null) {
+  decideResponders(message, authorCharacterId = null, roster = null) {
     const responders = [];
     this.messageCount++;
     this.beatsSinceLastSurprise++;
@@ -157,15 +244,19 @@ export class StorylineEngine {
     
     for (const charId of this.activeCharacters) {
       if (charId === authorCharacterId) continue;
+      if (roster && !roster.includes(charId)) continue;
       
       const char = getCharacter(charId);
       if (!char) continue;
       
-      const feudPartners = getFeudPartners(charId);
+      const feudPartners = this.getFeudPartners(charId);
       const isFeudRelated = authorCharacterId && feudPartners.includes(authorCharacterId);
+      const bond = !isFeudRelated && authorCharacterId ? this.getStrongestBond(charId, authorCharacterId) : null;
       
       let chance = char.responseChance;
       if (isFeudRelated) chance = char.feudResponseChance;
+      // Friends (and old partners) chime in more than strangers
+      else if (bond) chance = Math.max(chance, (char.responseChance + char.feudResponseChance) / 2);
       
       // Boost if directly mentioned
       const nameParts = char.name.toLowerCase().split(' ');
@@ -181,13 +272,18 @@ export class StorylineEngine {
       
       if (Math.random() < chance) {
         let context = '';
+        let reason = 'general-response';
         if (isFeudRelated) {
           context = this.generateFeudContext(charId, authorCharacterId);
+          reason = 'feud-response';
+        } else if (bond) {
+          context = relationshipContext(bond, charId, getCharacter(authorCharacterId));
+          reason = bond.type === 'former-partner' ? 'former-partner-response' : 'ally-response';
         }
         
         responders.push({
           characterId: charId,
-          reason: isFeudRelated ? 'feud-response' : 'general-response',
+          reason,
           context,
         });
         
@@ -196,8 +292,8 @@ export class StorylineEngine {
     }
     
     // Check for surprise entrance
-    if (this.shouldTriggerSurprise()) {
-      const surprise = this.triggerSurprise();
+    if (this.shouldTriggerSurprise(roster)) {
+      const surprise = this.triggerSurprise(roster);
       if (surprise) responders.push(surprise);
     }
     
@@ -219,6 +315,11 @@ export class StorylineEngine {
     // Keep only last 30 minutes
     const cutoff = now - 30 * 60 * 1000;
     this.heatMap[charId] = this.heatMap[charId].filter(t => t > cutoff);
+    
+    // Talking keeps your feuds warm
+    for (const feud of this.feuds) {
+      if (feud.between.includes(charId)) feud.lastActivityAt = now;
+    }
   }
   
   getHeat(charId) {
@@ -244,6 +345,12 @@ export class StorylineEngine {
     );
     const intensity = feud?.intensity || 5;
     
+    const phaseDirection = {
+      peak: ` This feud is at boiling point — demand a match to settle it once and for all.`,
+      'blow-off': ` Your big match with ${opponent.name} is booked. Promise to end this.`,
+      rematch: ` Your last match with ${opponent.name} settled nothing. You want them again.`,
+    }[feud?.phase] || '';
+    
     const contexts = {
       'trash-talk': `You're in the middle of a heated feud with ${opponent.name}. Trash talk them. Be creative and in-character. Reference your history. Intensity: ${intensity}/10.`,
       'challenge': `Challenge ${opponent.name} to a match. Make it dramatic. The crowd should go wild.`,
@@ -254,9 +361,7 @@ export class StorylineEngine {
     };
     
     // Escalate feud intensity
-    if (feud && intensity < 10) {
-      feud.intensity = Math.min(10, intensity + 0.3);
-    }
+    if (feud) this.escalateFeud(feud, 0.3);
     
     const entry = {
       beat: beat.type,
@@ -266,14 +371,14 @@ export class StorylineEngine {
     this.storylineHistory.push(entry);
     this.appendHistory(entry).catch(() => {});
     
-    return contexts[beat.type] || '';
+    return (contexts[beat.type] || '') + phaseDirection;
   }
   
   /**
    * Should a surprise entrance happen?
    */
-  shouldTriggerSurprise() {
-    if (this.waitingInTheWings.length === 0) return false;
+  shouldTriggerSurprise(roster = null) {
+    if (this.getWings(roster).length === 0) return false;
     if (this.beatsSinceLastSurprise < 8) return false;
     
     const chance = Math.min(0.35, (this.beatsSinceLastSurprise - 8) * 0.025);
@@ -281,12 +386,20 @@ export class StorylineEngine {
   }
   
   /**
-   * Trigger a surprise entrance
+   * Who's waiting in the wings — on one brand's `roster` if given
+   */
+  getWings(roster = null) {
+    return roster ? this.waitingInTheWings.filter(c => roster.includes(c)) : this.waitingInTheWings;
+  }
+  
+  /**
+   * Trigger a surprise entrance, from `roster` if given
    */
-  triggerSurprise() {
-    if (this.waitingInTheWings.length === 0) return null;
+  triggerSurprise(roster = null) {
+    const wings = this.getWings(roster);
+    if (wings.length === 0) return null;
     
-    const charId = this.waitingInTheWings[Math.floor(Math.random() * this.waitingInTheWings.length)];
+    const charId = wings[Math.floor(Math.random() * wings.length)];
     const char = getCharacter(charId);
     if (!char) return null;
     
@@ -294,20 +407,30 @@ export class StorylineEngine {
     this.activeCharacters.push(charId);
     this.beatsSinceLastSurprise = 0;
     
-    const surpriseType = this.weightedRandom(STORYLINE_BEATS.surprise);
+    let surpriseType = this.weightedRandom(STORYLINE_BEATS.surprise);
+    // A betrayal needs someone to betray — turn on an active ally, or just interrupt
+    let betrayed = null;
+    if (surpriseType.type === 'betrayal') {
+      const bond = this.relationships.find(r => 
+        SUPPORT_TYPES.includes(r.type) && r.between.includes(charId) &&
+        this.activeCharacters.includes(r.between.find(c => c !== charId))
+      );
+      if (bond) betrayed = this.betray(charId, bond.between.find(c => c !== charId));
+      else surpriseType = STORYLINE_BEATS.surprise.find(b => b.type === 'interruption');
+    }
     
     const entrancePrompts = {
       'entrance': `${char.entranceMusic || '*music hits*'} — You're making your DRAMATIC ENTRANCE. Nobody expected you. React to what's been happening and make your presence known.`,
       'interruption': `You're interrupting whatever is going on right now. You have something to say and you don't care who was talking. Cut in dramatically.`,
       'save': `Someone is getting ganged up on or beaten down verbally. You're here to even the odds. Make a dramatic save.`,
-      'betrayal': `You were thought to be allied with someone here, but you're turning on them RIGHT NOW. Shocking heel turn.`,
+      'betrayal': `${getCharacter(betrayed)?.name || 'Your ally'} thought you had their back, but you're turning on them RIGHT NOW. Shocking heel turn.`,
       'return': `You've been gone for a while and you're BACK. ${char.entranceMusic || '*music hits*'} Make it count.`,
       'run-in': `You're attacking from behind! Nobody saw you coming. Pick a target and lay them out.`,
     };
     
     const entry = {
       beat: `surprise-${surpriseType.type}`,
-      characters: [charId],
+      characters: betrayed ? [charId, betrayed] : [charId],
     };
     this.storylineHistory.push(entry);
     this.appendHistory(entry).catch(() => {});
@@ -317,6 +440,7 @@ export class StorylineEngine {
       reason: `surprise-${surpriseType.type}`,
       context: entrancePrompts[surpriseType.type] || entrancePrompts.entrance,
       isSurprise: true,
+      betrayed,
     };
   }
   
@@ -327,8 +451,11 @@ export class StorylineEngine {
     const char = getCharacter(characterId);
     if (!char) return null;
     
-    const feudPartners = getFeudPartners(characterId);
+    // Call out the hottest rival; name-check whoever has your back
+    const feudPartners = this.getFeudPartners(characterId);
     const opponent = feudPartners.length > 0 ? getCharacter(feudPartners[0]) : null;
+    const bond = this.getRelationships(characterId).find(r => r.type !== 'feud');
+    const bondWith = bond ? getCharacter(bond.between.find(c => c !== characterId)) : null;
     
     const promoTypes = [
       `Cut a promo about why you're the greatest of all time. Address the crowd directly. Build hype.`,
@@ -338,29 +465,570 @@ export class StorylineEngine {
       `Hype up an upcoming confrontation. Build suspense.`,
       `Address the fans directly. What does being a WWE superstar mean to you?`,
       opponent ? `Respond to something ${opponent.name} said recently. Don't let them get the last word.` : null,
+      bondWith ? relationshipContext(bond, characterId, bondWith, 'promo') : null,
     ].filter(Boolean);
     
     return promoTypes[Math.floor(Math.random() * promoTypes.length)];
   }
   
   /**
-   * Create a new feud
+   * Create a new feud, or re-heat the one they have: its intensity only goes
+   * up, and a feud at its blow-off or in a rematch stays there. Returns the
+   * feud or { error }.
    */
   createFeud(char1, char2, intensity = 5) {
+    for (const id of [char1, char2]) {
+      if (!getCharacter(id)) return { error: `Unknown character: ${id}` };
+    }
+    if (char1 === char2) return { error: 'A wrestler cannot feud with themselves' };
     const existing = this.feuds.find(f => 
       f.between.includes(char1) && f.between.includes(char2)
     );
     if (existing) {
-      existing.intensity = intensity;
-      existing.phase = 'building';
+      existing.intensity = Math.max(existing.intensity, intensity);
+      existing.lastActivityAt = Date.now();
+      if (existing.phase === 'building' && existing.intensity >= FEUD_PEAK_INTENSITY) this.setFeudPhase(existing, 'peak');
       return existing;
     }
-    const feud = { between: [char1, char2], intensity, phase: 'building', startedAt: Date.now() };
+    const feud = createFeudRecord(char1, char2, intensity);
+    if (intensity >= FEUD_PEAK_INTENSITY) feud.phase = 'peak';
     this.feuds.push(feud);
     this.saveState().catch(() => {});
     return feud;
   }
   
+  // -----------------------------------------------------------------------
+  // Feud Lifecycle
+  // -----------------------------------------------------------------------
+  
+  /**
+   * Raise a feud's intensity. A building feud that boils over hits its peak.
+   */
+  escalateFeud(feud, amount) {
+    feud.intensity = Math.min(10, feud.intensity + amount);
+    feud.lastActivityAt = Date.now();
+    if (feud.phase === 'building' && feud.intensity >= FEUD_PEAK_INTENSITY) {
+      this.setFeudPhase(feud, 'peak');
+    }
+    return feud;
+  }
+  
+  setFeudPhase(feud, phase) {
+    if (feud.phase === phase) return;
+    feud.phase = phase;
+    feud.phaseChangedAt = Date.now();
+    
+    const entry = {
+      beat: `feud-${phase}`,
+      characters: [...feud.between],
+      intensity: Math.round(feud.intensity * 10) / 10,
+    };
+    this.storylineHistory.push(entry);
+    this.appendHistory(entry).catch(() => {});
+  }
+  
+  /**
+   * Quiet feuds cool off. Building feuds and unsettled rematches lose intensity
+   * once neither side has spoken for a while, and fizzle out when cold —
+   * unless there are beats queued for them on the road to a PPV.
+   */
+  decayFeuds(now = Date.now()) {
+    const hour = 60 * 60 * 1000;
+    for (const feud of this.feuds) {
+      if (feud.phase !== 'building' && feud.phase !== 'rematch') continue;
+      if (this.beatQueue.some(b => b.status === 'pending' && samePair(b.characters, feud.between))) continue;
+      const coolingFrom = Math.max(feud.lastActivityAt + FEUD_QUIET_HOURS * hour, feud.decayedAt || 0);
+      if (now <= coolingFrom) continue;
+      feud.intensity = Math.max(0, feud.intensity - FEUD_DECAY_PER_HOUR * (now - coolingFrom) / hour);
+      feud.decayedAt = now;
+      if (feud.intensity < FEUD_COLD_INTENSITY) this.resolveFeud(feud, { resolution: 'fizzled' });
+    }
+    this.archiveResolvedFeuds();
+  }
+  
+  /**
+   * Feuds at their peak (or owed a rematch) that still need a match booked
+   */
+  getBlowOffRequests() {
+    return this.feuds
+      .filter(f => f.phase === 'peak' || f.phase === 'rematch')
+      .map(f => ({
+        between: [...f.between],
+        intensity: f.intensity,
+        rematch: f.phase === 'rematch',
+        // Rematches go inside the cage — no more cheap finishes
+        matchType: f.phase === 'rematch' ? 'steel-cage' : f.intensity >= 9.5 ? 'no-dq' : 'singles',
+      }));
+  }
+  
+  /**
+   * A blow-off match has been booked (on a PPV card or live)
+   */
+  markBlowOffBooked(char1, char2, booking = {}) {
+    const feud = this.feuds.find(f => f.between.includes(char1) && f.between.includes(char2));
+    if (!feud || (feud.phase !== 'peak' && feud.phase !== 'rematch')) return null;
+    feud.blowOff = { ...booking, bookedAt: Date.now() };
+    this.setFeudPhase(feud, 'blow-off');
+    return feud;
+  }
+  
+  /**
+   * The blow-off never happened (aborted, no contest) — it still needs booking
+   */
+  cancelBlowOff(char1, char2) {
+    const feud = this.feuds.find(f => f.between.includes(char1) && f.between.includes(char2));
+    if (!feud || feud.phase !== 'blow-off') return null;
+    feud.blowOff = null;
+    this.setFeudPhase(feud, feud.rematches > 0 ? 'rematch' : 'peak');
+    return feud;
+  }
+  
+  /**
+   * Feed a finished match back into any feud it settles (or doesn't).
+   * A clean win in a blow-off resolves the feud; a DQ, count-out or run-in
+   * means a rematch. Before the peak, a match just adds fuel.
+   */
+  recordMatchResult(match) {
+    const winners = match.winners || [match.winner];
+    const decisive = !['dq', 'count-out'].includes(match.winMethod) && !(match.runIns || []).length;
+    
+    for (const feud of this.feuds) {
+      const [a, b] = feud.between;
+      if (!match.participants.includes(a) || !match.participants.includes(b)) continue;
+      if (winners.includes(a) === winners.includes(b)) continue; // not decided between these two
+      const winner = winners.includes(a) ? a : b;
+      
+      feud.matches.push({ matchId: match.id, winner, winMethod: match.winMethod, decisive, at: Date.now() });
+      feud.lastActivityAt = Date.now();
+      
+      if (feud.phase === 'building') {
+        this.escalateFeud(feud, 1); // the loser wants it back
+      } else if (decisive || feud.rematches >= FEUD_MAX_REMATCHES) {
+        this.resolveFeud(feud, { winner, matchId: match.id });
+      } else {
+        feud.rematches++;
+        feud.blowOff = null;
+        this.setFeudPhase(feud, 'rematch');
+      }
+    }
+    this.archiveResolvedFeuds();
+  }
+  
+  resolveFeud(feud, outcome = {}) {
+    feud.resolution = outcome.resolution || 'settled';
+    feud.winner = outcome.winner || null;
+    feud.resolvedAt = Date.now();
+    this.setFeudPhase(feud, 'resolved');
+  }
+  
+  /**
+   * Move ended feuds out of the active list
+   */
+  archiveResolvedFeuds() {
+    const resolved = this.feuds.filter(f => f.phase === 'resolved');
+    if (resolved.length === 0) return;
+    this.feuds = this.feuds.filter(f => f.phase !== 'resolved');
+    this.archivedFeuds.push(...resolved);
+    this.archivedFeuds = this.archivedFeuds.slice(-MAX_ARCHIVED_FEUDS);
+    this.saveState().catch(() => {});
+  }
+  
+  // -----------------------------------------------------------------------
+  // Relationship Graph
+  // -----------------------------------------------------------------------
+  
+  /**
+   * Every edge touching a character (or the whole graph), strongest first.
+   * Feud edges come straight from the active feuds.
+   */
+  getRelationships(charId = null, type = null) {
+    const feudEdges = this.feuds.map(f => ({
+      between: [...f.between], type: 'feud', weight: f.intensity, since: f.startedAt, phase: f.phase,
+    }));
+    return [...feudEdges, ...this.relationships]
+      .filter(r => (!charId || r.between.includes(charId)) && (!type || r.type === type))
+      .sort((a, b) => b.weight - a.weight);
+  }
+  
+  findRelationship(char1, char2, type) {
+    return this.relationships.find(r => 
+      r.type === type && r.between.includes(char1) && r.between.includes(char2)
+    ) || null;
+  }
+  
+  /**
+   * Who a character is connected to by a given edge type, strongest first
+   */
+  getRelated(charId, type) {
+    return this.getRelationships(charId, type).map(r => r.between.find(c => c !== charId));
+  }
+  
+  getFeudPartners(charId) {
+    return this.getRelated(charId, 'feud');
+  }
+  
+  /**
+   * All active feuds as pairs
+   */
+  getAllFeuds() {
+    return this.feuds.map(f => [...f.between]);
+  }
+  
+  /**
+   * The strongest non-feud bond between two characters
+   */
+  getStrongestBond(char1, char2) {
+    return this.getRelationships(char1).find(r => r.type !== 'feud' && r.between.includes(char2)) || null;
+  }
+  
+  /**
+   * Add or update an edge. A feud edge creates (or re-heats) the feud itself.
+   */
+  setRelationship(char1, char2, type, weight) {
+    if (!RELATIONSHIP_TYPES[type]) return { error: `Unknown relationship type: ${type}` };
+    if (!char1 || !char2 || char1 === char2) return { error: 'A relationship needs two different characters' };
+    if (weight !== undefined && (typeof weight !== 'number' || weight < 0 || weight > 10)) {
+      return { error: 'weight must be a number from 0 to 10' };
+    }
+    if (type === 'feud') {
+      const feud = this.createFeud(char1, char2, weight ?? 5);
+      if (feud.error) return feud;
+      return { between: [...feud.between], type, weight: feud.intensity, since: feud.startedAt, phase: feud.phase };
+    }
+    
+    let edge = this.findRelationship(char1, char2, type);
+    if (edge) {
+      if (weight !== undefined) edge.weight = weight;
+      if (type === 'mentor') edge.between = [char1, char2];
+    } else {
+      edge = createRelationship(char1, char2, type, weight);
+      this.relationships.push(edge);
+      const entry = { beat: `relationship-${type}`, characters: [char1, char2] };
+      this.storylineHistory.push(entry);
+      this.appendHistory(entry).catch(() => {});
+    }
+    this.saveState().catch(() => {});
+    return edge;
+  }
+  
+  /**
+   * Remove an edge. Dropping a feud ends it without a winner.
+   */
+  removeRelationship(char1, char2, type) {
+    if (type === 'feud') {
+      const feud = this.feuds.find(f => f.between.includes(char1) && f.between.includes(char2));
+      if (!feud) return { error: 'No such relationship' };
+      this.resolveFeud(feud, { resolution: 'dropped' });
+      this.archiveResolvedFeuds();
+      return { removed: { between: [...feud.between], type } };
+    }
+    const edge = this.findRelationship(char1, char2, type);
+    if (!edge) return { error: 'No such relationship' };
+    this.relationships = this.relationships.filter(r => r !== edge);
+    this.saveState().catch(() => {});
+    return { removed: edge };
+  }
+  
+  /**
+   * Form an alliance between two characters
+   */
+  createAlliance(char1, char2) {
+    return this.findRelationship(char1, char2, 'ally') || this.setRelationship(char1, char2, 'ally');
+  }
+  
+  // -----------------------------------------------------------------------
+  // Alignment & Turns
+  // -----------------------------------------------------------------------
+  
+  /**
+   * Current alignment — the latest turn, or the character file's alignment
+   */
+  getAlignment(charId) {
+    return this.alignmentOverrides[charId]?.alignment || getCharacter(charId)?.alignment || null;
+  }
+  
+  getAlignmentHistory(charId) {
+    return this.alignmentOverrides[charId]?.history || [];
+  }
+  
+  /**
+   * Turn a character. With no target, faces turn heel and heels/tweeners
+   * turn face. `details` is recorded with the turn (e.g. who was betrayed).
+   */
+  turnCharacter(charId, to = null, reason = 'booker', details = {}) {
+    const char = getCharacter(charId);
+    if (!char) return { error: `Unknown character: ${charId}` };
+    const from = this.getAlignment(charId);
+    to = to || (from === 'face' ? 'heel' : 'face');
+    if (!ALIGNMENTS.includes(to)) return { error: `alignment must be one of ${ALIGNMENTS.join(', ')}` };
+    if (to === from) return { error: `${char.name} is already a ${to}` };
+    
+    const turn = { from, to, reason, ...details, at: Date.now() };
+    const record = this.alignmentOverrides[charId] || { history: [] };
+    record.alignment = to;
+    record.since = turn.at;
+    record.history = [...record.history, turn].slice(-MAX_TURN_HISTORY);
+    this.alignmentOverrides[charId] = record;
+    this.crowdSentiment[charId] = 0; // the crowd starts over with the new persona
+    
+    const entry = { beat: `turn-${to}`, characters: [charId], reason };
+    this.storylineHistory.push(entry);
+    this.appendHistory(entry).catch(() => {});
+    this.saveState().catch(() => {});
+    return { characterId: charId, ...turn };
+  }
+  
+  /**
+   * One character turns on a partner: the bond breaks into a former-partner
+   * edge, a feud starts, the traitor turns heel and a heel victim earns sympathy
+   */
+  betray(traitorId, victimId) {
+    for (const type of SUPPORT_TYPES) this.removeRelationship(traitorId, victimId, type);
+    this.setRelationship(traitorId, victimId, 'former-partner');
+    this.createFeud(traitorId, victimId, 7);
+    if (this.getAlignment(traitorId) !== 'heel') this.turnCharacter(traitorId, 'heel', 'betrayal', { victim: victimId });
+    if (this.getAlignment(victimId) === 'heel') this.turnCharacter(victimId, 'face', 'betrayed', { by: traitorId });
+    return victimId;
+  }
+  
+  /**
+   * Fans cheering (+) or booing (-) a character. Enough of it against their
+   * alignment and the crowd turns them. Returns the turn if one happened.
+   */
+  recordCrowdSentiment(charId, delta) {
+    if (!getCharacter(charId) || !delta) return null;
+    const sentiment = Math.max(-CROWD_SENTIMENT_MAX, Math.min(CROWD_SENTIMENT_MAX, (this.crowdSentiment[charId] || 0) + delta));
+    this.crowdSentiment[charId] = sentiment;
+    
+    const alignment = this.getAlignment(charId);
+    if (sentiment >= CROWD_TURN_THRESHOLD && alignment !== 'face') return this.turnCharacter(charId, 'face', 'crowd');
+    if (sentiment <= -CROWD_TURN_THRESHOLD && alignment !== 'heel') return this.turnCharacter(charId, 'heel', 'crowd');
+    return null;
+  }
+  
+  /**
+   * Prompt direction for a character who has turned away from their file's alignment
+   */
+  getAlignmentContext(charId) {
+    const record = this.alignmentOverrides[charId];
+    if (!record || record.alignment === getCharacter(charId)?.alignment) return '';
+    const turn = record.history[record.history.length - 1];
+    const why = {
+      betrayal: ` when you turned on ${getCharacter(turn?.victim)?.name || 'your partner'}`,
+      betrayed: ` after ${getCharacter(turn?.by)?.name || 'your partner'} stabbed you in the back`,
+      crowd: ' because the crowd made you one',
+    }[turn?.reason] || '';
+    return `You are now a ${record.alignment.toUpperCase()} — you turned${why}. ${ALIGNMENT_DIRECTION[record.alignment]}`;
+  }
+  
+  /**
+   * Who might run in during a match between these participants: rivals out to
+   * cost them, allies looking to help, and anyone lurking in the wings.
+   * `roster` keeps run-ins to the wrestlers on the show.
+   */
+  getRunInCandidates(participants, roster = null) {
+    const candidates = [];
+    for (const feud of this.feuds) {
+      for (const p of participants) {
+        const rival = feud.between.find(c => c !== p);
+        if (feud.between.includes(p) && !participants.includes(rival)) {
+          candidates.push({ charId: rival, reason: 'feud', victim: p, weight: feud.intensity / 2 });
+        }
+      }
+    }
+    for (const bond of this.relationships.filter(r => SUPPORT_TYPES.includes(r.type))) {
+      for (const p of participants) {
+        const ally = bond.between.find(c => c !== p);
+        if (bond.between.includes(p) && !participants.includes(ally)) {
+          candidates.push({ charId: ally, reason: 'ally', helps: p, weight: Math.max(1, bond.weight / 1.5) });
+        }
+      }
+    }
+    for (const charId of this.waitingInTheWings) {
+      if (participants.includes(charId) || candidates.some(c => c.charId === charId)) continue;
+      candidates.push({ charId, reason: 'wings', weight: 2 });
+    }
+    return roster ? candidates.filter(c => roster.includes(c.charId)) : candidates;
+  }
+  
+  /**
+   * Fans voted on a feud — the bigger the turnout, the hotter it gets
+   * (a point per FAN_VOTES_PER_POINT votes, at most two). Returns the feud,
+   * or null if the two aren't feuding.
+   */
+  recordFanVote(char1, char2, turnout) {
+    const feud = this.feuds.find(f => f.between.includes(char1) && f.between.includes(char2));
+    if (!feud || !turnout) return null;
+    return this.escalateFeud(feud, Math.min(2, turnout / FAN_VOTES_PER_POINT));
+  }
+  
+  // -----------------------------------------------------------------------
+  // TV Segments
+  // -----------------------------------------------------------------------
+  
+  /**
+   * Direction for one character's part in a TV segment — a STORYLINE_BEATS
+   * event type, or 'segment' for the angle that closes the show. `others`
+   * share the segment; `ppv` is the event it builds to and `goHome` marks
+   * the last show before it.
+   */
+  generateSegmentContext(type, charId, others = [], { ppv = null, goHome = false } = {}) {
+    const names = others.map(c => getCharacter(c)?.name || c).join(' and ');
+    const at = ppv ? ` at ${ppv}` : ' tonight';
+    const contexts = {
+      'promo': names
+        ? `You open the show. Grab the mic in the middle of the ring and call out ${names}. Everything is building to your match${at}.`
+        : `You open the show. Grab the mic and tell the fans what's going to happen tonight.`,
+      'crowd-work': `You open the show. Work the crowd — get them chanting, play off their reactions, make them part of it.`,
+      'backstage': `Backstage, away from the ring, you run into ${names}. Keep it short and tense — a conversation, not a promo.`,
+      'contract-signing': `It's the contract signing for your match with ${names}${at}. The table is set up in the ring. Say your piece before you sign — and don't let them have the last word.`,
+      'segment': goHome
+        ? `It's the go-home show before ${ppv}. The show is going off the air and you're face to face with ${names}. Leave the fans with an image they can't forget.`
+        : `The show is going off the air and you're face to face with ${names}. Give the fans something to talk about all week.`,
+    };
+    const beat = STORYLINE_BEATS.event.find(b => b.type === type);
+    return contexts[type] || `${beat?.description || 'A TV segment'}${names ? ` with ${names}` : ''}.`;
+  }
+  
+  /**
+   * A TV segment went out on the show
+   */
+  recordSegment(type, characters, details = {}) {
+    const entry = { beat: type, characters: [...characters], ...details };
+    this.storylineHistory.push(entry);
+    this.appendHistory(entry).catch(() => {});
+    return entry;
+  }
+  
+  /**
+   * A weekly show featured this feud: push it so it peaks in time for a
+   * PPV `episodesLeft` shows away (at least FEUD_WEEKLY_STEP). Only building
+   * feuds move — the rest are already headed for their match. Returns the
+   * feud, or null.
+   */
+  advanceFeud(char1, char2, episodesLeft = null) {
+    const feud = this.feuds.find(f => f.between.includes(char1) && f.between.includes(char2));
+    if (!feud || feud.phase !== 'building') return null;
+    const step = episodesLeft
+      ? Math.max(FEUD_WEEKLY_STEP, (FEUD_PEAK_INTENSITY - feud.intensity) / episodesLeft)
+      : FEUD_WEEKLY_STEP;
+    return this.escalateFeud(feud, step);
+  }
+  
+  // -----------------------------------------------------------------------
+  // Road to the PPV
+  // -----------------------------------------------------------------------
+  
+  /**
+   * Queue a planned beat — { type, characters: [rival, rival], dueAt,
+   * eventId, matchOrder } — to go out once its target date comes
+   */
+  queueBeat(beat) {
+    const queued = { ...beat, characters: [...beat.characters], status: 'pending', queuedAt: Date.now() };
+    this.beatQueue.push(queued);
+    return queued;
+  }
+  
+  getQueuedBeats(eventId = null) {
+    return this.beatQueue.filter(b => !eventId || b.eventId === eventId);
+  }
+  
+  /**
+   * Pending beats whose target date has come, most overdue first
+   */
+  dueBeats(now = Date.now()) {
+    return this.beatQueue
+      .filter(b => b.status === 'pending' && b.dueAt <= now)
+      .sort((a, b) => a.dueAt - b.dueAt);
+  }
+  
+  /**
+   * A planned beat went out. The rivals' feud (started now if there isn't
+   * one) climbs so it peaks with the last beat queued for them — at least
+   * BUILDUP_MIN_STEP a beat. Returns the feud, or { error } (and the beat
+   * is called off) if one of them is gone.
+   */
+  completeBeat(beat, now = Date.now()) {
+    const [a, b] = beat.characters;
+    const feud = this.feuds.find(f => samePair(f.between, beat.characters)) || this.createFeud(a, b);
+    if (feud.error) {
+      beat.status = 'cancelled';
+      return feud;
+    }
+    const beatsLeft = this.beatQueue.filter(q =>
+      q.status === 'pending' && q.eventId === beat.eventId && samePair(q.characters, beat.characters)).length;
+    if (feud.phase === 'building') {
+      this.escalateFeud(feud, Math.max(BUILDUP_MIN_STEP, (FEUD_PEAK_INTENSITY - feud.intensity) / Math.max(1, beatsLeft)));
+    } else {
+      feud.lastActivityAt = now;
+    }
+    beat.status = 'done';
+    beat.firedAt = now;
+    
+    const entry = { beat: beat.type, characters: [a, b], eventId: beat.eventId, intensity: Math.round(feud.intensity * 10) / 10 };
+    this.storylineHistory.push(entry);
+    this.appendHistory(entry).catch(() => {});
+    this.trimBeatQueue();
+    return feud;
+  }
+  
+  /**
+   * Call off an event's pending beats (just one pair's, with `characters`).
+   * Returns how many.
+   */
+  cancelBeats(eventId, characters = null) {
+    const cancelled = this.beatQueue.filter(b => b.status === 'pending' && b.eventId === eventId
+      && (!characters || samePair(b.characters, characters)));
+    for (const beat of cancelled) beat.status = 'cancelled';
+    this.trimBeatQueue();
+    return cancelled.length;
+  }
+  
+  /**
+   * Oldest finished beats go first once the queue is over MAX_QUEUED_BEATS
+   */
+  trimBeatQueue() {
+    let excess = this.beatQueue.length - MAX_QUEUED_BEATS;
+    this.beatQueue = this.beatQueue.filter(b => b.status === 'pending' || excess-- <= 0);
+  }
+  
+  /**
+   * Direction for one rival's part in a road-to-PPV beat (see BUILDUP_ARC).
+   * `attacker` is who strikes in a sneak attack.
+   */
+  generateBuildupContext(type, charId, opponentId, { ppv, attacker = null } = {}) {
+    const name = getCharacter(opponentId)?.name || opponentId;
+    const contexts = {
+      'challenge': `Call out ${name} and challenge them to a match at ${ppv}. Make it personal — tell everyone why.`,
+      'escalation': `Things with ${name} are out of hand. Raise the stakes for your match at ${ppv} — this is bigger than a match now.`,
+      'sneak-attack': charId === attacker
+        ? `You just jumped ${name} from behind. Stand over them and tell them that was a preview of ${ppv}.`
+        : `${name} just blindsided you from behind. Get back on your feet and promise payback at ${ppv}.`,
+      'contract-signing': this.generateSegmentContext('contract-signing', charId, [opponentId], { ppv }),
+      'go-home': `It's the last time you'll face ${name} before ${ppv}. Final words — tell them and the fans exactly how it ends.`,
+    };
+    return contexts[type] || `Build to your match with ${name} at ${ppv}.`;
+  }
+  
+  /**
+   * A run-in is personal — heat up (or start) the feud between interferer and victim
+   */
+  recordRunIn(charId, victimId) {
+    const feud = this.feuds.find(f => 
+      f.between.includes(charId) && f.between.includes(victimId)
+    ) || this.createFeud(charId, victimId, 5);
+    this.escalateFeud(feud, 1.5);
+    
+    const entry = {
+      beat: 'run-in',
+      characters: [charId, victimId],
+      intensity: feud.intensity,
+    };
+    this.storylineHistory.push(entry);
+    this.appendHistory(entry).catch(() => {});
+    return feud;
+  }
+  
   /**
    * Add a character to the waiting list
    */
@@ -378,6 +1046,23 @@ export class StorylineEngine {
     this.waitingInTheWings = this.waitingInTheWings.filter(c => c !== characterId);
     this.saveState().catch(() => {});
   }
+
+  /**
+   * A character has left for good: off the roster, their feuds dropped,
+   * their other relationships, road-to-the-show beats and crowd sentiment gone
+   */
+  removeCharacter(characterId) {
+    for (const feud of this.feuds.filter(f => f.between.includes(characterId))) {
+      this.resolveFeud(feud, { resolution: 'dropped' });
+    }
+    this.archiveResolvedFeuds();
+    this.relationships = this.relationships.filter(r => !r.between.includes(characterId));
+    for (const beat of this.beatQueue) {
+      if (beat.status === 'pending' && beat.characters.includes(characterId)) beat.status = 'cancelled';
+    }
+    delete this.crowdSentiment[characterId];
+    this.deactivateCharacter(characterId);
+  }
   
   /**
    * Get current storyline state
@@ -385,6 +1070,14 @@ export class StorylineEngine {
   getState() {
     return {
       feuds: this.feuds,
+      archivedFeuds: this.archivedFeuds.slice(-10),
+      feudPhases: FEUD_PHASES,
+      relationships: this.getRelationships(),
+      relationshipTypes: RELATIONSHIP_TYPES,
+      alignments: Object.fromEntries(
+        Object.entries(this.alignmentOverrides).map(([id, r]) => [id, r.alignment])
+      ),
+      crowdSentiment: this.crowdSentiment,
       activeCharacters: this.activeCharacters,
       waitingInTheWings: this.waitingInTheWings,
       messageCount: this.messageCount,
@@ -393,6 +1086,7 @@ export class StorylineEngine {
         Object.entries(this.heatMap).map(([k, v]) => [k, v.length])
       ),
       recentHistory: this.storylineHistory.slice(-20),
+      upcomingBeats: this.beatQueue.filter(b => b.status === 'pending').sort((a, b) => a.dueAt - b.dueAt).slice(0, 10),
       sessionStartedAt: this.sessionStartedAt,
     };
   }
@@ -410,3 +1104,56 @@ export class StorylineEngine {
     return items[items.length - 1];
   }
 }
+
+function createFeudRecord(char1, char2, intensity) {
+  const now = Date.now();
+  return {
+    between: [char1, char2],
+    intensity,
+    phase: 'building',
+    startedAt: now,
+    phaseChangedAt: now,
+    lastActivityAt: now,
+    matches: [],     // { matchId, winner, winMethod, decisive, at }
+    rematches: 0,
+    blowOff: null,   // { eventId?, matchId?, bookedAt } once the blow-off is booked
+  };
+}
+
+function createRelationship(char1, char2, type, weight = 6) {
+  return { between: [char1, char2], type, weight, since: Date.now() };
+}
+
+/**
+ * The same two characters, in either order
+ */
+function samePair(pair, other) {
+  return pair.length === other.length && pair.every(c => other.includes(c));
+}
+
+/**
+ * Prompt direction for talking to (or about) someone you have history with
+ */
+function relationshipContext(bond, charId, other, mode = 'response') {
+  const isMentor = bond.type === 'mentor' && bond.between[0] === charId;
+  const lines = {
+    ally: `${other.name} is your ally. Back them up and make it clear anyone who messes with them answers to you too.`,
+    'tag-partner': `${other.name} is your tag team partner. Talk like a team — finish each other's thoughts, hype what you do together.`,
+    mentor: isMentor
+      ? `You're ${other.name}'s mentor. Guide them, praise them, or put them in their place — you taught them everything.`
+      : `${other.name} is your mentor. Show respect, but let them know you're ready to step out of their shadow.`,
+    'former-partner': `${other.name} used to be your partner. There's history there — bitterness, unfinished business, maybe a little respect.`,
+  };
+  const line = lines[bond.type] || '';
+  return mode === 'promo' ? `Cut a promo about your relationship with ${other.name}. ${line}` : line;
+}
+
+/**
+ * Bring a saved feud up to date with the lifecycle fields
+ */
+function normalizeFeud(feud) {
+  const base = createFeudRecord(feud.between[0], feud.between[1], feud.intensity);
+  const merged = { ...base, startedAt: feud.startedAt || base.startedAt, ...feud };
+  if (!FEUD_PHASES[merged.phase]) merged.phase = 'building'; // e.g. the old 'simmering'
+  return merged;
+}
@@ -0,0 +1,78 @@
+/**
+ * Brand Tests
+ * Run: node director/test-brands.js
+ */
+
+import { createSeededRandom } from './match-engine.js';
+import { ChampionshipTracker } from './championships.js';
+import { PPVEngine } from './ppv-engine.js';
+import { BrandManager, loadBrandConfig } from './brands.js';
+import { assert, offlineStoryline, report } from './testing.js';
+
+// ----- Brands -----
+console.log('\n📺 Brands');
+{
+  const single = new BrandManager(loadBrandConfig({ DISCORD_CHANNEL_ID: '100' }));
+  assert(single.ids.join() === 'main' && !single.isMultiBrand(), 'Without BRANDS there is one brand');
+  assert(single.getTitles('main').length === 4 && single.getBrand('main').channelId === '100', 'The single brand has every title and the main channel');
+  single.assignNewcomers(['the-rock', 'stone-cold']);
+  assert(single.checkMatch(['the-rock', 'stone-cold'], { forTitle: 'hardcore' }).brand === 'main', 'Any match goes on the single brand');
+
+  const config = loadBrandConfig({ BRANDS: 'raw,smackdown', DISCORD_CHANNEL_ID: '100', RAW_CHANNEL_ID: '200', SMACKDOWN_PROMO_INTERVAL_MIN: '0' });
+  assert(config[0].channelId === '200' && config[1].channelId === '100', 'A brand without its own channel falls back to DISCORD_CHANNEL_ID');
+  assert(config[0].promoIntervalMinutes === 30 && config[1].promoIntervalMinutes === 0, 'Promo schedules are per brand');
+
+  const brands = new BrandManager(config);
+  const roster = ['john-cena', 'the-rock', 'stone-cold', 'undertaker', 'macho-man', 'triple-h', 'mankind'];
+  brands.assignNewcomers(roster);
+  assert(Math.abs(brands.getRoster('raw').length - brands.getRoster('smackdown').length) <= 1, 'Newcomers are spread across brands');
+  assert(brands.brandOfTitle('wwe-championship') === 'raw' && brands.brandOfTitle('intercontinental') === 'smackdown', 'Each brand has its own titles');
+  assert(brands.brandsForChannel('200').join() === 'raw', 'A channel maps to its brand');
+
+  const draft = brands.draft(roster, { picks: { 'john-cena': 'raw', 'the-rock': 'smackdown' }, random: createSeededRandom(7) });
+  assert(brands.brandOf('john-cena') === 'raw' && brands.brandOf('the-rock') === 'smackdown', 'Draft picks are honored');
+  assert(Math.abs(brands.getRoster('raw').length - brands.getRoster('smackdown').length) <= 1, 'The draft balances the rosters');
+  assert(draft.moves.every(m => m.type === 'draft' && m.to === brands.brandOf(m.characterId)), 'Draft moves are recorded');
+  assert(brands.draft(roster, { picks: { 'john-cena': 'nitro' } }).error, 'Drafting to an unknown brand is rejected');
+
+  assert(brands.checkMatch(['john-cena', 'the-rock']).error?.includes('different brands'), 'Inter-brand matches need crossBrand');
+  assert(brands.checkMatch(['john-cena', 'the-rock'], { crossBrand: true }).brand === null, 'Cross-brand matches belong to no single brand');
+  const rawmate = brands.getRoster('raw').find(c => c !== 'john-cena');
+  assert(brands.checkMatch(['john-cena', rawmate]).brand === 'raw', 'Same-brand matches go on that brand');
+  assert(brands.checkMatch(['john-cena', rawmate], { forTitle: 'intercontinental' }).error?.includes('Friday Night SmackDown'), "Another brand's title can't be defended");
+
+  assert(brands.trade(['john-cena'], [rawmate]).error, 'Both sides of a trade must be on different brands');
+  const trade = brands.trade(['john-cena'], ['the-rock']);
+  assert(trade.moves.length === 2 && brands.brandOf('john-cena') === 'smackdown' && brands.brandOf('the-rock') === 'raw', 'Trades swap brands');
+  assert(brands.sign('the-rock', 'raw').error && brands.sign('the-rock', 'nitro').error, 'Signing to the same or an unknown brand is rejected');
+
+  const champs = new ChampionshipTracker();
+  champs.awardTitle('wwe-championship', 'john-cena');
+  const titleMoves = brands.followChampions(champs);
+  assert(titleMoves[0]?.titleId === 'wwe-championship' && brands.brandOfTitle('wwe-championship') === 'smackdown', 'Titles follow their champion to a new brand');
+
+  const restored = new BrandManager(loadBrandConfig({ BRANDS: 'raw,ecw' }));
+  restored.loadFrom(brands.toJSON());
+  assert(restored.brandOf('the-rock') === 'raw' && restored.brandOf('john-cena') === null, 'Saved rosters reload; brands that are gone drop out');
+
+  // Storyline and booking only use the brand's own wrestlers
+  const storyline = offlineStoryline();
+  const raw = brands.getRoster('raw');
+  storyline.waitingInTheWings = [...roster];
+  assert(raw.includes(storyline.triggerSurprise(raw)?.characterId), 'Surprise entrances come from the brand roster');
+  assert(storyline.triggerSurprise(['nobody']) === null, 'No surprise when the brand has nobody in the wings');
+  assert(storyline.getRunInCandidates(['the-rock', 'john-cena'], raw).every(c => raw.includes(c.charId)), 'Run-ins come from the brand roster');
+
+  const ppv = new PPVEngine();
+  const event = ppv.scheduleEvent('survivor_series', { brand: 'raw', crossBrand: true });
+  assert(event.crossBrand && event.brand === null, 'Survivor Series is scheduled as a cross-brand event');
+  champs.awardTitle('intercontinental', 'mankind');
+  const rosters = { raw: brands.getRoster('raw'), smackdown: brands.getRoster('smackdown') };
+  const card = ppv.autoBookCrossBrandCard(event, rosters, roster, champs);
+  const main = card[0];
+  assert(main?.isMainEvent && main.matchType === 'tag-team' && main.teams[0].every(c => rosters.raw.includes(c)) && main.teams[1].every(c => rosters.smackdown.includes(c)), 'Main event is Team Raw vs Team SmackDown');
+  assert(card.every(m => new Set(m.participants.map(c => brands.brandOf(c))).size === 2), 'Every cross-brand match crosses the brand line');
+  assert(new Set(card.flatMap(m => m.participants)).size === card.flatMap(m => m.participants).length, 'Nobody is booked twice');
+}
+
+report();
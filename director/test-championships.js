@@ -0,0 +1,118 @@
+/**
+ * Championship Tests — title lineage and title matches
+ * Run: node director/test-championships.js
+ */
+
+import { ChampionshipTracker } from './championships.js';
+import { PPVEngine } from './ppv-engine.js';
+import { CharacterMemory } from './memory.js';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { rm } from 'fs/promises';
+import { BrandManager, loadBrandConfig } from './brands.js';
+import { TitleLineage, formatTitleHistory, formatReignLength } from './title-lineage.js';
+import { assert, report } from './testing.js';
+
+console.log('\n📜 Title Lineage');
+{
+  const DAY = 24 * 60 * 60 * 1000;
+  const dir = join(tmpdir(), `wwe-lineage-${process.pid}`);
+  const file = join(dir, 'lineage.jsonl');
+  const lineage = new TitleLineage({ file });
+  const tracker = new ChampionshipTracker();
+  const writes = [];
+  tracker.onReignEnd = reign => writes.push(lineage.append(reign));
+  const ic = tracker.titles.intercontinental;
+
+  tracker.awardTitle('intercontinental', 'the-rock');
+  ic.wonAt -= 10 * DAY;
+  for (let i = 0; i < 3; i++) tracker.recordDefense('intercontinental');
+  tracker.awardTitle('intercontinental', 'stone-cold', 'submission');
+  ic.wonAt -= 2 * DAY;
+  tracker.awardTitle('intercontinental', 'the-rock');
+  ic.wonAt -= 60 * 60 * 1000;
+  tracker.vacateTitle('intercontinental');
+  tracker.awardTitle('intercontinental', 'macho-man');
+  ic.wonAt -= DAY;
+  tracker.recordDefense('intercontinental');
+  await Promise.all(writes);
+
+  const reigns = lineage.getLineage('intercontinental', ic);
+  assert(reigns.map(r => r.holder).join() === 'the-rock,stone-cold,the-rock,macho-man', 'Every champion, oldest first — the current one last');
+  assert(reigns[1].wonBy === 'submission' && reigns[1].lostTo === 'the-rock' && reigns[2].vacated, 'Reigns record how they were won and how they ended');
+  assert(reigns[2].reignOfHolder === 2 && reigns[3].current && reigns[3].lostAt === null, 'Reigns are numbered per holder; the current one is still running');
+  const stats = lineage.getStats('intercontinental', ic);
+  assert(stats.longestReign.holder === 'the-rock' && formatReignLength(stats.longestReign.length) === '10 days', 'Longest reign');
+  assert(stats.mostReigns.holder === 'the-rock' && stats.mostReigns.reigns === 2, 'Most reigns');
+  assert(stats.mostDefenses.holder === 'the-rock' && stats.mostDefenses.defenses === 3, 'Most defenses in one reign');
+  assert(stats.currentReign.holder === 'macho-man' && stats.currentReign.defenses === 1 && formatReignLength(stats.currentReign.length) === '24 hours', 'Current reign and how long it has run');
+  assert(lineage.getStats('hardcore', tracker.titles.hardcore).longestReign === null, 'A title nobody has held has no records');
+
+  const card = formatTitleHistory('intercontinental', reigns, stats);
+  assert(card.includes('TITLE HISTORY') && card.includes('Longest reign') && card.includes('Most reigns') && card.includes('(vacated)'), 'Title history card for Discord');
+
+  for (let i = 0; i < 25; i++) tracker.awardTitle('tag-team', i % 2 ? ['john-cena', 'macho-man'] : ['macho-man', 'john-cena']);
+  await Promise.all(writes);
+  assert(tracker.titles['tag-team'].history.length === 20 && lineage.getLineage('tag-team').length === 24, 'The tracker forgets old reigns; the lineage keeps them all');
+  assert(lineage.getStats('tag-team', tracker.titles['tag-team']).mostReigns.reigns === 25, 'A tag team is the same team in either order');
+
+  const restored = new TitleLineage({ file });
+  await restored.loadState();
+  assert(restored.reigns.length === lineage.reigns.length && restored.getLineage('intercontinental', ic).length === 4, 'The lineage file survives a restart');
+  const seeded = new TitleLineage({ file: join(dir, 'seeded.jsonl') });
+  await seeded.loadState(tracker);
+  assert(seeded.getLineage('intercontinental').length === 3 && seeded.getLineage('tag-team').length === 20, 'A new lineage starts from the reigns the tracker remembers');
+  assert(formatReignLength(90 * 60 * 1000) === '90 minutes' && formatReignLength(5 * 60 * 60 * 1000) === '5 hours', 'Reign lengths read naturally');
+  await rm(dir, { recursive: true, force: true });
+}
+
+// ----- Title Matches -----
+console.log('\n🛡️ Title Matches');
+{
+  const tracker = new ChampionshipTracker();
+  tracker.awardTitle('intercontinental', 'the-rock');
+  tracker.awardTitle('tag-team', ['stone-cold', 'mankind']);
+  tracker.awardTitle('hardcore', 'mankind');
+
+  assert(tracker.checkTitleMatch('intercontinental', ['the-rock', 'stone-cold']) === null, 'The champion is in the match — it is for the title');
+  assert(/champion \(the-rock\)/.test(tracker.checkTitleMatch('intercontinental', ['john-cena', 'stone-cold'])), 'No title match without the champion');
+  assert(/tag team match/.test(tracker.checkTitleMatch('tag-team', ['stone-cold', 'mankind'])), 'The tag team belts need a tag match');
+  assert(/champions/.test(tracker.checkTitleMatch('tag-team', ['stone-cold', 'john-cena', 'mankind', 'the-rock'], [['stone-cold', 'john-cena'], ['mankind', 'the-rock']])), 'The tag champions have to be one team');
+  assert(tracker.checkTitleMatch('tag-team', ['the-rock', 'john-cena', 'mankind', 'stone-cold'], [['the-rock', 'john-cena'], ['mankind', 'stone-cold']]) === null, 'Tag champions in either order');
+  assert(/isn't defended in a tag team match/.test(tracker.checkTitleMatch('intercontinental', ['the-rock', 'john-cena', 'mankind', 'stone-cold'], [['the-rock', 'john-cena'], ['mankind', 'stone-cold']])), 'Singles belts stay out of tag matches');
+  assert(tracker.checkTitleMatch('hardcore', ['mankind', 'john-cena', 'the-rock', 'stone-cold'], [['mankind', 'john-cena'], ['the-rock', 'stone-cold']]) === null, 'The 24/7 belt can be defended in any match');
+  assert(tracker.checkTitleMatch('wwe-championship', ['john-cena', 'stone-cold']) === null, 'A vacant belt is open to anyone');
+
+  const retained = tracker.settleTitleMatch('intercontinental', { winner: 'the-rock', winners: ['the-rock'], winMethod: 'pinfall' });
+  assert(retained.retained && retained.defenses === 1 && tracker.getChampion('intercontinental') === 'the-rock', 'The champion wins — a defense, not a new reign');
+  const dq = tracker.settleTitleMatch('intercontinental', { winner: 'stone-cold', winners: ['stone-cold'], winMethod: 'dq' });
+  assert(dq.retained && dq.defenses === 2 && tracker.getChampion('intercontinental') === 'the-rock', 'Losing by DQ keeps the belt');
+  assert(tracker.settleTitleMatch('intercontinental', { winner: 'stone-cold', winners: ['stone-cold'], winMethod: 'count-out' }).retained, 'So does losing by count-out');
+  const change = tracker.settleTitleMatch('intercontinental', { winner: 'stone-cold', winners: ['stone-cold'], winMethod: 'submission' });
+  assert(!change.retained && change.newChampion === 'stone-cold' && change.previousChampion === 'the-rock', 'The champion loses clean — new champion');
+  assert(tracker.titles.intercontinental.history.at(-1).defenses === 3, 'The reign ends with its defenses');
+
+  const tag = tracker.settleTitleMatch('tag-team', { winner: 'john-cena', winners: ['john-cena', 'the-rock'], winMethod: 'pinfall' });
+  assert(tag.newChampion.join() === 'john-cena,the-rock', 'Both partners win the tag belts');
+  assert(tracker.settleTitleMatch('tag-team', { winner: 'the-rock', winners: ['john-cena', 'the-rock'], winMethod: 'pinfall' }).retained, 'Either partner can score the fall to retain');
+  assert(tracker.settleTitleMatch('wwe-championship', { winner: 'john-cena', winners: ['john-cena'], winMethod: 'dq' }).newChampion === 'john-cena', 'A vacant belt goes to the winner however they win');
+  assert(tracker.settleTitleMatch('wwe-championship', { winner: null, winMethod: null }) === null, 'No winner, nothing to settle');
+
+  const memory = new CharacterMemory();
+  memory.recordMatch({ participants: ['john-cena', 'mankind'], winner: 'john-cena', winMethod: 'pinfall' }, tracker.settleTitleMatch('wwe-championship', { winner: 'john-cena', winners: ['john-cena'], winMethod: 'pinfall' }));
+  assert(memory.getState('john-cena').events.at(-1).text === 'You retained the WWE Championship', 'A defense is remembered as a retained title');
+
+  const brands = new BrandManager(loadBrandConfig({ BRANDS: 'raw,smackdown' }));
+  brands.sign('john-cena', 'raw');
+  brands.sign('mankind', 'raw');
+  assert(brands.checkMatch(['john-cena', 'mankind'], { forTitle: 'hardcore' }).brand === 'raw', "The 24/7 belt is on the line on any brand's show");
+  assert(brands.checkMatch(['john-cena', 'mankind'], { forTitle: 'intercontinental' }).error, "Other belts stay on their brand");
+
+  const card = new PPVEngine().autoBookCard({}, [
+    { between: ['stone-cold', 'john-cena'], type: 'tag-partner', weight: 7 },
+    { between: ['mankind', 'the-rock'], type: 'tag-partner', weight: 6 },
+  ], ['stone-cold', 'john-cena', 'mankind', 'the-rock'], tracker);
+  assert(card[0].matchType === 'tag-team' && card[0].forTitle === null, 'A tag match with only one of the champions is not for the belts');
+}
+
+report();
@@ -0,0 +1,58 @@
+/**
+ * Character Registry Tests
+ * Run: node director/test-characters.js
+ */
+
+import { mkdtempSync, readFileSync, unlinkSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// Work on a copy of the roster — CHARACTERS_DIR is read when characters.js loads
+const dir = mkdtempSync(join(tmpdir(), 'wwe-characters-'));
+process.env.CHARACTERS_DIR = dir;
+const { CHARACTERS, validateCharacter, createCharacter, updateCharacter, reloadCharacters } = await import('./characters.js');
+const { ANNOUNCERS } = await import('./announcers.js');
+const { assert, report } = await import('./testing.js');
+
+// ----- Character Registry -----
+console.log('\n📇 Character Registry');
+{
+  assert(Object.keys(CHARACTERS).length === 7, 'Bundled roster loads 7 wrestlers from files');
+  assert(ANNOUNCERS['jim-ross'] && ANNOUNCERS['jerry-lawler'], 'Announcer files load into ANNOUNCERS');
+  assert(!('role' in CHARACTERS['the-rock']), 'Role is not kept on the loaded profile');
+
+  const gimmick = { name: 'The Gimmick', displayName: 'The Gimmick 🎪', personality: 'You are an original gimmick.', alignment: 'heel' };
+  assert(validateCharacter('the-gimmick', gimmick) === null, 'Minimal wrestler definition is valid');
+  assert(validateCharacter('The Gimmick', gimmick)?.includes('Invalid id'), 'Ids must be lowercase-dashed');
+  assert(validateCharacter('the-gimmick', { ...gimmick, alignment: 'villain' })?.includes('alignment'), 'Unknown alignment rejected');
+  assert(validateCharacter('the-gimmick', { ...gimmick, responseChance: 2 })?.includes('responseChance'), 'Chances must be 0-1');
+  assert(validateCharacter('the-gimmick', { ...gimmick, attributes: { strength: 11 } })?.includes('strength'), 'Attributes must be 1-10');
+  assert(validateCharacter('the-gimmick', { ...gimmick, attributes: { luck: 5 } })?.includes('luck'), 'Unknown attributes rejected');
+  assert(validateCharacter('the-gimmick', { ...gimmick, personality: '' })?.includes('personality'), 'Personality is required');
+  assert(validateCharacter('mean-gene', { role: 'announcer', name: 'Mean Gene', displayName: 'Mean Gene 🎤', personality: 'You interview.', triggerChance: { 'title-change': 1 } }) === null, 'Announcers need no alignment');
+  assert(validateCharacter('mean-gene', { role: 'announcer', name: 'Mean Gene', displayName: 'Mean Gene 🎤', personality: 'You interview.', triggerChance: { 'title-change': 5 } }) !== null, 'Announcer trigger chances must be 0-1');
+}
+
+// ----- Editing Character Files -----
+console.log('\n✏️ Editing Character Files');
+{
+  const gimmick = { name: 'The Gimmick', displayName: 'The Gimmick 🎪', personality: 'You are an original gimmick.', alignment: 'heel' };
+  const file = join(dir, 'the-gimmick.yaml');
+  await createCharacter('the-gimmick', gimmick);
+  assert(CHARACTERS['the-gimmick'].responseChance === 0.5, 'Loaded profiles get the wrestler defaults');
+
+  await updateCharacter('the-gimmick', { era: 'Attitude' });
+  const text = readFileSync(file, 'utf-8');
+  assert(text.includes('era: Attitude') && !text.includes('responseChance'), 'An edit writes the file\'s own fields and the change, not the defaults');
+  await updateCharacter('the-gimmick', { era: null });
+  assert(!readFileSync(file, 'utf-8').includes('era') && !('era' in CHARACTERS['the-gimmick']), 'A field set to null is removed');
+  assert((await updateCharacter('the-gimmick', { name: null })).error?.includes('name'), 'Removing a required field is rejected');
+
+  unlinkSync(file);
+  const reload = reloadCharacters();
+  assert(reload.removed.join() === 'the-gimmick' && !CHARACTERS['the-gimmick'], 'A reload reports wrestlers whose files are gone');
+}
+
+rmSync(dir, { recursive: true, force: true });
+
+report();
@@ -0,0 +1,20 @@
+/**
+ * Crowd Tests — cheers, boos and who the fans are talking about
+ * Run: node director/test-crowd.js
+ */
+
+import { scoreFanMessage, mentionedCharacters } from './crowd.js';
+import { assert, report } from './testing.js';
+
+// ----- Crowd Reactions -----
+console.log('\n📣 Crowd Reactions');
+{
+  assert(scoreFanMessage("Let's go Cena!") === 1 && scoreFanMessage('Cena sucks') === -1 && scoreFanMessage('Cena is here') === 0, 'Fan messages score as cheers or boos');
+  assert(scoreFanMessage('Booooo Cena') === -1 && scoreFanMessage('Rock is legendary 🔥') === 1, 'Drawn-out boos and word forms count');
+  assert(['Who booked this?', 'The booker is on it', 'whatever happens', 'Taker lost a glove'].every(m => scoreFanMessage(m) === 0), 'Words inside other words are not cheers or boos');
+  const roster = { 'stone-cold': { name: 'Stone Cold Steve Austin' }, 'the-rock': { name: 'The Rock' } };
+  assert(mentionedCharacters('Stone Cold is the best', roster).join() === 'stone-cold' && mentionedCharacters('THE ROCK!', roster).join() === 'the-rock', 'Fans mention wrestlers by name or part of it');
+  assert(mentionedCharacters('Scolding the rocket scientists', roster).length === 0, 'Name parts inside other words are not mentions');
+}
+
+report();
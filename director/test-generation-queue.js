@@ -0,0 +1,83 @@
+/**
+ * Generation Queue Tests
+ * Run: node director/test-generation-queue.js
+ */
+
+import { LLMClient } from './llm-client.js';
+import { GenerationQueue, StaleJobError } from './generation-queue.js';
+import { assert, report } from './testing.js';
+
+// ----- Generation Queue -----
+console.log('\n🚦 Generation Queue');
+{
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+  const quiet = console.warn;
+  console.warn = () => {};
+
+  const queue = new GenerationQueue({ concurrency: 1 });
+  const order = [];
+  const job = (name, ms = 10) => async () => { order.push(name); await wait(ms); return name; };
+  const jobs = [
+    queue.run(job('first', 30), { priority: 'background' }),
+    queue.run(job('crowd'), { priority: 'crowd' }),
+    queue.run(job('promo'), { priority: 'promo' }),
+    queue.run(job('mention-1'), { priority: 'mention' }),
+    queue.run(job('live'), { priority: 'live' }),
+    queue.run(job('mention-2'), { priority: 'mention' }),
+  ];
+  assert(queue.getState().running === 1 && queue.getState().depth === 5, 'Only `concurrency` jobs run at once; the rest wait');
+  assert(queue.getState().depthByPriority.mention === 2, 'Queue depth is reported per priority');
+  const results = await Promise.all(jobs);
+  assert(results.join() === 'first,crowd,promo,mention-1,live,mention-2', 'Each caller gets its own result');
+  assert(order.join() === 'first,live,mention-1,mention-2,promo,crowd', 'Waiting jobs run by priority, oldest first within a priority');
+
+  const pair = new GenerationQueue({ concurrency: 2 });
+  let peak = 0;
+  let active = 0;
+  const tracked = async () => { active++; peak = Math.max(peak, active); await wait(15); active--; };
+  await Promise.all([1, 2, 3, 4, 5].map(() => pair.run(tracked, { priority: 'promo' })));
+  assert(peak === 2, 'Concurrency limit is respected');
+
+  // Deadlines: stale in the queue, too slow while running, or fine when streaming
+  const busy = new GenerationQueue({ concurrency: 1 });
+  const blocker = busy.run(job('blocker', 200), { priority: 'live' });
+  let stale = null;
+  const started = Date.now();
+  try { await busy.run(job('never'), { priority: 'crowd', deadlineMs: 20 }); } catch (err) { stale = err; }
+  assert(stale instanceof StaleJobError && !order.includes('never'), 'A job whose deadline passes in the queue is dropped, never run');
+  assert(Date.now() - started < 150, 'Callers hear about a dropped job at its deadline, not when a slot frees up');
+  await blocker;
+
+  let aborted = false;
+  let slow = null;
+  try {
+    await busy.run(({ signal }) => new Promise(resolve => {
+      signal.addEventListener('abort', () => { aborted = true; });
+      setTimeout(() => resolve('late'), 50);
+    }), { priority: 'live', deadlineMs: 20 });
+  } catch (err) { slow = err; }
+  assert(slow instanceof StaleJobError && aborted, 'A job still running at its deadline is aborted and its late result dropped');
+  assert(await busy.run(job('streamed', 40), { priority: 'mention', deadlineMs: 10, dropLate: false }) === 'streamed', 'dropLate: false lets a started job finish');
+
+  let failure = null;
+  try { await busy.run(async () => { throw new Error('model exploded'); }, { priority: 'promo' }); } catch (err) { failure = err; }
+  assert(failure?.message === 'model exploded' && !(failure instanceof StaleJobError), 'Job errors reach the caller unchanged');
+
+  const state = busy.getState();
+  assert(state.stats.crowd.dropped === 1 && state.stats.live.dropped === 1 && state.stats.promo.failed === 1, 'Completed, failed and dropped jobs are counted per priority');
+  assert(state.latency.waitMs && state.latency.runMs.max >= 40 && state.latency.byPriority.live, 'Wait and run latency are reported');
+  let unknown = null;
+  try { await busy.run(job('x'), { priority: 'urgent' }); } catch (err) { unknown = err; }
+  assert(unknown?.message.includes('Unknown priority'), 'Unknown priorities are rejected');
+
+  // A cancelled LLM call isn't retried and doesn't count against the breaker
+  const stub = new LLMClient({ provider: 'stub', retries: 3, breakerThreshold: 1 });
+  const controller = new AbortController();
+  controller.abort();
+  let cancelled = null;
+  try { await stub.chat([{ role: 'user', content: 'hi' }], { signal: controller.signal }); } catch (err) { cancelled = err; }
+  assert(cancelled?.message.includes('cancelled') && stub.getState().breaker.state === 'closed' && stub.getState().stats.cancelled === 1, 'Cancelled LLM calls fail fast without tripping the breaker');
+  console.warn = quiet;
+}
+
+report();
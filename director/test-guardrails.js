@@ -0,0 +1,69 @@
+/**
+ * Output Guardrail Tests
+ * Run: node director/test-guardrails.js
+ */
+
+import { OutputGuard, similarity } from './guardrails.js';
+import { assert, report } from './testing.js';
+
+// ----- Output Guardrails -----
+console.log('\n🛡️ Output Guardrails');
+{
+  const guard = new OutputGuard({ blocklist: ['heck'] });
+  const quiet = console.warn;
+  console.warn = () => {}; // rejections are logged; keep the test output readable
+
+  assert(guard.review('<think>Rock should be cocky.</think>Finally, The Rock has come back!', 'the-rock').text === 'Finally, The Rock has come back!', 'Reasoning blocks are stripped');
+  assert(guard.clean('Let me think.</think>IT DOESN\'T MATTER!') === "IT DOESN'T MATTER!", 'A lone closing tag hides what came before it');
+  assert(guard.clean('Know your role <think>maybe add') === 'Know your role', 'An unclosed block is hidden mid-stream');
+  assert(guard.review('**The Rock 🪨:** "Just bring it, jabroni!"', 'the-rock').text === 'Just bring it, jabroni!', 'Own name prefix and wrapping quotes are removed');
+
+  const ai = guard.review('As an AI, I cannot pretend to be The Rock.', 'the-rock');
+  assert(!ai.ok && ai.rule === 'out-of-character', 'Breaking kayfabe is rejected');
+  assert(guard.review("I can't help but laugh at you, Cena!", 'the-rock').ok, 'Ordinary "can\'t help" is fine');
+
+  const other = guard.review('Stone Cold: What? What?', 'the-rock');
+  assert(!other.ok && other.rule === 'other-speaker' && other.reason.includes('Stone Cold'), 'Speaking as another character is rejected');
+  const script = guard.review('You are nothing, Austin!\nStone Cold: WHAT?', 'the-rock');
+  assert(script.ok && script.text === 'You are nothing, Austin!', 'A second speaker tacked on the end is cut off');
+
+  const echo = guard.review('STORYLINE DIRECTION: challenge Cena. Cena, you are done!', 'the-rock');
+  assert(!echo.ok && echo.rule === 'prompt-echo', 'Echoing the prompt is rejected');
+  assert(guard.review('<think>nothing to say</think>  ', 'the-rock').rule === 'empty', 'Empty output is rejected');
+  assert(guard.review('What the heck is this?', 'the-rock').rule === 'blocklist', 'Blocklisted words are rejected');
+  assert(guard.review('Checkers anyone?', 'the-rock').ok, 'Blocklist matches whole words only');
+
+  assert(guard.review('The Rock says you are a roody-poo candy-ass jabroni tonight!', 'the-rock').ok, 'A fresh line is accepted');
+  const dupe = guard.review('The Rock says you are a roody poo candy ass jabroni!', 'the-rock');
+  assert(!dupe.ok && dupe.rule === 'duplicate', 'A near-duplicate of a recent line is rejected');
+  assert(guard.review('I will beat you at WrestleMania, Austin!', 'the-rock', { recentLines: ['I will beat you at WrestleMania, Austin'] }).rule === 'duplicate', 'Conversation lines count for duplicates');
+  assert(similarity('Oh yeah!', 'OH YEAH') === 1 && similarity('Oh yeah!', 'Oh no!') === 0, 'Short lines only match exactly');
+
+  const state = guard.getState();
+  assert(state.stats.rejected.duplicate === 2 && state.recentRejections[0].rule === 'duplicate' && state.recentRejections[0].reason, 'Rejections are counted and logged with a reason');
+
+  const relaxed = new OutputGuard({ disabled: ['reasoning', 'out-of-character'] });
+  assert(relaxed.review('As an AI <think>x</think>', 'the-rock').text.includes('<think>'), 'Rules can be switched off');
+  assert(relaxed.getState().rules.find(r => r.rule === 'duplicate').enabled, 'Other rules stay on');
+  console.warn = quiet;
+}
+
+// ----- Streaming Through the Guard -----
+console.log('\n📡 Streaming Through the Guard');
+{
+  const guard = new OutputGuard({ blocklist: ['heck'] });
+  // Every preview the channel would see while the line arrives a character at a time
+  const stream = line => [...line].map((_, i) => guard.preview(line.slice(0, i + 1), 'the-rock'));
+
+  const ai = stream('Finally, The Rock has come back! As an AI language model, I cannot continue.');
+  assert(ai.includes('Finally, The Rock has come back!'), 'Finished sentences stream');
+  assert(!ai.some(p => /\bAs\b|\bAI\b/.test(p)) && ai.at(-1) === '', 'Breaking kayfabe never reaches the channel');
+  assert(!stream('Know your role. What the heck is this?').some(p => p.includes('heck')), 'Blocklisted words never reach the channel');
+  assert(stream('Stone Cold: What? What?').every(p => p === ''), 'A line in another character\'s voice shows nothing');
+  const script = stream('You are nothing, Austin!\nStone Cold: WHAT?');
+  assert(script.at(-1) === 'You are nothing, Austin!' && !script.some(p => p.includes('Stone Cold')), 'A second speaker never streams');
+  assert(stream('<think>Rock should be cocky.</think>IT DOESN\'T MATTER!').at(-1) === "IT DOESN'T MATTER!", 'Reasoning stays hidden mid-stream');
+  assert(guard.getState().stats.reviewed === 0, 'Previews are not counted as reviews');
+}
+
+report();
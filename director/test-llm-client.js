@@ -0,0 +1,150 @@
+/**
+ * LLM Client Tests — providers, retries, circuit breaker, streaming
+ * Run: node director/test-llm-client.js
+ */
+
+import { LLMClient, CircuitOpenError } from './llm-client.js';
+import { createServer } from 'http';
+import { ProgressiveMessage } from './progressive-message.js';
+import { getCatchphrases } from './characters.js';
+import { assert, report } from './testing.js';
+
+// ----- LLM Client -----
+console.log('\n🤖 LLM Client');
+{
+  const stub = new LLMClient({ provider: 'stub' });
+  const messages = [{ role: 'user', content: 'Cut a promo' }];
+  const first = await stub.chat(messages);
+  assert(first && first === await stub.chat(messages), 'Stub provider is deterministic');
+  assert(await stub.chat(messages, { model: 'other' }) !== undefined && stub.getState().stats.ok === 3, 'Stub calls count as successes');
+
+  let invalid = null;
+  try { new LLMClient({ provider: 'carrier-pigeon' }); } catch (err) { invalid = err; }
+  assert(invalid?.message.includes('Unknown LLM provider'), 'Unknown providers are rejected');
+
+  // A tiny OpenAI-compatible server: /ok answers, /bad is a 400, /slow never answers in time
+  const seen = [];
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      seen.push({ url: req.url, auth: req.headers.authorization, body: JSON.parse(body || '{}') });
+      if (req.url.startsWith('/bad')) { res.writeHead(400); res.end('nope'); return; }
+      if (req.url.startsWith('/slow')) { setTimeout(() => { res.writeHead(200); res.end('{}'); }, 300); return; }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ choices: [{ message: { content: 'OH YEAH!' } }] }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const openai = new LLMClient({ provider: 'openai', url: `${base}/ok`, apiKey: 'k', model: 'base-model' });
+  assert(await openai.chat(messages, { model: 'macho-model' }) === 'OH YEAH!', 'OpenAI-compatible provider returns the reply');
+  assert(seen.at(-1).url === '/ok/v1/chat/completions' && seen.at(-1).auth === 'Bearer k', 'Calls /v1/chat/completions with the API key');
+  assert(seen.at(-1).body.model === 'macho-model', 'Per-call model override is sent');
+
+  const bad = new LLMClient({ provider: 'openai', url: `${base}/bad`, retries: 3, backoffMs: 1 });
+  const before = seen.length;
+  try { await bad.chat(messages); } catch (err) { /* expected */ }
+  assert(seen.length - before === 1, 'A 400 is not retried');
+
+  const slow = new LLMClient({ provider: 'openai', url: `${base}/slow`, timeoutMs: 50, retries: 2, backoffMs: 1, breakerThreshold: 2, breakerCooldownMs: 60000 });
+  let timeoutError = null;
+  try { await slow.chat(messages); } catch (err) { timeoutError = err; }
+  assert(timeoutError?.message.includes('timed out') && slow.getState().stats.retries === 2, 'Timeouts are retried with backoff, then fail');
+  try { await slow.chat(messages); } catch (err) { /* second failure opens the breaker */ }
+  let shortCircuit = null;
+  try { await slow.chat(messages); } catch (err) { shortCircuit = err; }
+  assert(shortCircuit instanceof CircuitOpenError && slow.getState().breaker.state === 'open', 'Breaker opens after repeated failures and fails fast');
+  slow.openUntil = Date.now() - 1;
+  slow.url = `${base}/ok`;
+  assert(slow.getState().breaker.state === 'half-open' && await slow.chat(messages) === 'OH YEAH!', 'After the cooldown one trial call is let through');
+  assert(slow.getState().breaker.state === 'closed', 'A success closes the breaker');
+  await new Promise(resolve => setTimeout(resolve, 300)); // let the slow responses drain
+  server.close();
+
+  assert(getCatchphrases('john-cena').includes("You can't see me!"), 'Catchphrases come from the personality prompt for fallback lines');
+  assert(getCatchphrases('jim-ross').includes('BAH GAWD!'), 'Announcers have fallback catchphrases too');
+}
+
+// ----- Streaming -----
+console.log('\n📡 Streaming');
+{
+  const messages = [{ role: 'user', content: 'Cut a promo' }];
+  const stub = new LLMClient({ provider: 'stub' });
+  const deltas = [];
+  const streamed = await stub.chat(messages, { onToken: delta => { deltas.push(delta); } });
+  assert(deltas.length > 1 && deltas.join('') === streamed && streamed === await stub.chat(messages), 'Stub streams the same line a word at a time');
+  const stopped = await stub.chat(messages, { onToken: () => false });
+  assert(stopped.length > 0 && stopped.length < streamed.length, 'Returning false from onToken stops the stream');
+
+  const server = createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      if (req.url.startsWith('/ollama')) {
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        for (const word of ['Oh ', 'yeah, ', 'dig it!']) res.write(JSON.stringify({ message: { content: word }, done: false }) + '\n');
+        res.end(JSON.stringify({ message: { content: '' }, done: true }) + '\n');
+      } else if (req.url.startsWith('/openai')) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (const word of ['Bah ', 'gawd!']) res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: word } }] })}\n\n`);
+        res.end('data: [DONE]\n\n');
+      } else {
+        // Dies halfway through
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        res.write(JSON.stringify({ message: { content: 'Half a ' }, done: false }) + '\n');
+        setTimeout(() => res.destroy(), 20);
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const seen = [];
+  const ollama = new LLMClient({ provider: 'ollama', url: `${base}/ollama` });
+  assert(await ollama.chat(messages, { onToken: (d, soFar) => { seen.push(soFar); } }) === 'Oh yeah, dig it!', 'Ollama NDJSON stream is assembled');
+  assert(seen.join('|') === 'Oh |Oh yeah, |Oh yeah, dig it!', 'onToken sees the text so far');
+  const openai = new LLMClient({ provider: 'openai', url: `${base}/openai` });
+  assert(await openai.chat(messages, { onToken: () => {} }) === 'Bah gawd!', 'OpenAI SSE stream is assembled');
+
+  const broken = new LLMClient({ provider: 'ollama', url: `${base}/broken`, retries: 2, backoffMs: 1 });
+  let brokenError = null;
+  try { await broken.chat(messages, { onToken: () => {} }); } catch (err) { brokenError = err; }
+  assert(brokenError && broken.getState().stats.retries === 0, 'A stream that breaks after tokens arrived is not retried');
+  server.close();
+
+  // Progressive message: posted once there's enough text, edits throttled, cursor removed at the end
+  const calls = [];
+  const progressive = new ProgressiveMessage({
+    intervalMs: 40,
+    minLength: 10,
+    maxLength: 30,
+    post: async content => { calls.push(['post', content]); return { id: 'm1' }; },
+    edit: async (handle, content) => { calls.push(['edit', handle.id, content]); },
+  });
+  progressive.push('Hey');
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert(calls.length === 0, 'Nothing is posted before there is enough to read');
+  progressive.push('Hey, yo, listen');
+  progressive.push('Hey, yo, listen up');
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert(calls.length === 1 && calls[0][0] === 'post' && calls[0][1] === 'Hey, yo, listen up ▌', 'First flush posts the latest text with a cursor');
+  let text = 'Hey, yo, listen up';
+  for (const word of ['here', 'jabroni', 'because', 'the', 'Rock']) progressive.push(text += ` ${word}`);
+  assert(calls.length === 1, 'Edits wait out the throttle interval');
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert(calls.length === 2 && calls[1][0] === 'edit' && calls[1][2].length <= 32, 'Throttled edit carries the newest text, capped at maxLength');
+  await progressive.finish('Hey, yo, listen up jabroni!');
+  assert(calls.at(-1)[2] === 'Hey, yo, listen up jabroni!' && !calls.at(-1)[2].includes('▌'), 'Finish writes the final text without the cursor');
+  progressive.push('late tokens');
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert(calls.length === 3, 'Nothing changes after finish');
+
+  const quick = [];
+  const short = new ProgressiveMessage({ post: async content => { quick.push(content); return {}; }, edit: async () => { quick.push('edit'); } });
+  short.push('Hi');
+  await short.finish('Hi!');
+  assert(quick.length === 1 && quick[0] === 'Hi!', 'A short reply is posted once, in full');
+}
+
+report();
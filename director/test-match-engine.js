@@ -3,15 +3,10 @@
  * Run: node --experimental-vm-modules director/test-match-engine.js
  */
 
-import { MatchEngine } from './match-engine.js';
-
-let passed = 0;
-let failed = 0;
-
-function assert(condition, msg) {
-  if (condition) { passed++; console.log(`  ✅ ${msg}`); }
-  else { failed++; console.error(`  ❌ ${msg}`); }
-}
+import { MatchEngine, createSeededRandom } from './match-engine.js';
+import { ChampionshipTracker } from './championships.js';
+import { StorylineEngine } from './storyline-engine.js';
+import { assert, report } from './testing.js';
 
 // ----- Test: Basic match creation -----
 console.log('\n🤼 Match Creation');
@@ -117,6 +112,28 @@ console.log('\n🔄 Round-by-Round');
   assert(lastRound?.winner !== null, 'Final round has winner');
 }
 
+// ----- Test: Live matches complete and abort -----
+console.log('\n📡 Live Match Stepping');
+{
+  const engine = new MatchEngine();
+  const full = engine.simulateFullMatch(['john-cena', 'the-rock'], 'singles', { seed: 9 });
+
+  engine.createMatch(['john-cena', 'the-rock'], 'singles', { seed: 9 });
+  const rounds = [];
+  let round;
+  while ((round = engine.nextRound())) rounds.push(round);
+  assert(JSON.stringify(rounds) === JSON.stringify(full.rounds), 'Stepping round by round matches a full simulation');
+  const done = engine.completeMatch(rounds);
+  assert(done.match.winner === full.match.winner && engine.activeMatch === null, 'Completing a stepped match clears it');
+  assert(engine.matchHistory.length === 2 && engine.matchHistory[1].rounds === rounds.length, 'Stepped match recorded in history');
+
+  engine.createMatch(['john-cena', 'the-rock']);
+  engine.nextRound();
+  assert(engine.completeMatch([]).error, 'Cannot complete an unfinished match');
+  assert(!engine.abortMatch().error && engine.activeMatch === null, 'Aborting clears the active match');
+  assert(engine.matchHistory.length === 2, 'Aborted match is not recorded');
+}
+
 // ----- Test: Momentum and damage accumulate -----
 console.log('\n📈 Momentum & Damage');
 {
@@ -156,8 +173,324 @@ console.log('\n⚖️ Fairness Check (100 matches)');
   assert(cenaWins >= 20 && cenaWins <= 80, `Cena won ${cenaWins}/100 (fair range: 20-80)`);
 }
 
-// ----- Results -----
-console.log(`\n${'═'.repeat(40)}`);
-console.log(`Results: ${passed} passed, ${failed} failed`);
-console.log(`${'═'.repeat(40)}`);
-process.exit(failed > 0 ? 1 : 0);
+// ----- Test: Seeded reproducibility -----
+console.log('\n🎲 Seeded Matches');
+{
+  const engine = new MatchEngine();
+  const a = engine.simulateFullMatch(['john-cena', 'the-rock'], 'singles', { seed: 42 });
+  const b = engine.simulateFullMatch(['john-cena', 'the-rock'], 'singles', { seed: 42 });
+  assert(a.match.seed === 42, 'Seed is stored on the match');
+  assert(a.match.winner === b.match.winner && a.match.winMethod === b.match.winMethod, 'Same seed → same winner and method');
+  assert(JSON.stringify(a.rounds) === JSON.stringify(b.rounds), 'Same seed → identical rounds');
+  assert(engine.matchHistory[0].seed === 42, 'Seed recorded in match history');
+
+  const c = engine.simulateFullMatch(['john-cena', 'the-rock'], 'singles', { seed: 'wrestlemania' });
+  const d = engine.simulateFullMatch(['john-cena', 'the-rock'], 'singles', { seed: 'wrestlemania' });
+  assert(c.match.seed === d.match.seed && JSON.stringify(c.rounds) === JSON.stringify(d.rounds), 'String seeds are reproducible');
+}
+
+// ----- Test: Replay from history -----
+console.log('\n⏪ Replay');
+{
+  const engine = new MatchEngine();
+  const original = engine.simulateFullMatch(['stone-cold', 'triple-h', 'undertaker'], 'triple-threat');
+  assert(typeof original.match.seed === 'number', `Unseeded match gets a seed: ${original.match.seed}`);
+  const replay = engine.replayMatch(original.match.id);
+  assert(!replay.error, 'Replay succeeds');
+  assert(replay.match.id === original.match.id, 'Replay keeps the match id');
+  assert(JSON.stringify(replay.rounds) === JSON.stringify(original.rounds), 'Replay reproduces every round');
+  assert(engine.matchHistory.length === 1, 'Replay is not added to history');
+  assert(engine.replayMatch('match-0').error !== undefined, 'Unknown match id returns error');
+  const twins = [1, 2].map(() => engine.simulateFullMatch(['john-cena', 'the-rock'], 'singles', { seed: 5 }).match.id);
+  assert(twins[0] !== twins[1], 'Matches with the same seed get different ids');
+
+  // A replay (the dashboard, the API) in the middle of a live match
+  const live = engine.createMatch(['john-cena', 'the-rock'], 'singles', { seed: 7 });
+  const expected = new MatchEngine().simulateFullMatch(['john-cena', 'the-rock'], 'singles', { seed: 7 }).rounds;
+  const rounds = [engine.nextRound()];
+  const midReplay = engine.replayMatch(original.match.id);
+  let round;
+  while ((round = engine.nextRound())) {
+    rounds.push(round);
+    if (round.isFinish) break;
+  }
+  assert(engine.activeMatch === live && !midReplay.error, 'Replaying leaves the live match running');
+  assert(JSON.stringify(rounds) === JSON.stringify(expected), 'The live match plays out as if nothing happened');
+}
+
+// ----- Test: Injected PRNG -----
+console.log('\n🔌 Injected PRNG');
+{
+  const e1 = new MatchEngine({ random: createSeededRandom(7) });
+  const e2 = new MatchEngine({ random: createSeededRandom(7) });
+  const winners1 = [], winners2 = [];
+  for (let i = 0; i < 5; i++) {
+    winners1.push(e1.simulateFullMatch(['john-cena', 'the-rock']).match.winner);
+    winners2.push(e2.simulateFullMatch(['john-cena', 'the-rock']).match.winner);
+  }
+  assert(winners1.join() === winners2.join(), 'Same injected PRNG → same sequence of results');
+  assert(e1.matchHistory.map(m => m.seed).join() === e2.matchHistory.map(m => m.seed).join(), 'Derived seeds match');
+}
+
+// ----- Test: Tag team mechanics -----
+console.log('\n🤝 Tag Team');
+{
+  const engine = new MatchEngine();
+  const teams = [['john-cena', 'macho-man'], ['stone-cold', 'triple-h']];
+  const match = engine.createMatch(teams.flat(), 'tag-team', { teams, seed: 6 }); // a seed with a tag in it
+  assert(!match.error, 'Tag match created with teams');
+  assert(match.legal[0] === 'john-cena' && match.legal[1] === 'stone-cold', 'First member of each team starts legal');
+
+  let partnersFought = false;
+  const tags = [];
+  let round;
+  while ((round = engine.simulateRound())) {
+    const sameTeam = teams.some(t => t.includes(round.actor) && t.includes(round.target));
+    if (sameTeam) partnersFought = true;
+    if (round.beat === 'tag' || round.beat === 'hot-tag') tags.push(round);
+    if (round.isFinish) break;
+  }
+  assert(tags.length > 0, `The match has a tag (${tags.length})`);
+  assert(tags.every(r => r.legal.includes(r.partner)), `Tagged-in ${tags.map(r => r.partner).join(', ')} ${tags.length === 1 ? 'is' : 'are'} now legal`);
+  assert(!partnersFought, 'Partners never fight each other');
+  assert(teams.some(t => t.join() === round.winners.join()), `Winning team: ${round.winners.join(' & ')}`);
+  assert(round.winners.includes(round.winner), 'Winner is on the winning team');
+
+  // Over many matches tags and double-teams should show up
+  let tagBeats = 0;
+  for (let i = 0; i < 30; i++) {
+    const r = engine.simulateFullMatch(teams.flat(), 'tag-team', { teams, seed: i });
+    tagBeats += r.rounds.filter(x => ['tag', 'hot-tag', 'double-team'].includes(x.beat)).length;
+  }
+  assert(tagBeats > 0, `Tag beats occur (${tagBeats} in 30 matches)`);
+  const prompt = engine.buildRoundPrompt(engine.simulateFullMatch(teams.flat(), 'tag-team', { teams, seed: 3 }).rounds[0]);
+  assert(prompt.narrative.length > 0, 'Tag match rounds build prompts');
+}
+
+console.log('\n🚫 Invalid Teams');
+{
+  const engine = new MatchEngine();
+  const dup = engine.createMatch(['john-cena', 'the-rock', 'stone-cold', 'triple-h'], 'tag-team', {
+    teams: [['john-cena', 'the-rock'], ['the-rock', 'triple-h']],
+  });
+  assert(dup.error !== undefined, 'Rejects a wrestler on both teams');
+  const defaulted = engine.createMatch(['john-cena', 'the-rock', 'stone-cold', 'triple-h'], 'tag-team');
+  assert(defaulted.teams[0].join() === 'john-cena,the-rock', 'Teams default to splitting participants in half');
+  const singles = engine.createMatch(['john-cena', 'the-rock']);
+  assert(singles.teams === null && singles.legal === null, 'Singles matches have no teams');
+}
+
+console.log('\n🏆 Tag Team Titles');
+{
+  const engine = new MatchEngine();
+  const tracker = new ChampionshipTracker();
+  const teams = [['john-cena', 'macho-man'], ['stone-cold', 'triple-h']];
+  const result = engine.simulateFullMatch(teams.flat(), 'tag-team', { teams, forTitle: 'tag-team', seed: 6 });
+  const award = tracker.awardTitle('tag-team', result.match.winners, result.match.winMethod);
+  assert(Array.isArray(award.newChampion) && award.newChampion.length === 2, 'Tag titles go to both partners');
+  for (const w of result.match.winners) {
+    assert(tracker.getTitlesForCharacter(w).some(t => t.titleId === 'tag-team'), `${w} holds the tag titles`);
+  }
+  assert(engine.matchHistory[0].winners.length === 2, 'History records the winning team');
+}
+
+// ----- Test: Royal Rumble eliminations -----
+console.log('\n👑 Royal Rumble');
+{
+  const engine = new MatchEngine();
+  const entrants = ['john-cena', 'the-rock', 'stone-cold', 'undertaker', 'macho-man', 'triple-h', 'mankind'];
+  const result = engine.simulateFullMatch(entrants, 'royal-rumble', { seed: 2024 });
+  const match = result.match;
+  assert(!result.error && match.winner, `Rumble has a winner: ${match.winner}`);
+  assert(match.winMethod === 'last-standing', 'Rumble is won by the last man standing');
+  assert(match.eliminations.length === entrants.length - 1, `Everyone but the winner eliminated (${match.eliminations.length})`);
+  assert(!match.eliminated.includes(match.winner), 'Winner was never eliminated');
+  assert(match.eliminations.every(e => e.method === 'over-the-top'), 'Eliminations are over the top rope');
+  assert(match.eliminations.every((e, i) => e.order === i + 1), 'Elimination order is sequential');
+  assert(match.eliminations.every(e => e.survivalSeconds === e.survivalRounds * 45), 'Survival time tracks the match clock');
+
+  const arrivals = result.rounds.filter(r => r.entrant).map(r => r.entrant);
+  assert(arrivals.join() === entrants.slice(2).join(), 'Entrants arrive in order after the first two');
+  const inRingOrJustOut = (r, p) => r.inRing.includes(p) || r.eliminatedNow.some(e => e.charId === p);
+  assert(result.rounds.every(r => inRingOrJustOut(r, r.actor) && inRingOrJustOut(r, r.target)), 'Only wrestlers in the ring fight');
+  const last = result.rounds[result.rounds.length - 1];
+  assert(last.eliminations.length === match.eliminations.length, 'Round results carry the elimination order');
+
+  const log = engine.buildEliminationLog(match);
+  assert(log.length === entrants.length + 1, `Elimination log has every entrant + iron man (${log.length} lines)`);
+  const roundWithOut = result.rounds.find(r => r.eliminatedNow.length > 0);
+  assert(engine.buildRoundPrompt(roundWithOut).narrative.includes('ELIMINATED'), 'Round prompt narrates eliminations');
+}
+
+// ----- Test: First fall in multi-man matches -----
+console.log('\n💀 Fatal Four-Way');
+{
+  const engine = new MatchEngine();
+  const four = ['john-cena', 'the-rock', 'stone-cold', 'undertaker'];
+  let badFinishes = 0;
+  for (let i = 0; i < 20; i++) {
+    const { match } = engine.simulateFullMatch(four, 'fatal-four-way', { seed: i });
+    const [fall] = match.eliminations;
+    if (match.eliminations.length !== 1 || fall.by !== match.winner || fall.charId === match.winner || !four.includes(fall.charId)) {
+      badFinishes++;
+    }
+  }
+  assert(badFinishes === 0, 'Four-ways end on a single fall scored by the winner');
+  const tt = engine.simulateFullMatch(['john-cena', 'the-rock', 'stone-cold'], 'triple-threat', { seed: 5 });
+  assert(['pinfall', 'submission'].includes(tt.match.eliminations[0].method), `Triple threat fall by ${tt.match.eliminations[0].method}`);
+}
+
+// ----- Test: Character attributes -----
+console.log('\n💪 Character Attributes');
+{
+  const engine = new MatchEngine();
+  let takerWins = 0;
+  for (let i = 0; i < 300; i++) {
+    const r = engine.simulateFullMatch(['undertaker', 'mankind'], 'singles', { seed: i });
+    if (r.match.winner === 'undertaker') takerWins++;
+  }
+  assert(takerWins > 150, `Undertaker beats Mankind more often than not: ${takerWins}/300`);
+
+  const rates = engine.getWinRates();
+  assert(rates.undertaker.matches === engine.matchHistory.length, 'Win rates count every match');
+  assert(rates.undertaker.winRate > rates.mankind.winRate, `Win rates reflect the characters (${rates.undertaker.winRate} vs ${rates.mankind.winRate})`);
+
+  // Signature moves are named in the narrative
+  let sigRound = null;
+  for (let i = 0; i < 50 && !sigRound; i++) {
+    sigRound = engine.simulateFullMatch(['john-cena', 'the-rock'], 'singles', { seed: i }).rounds.find(r => r.beat === 'signature-move');
+  }
+  assert(sigRound?.actorChar.signatureMoves.includes(sigRound.move), `Signature move picked from the move list: ${sigRound?.move}`);
+  assert(engine.buildRoundPrompt(sigRound).narrative.includes(sigRound.move), 'Narrative names the signature move');
+
+  let kickedOut = null;
+  for (let i = 0; i < 500 && !kickedOut; i++) {
+    kickedOut = engine.simulateFullMatch(['undertaker', 'mankind'], 'singles', { seed: i }).rounds.find(r => r.kickout);
+  }
+  assert(kickedOut && !kickedOut.isFinish, 'A kickout keeps the match going');
+}
+
+// ----- Test: Predetermined finishes -----
+console.log('\n📜 Scripted Finishes');
+{
+  const engine = new MatchEngine();
+  let scriptedWins = 0;
+  let loserLedSomewhere = 0;
+  for (let i = 0; i < 30; i++) {
+    const r = engine.simulateFullMatch(['undertaker', 'mankind'], 'singles', { seed: i, script: { winner: 'mankind', finish: 'clean' } });
+    if (r.match.winner === 'mankind') scriptedWins++;
+    if (r.rounds.some(x => x.actor === 'undertaker')) loserLedSomewhere++;
+  }
+  assert(scriptedWins === 30, 'Scripted winner always wins');
+  assert(loserLedSomewhere >= 25, `Planned loser still gets offense in (${loserLedSomewhere}/30)`);
+
+  const dq = engine.simulateFullMatch(['john-cena', 'triple-h'], 'singles', { script: { winner: 'john-cena', finish: 'dq' } });
+  assert(dq.match.winMethod === 'dq' && dq.rounds[dq.rounds.length - 1].beat === 'dq-finish', 'DQ finish ends by disqualification');
+  const co = engine.simulateFullMatch(['john-cena', 'triple-h'], 'singles', { script: { winner: 'triple-h', finish: 'count-out' } });
+  assert(co.match.winMethod === 'count-out' && co.match.winner === 'triple-h', 'Count-out finish');
+  const dirty = engine.simulateFullMatch(['john-cena', 'triple-h'], 'singles', { script: { winner: 'triple-h', finish: 'dirty' } });
+  assert(dirty.rounds[dirty.rounds.length - 1].beat === 'dirty-finish', 'Dirty finish uses the dirty beat');
+
+  const spots = ['outside-brawl', 'weapon-shot', 'near-fall-kickout'];
+  const spotted = engine.simulateFullMatch(['stone-cold', 'the-rock'], 'no-dq', { script: { winner: 'stone-cold', spots } });
+  const beats = spotted.rounds.map(x => x.beat);
+  assert(spots.every(spot => beats.includes(spot)), 'Key spots all happen');
+  assert(beats.indexOf('outside-brawl') < beats.indexOf('weapon-shot') && beats.indexOf('weapon-shot') < beats.indexOf('near-fall-kickout'), 'Key spots happen in order');
+
+  const tag = engine.simulateFullMatch(['john-cena', 'macho-man', 'stone-cold', 'triple-h'], 'tag-team', { script: { winner: 'macho-man', finish: 'interference' } });
+  assert(tag.match.winner === 'macho-man' && tag.match.winners.includes('john-cena'), 'Scripted tag finish goes to the planned team');
+  const rumble = engine.simulateFullMatch(['john-cena', 'the-rock', 'stone-cold', 'undertaker', 'macho-man'], 'royal-rumble', { seed: 1, script: { winner: 'john-cena' } });
+  assert(rumble.match.winner === 'john-cena', 'Scripted Rumble winner survives to the end');
+  const seven = ['john-cena', 'macho-man', 'mankind', 'stone-cold', 'the-rock', 'triple-h', 'undertaker'];
+  const long = engine.simulateFullMatch(seven, 'royal-rumble', { seed: 90, script: { winner: 'john-cena' } });
+  assert(long.rounds.at(-1).beat === 'forced-finish' && long.match.winner === 'john-cena' && long.match.winMethod === 'last-standing', 'A scripted Rumble that runs long still goes to the scripted winner');
+
+  const replay = engine.replayMatch(spotted.match.id);
+  assert(JSON.stringify(replay.rounds) === JSON.stringify(spotted.rounds), 'Scripted matches replay exactly');
+
+  assert(engine.createMatch(['john-cena', 'the-rock'], 'singles', { script: { winner: 'undertaker' } }).error, 'Rejects a winner who is not in the match');
+  assert(engine.createMatch(['john-cena', 'the-rock'], 'no-dq', { script: { winner: 'the-rock', finish: 'dq' } }).error, 'Rejects a DQ finish in a No DQ match');
+  assert(engine.createMatch(['john-cena', 'the-rock'], 'singles', { script: { winner: 'the-rock', spots: ['moonwalk'] } }).error, 'Rejects unknown spots');
+}
+
+// ----- Stipulations -----
+console.log('\n🪜 Ladder, Cage & Cell');
+{
+  const engine = new MatchEngine();
+  let retrievedFromTop = 0;
+  let climbedBeforeSetup = 0;
+  for (let i = 0; i < 30; i++) {
+    const r = engine.simulateFullMatch(['macho-man', 'the-rock'], 'ladder', { seed: i });
+    const last = r.rounds[r.rounds.length - 1];
+    if (r.match.winMethod === 'retrieve' && r.match.structure.reachedTop === r.match.winner) retrievedFromTop++;
+    const firstClimb = r.rounds.findIndex(x => x.beat === 'ladder-climb');
+    const setup = r.rounds.findIndex(x => x.beat === 'ladder-setup');
+    if (firstClimb !== -1 && (setup === -1 || setup > firstClimb) && last.beat !== 'forced-finish') climbedBeforeSetup++;
+  }
+  assert(retrievedFromTop === 30, `Ladder matches are only won from the top of the ladder (${retrievedFromTop}/30)`);
+  assert(climbedBeforeSetup === 0, 'Nobody climbs before a ladder is set up');
+
+  const scriptedLadder = engine.simulateFullMatch(['macho-man', 'the-rock'], 'ladder', { seed: 2, script: { winner: 'macho-man' } });
+  assert(scriptedLadder.match.winner === 'macho-man' && scriptedLadder.match.winMethod === 'retrieve', 'Scripted ladder winner climbs to win');
+
+  let escapes = 0;
+  let escapesAtFull = 0;
+  for (let i = 0; i < 50; i++) {
+    const r = engine.simulateFullMatch(['john-cena', 'triple-h'], 'steel-cage', { seed: i });
+    if (r.match.winMethod !== 'escape') continue;
+    escapes++;
+    const st = r.match.structure;
+    if (st.escapedVia === 'door' || st.escape[r.match.winner] >= 100) escapesAtFull++;
+  }
+  assert(escapes > 0, `Cage matches can end by escape (${escapes}/50)`);
+  assert(escapes === escapesAtFull, 'Escapes only happen over the top or through the door');
+
+  const cell = engine.simulateFullMatch(['undertaker', 'mankind'], 'hell-in-a-cell', { seed: 7, script: { winner: 'undertaker', spots: ['roof-climb', 'roof-fall'] } });
+  const fall = cell.rounds.find(x => x.beat === 'roof-fall');
+  assert(fall && fall.damageDealt >= 36, `Falling off the Cell does serious damage (${fall?.damageDealt})`);
+  assert(engine.buildRoundPrompt(fall).narrative.includes('top of the Cell'), 'Roof fall narrative mentions the Cell');
+  assert(engine.createMatch(['macho-man', 'the-rock'], 'singles', { script: { winner: 'macho-man', spots: ['ladder-climb'] } }).error, 'Rejects ladder spots outside a Ladder match');
+}
+
+// ----- Run-ins -----
+console.log('\n🏃 Run-ins');
+{
+  const storyline = new StorylineEngine();
+  const candidates = storyline.getRunInCandidates(['john-cena', 'stone-cold']);
+  assert(candidates.some(c => c.charId === 'the-rock' && c.reason === 'feud' && c.victim === 'john-cena'), 'Feud rivals are run-in candidates');
+  assert(candidates.some(c => c.charId === 'mankind' && c.reason === 'ally' && c.helps === 'stone-cold'), 'Allies are run-in candidates');
+  assert(new Set(candidates.map(c => c.charId)).size === candidates.length, 'Each outsider listed once');
+  assert(!candidates.some(c => ['john-cena', 'stone-cold'].includes(c.charId)), 'Participants never run in on themselves');
+
+  const engine = new MatchEngine();
+  const scripted = engine.simulateFullMatch(['john-cena', 'stone-cold'], 'singles', {
+    seed: 1, runInCandidates: candidates, script: { winner: 'john-cena', finish: 'interference' },
+  });
+  const finish = scripted.rounds[scripted.rounds.length - 1];
+  assert(finish.runIn && finish.runIn.victim === 'stone-cold' && finish.runIn.beneficiary === 'john-cena', 'Scripted interference costs the planned loser');
+  assert(engine.buildRoundPrompt(finish).narrative.includes(finish.runInChar.name), 'Interference narrative names the interferer');
+  assert(scripted.match.events.some(e => e.runIn?.charId === finish.runIn.charId), 'Run-in is recorded in match events');
+  assert(engine.matchHistory[0].runIns.length === scripted.match.runIns.length, 'Run-ins are recorded in match history');
+
+  let helped = 0;
+  let finishRunIns = 0;
+  let insiderRunIns = 0;
+  for (let i = 0; i < 200; i++) {
+    const r = engine.simulateFullMatch(['john-cena', 'stone-cold'], 'singles', { seed: i, runInCandidates: candidates });
+    insiderRunIns += r.match.runIns.filter(x => ['john-cena', 'stone-cold'].includes(x.charId)).length;
+    const ri = r.match.runIns.find(x => x.beat === 'interference');
+    if (!ri) continue;
+    finishRunIns++;
+    if (r.match.winner === ri.beneficiary) helped++;
+  }
+  assert(insiderRunIns === 0, 'Only outsiders run in');
+  assert(finishRunIns > 0 && helped / finishRunIns > 0.7, `Run-ins swing the finish (${helped}/${finishRunIns})`);
+
+  const replay = engine.replayMatch(scripted.match.id);
+  assert(JSON.stringify(replay.rounds) === JSON.stringify(scripted.rounds), 'Matches with run-ins replay exactly');
+
+  const quiet = engine.simulateFullMatch(['john-cena', 'stone-cold'], 'singles', { seed: 1, script: { winner: 'john-cena', finish: 'interference' } });
+  assert(quiet.match.runIns.length === 0 && quiet.rounds[quiet.rounds.length - 1].beat === 'interference', 'Without candidates interference stays faceless');
+}
+
+report();
@@ -0,0 +1,50 @@
+/**
+ * Character Memory Tests
+ * Run: node director/test-memory.js
+ */
+
+import { CharacterMemory } from './memory.js';
+import { assert, report } from './testing.js';
+
+// ----- Character Memory -----
+console.log('\n🧠 Character Memory');
+{
+  const memory = new CharacterMemory();
+  memory.saveState = async () => {};
+
+  memory.recordMatch({ participants: ['john-cena', 'the-rock'], winner: 'the-rock', winners: ['the-rock'], winMethod: 'pinfall', typeName: 'Singles' },
+    { titleId: 'wwe-championship', titleName: 'WWE Championship', newChampion: 'the-rock', previousChampion: 'john-cena' });
+  const cena = memory.getState('john-cena');
+  assert(cena.events.some(e => e.text === 'You lost to The Rock in a Singles by pinfall'), 'Losses are remembered from the loser\'s side');
+  assert(cena.events.some(e => e.kind === 'title' && e.text.includes('lost the WWE Championship to The Rock')), 'Title losses are remembered');
+  assert(memory.getState('the-rock').events.some(e => e.text.includes('won the WWE Championship from John Cena')), 'Title wins are remembered');
+  memory.recordTitleChange({ titleName: 'WWE Championship', newChampion: 'the-rock', previousChampion: 'the-rock' });
+  assert(memory.getState('the-rock').events.at(-1).text === 'You retained the WWE Championship', 'Same holder means a retained title');
+
+  memory.recordBeat({ beat: 'surprise-betrayal', characters: ['mankind', 'stone-cold'] });
+  memory.recordBeat({ beat: 'trash-talk', characters: ['mankind', 'stone-cold'] });
+  memory.recordBeat({ beat: 'surprise-betrayal', characters: ['mankind'] });
+  assert(memory.getState('stone-cold').events.length === 1 && memory.getState('stone-cold').events[0].text === 'Mankind betrayed you', 'Betrayals are remembered by both sides, small talk is not');
+
+  memory.recordQuote('john-cena', 'short');
+  memory.recordQuote('john-cena', 'The Rock can keep the belt warm for me — I will be back for it, you cannot see me!');
+  const context = memory.getPromptContext('john-cena', ['the-rock']);
+  assert(context.includes('YOUR HISTORY') && context.includes('The Rock') && context.includes('You once said'), 'Memories and a quote are injected into the prompt');
+  assert(memory.getPromptContext('undertaker') === '', 'Nothing to remember, nothing injected');
+
+  for (let i = 0; i < 45; i++) memory.remember('macho-man', 'beat', `Small moment ${i}`, [], i);
+  memory.remember('macho-man', 'title', 'You won the Intercontinental Championship', [], 0);
+  memory.trim('macho-man');
+  const macho = memory.getState('macho-man');
+  assert(macho.events.length === 40 && macho.events.some(e => e.kind === 'title'), 'Without a summariser, the least memorable events are dropped');
+
+  const summarised = new CharacterMemory({ summarize: async prompt => prompt.includes('Small moment 0') ? 'You have had a long career.' : '' });
+  summarised.saveState = async () => {};
+  for (let i = 0; i < 41; i++) summarised.remember('macho-man', 'beat', `Small moment ${i}`, [], i, { compact: false });
+  await summarised.compact('macho-man');
+  const compacted = summarised.getState('macho-man');
+  assert(compacted.summary === 'You have had a long career.' && compacted.events.length === 15, 'Summarisation folds old events into the summary');
+  assert(summarised.getPromptContext('macho-man').includes('long career'), 'The summary is part of the prompt');
+}
+
+report();
@@ -0,0 +1,88 @@
+/**
+ * Fan Poll Tests
+ * Run: node director/test-polls.js
+ */
+
+import { MatchEngine } from './match-engine.js';
+import { ChampionshipTracker } from './championships.js';
+import { PPVEngine } from './ppv-engine.js';
+import { PollManager, POLL_MATCH_TYPES, formatPoll } from './polls.js';
+import { assert, offlineStoryline, report } from './testing.js';
+
+console.log('\n🗳️ Fan Polls');
+{
+  const polls = new PollManager();
+  assert(polls.createPoll('best-entrance').error !== undefined, 'Unknown poll types are rejected');
+  assert(polls.createPoll('match-type', { participants: ['the-rock'] }).error !== undefined, 'Match polls need two participants');
+  assert(polls.createPoll('title-shot', { titleId: 'tag-team', candidates: ['the-rock', 'john-cena'] }).error !== undefined, 'No title shot polls for tag belts');
+
+  const now = 1000000;
+  const typePoll = polls.createPoll('match-type', { participants: ['the-rock', 'stone-cold'], durationMinutes: 30, now });
+  assert(typePoll.options.map(o => o.id).join() === POLL_MATCH_TYPES.join(), 'Match type poll offers the match types');
+  polls.vote(typePoll.id, 'fan1', 'singles');
+  polls.vote(typePoll.id, 'fan1', 'steel-cage');
+  polls.vote(typePoll.id, 'fan2', 'steel-cage');
+  polls.vote(typePoll.id, 'fan3', 'ladder');
+  assert(polls.tally(typePoll)[0].id === 'steel-cage' && polls.tally(typePoll)[0].votes === 2, 'One vote per fan — voting again changes it');
+  assert(polls.vote(typePoll.id, 'fan4', 'tables').error !== undefined, 'Votes must be for something on the ballot');
+  assert(polls.due(now + 29 * 60000).length === 0 && polls.due(now + 30 * 60000).length === 1, 'Polls fall due when voting time is up');
+  polls.close(typePoll.id, now + 30 * 60000);
+  assert(typePoll.result.winner === 'steel-cage' && typePoll.result.turnout === 3, 'Closing a poll settles the winner and turnout');
+  assert(polls.vote(typePoll.id, 'fan5', 'ladder').error === 'That poll is closed', 'Closed polls take no votes');
+  assert(formatPoll(typePoll, polls.tally(typePoll)).includes('The fans have spoken'), 'Closed ballot shows the result');
+
+  const shotPoll = polls.createPoll('title-shot', { titleId: 'wwe-championship', candidates: ['undertaker', 'mankind', 'undertaker'] });
+  assert(shotPoll.options.length === 2, 'Candidates are listed once');
+  polls.vote(shotPoll.id, 'fan1', 'mankind');
+  polls.close(shotPoll.id);
+  const empty = polls.createPoll('heel-turn', { candidates: ['john-cena', 'mankind'] });
+  polls.close(empty.id);
+  assert(empty.result.winner === null, 'No winner when nobody votes');
+
+  const choices = polls.getBookingChoices();
+  assert(choices.matchTypes[0]?.matchType === 'steel-cage' && choices.titleShots[0]?.challenger === 'mankind', 'Closed polls become booking choices');
+  assert(polls.getBookingChoices(['the-rock', 'stone-cold', 'john-cena']).titleShots.length === 0, 'Booking choices stay on the brand roster');
+
+  const champs = new ChampionshipTracker();
+  champs.awardTitle('wwe-championship', 'john-cena');
+  const relationships = [{ between: ['the-rock', 'stone-cold'], type: 'feud', weight: 5 }];
+  const roster = ['the-rock', 'stone-cold', 'john-cena', 'mankind', 'undertaker', 'triple-h'];
+  const card = new PPVEngine().autoBookCard({}, relationships, roster, champs, choices);
+  assert(card[0].forTitle === 'wwe-championship' && card[0].participants.includes('mankind') && card[0].participants.includes('john-cena'), "The fans' contender gets the title shot");
+  const voted = card.find(m => m.participants.includes('the-rock') && m.participants.includes('stone-cold'));
+  assert(voted?.matchType === 'steel-cage' && voted.fanPolls?.includes(typePoll.id), 'The pairing gets the match type the fans voted for');
+  polls.markApplied(card, 'ppv-1');
+  assert(polls.getBookingChoices().matchTypes.length === 0 && polls.getBookingChoices().titleShots.length === 0, 'Fan choices are only booked once');
+
+  const winnerPoll = polls.createPoll('match-winner', { participants: ['john-cena', 'the-rock'] });
+  ['a', 'b', 'c'].forEach(fan => polls.vote(winnerPoll.id, fan, 'the-rock'));
+  polls.vote(winnerPoll.id, 'd', 'john-cena');
+  const support = polls.crowdSupport(['john-cena', 'the-rock']);
+  assert(support['the-rock'] === 0.75 && support['john-cena'] === 0.25, 'Crowd support is the share of the vote');
+
+  // Crowd support tips close finishes
+  const engine = new MatchEngine();
+  let plain = 0, backed = 0;
+  for (let seed = 1; seed <= 100; seed++) {
+    if (engine.simulateFullMatch(['john-cena', 'the-rock'], 'singles', { seed }).match.winner === 'the-rock') plain++;
+    if (engine.simulateFullMatch(['john-cena', 'the-rock'], 'singles', { seed, crowdSupport: { 'the-rock': 1 } }).match.winner === 'the-rock') backed++;
+  }
+  assert(backed > plain, `The fans' favorite wins more often (${backed} vs ${plain}/100)`);
+  const last = engine.matchHistory[engine.matchHistory.length - 1];
+  assert(engine.replayMatch(last.id).match.winner === last.winner, 'Replays keep the crowd support');
+
+  const storyline = offlineStoryline();
+  const feud = storyline.createFeud('the-rock', 'stone-cold', 5);
+  storyline.recordFanVote('stone-cold', 'the-rock', 5);
+  assert(feud.intensity === 6, 'Fan votes heat up the feud');
+  storyline.recordFanVote('stone-cold', 'the-rock', 100);
+  assert(feud.intensity === 8, 'A big turnout adds at most two points');
+  assert(storyline.recordFanVote('mankind', 'the-rock', 10) === null, 'No feud, no heat');
+
+  const restored = new PollManager();
+  restored.loadFrom(JSON.parse(JSON.stringify(polls.toJSON())));
+  assert(restored.getPoll(typePoll.id)?.appliedTo === 'ppv-1' && restored.open.length === 1, 'Poll history survives a restart');
+  assert(restored.getState().open[0].votes === undefined && restored.getState().open[0].turnout === 4, 'API view shows the count, not who voted');
+}
+
+report();
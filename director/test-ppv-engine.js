@@ -0,0 +1,186 @@
+/**
+ * PPV Tests — scheduler and the road to the show
+ * Run: node director/test-ppv-engine.js
+ */
+
+import { PPVEngine, PPV_COUNTDOWNS, BUILDUP_ARC } from './ppv-engine.js';
+import { assert, offlineStoryline, report } from './testing.js';
+
+console.log('\n⏰ PPV Scheduler');
+{
+  const HOUR = 60 * 60 * 1000;
+  const now = 1000 * HOUR;
+  const ppv = new PPVEngine();
+  const manual = ppv.scheduleEvent('summerslam');
+  manual.id = 'ppv-manual'; // ids come from the clock
+  const event = ppv.scheduleEvent('wrestlemania', { scheduledAt: now + 30 * HOUR });
+  const actionsAt = t => ppv.getSchedulerActions(t, { bookLeadMs: 24 * HOUR }).map(a => a.type + (a.countdown ? `:${a.countdown.id}` : ''));
+
+  assert(actionsAt(now).length === 0, 'Nothing to do days out — and undated events are left alone');
+  assert(actionsAt(now + 6 * HOUR).join() === 'book,countdown:24h', 'Empty card is booked at the lead time, T-24h countdown posts');
+  event.autoBookedAt = now + 6 * HOUR;
+  ppv.markCountdown(event.id, '24h');
+  assert(actionsAt(now + 7 * HOUR).length === 0, 'Each step happens once');
+  assert(actionsAt(now + 29 * HOUR + 5 * 60000).join() === 'countdown:1h', 'T-1h countdown');
+  // Down from T-1h until T-8m: the one-hour countdown went by unposted
+  assert(actionsAt(now + 29.5 * HOUR).length === 0, 'No T-1h countdown with half an hour to go');
+  assert(actionsAt(now + 30 * HOUR - 8 * 60000).join() === 'countdown:10m', 'Missed countdowns are passed over for the latest');
+  ppv.markCountdown(event.id, '10m');
+  assert(actionsAt(now + 30 * HOUR).join() === 'start', 'Starts on time');
+  assert(event.countdowns.join() === '24h,10m', 'Countdowns posted are saved with the event');
+
+  event.matchCard = [{ order: 1, participants: ['the-rock', 'stone-cold'], matchType: 'steel-cage', isMainEvent: true }];
+  const hype = ppv.buildCountdownMessage(event, PPV_COUNTDOWNS[2]);
+  assert(hype.includes('10 MINUTES UNTIL WRESTLEMANIA') && hype.includes('MAIN EVENT') && hype.includes('[STEEL-CAGE]'), 'Countdown hypes the main event');
+
+  const grace = { now: now + 31 * HOUR, graceMs: 10 * 60 * 1000, rescheduleMs: 24 * HOUR };
+  const late = ppv.handleMissedEvents('run-late', grace);
+  assert(late.length === 1 && late[0].action === 'running late' && ppv.scheduledEvents.includes(event), 'Run late: the event stays to start now');
+  assert(ppv.handleMissedEvents('run-late', { ...grace, now: now + 30 * HOUR + 60000 }).length === 0, 'A minute late is not missed');
+
+  const moved = ppv.handleMissedEvents('reschedule', grace);
+  assert(moved[0].action === 'rescheduled' && event.scheduledAt === now + 55 * HOUR && event.rescheduledFrom === now + 30 * HOUR, 'Reschedule moves it ahead');
+  assert(event.countdowns.length === 0, 'A rescheduled event counts down again');
+
+  const skipped = ppv.handleMissedEvents('skip', { ...grace, now: now + 60 * HOUR });
+  assert(skipped[0].action === 'skipped' && !ppv.scheduledEvents.includes(event), 'Skip drops it from the schedule');
+  assert(ppv.completedEvents[0].status === 'skipped' && ppv.completedEvents[0].skippedReason === 'missed', 'Skipped events stay in the history');
+  assert(ppv.scheduledEvents.length === 1 && ppv.scheduledEvents[0] === manual, 'Undated events are never missed');
+
+  const restored = new PPVEngine();
+  const dated = ppv.scheduleEvent('royal-rumble', { scheduledAt: now + 100 * HOUR });
+  dated.id = 'ppv-dated';
+  ppv.markCountdown(dated.id, '24h');
+  dated.autoBookedAt = now;
+  restored.loadFrom(JSON.parse(JSON.stringify(ppv.toJSON())));
+  assert(restored.getSchedulerActions(now + 99.2 * HOUR).map(a => a.type + (a.countdown ? `:${a.countdown.id}` : '')).join() === 'countdown:1h', 'Scheduler picks up where it left off after a restart');
+}
+
+console.log('\n📺 Restarted Mid-Show');
+{
+  const MINUTE = 60 * 1000;
+  const ppv = new PPVEngine();
+  const event = ppv.scheduleEvent('summerslam', { scheduledAt: Date.now() });
+  ppv.addMatch(event.id, { participants: ['stone-cold', 'triple-h'] });
+  ppv.addMatch(event.id, { participants: ['the-rock', 'mankind'], isMainEvent: true });
+  ppv.startEvent(event.id);
+  ppv.recordMatchResult(1, { winner: 'stone-cold', winners: ['stone-cold'], winMethod: 'pinfall' });
+  const saved = JSON.stringify(ppv.toJSON());
+  const lastSeen = ppv.activeEvent.results[0].timestamp;
+
+  const restarted = new PPVEngine();
+  restarted.loadFrom(JSON.parse(saved));
+  assert(restarted.activeEvent?.id === event.id && restarted.activeEvent.results.length === 1, 'The show on the air is saved with its results');
+  const [resumed] = restarted.handleMissedEvents('skip', { now: lastSeen + 2 * MINUTE });
+  assert(resumed.action === 'resumed' && restarted.activeEvent === resumed.event, 'A quick restart resumes the show');
+  assert(resumed.event.matchCard.filter(m => !resumed.event.results.some(r => r.order === m.order)).map(m => m.order).join() === '2', 'Only the matches without a result are left to run');
+
+  const late = new PPVEngine();
+  late.loadFrom(JSON.parse(saved));
+  assert(late.handleMissedEvents('run-late', { now: lastSeen + 60 * MINUTE })[0].action === 'resumed', 'Run late resumes it however long the director was down');
+
+  const cut = new PPVEngine();
+  cut.loadFrom(JSON.parse(saved));
+  const [gone] = cut.handleMissedEvents('reschedule', { now: lastSeen + 60 * MINUTE });
+  assert(gone.action === 'cut short' && !cut.activeEvent && cut.completedEvents.at(-1).skippedReason === 'interrupted', 'Otherwise it is cut short');
+  assert(cut.completedEvents.at(-1).results.length === 1 && !cut.toJSON().activeEvent, 'Results so far stay in the history');
+}
+
+console.log('\n🛣️ Road to the PPV');
+{
+  const DAY = 24 * 60 * 60 * 1000;
+  const now = Date.now();
+  const ppv = new PPVEngine();
+  const event = ppv.scheduleEvent('summerslam', { scheduledAt: now + 21 * DAY });
+  ppv.addMatch(event.id, { participants: ['stone-cold', 'triple-h'], isMainEvent: true });
+  ppv.addMatch(event.id, { participants: ['john-cena', 'macho-man', 'the-rock', 'mankind'], teams: [['john-cena', 'macho-man'], ['the-rock', 'mankind']], matchType: 'tag-team' });
+  const beats = ppv.planBuildup(event, [], now);
+  const main = beats.filter(b => b.matchOrder === 1);
+  assert(beats.length === 2 * BUILDUP_ARC.length, 'Every card match gets the whole arc');
+  assert(main.map(b => b.type).join() === 'challenge,escalation,sneak-attack,contract-signing,go-home', 'Challenge, escalation, sneak attack, contract signing, go-home');
+  assert(main[0].dueAt === now && main.every((b, i) => i === 0 || b.dueAt > main[i - 1].dueAt) && main[4].dueAt < event.scheduledAt, 'Spread out over the weeks before the show');
+  assert(beats.find(b => b.matchOrder === 2).characters.join() === 'john-cena,the-rock', 'A tag match builds between the captains');
+  assert(ppv.planBuildup(ppv.scheduleEvent('wrestlemania'), [], now).length === 0, 'No date, no road to the show');
+  assert(ppv.planBuildup({ ...event, scheduledAt: now + 10 * 60 * 1000 }, [], now).length === 0, 'Minutes out is too late to build');
+
+  const storyline = offlineStoryline();
+  for (const beat of main) storyline.queueBeat(beat);
+  const feud = storyline.feuds.find(f => f.between.includes('stone-cold') && f.between.includes('triple-h'));
+  assert(storyline.dueBeats(now).length === 1 && storyline.dueBeats(now + 7 * DAY).length === 2, 'Beats come due on their target dates');
+  storyline.completeBeat(storyline.dueBeats(now)[0], now);
+  assert(Math.abs(feud.intensity - 6.5) < 0.01, 'Each beat moves the feud a share of the way to its peak');
+  feud.lastActivityAt = now - 10 * 60 * 60 * 1000;
+  storyline.decayFeuds(now);
+  assert(feud.intensity === 6.5, 'A feud on the road to a PPV does not cool off between beats');
+
+  // Booked three weeks out, the card changes: two beats in, the rest are re-planned
+  storyline.completeBeat(storyline.dueBeats(now + 7 * DAY)[0], now + 7 * DAY);
+  assert(storyline.cancelBeats(event.id) === 3, 'Pending beats can be called off');
+  const replanned = ppv.planBuildup(event, storyline.getQueuedBeats(event.id), now + 8 * DAY).filter(b => b.matchOrder === 1);
+  assert(replanned.map(b => b.type).join() === 'sneak-attack,contract-signing,go-home' && replanned[0].dueAt === now + 8 * DAY, 'A re-plan picks up where the road left off');
+  for (const beat of replanned) storyline.queueBeat(beat);
+  for (const beat of storyline.dueBeats(event.scheduledAt)) storyline.completeBeat(beat, beat.dueAt);
+  assert(feud.phase === 'peak', 'The feud peaks with the go-home promo');
+
+  const buildup = ppv.getBuildup(event, storyline.getQueuedBeats(event.id));
+  assert(buildup.matches[0].done === 5 && buildup.matches[0].next === null && buildup.matches[0].beats[0].name === 'The Challenge', 'Buildup shows each match\'s beats');
+  assert(buildup.matches[1].beats.length === 0 && buildup.done === 5, 'Matches not planned yet show no beats');
+
+  const fresh = offlineStoryline();
+  fresh.feuds = [];
+  const [challenge] = ppv.planBuildup(event, [], now).filter(b => b.matchOrder === 2).map(b => fresh.queueBeat(b));
+  fresh.completeBeat(challenge, now);
+  assert(fresh.feuds.some(f => f.between.includes('john-cena') && f.between.includes('the-rock') && f.phase === 'building'), 'A challenge starts the feud between new rivals');
+  assert(fresh.getState().recentHistory.some(e => e.beat === 'challenge' && e.eventId === event.id), 'Beats go in the storyline history');
+  const context = fresh.generateBuildupContext('sneak-attack', 'the-rock', 'john-cena', { ppv: 'SummerSlam', attacker: 'the-rock' });
+  assert(context.includes('John Cena') && context.includes('SummerSlam') && context.includes('behind'), 'Sneak attack direction for the attacker');
+}
+
+console.log('\n🛣️ Before the Card Is Booked');
+{
+  const DAY = 24 * 60 * 60 * 1000;
+  const now = Date.now();
+  const ppv = new PPVEngine();
+  const event = ppv.scheduleEvent('summerslam', { scheduledAt: now + 14 * DAY });
+  event.provisionalCard = ppv.autoBookCard(event, [
+    { type: 'feud', between: ['stone-cold', 'triple-h'], weight: 7 },
+    { type: 'feud', between: ['the-rock', 'mankind'], weight: 5 },
+  ], ['stone-cold', 'triple-h', 'the-rock', 'mankind', 'john-cena', 'macho-man']);
+  const feuds = [['stone-cold', 'triple-h'], ['the-rock', 'mankind']];
+  const beats = ppv.planBuildup(event, [], now, feuds);
+  assert(event.matchCard.length === 0 && beats.length === 2 * BUILDUP_ARC.length, 'The road starts from the provisional card before anything is booked');
+  assert(event.provisionalCard.length === 3 && !beats.some(b => b.characters.includes('john-cena')), 'Provisional filler matches with no feud behind them do not build');
+  assert(ppv.planBuildup(event, [], now).length === 0, 'Without feuds a provisional card has no road yet');
+  assert(beats.filter(b => b.type === 'challenge').every(b => b.dueAt === now), 'The challenges go out the day the event is scheduled');
+
+  const storyline = offlineStoryline();
+  for (const beat of beats) storyline.queueBeat(beat);
+  assert(ppv.getBuildup(event, storyline.getQueuedBeats(event.id)).total === 2 * BUILDUP_ARC.length, 'Buildup follows the provisional card');
+  for (const beat of storyline.dueBeats(now)) storyline.completeBeat(beat, now);
+
+  // The real card keeps one feud and drops the other
+  storyline.cancelBeats(event.id);
+  ppv.addMatch(event.id, { participants: ['stone-cold', 'triple-h'], isMainEvent: true });
+  const replanned = ppv.planBuildup(event, storyline.getQueuedBeats(event.id), now + DAY);
+  assert(replanned.length === BUILDUP_ARC.length - 1 && replanned.every(b => b.characters.includes('stone-cold')), 'Booking the card re-plans the road — rivals still on it pick up where they left off');
+
+  const other = ppv.scheduleEvent('wrestlemania', { scheduledAt: now + 14 * DAY });
+  other.provisionalCard = [{ order: 1, participants: ['mankind', 'the-rock'], isMainEvent: true }, { order: 2, participants: ['john-cena', 'stone-cold'], isMainEvent: false }];
+  assert(ppv.removeWrestler('mankind').length === 0, 'Provisional matches are not reported as dropped');
+  assert(other.provisionalCard.length === 1 && other.provisionalCard[0].isMainEvent && other.provisionalCard[0].order === 1, 'A departed wrestler comes off provisional cards too');
+}
+
+console.log('\n🚪 Cards Without a Departed Wrestler');
+{
+  const ppv = new PPVEngine();
+  const event = ppv.scheduleEvent('wrestlemania');
+  ppv.addMatch(event.id, { participants: ['mankind', 'the-rock'], forTitle: 'intercontinental', isMainEvent: true });
+  ppv.addMatch(event.id, { participants: ['john-cena', 'stone-cold'] });
+  ppv.addMatch(event.id, { participants: ['mankind', 'triple-h'] });
+  const dropped = ppv.removeWrestler('mankind');
+  assert(dropped.length === 2 && dropped.every(d => d.eventId === event.id), 'Every match of a departed wrestler comes off the card');
+  assert(event.matchCard.length === 1 && event.matchCard[0].order === 1 && event.matchCard[0].isMainEvent, 'The rest are renumbered and the next match headlines');
+  assert(ppv.removeWrestler('undertaker').length === 0, 'Nothing to drop for a wrestler who is not booked');
+}
+
+report();
@@ -0,0 +1,37 @@
+/**
+ * Slash Command Tests
+ * Run: node director/test-slash-commands.js
+ */
+
+import { buildSlashCommands, commandKey, isBookerCommand, isBooker, autocompleteChoices } from './slash-commands.js';
+import { assert, report } from './testing.js';
+
+console.log('\n💬 Slash Commands');
+{
+  const commands = buildSlashCommands([{ id: 'raw', name: 'Monday Night Raw' }, { id: 'smackdown', name: 'Friday Night SmackDown' }]);
+  const names = commands.map(c => c.name);
+  assert(['match', 'ppv', 'title', 'feud', 'roster', 'standings', 'surprise'].every(n => names.includes(n)), 'Every slash command is defined');
+  const ppv = commands.find(c => c.name === 'ppv');
+  assert(['schedule', 'run', 'card'].every(n => ppv.options.some(o => o.name === n)), '/ppv has schedule, run and card subcommands');
+  const roster = c => c.find(x => x.name === 'roster').options.some(o => o.name === 'brand');
+  assert(roster(commands) && !roster(buildSlashCommands([{ id: 'main', name: 'WWE' }])), 'Brand options only appear with more than one brand');
+
+  const interaction = (commandName, sub = null) => ({ commandName, options: { getSubcommand: () => sub } });
+  assert(commandKey(interaction('ppv', 'run')) === 'ppv run' && commandKey(interaction('roster')) === 'roster', 'Commands are keyed with their subcommand');
+  assert(isBookerCommand('ppv run') && isBookerCommand('title award') && !isBookerCommand('ppv card') && !isBookerCommand('standings'), 'Only commands that change the show are booker-only');
+
+  const role = (id, name) => ({ id, name });
+  const cached = ids => ({ permissions: { has: () => false }, roles: { cache: new Map(ids.map(r => [r.id, r])) } });
+  assert(isBooker(cached([role('1', 'Booker')]), 'booker'), 'Booker role matches by name');
+  assert(isBooker(cached([role('42', 'Creative')]), '42'), 'Booker role matches by id');
+  assert(!isBooker(cached([role('1', 'Fan')]), 'Booker') && !isBooker(null, 'Booker'), 'Fans are not bookers');
+  const guild = { roles: { cache: new Map([['7', role('7', 'Booker')]]) } };
+  assert(isBooker({ permissions: '0', roles: ['7'] }, 'Booker', guild), 'Raw API members are checked by role id and guild role names');
+  assert(isBooker({ permissions: '8', roles: [] }, 'Booker'), 'Server admins can always book');
+
+  const wrestlers = [{ value: 'stone-cold', name: 'Stone Cold Steve Austin' }, { value: 'the-rock', name: 'The Rock' }];
+  assert(autocompleteChoices('rock', wrestlers).map(c => c.value).join() === 'the-rock', 'Autocomplete matches names and ids');
+  assert(autocompleteChoices('', Array.from({ length: 40 }, (_, i) => ({ value: `w${i}`, name: `W${i}` }))).length === 25, 'Autocomplete stops at 25 suggestions');
+}
+
+report();
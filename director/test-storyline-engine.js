@@ -0,0 +1,178 @@
+/**
+ * Storyline Engine Tests — feuds, relationships, heel/face turns
+ * Run: node director/test-storyline-engine.js
+ */
+
+import { ChampionshipTracker } from './championships.js';
+import { StorylineEngine } from './storyline-engine.js';
+import { PPVEngine } from './ppv-engine.js';
+import { buildAnnouncerPrompt } from './announcers.js';
+import { getCharacterChant } from './crowd.js';
+import { assert, offlineStoryline, report } from './testing.js';
+
+// ----- Feud lifecycle -----
+console.log('\n🔥 Feud Lifecycle');
+{
+  const storyline = offlineStoryline();
+  const feud = storyline.feuds.find(f => f.between.includes('john-cena'));
+  const hour = 60 * 60 * 1000;
+
+  storyline.escalateFeud(feud, 2);
+  assert(feud.phase === 'peak', `Feud peaks when intensity boils over (${feud.intensity})`);
+  const requests = storyline.getBlowOffRequests();
+  assert(requests.length === 1 && requests[0].between.includes('the-rock'), 'Peaked feud requests a blow-off match');
+  storyline.markBlowOffBooked('the-rock', 'john-cena', { eventId: 'ppv-1' });
+  assert(feud.phase === 'blow-off' && storyline.getBlowOffRequests().length === 0, 'Booking the blow-off clears the request');
+  storyline.createFeud('john-cena', 'the-rock', 10);
+  assert(feud.phase === 'blow-off' && feud.intensity === 10, 'Re-heating a booked feud raises it and keeps the blow-off');
+
+  const dq = { id: 'm1', participants: ['john-cena', 'the-rock'], winner: 'the-rock', winners: ['the-rock'], winMethod: 'dq', runIns: [] };
+  storyline.recordMatchResult(dq);
+  assert(feud.phase === 'rematch' && feud.matches.length === 1, 'A DQ blow-off sets up a rematch');
+  const hot = feud.intensity;
+  assert(storyline.createFeud('the-rock', 'john-cena', 3) === feud && feud.phase === 'rematch' && feud.intensity === hot, 'Re-heating a feud keeps its rematch and never cools it');
+  assert(storyline.getBlowOffRequests()[0].matchType === 'steel-cage', 'Rematches go inside the cage');
+
+  storyline.markBlowOffBooked('john-cena', 'the-rock');
+  storyline.recordMatchResult({ ...dq, id: 'm2', winner: 'john-cena', winners: ['john-cena'], winMethod: 'pinfall' });
+  assert(!storyline.feuds.includes(feud) && storyline.archivedFeuds.includes(feud), 'A clean blow-off resolves and archives the feud');
+  assert(feud.winner === 'john-cena' && feud.resolution === 'settled', 'Resolved feud records who won it');
+
+  const other = storyline.feuds.find(f => f.between.includes('stone-cold'));
+  const warm = other.intensity;
+  storyline.recordMatchResult({ id: 'm3', participants: ['stone-cold', 'triple-h'], winner: 'stone-cold', winMethod: 'pinfall' });
+  assert(other.phase === 'building' && other.intensity === warm + 1, 'A match before the peak just adds fuel');
+
+  const quiet = storyline.feuds.find(f => f.between.includes('undertaker'));
+  const before = quiet.intensity;
+  assert(storyline.createFeud('undertaker', 'nobody').error && storyline.createFeud('undertaker', 'undertaker').error, 'Unknown or identical wrestlers cannot feud');
+  storyline.decayFeuds(quiet.lastActivityAt + 30 * 60 * 1000);
+  assert(quiet.intensity === before, 'No cooling inside the quiet grace period');
+  storyline.decayFeuds(quiet.lastActivityAt + 3 * hour);
+  assert(quiet.intensity < before, `Quiet feuds cool off (${before} → ${quiet.intensity})`);
+  storyline.decayFeuds(quiet.lastActivityAt + 48 * hour);
+  assert(quiet.phase === 'resolved' && quiet.resolution === 'fizzled' && storyline.archivedFeuds.includes(quiet), 'Cold feuds fizzle out and are archived');
+
+}
+
+// ----- Relationship Graph -----
+console.log('\n🕸️ Relationship Graph');
+{
+  const storyline = offlineStoryline();
+
+  assert(storyline.getFeudPartners('macho-man').length === 0, 'No feud partners without an active feud');
+  storyline.createFeud('macho-man', 'undertaker', 6);
+  assert(storyline.getFeudPartners('macho-man')[0] === 'undertaker', 'A new feud shows up in the graph immediately');
+  assert(storyline.getAllFeuds().some(p => p.includes('macho-man') && p.includes('undertaker')), 'getAllFeuds reads the live feuds');
+
+  storyline.activeCharacters = ['undertaker'];
+  storyline.shouldTriggerSurprise = () => false;
+  const realRandom = Math.random;
+  Math.random = () => 0.5;
+  const feudReply = storyline.decideResponders('OOOH YEAH', 'macho-man');
+  Math.random = realRandom;
+  assert(feudReply[0]?.reason === 'feud-response', 'decideResponders treats a POST /feud rival as feud-related');
+
+  assert(storyline.setRelationship('john-cena', 'john-cena', 'ally').error, 'Self-relationships rejected');
+  assert(storyline.setRelationship('john-cena', 'macho-man', 'sworn-enemy').error, 'Unknown relationship types rejected');
+  assert(storyline.setRelationship('john-cena', 'macho-man', 'ally', 11).error, 'Weights must be 0-10');
+  storyline.setRelationship('john-cena', 'macho-man', 'tag-partner', 8);
+  storyline.setRelationship('triple-h', 'macho-man', 'mentor');
+  assert(storyline.getStrongestBond('macho-man', 'john-cena')?.type === 'tag-partner', 'Strongest bond is found between two characters');
+  assert(storyline.getRelated('triple-h', 'mentor')[0] === 'macho-man', 'Mentor edges are queryable');
+
+  const helpers = storyline.getRunInCandidates(['macho-man', 'undertaker']).filter(c => c.reason === 'ally');
+  assert(helpers.some(c => c.charId === 'john-cena') && helpers.some(c => c.charId === 'triple-h'), 'Tag partners and mentors run in to help');
+
+  storyline.activeCharacters = ['john-cena'];
+  Math.random = () => 0.5;
+  const allyReply = storyline.decideResponders('Cena is washed up', 'macho-man');
+  Math.random = realRandom;
+  assert(allyReply[0]?.reason === 'ally-response' && allyReply[0].context.includes('tag team partner'), 'Partners respond in support');
+
+  assert(storyline.removeRelationship('john-cena', 'macho-man', 'tag-partner').removed, 'Edges can be removed');
+  assert(!storyline.getStrongestBond('john-cena', 'macho-man'), 'Removed edge is gone');
+  storyline.removeRelationship('macho-man', 'undertaker', 'feud');
+  assert(!storyline.getFeudPartners('macho-man').length && storyline.archivedFeuds.at(-1).resolution === 'dropped', 'Removing a feud edge drops the feud');
+
+  const fresh = new StorylineEngine();
+  const ppv = new PPVEngine();
+  const champs = new ChampionshipTracker();
+  fresh.relationships = [
+    { between: ['undertaker', 'mankind'], type: 'former-partner', weight: 5, since: 0 },
+    { between: ['john-cena', 'macho-man'], type: 'tag-partner', weight: 7, since: 0 },
+    { between: ['stone-cold', 'the-rock'], type: 'tag-partner', weight: 6, since: 0 },
+  ];
+  champs.awardTitle('tag-team', ['stone-cold', 'the-rock']);
+  const roster = ['john-cena', 'the-rock', 'stone-cold', 'undertaker', 'macho-man', 'triple-h', 'mankind'];
+  fresh.feuds = [];
+  const card = ppv.autoBookCard({}, fresh.getRelationships(), roster, champs);
+  const tag = card.find(m => m.matchType === 'tag-team');
+  assert(tag && tag.teams.length === 2 && tag.forTitle === 'tag-team', 'Tag partners are booked as teams, for the belts when the champs are in it');
+  assert(card.some(m => m.participants.includes('undertaker') && m.participants.includes('mankind')), 'Former partners get a grudge match');
+  fresh.feuds = [storyline.feuds[0]];
+  fresh.relationships = [{ between: ['stone-cold', 'mankind'], type: 'ally', weight: 6, since: 0 }];
+  const fillCard = ppv.autoBookCard({}, fresh.getRelationships(), ['stone-cold', 'mankind', 'triple-h', 'undertaker'], null);
+  assert(!fillCard.some(m => m.participants.includes('stone-cold') && m.participants.includes('mankind')), 'Allies are not booked against each other');
+}
+
+console.log('\n🚪 Leaving the Show');
+{
+  const storyline = offlineStoryline();
+  storyline.activeCharacters.push('mankind');
+  storyline.relationships.push({ between: ['mankind', 'stone-cold'], type: 'ally', weight: 6, since: 0 });
+  storyline.createFeud('mankind', 'the-rock');
+  storyline.queueBeat({ type: 'challenge', characters: ['mankind', 'the-rock'], dueAt: 0, eventId: 'ppv-1' });
+  storyline.crowdSentiment.mankind = 3;
+
+  storyline.removeCharacter('mankind');
+  assert(!storyline.activeCharacters.includes('mankind') && !storyline.waitingInTheWings.includes('mankind'), 'A departed wrestler is off the roster');
+  assert(!storyline.getRelationships().some(r => r.between.includes('mankind')), 'Their feuds and relationships go with them');
+  assert(storyline.archivedFeuds.some(f => f.between.includes('mankind') && f.resolution === 'dropped'), 'Their feuds end without a winner');
+  assert(storyline.getQueuedBeats('ppv-1').every(b => b.status === 'cancelled'), 'Their road-to-the-show beats are cancelled');
+  assert(!('mankind' in storyline.crowdSentiment), 'Their crowd sentiment is forgotten');
+  assert(!storyline.getRunInCandidates(['stone-cold', 'the-rock']).some(c => c.charId === 'mankind'), 'They no longer run in');
+}
+
+// ----- Heel/Face Turns -----
+console.log('\n🔄 Heel/Face Turns');
+{
+  const storyline = offlineStoryline();
+
+  assert(storyline.getAlignment('john-cena') === 'face', 'Alignment starts from the character file');
+  assert(storyline.getAlignmentContext('john-cena') === '', 'No turn, no alignment direction');
+  const turn = storyline.turnCharacter('john-cena');
+  assert(turn.from === 'face' && turn.to === 'heel' && turn.reason === 'booker' && turn.at, 'Booker turn flips face to heel with a timestamp');
+  assert(storyline.getAlignment('john-cena') === 'heel', 'The turn overrides the file alignment');
+  assert(storyline.getAlignmentContext('john-cena').includes('HEEL'), 'Turned characters get alignment direction in prompts');
+  assert(storyline.turnCharacter('john-cena', 'heel').error, 'Turning to the same alignment is rejected');
+  assert(storyline.turnCharacter('john-cena', 'villain').error, 'Unknown alignments are rejected');
+  storyline.turnCharacter('john-cena', 'face');
+  assert(storyline.getAlignmentHistory('john-cena').length === 2 && storyline.getAlignmentContext('john-cena') === '', 'Turning back is recorded; no direction once back to normal');
+
+  let crowdTurn = null;
+  for (let i = 0; i < 10 && !crowdTurn; i++) crowdTurn = storyline.recordCrowdSentiment('triple-h', 1);
+  assert(crowdTurn?.to === 'face' && crowdTurn.reason === 'crowd', 'Enough cheers turn a heel face');
+  assert(storyline.crowdSentiment['triple-h'] === 0, 'Sentiment resets after a turn');
+  assert(storyline.recordCrowdSentiment('stone-cold', -3) === null, 'A few boos are not enough');
+
+  storyline.activeCharacters.push('stone-cold');
+  storyline.betray('mankind', 'stone-cold');
+  assert(storyline.getAlignment('mankind') === 'heel' && storyline.getAlignmentHistory('mankind')[0].victim === 'stone-cold', 'Betrayal turns the traitor heel');
+  assert(storyline.getStrongestBond('mankind', 'stone-cold')?.type === 'former-partner', 'Betrayal turns the alliance into a former partnership');
+  assert(storyline.getFeudPartners('mankind').includes('stone-cold'), 'Betrayal starts a feud');
+
+  const heelPromo = buildAnnouncerPrompt('jerry-lawler', 'play-by-play', 'Big elbow', [
+    { name: 'Mankind', alignment: storyline.getAlignment('mankind') },
+    { name: 'Stone Cold', alignment: storyline.getAlignment('stone-cold') },
+  ]);
+  assert(heelPromo.prompt.includes('heels — right now that\'s Mankind'), 'Lawler defends whoever is the heel now');
+  const jrPromo = buildAnnouncerPrompt('jim-ross', 'play-by-play', 'Big elbow', [{ name: 'Mankind', alignment: 'heel' }]);
+  assert(!jrPromo.prompt.includes('Mankind'), 'JR does not side with the heel');
+
+  let heelChants = 0;
+  for (let i = 0; i < 20; i++) if (!getCharacterChant('john-cena', 'heel', 'John Cena').includes("LET'S GO CENA")) heelChants++;
+  assert(heelChants === 20, 'A heel Cena never gets his face chants');
+}
+
+report();
@@ -0,0 +1,73 @@
+/**
+ * Weekly TV Tests
+ * Run: node director/test-tv-shows.js
+ */
+
+import { createSeededRandom } from './match-engine.js';
+import { TVShowEngine, formatRundown } from './tv-shows.js';
+import { assert, offlineStoryline, report } from './testing.js';
+
+console.log('\n📺 Weekly TV');
+{
+  const tv = new TVShowEngine();
+  const raw = { day: 'monday', hour: 20 };
+  const monday8pm = new Date(2026, 9, 19, 20, 0, 0).getTime(); // a Monday
+  assert(new Date(tv.nextAirTime(raw, monday8pm - 1000)).getTime() === monday8pm, 'Next Raw is Monday at 8');
+  assert(tv.nextAirTime(raw, monday8pm) === new Date(2026, 9, 26, 20).getTime(), 'Then the Monday after');
+  assert(tv.nextAirTime({ day: 'off', hour: 20 }) === null, 'A brand without a TV night never airs');
+  assert(tv.dueSlot('raw', raw, monday8pm - 1000) === null, 'Not due before air time');
+  assert(tv.dueSlot('raw', raw, monday8pm + 5 * 60000) === monday8pm, 'Due at air time');
+  assert(tv.dueSlot('raw', raw, monday8pm + 2 * 60 * 60000) === null, 'Hours late waits for next week');
+  assert(tv.episodesUntil(raw, new Date(2026, 10, 1, 19).getTime(), monday8pm) === 2, 'Two shows to go before a PPV the Sunday after next');
+
+  const roster = ['john-cena', 'the-rock', 'stone-cold', 'triple-h', 'undertaker', 'mankind'];
+  const feuds = [
+    { between: ['john-cena', 'the-rock'], intensity: 7, phase: 'building' },
+    { between: ['stone-cold', 'triple-h'], intensity: 6, phase: 'building' },
+    { between: ['undertaker', 'mankind'], intensity: 9, phase: 'peak' },
+  ];
+  const bonds = [{ between: ['stone-cold', 'mankind'], type: 'ally' }];
+  const ppv = { name: 'SummerSlam', episodesLeft: 1, matchCard: [{ participants: ['john-cena', 'the-rock'], isMainEvent: true }] };
+  const random = createSeededRandom(7);
+  const rundown = tv.buildRundown({ roster, feuds, bonds, champion: 'the-rock', ppv, random });
+  const slots = rundown.map(s => s.slot);
+  const matches = rundown.filter(s => s.beat === 'match');
+  assert(slots[0] === 'opening' && slots[slots.length - 1] === 'cliffhanger', 'Opens with a promo, closes on a cliffhanger');
+  assert(rundown[0].characters[0] === 'the-rock', 'The champion opens the show');
+  assert(rundown.every(s => ['promo', 'crowd-work', 'match-announcement', 'backstage', 'contract-signing', 'segment', 'match'].includes(s.beat)), 'Segments are storyline event beats');
+  assert(slots.indexOf('main-event') === slots.length - 2 && matches.length >= 3 && matches.length <= 4, 'Two or three matches, then the main event');
+  assert(rundown.find(s => s.slot === 'contract-signing')?.characters.join() === 'john-cena,the-rock', 'The PPV main event signs the contract');
+  assert(rundown.find(s => s.slot === 'announcement')?.event === 'SummerSlam', 'The PPV main event is announced');
+  assert(!matches.some(m => m.characters.includes('undertaker') && m.characters.includes('mankind')), 'A feud saved for the PPV gets no TV match');
+  assert(!matches.some(m => m.characters.includes('john-cena') && m.characters.includes('the-rock')), 'The PPV headliners don\'t wrestle each other on TV');
+  assert(rundown.find(s => s.slot === 'backstage')?.characters.join() === 'stone-cold,mankind', 'Allies share the backstage segment');
+  assert(rundown[rundown.length - 1].goHome === true, 'The last show before the PPV is the go-home show');
+
+  const noPPV = tv.buildRundown({ roster: ['john-cena', 'the-rock'], feuds, random });
+  assert(noPPV.find(s => s.slot === 'main-event')?.characters.join() === 'john-cena,the-rock', 'No PPV to build to — the headline feud settles it in the main event');
+
+  const episode = tv.startEpisode('raw', rundown, { slot: monday8pm, ppv: { name: 'SummerSlam', episodesLeft: 1 } });
+  assert(tv.startEpisode('raw', rundown).error !== undefined, 'One show on the air at a time');
+  assert(tv.dueSlot('raw', raw, monday8pm + 60000) === null, 'An aired slot is not due again');
+  assert(formatRundown(episode, 'Monday Night Raw').includes('go-home show') && !formatRundown(episode, 'Raw').includes('Cliffhanger'), 'Rundown card keeps the cliffhanger a surprise');
+  tv.recordSegment(matches.length, { winner: 'the-rock' });
+  tv.completeEpisode([{ between: ['john-cena', 'the-rock'], intensity: 8.5 }]);
+  const restored = new TVShowEngine();
+  restored.loadFrom(JSON.parse(JSON.stringify(tv.toJSON())));
+  assert(restored.episodes[0].number === 1 && restored.dueSlot('raw', raw, monday8pm + 60000) === null, 'Episodes and the schedule survive a restart');
+
+  const storyline = offlineStoryline();
+  storyline.feuds = [];
+  const feud = storyline.createFeud('stone-cold', 'triple-h', 5);
+  storyline.advanceFeud('stone-cold', 'triple-h', 2);
+  assert(Math.abs(feud.intensity - 6.75) < 0.01, 'A feud climbs toward its peak by the PPV');
+  storyline.advanceFeud('stone-cold', 'triple-h', 1);
+  assert(feud.phase === 'peak', 'It peaks on the go-home show');
+  assert(storyline.advanceFeud('stone-cold', 'triple-h', 1) === null, 'A feud at its peak is left for the PPV');
+  const context = storyline.generateSegmentContext('contract-signing', 'stone-cold', ['triple-h'], { ppv: 'SummerSlam' });
+  assert(context.includes('Triple H') && context.includes('SummerSlam'), 'Contract signing direction names the opponent and the PPV');
+  storyline.recordSegment('backstage', ['stone-cold', 'mankind']);
+  assert(storyline.getState().recentHistory.some(e => e.beat === 'backstage'), 'Segments go in the storyline history');
+}
+
+report();
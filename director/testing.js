@@ -0,0 +1,33 @@
+/**
+ * Shared helpers for the director's test scripts (test-*.js)
+ */
+
+import { StorylineEngine } from './storyline-engine.js';
+
+let passed = 0;
+let failed = 0;
+
+export function assert(condition, msg) {
+  if (condition) { passed++; console.log(`  ✅ ${msg}`); }
+  else { failed++; console.error(`  ❌ ${msg}`); }
+}
+
+/**
+ * A StorylineEngine that keeps its state in memory — tests stay off the disk
+ */
+export function offlineStoryline() {
+  const storyline = new StorylineEngine();
+  storyline.saveState = async () => {};
+  storyline.appendHistory = async () => {};
+  return storyline;
+}
+
+/**
+ * Print the totals and exit non-zero if anything failed
+ */
+export function report() {
+  console.log(`\n${'═'.repeat(40)}`);
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log(`${'═'.repeat(40)}`);
+  process.exit(failed > 0 ? 1 : 0);
+}
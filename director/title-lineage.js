@@ -0,0 +1,166 @@
+/**
+ * Title Lineage
+ *
+ * Every championship reign that has ended, kept for good in an append-only
+ * file (lineage.jsonl) — the tracker only remembers the last 20 per belt.
+ * Together with the current champions it gives each title's full list of
+ * champions and its record book: longest reign, most reigns, most defenses.
+ */
+
+import { readFile, appendFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname } from 'path';
+import { getCharacter } from './characters.js';
+import { CHAMPIONSHIPS } from './championships.js';
+
+const STATE_DIR = process.env.STATE_DIR || '/data/storyline';
+const LINEAGE_FILE = `${STATE_DIR}/lineage.jsonl`;
+
+export class TitleLineage {
+  constructor({ file = LINEAGE_FILE } = {}) {
+    this.file = file;
+    this.reigns = []; // ended reigns, oldest first: { titleId, holder, wonAt, lostAt, defenses, wonBy, lostTo, vacated }
+  }
+
+  /**
+   * Read the lineage file. The first time around it starts from the
+   * reigns the tracker still remembers, so past champions aren't lost.
+   */
+  async loadState(championships = null) {
+    try {
+      if (existsSync(this.file)) {
+        const lines = (await readFile(this.file, 'utf-8')).split('\n').filter(Boolean);
+        for (const line of lines) {
+          try { this.reigns.push(JSON.parse(line)); } catch (e) { /* skip bad line */ }
+        }
+        return;
+      }
+      const remembered = Object.entries(championships?.titles || {})
+        .flatMap(([titleId, title]) => title.history.map(h => ({ titleId, ...h })))
+        .sort((a, b) => a.lostAt - b.lostAt);
+      for (const reign of remembered) await this.append(reign);
+      if (remembered.length) console.log(`Started the title lineage with ${remembered.length} past reigns`);
+    } catch (err) {
+      console.error('Failed to load title lineage:', err.message);
+    }
+  }
+
+  /**
+   * A reign ended (see ChampionshipTracker.onReignEnd) — write it down
+   */
+  async append(reign) {
+    const entry = { ...reign, holder: copyHolder(reign.holder) };
+    this.reigns.push(entry);
+    try {
+      if (!existsSync(dirname(this.file))) await mkdir(dirname(this.file), { recursive: true });
+      await appendFile(this.file, JSON.stringify(entry) + '\n');
+    } catch (err) {
+      console.error('Failed to save title lineage:', err.message);
+    }
+    return entry;
+  }
+
+  /**
+   * Every reign of a title, oldest first, numbered — the current one
+   * (`current` is the tracker's title state) last, still running
+   */
+  getLineage(titleId, current = null, now = Date.now()) {
+    const reigns = this.reigns
+      .filter(r => r.titleId === titleId)
+      .map(r => ({ ...r, current: false, length: r.lostAt - r.wonAt }));
+    if (current?.holder) {
+      reigns.push({
+        titleId,
+        holder: copyHolder(current.holder),
+        wonAt: current.wonAt,
+        lostAt: null,
+        defenses: current.defenses,
+        wonBy: current.wonBy || null,
+        current: true,
+        length: now - current.wonAt,
+      });
+    }
+    const count = {};
+    return reigns.map((r, i) => {
+      const key = holderKey(r.holder);
+      count[key] = (count[key] || 0) + 1;
+      return { ...r, number: i + 1, reignOfHolder: count[key] };
+    });
+  }
+
+  /**
+   * The record book for a title: longest reign, most reigns, most
+   * defenses (in one reign) and the current reign. Records are null until
+   * someone has held it; ties go to whoever got there first.
+   */
+  getStats(titleId, current = null, now = Date.now()) {
+    const lineage = this.getLineage(titleId, current, now);
+    const best = score => lineage.reduce((top, r) => (!top || score(r) > score(top) ? r : top), null);
+    const reignsBy = {};
+    for (const r of lineage) {
+      const key = holderKey(r.holder);
+      reignsBy[key] = reignsBy[key] || { holder: r.holder, reigns: 0 };
+      reignsBy[key].reigns++;
+    }
+    const mostReigns = Object.values(reignsBy).reduce((top, h) => (!top || h.reigns > top.reigns ? h : top), null);
+    const longest = best(r => r.length);
+    const defenses = best(r => r.defenses);
+    const reign = lineage.find(r => r.current) || null;
+    return {
+      totalReigns: lineage.length,
+      champions: Object.keys(reignsBy).length,
+      longestReign: longest && { holder: longest.holder, length: longest.length, wonAt: longest.wonAt, current: longest.current },
+      mostReigns,
+      mostDefenses: defenses?.defenses ? { holder: defenses.holder, defenses: defenses.defenses, wonAt: defenses.wonAt, current: defenses.current } : null,
+      currentReign: reign && { holder: reign.holder, length: reign.length, wonAt: reign.wonAt, defenses: reign.defenses, reignOfHolder: reign.reignOfHolder },
+    };
+  }
+}
+
+/**
+ * The title history card for Discord: the champion, the record book and
+ * the most recent `limit` reigns
+ */
+export function formatTitleHistory(titleId, lineage, stats, { brandName = null, limit = 10 } = {}) {
+  const belt = CHAMPIONSHIPS[titleId];
+  const names = holder => [holder].flat().map(c => getCharacter(c)?.displayName || c).join(' & ');
+  const defenses = n => `${n} defense${n === 1 ? '' : 's'}`;
+  const lines = [`📜 **${belt.displayName.toUpperCase()} — TITLE HISTORY**${brandName ? ` (${brandName})` : ''}`];
+
+  const reign = stats.currentReign;
+  lines.push(reign
+    ? `👑 **Champion:** ${names(reign.holder)} — ${formatReignLength(reign.length)}, ${defenses(reign.defenses)}${reign.reignOfHolder > 1 ? ` (reign #${reign.reignOfHolder})` : ''}`
+    : '👑 **Champion:** vacant');
+  if (stats.longestReign) lines.push(`⏳ **Longest reign:** ${names(stats.longestReign.holder)} — ${formatReignLength(stats.longestReign.length)}${stats.longestReign.current ? ' (and counting)' : ''}`);
+  if (stats.mostReigns?.reigns > 1) lines.push(`🔁 **Most reigns:** ${names(stats.mostReigns.holder)} — ${stats.mostReigns.reigns}`);
+  if (stats.mostDefenses) lines.push(`🛡️ **Most defenses:** ${names(stats.mostDefenses.holder)} — ${stats.mostDefenses.defenses} in one reign`);
+
+  const past = lineage.filter(r => !r.current).slice(-limit).reverse();
+  if (past.length) {
+    lines.push(`📖 **Lineage** (${stats.totalReigns} reign${stats.totalReigns === 1 ? '' : 's'}):`);
+    for (const r of past) {
+      lines.push(`${r.number}. ${names(r.holder)} — ${formatReignLength(r.length)}, ${defenses(r.defenses)}${r.vacated ? ' (vacated)' : ''}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * "12 days", "5 hours", "40 minutes"
+ */
+export function formatReignLength(ms) {
+  const minutes = Math.max(0, Math.floor(ms / 60000));
+  const [value, unit] = minutes >= 2 * 24 * 60 ? [Math.floor(minutes / (24 * 60)), 'day']
+    : minutes >= 120 ? [Math.floor(minutes / 60), 'hour']
+    : [minutes, 'minute'];
+  return `${value} ${unit}${value === 1 ? '' : 's'}`;
+}
+
+function copyHolder(holder) {
+  return Array.isArray(holder) ? [...holder] : holder;
+}
+
+// Tag teams are the same team whichever order they're listed in
+function holderKey(holder) {
+  return [holder].flat().sort().join('+');
+}
@@ -0,0 +1,261 @@
+/**
+ * Weekly TV
+ *
+ * Between PPVs each brand puts on a weekly episode — Raw on Mondays,
+ * SmackDown on Fridays — with a rundown like the real thing: an opening
+ * promo, two or three matches, a backstage segment, a contract signing, the
+ * main event and a cliffhanger to go off the air. Talking segments are the
+ * storyline's event beats (promo, crowd-work, match-announcement, backstage,
+ * contract-signing, segment), and every episode pushes the brand's feuds
+ * toward the next PPV. The last show before it is the go-home show.
+ */
+
+import { getCharacter } from './characters.js';
+import { STORYLINE_BEATS } from './storyline-engine.js';
+
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// How each part of the rundown is billed
+export const SEGMENTS = {
+  opening: { name: 'Opening Segment', emoji: '🎤' },
+  announcement: { name: 'Match Announcement', emoji: '📢' },
+  match: { name: 'Match', emoji: '🤼' },
+  backstage: { name: 'Backstage', emoji: '🚪' },
+  'contract-signing': { name: 'Contract Signing', emoji: '📝' },
+  'main-event': { name: 'Main Event', emoji: '🌟' },
+  cliffhanger: { name: 'Cliffhanger', emoji: '🎬' },
+};
+
+// Feuds in these phases are saved for the PPV — no TV matches between them
+const SAVED_PHASES = ['peak', 'blow-off', 'rematch'];
+const LATE_WINDOW_MS = 60 * 60 * 1000; // more than an hour late (the director was down) waits for next week
+const MAX_EPISODES = 30;
+const MAX_WEEKS = 52;
+
+export class TVShowEngine {
+  constructor() {
+    this.episodes = [];     // aired episodes, newest last
+    this.counts = {};       // { [brandId]: episodes aired }
+    this.lastAiredAt = {};  // { [brandId]: air time of its last episode }
+    this.activeEpisode = null;
+  }
+
+  loadFrom(saved) {
+    if (!saved) return;
+    if (saved.episodes) this.episodes = saved.episodes.slice(-MAX_EPISODES);
+    if (saved.counts) this.counts = saved.counts;
+    if (saved.lastAiredAt) this.lastAiredAt = saved.lastAiredAt;
+  }
+
+  toJSON() {
+    return { episodes: this.episodes.slice(-MAX_EPISODES), counts: this.counts, lastAiredAt: this.lastAiredAt };
+  }
+
+  /**
+   * When a show next airs after `now`. `schedule` is { day, hour } — a
+   * weekday name and an hour of server time; any other day means no show.
+   */
+  nextAirTime(schedule, now = Date.now()) {
+    const last = this.lastAirTime(schedule, now);
+    if (last === null) return null;
+    const next = new Date(last);
+    next.setDate(next.getDate() + 7);
+    return next.getTime();
+  }
+
+  /**
+   * When the show last aired at or before `now` (by the schedule)
+   */
+  lastAirTime({ day, hour }, now = Date.now()) {
+    const weekday = WEEKDAYS.indexOf(day);
+    if (weekday === -1) return null;
+    const at = new Date(now);
+    at.setHours(hour, 0, 0, 0);
+    at.setDate(at.getDate() - ((at.getDay() - weekday + 7) % 7));
+    if (at.getTime() > now) at.setDate(at.getDate() - 7);
+    return at.getTime();
+  }
+
+  /**
+   * The air time a brand's episode is due for, or null — it's show time,
+   * this week's show hasn't aired and it isn't more than an hour late
+   */
+  dueSlot(brandId, schedule, now = Date.now()) {
+    const slot = this.lastAirTime(schedule, now);
+    if (slot === null || now - slot > LATE_WINDOW_MS) return null;
+    if ((this.lastAiredAt[brandId] || 0) >= slot) return null;
+    return slot;
+  }
+
+  /**
+   * Episodes left before `until` (a PPV date), counting the one at `now`
+   */
+  episodesUntil(schedule, until, now = Date.now()) {
+    let count = 1;
+    let at = this.nextAirTime(schedule, now);
+    while (at !== null && at < until && count < MAX_WEEKS) {
+      count++;
+      at = this.nextAirTime(schedule, at);
+    }
+    return count;
+  }
+
+  /**
+   * Put an episode together. `roster` is who's active on the brand, `feuds`
+   * and `bonds` (non-feud relationships) the storyline's, `champion` the
+   * holder of the brand's top title, `ppv` the next PPV as { name,
+   * matchCard, episodesLeft }. The headline story — the PPV main event, or
+   * the hottest feud — opens the show, signs the contract and closes it.
+   * Returns the segments: { slot, beat, characters, event?, goHome? }.
+   */
+  buildRundown({ roster, feuds = [], bonds = [], champion = null, ppv = null, random = Math.random }) {
+    const onRoster = ids => ids.every(c => roster.includes(c));
+    const key = pair => [...pair].sort().join('|');
+    const hot = feuds.filter(f => f.phase !== 'resolved' && onRoster(f.between)).sort((a, b) => b.intensity - a.intensity);
+    const saved = new Set(hot.filter(f => SAVED_PHASES.includes(f.phase)).map(f => key(f.between)));
+    const ppvMain = ppv?.matchCard?.find(m => m.isMainEvent && m.participants.length === 2 && onRoster(m.participants));
+    const headline = ppvMain ? [...ppvMain.participants] : hot[0] ? [...hot[0].between] : null;
+    const segments = [];
+
+    // The champion (or the headliner) opens the show
+    const opener = headline
+      ? (headline.includes(champion) ? champion : headline[0])
+      : (roster.includes(champion) ? champion : roster[Math.floor(random() * roster.length)]);
+    const openingBeat = headline ? weightedBeat(['promo', 'crowd-work'], random) : 'crowd-work';
+    segments.push({
+      slot: 'opening',
+      beat: openingBeat,
+      characters: openingBeat === 'promo' ? [opener, headline.find(c => c !== opener)] : [opener],
+    });
+
+    const announced = ppvMain || ppv?.matchCard?.find(m => onRoster(m.participants));
+    if (announced) segments.push({ slot: 'announcement', beat: 'match-announcement', characters: [...announced.participants], event: ppv.name });
+
+    // Matches: building feuds first, then fresh pairings — never the
+    // headliners or a feud that's saved for the PPV
+    const heat = new Map(hot.filter(f => f.phase === 'building').map(f => [key(f.between), f.intensity]));
+    const pairs = allPairs(roster)
+      .filter(p => !saved.has(key(p)) && (!headline || key(p) !== key(headline)))
+      .map(pair => ({ pair, heat: heat.get(key(pair)) || 0, tiebreak: random() }))
+      .sort((a, b) => b.heat - a.heat || a.tiebreak - b.tiebreak);
+    const used = new Set();
+    // Fresh faces first; someone works twice only to fill out the card
+    const take = (fill = false) => {
+      const next = pairs.find(p => p.pair.every(c => !used.has(c))) || (fill ? pairs[0] : null);
+      if (!next) return null;
+      pairs.splice(pairs.indexOf(next), 1);
+      next.pair.forEach(c => used.add(c));
+      return next.pair;
+    };
+    // Without a PPV to build to, a headline feud that's still building settles it tonight
+    const headlineTonight = headline && !ppv && !saved.has(key(headline));
+    if (headlineTonight) headline.forEach(c => used.add(c));
+    const mainEvent = headlineTonight ? headline : take(true);
+    const undercard = [take(true), take(true), random() < 0.5 ? take() : null].filter(Boolean);
+
+    const matchSegment = (pair, slot = 'match') => ({ slot, beat: 'match', characters: [...pair], matchType: 'singles' });
+    for (const pair of undercard.slice(0, 2)) segments.push(matchSegment(pair));
+
+    // Backstage: allies, else rivals — ideally two who don't meet in the ring tonight
+    const wrestled = new Set([mainEvent, ...undercard].filter(Boolean).map(key));
+    const candidates = [
+      ...bonds.filter(b => onRoster(b.between)).map(b => b.between),
+      ...hot.map(f => f.between),
+    ].filter(pair => !headline || pair.every(c => !headline.includes(c)));
+    const backstage = candidates.find(pair => !wrestled.has(key(pair))) || candidates[0]
+      || roster.filter(c => !headline?.includes(c)).slice(0, 2);
+    if (backstage.length === 2) segments.push({ slot: 'backstage', beat: 'backstage', characters: [...backstage] });
+
+    if (undercard[2]) segments.push(matchSegment(undercard[2]));
+    if (headline) segments.push({ slot: 'contract-signing', beat: 'contract-signing', characters: [...headline], event: headlineTonight ? null : ppv?.name || null });
+    if (mainEvent) segments.push(matchSegment(mainEvent, 'main-event'));
+
+    const closers = headline || mainEvent;
+    if (closers) segments.push({ slot: 'cliffhanger', beat: 'segment', characters: [...closers], goHome: ppv?.episodesLeft === 1 });
+    return segments;
+  }
+
+  /**
+   * Put an episode on the air. `slot` is the air time it fills (now, for an
+   * unscheduled show); `ppv` is what it builds to.
+   */
+  startEpisode(brandId, segments, { slot = Date.now(), ppv = null } = {}) {
+    if (this.activeEpisode) return { error: 'An episode is already on the air' };
+    this.counts[brandId] = (this.counts[brandId] || 0) + 1;
+    const episode = {
+      id: `tv-${brandId}-${this.counts[brandId]}`,
+      brand: brandId,
+      number: this.counts[brandId],
+      slot,
+      ppv,
+      segments: segments.map(s => ({ ...s, status: 'pending' })),
+      status: 'on-air',
+      startedAt: Date.now(),
+    };
+    this.lastAiredAt[brandId] = Math.max(this.lastAiredAt[brandId] || 0, slot);
+    this.activeEpisode = episode;
+    return episode;
+  }
+
+  recordSegment(index, result = {}) {
+    const segment = this.activeEpisode?.segments[index];
+    if (segment) Object.assign(segment, result, { status: 'done' });
+  }
+
+  completeEpisode(feuds = []) {
+    const episode = this.activeEpisode;
+    if (!episode) return null;
+    episode.status = 'completed';
+    episode.completedAt = Date.now();
+    episode.feuds = feuds;
+    this.episodes.push(episode);
+    if (this.episodes.length > MAX_EPISODES) this.episodes.shift();
+    this.activeEpisode = null;
+    return episode;
+  }
+
+  getState() {
+    return {
+      active: this.activeEpisode,
+      recent: this.episodes.slice(-10).reverse(),
+    };
+  }
+}
+
+/**
+ * "Tonight on Raw" — the rundown as a Discord message
+ */
+export function formatRundown(episode, showName) {
+  const lines = [`📺 **${showName.toUpperCase()}** — Episode ${episode.number}`];
+  if (episode.ppv) {
+    lines.push(episode.ppv.episodesLeft === 1
+      ? `*The go-home show before ${episode.ppv.name}!*`
+      : `*The road to ${episode.ppv.name} continues!*`);
+  }
+  lines.push('**TONIGHT:**');
+  for (const s of episode.segments) {
+    if (s.slot === 'cliffhanger') continue; // nobody sees that coming
+    const names = s.characters.map(c => getCharacter(c)?.displayName || c);
+    const who = s.beat === 'match' ? names.join(' vs ') : names.join(', ');
+    lines.push(`${SEGMENTS[s.slot].emoji} ${SEGMENTS[s.slot].name}: ${who}`);
+  }
+  return lines.join('\n');
+}
+
+function weightedBeat(types, random) {
+  const beats = STORYLINE_BEATS.event.filter(b => types.includes(b.type));
+  let roll = random() * beats.reduce((sum, b) => sum + b.weight, 0);
+  for (const beat of beats) {
+    roll -= beat.weight;
+    if (roll <= 0) return beat.type;
+  }
+  return beats[beats.length - 1].type;
+}
+
+function allPairs(ids) {
+  const pairs = [];
+  for (let i = 0; i < ids.length; i++) {
+    for (let j = i + 1; j < ids.length; j++) pairs.push([ids[i], ids[j]]);
+  }
+  return pairs;
+}